@@ -0,0 +1,44 @@
+/**
+ * Local devnet started by `npx hardhat devnet` (see scripts/lib/devnet.js). `seed` is a scenario (as in
+ * config/scenarios.js) run right after the deployment: its actors get the next Hardhat accounts after the deployer,
+ * funded and approved for the vault and the pool, and its steps open their positions and let interest accrue while the
+ * keeper rebalances the vault. Amounts are in whole token units.
+ */
+module.exports = {
+  rpc: { hostname: "127.0.0.1", port: 8545 },
+  faucet: {
+    port: 8546,
+    // Per token and request, unless the request asks for less
+    amount: "10000",
+    maxAmount: "100000",
+    // Accounts holding less ETH than this are topped up to it, so fresh wallets can pay for gas
+    eth: "10",
+  },
+  seed: {
+    description: "Two vault depositors and two pool users borrowing each other's asset, then four weeks of interest",
+    actors: {
+      alice: { USDC: "50000", USDT: "10000" },
+      bob: { USDC: "25000", USDT: "10000" },
+      carol: { USDC: "10000", USDT: "200000" },
+      dave: { USDC: "400000", USDT: "10000" },
+    },
+    steps: [
+      { action: "deposit", actor: "alice", amount: "50000" },
+      { action: "loop" },
+      { action: "deposit", actor: "bob", amount: "25000" },
+      { action: "supply", actor: "carol", asset: "USDT", amount: "200000" },
+      { action: "supply", actor: "dave", asset: "USDC", amount: "400000" },
+      { action: "borrow", actor: "dave", asset: "USDT", utilization: "0.6" },
+      { action: "borrow", actor: "carol", asset: "USDC", amount: "100000" },
+      { action: "advanceTime", duration: "7d" },
+      { action: "keeper" },
+      { action: "advanceTime", duration: "7d" },
+      { action: "keeper" },
+      { action: "advanceTime", duration: "7d" },
+      { action: "keeper" },
+      { action: "advanceTime", duration: "7d" },
+      { action: "keeper" },
+    ],
+    invariants: { minHealthFactor: "1" },
+  },
+};
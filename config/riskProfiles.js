@@ -0,0 +1,27 @@
+/**
+ * Named leverage limits for LeveragedERC4626Vault, applied by the deployment (vault.riskProfile, RISK_PROFILE)
+ * and by `vault set-risk`. LTVs are in bps and minHealthFactor is a decimal. The vault checks them against the
+ * reserves its position is collateralized by: rebalanceLtvBps at most their lowest LTV, and maxLtvBps low enough
+ * to keep minHealthFactor under their lowest liquidation threshold.
+ */
+module.exports = {
+  // The limits the vault was deployed with before they were configurable
+  default: {
+    targetLtvBps: 7800,
+    rebalanceLtvBps: 8000,
+    maxLtvBps: 9000,
+    minHealthFactor: "1",
+  },
+  conservative: {
+    targetLtvBps: 6500,
+    rebalanceLtvBps: 7000,
+    maxLtvBps: 8000,
+    minHealthFactor: "1.1",
+  },
+  aggressive: {
+    targetLtvBps: 8200,
+    rebalanceLtvBps: 8500,
+    maxLtvBps: 9000,
+    minHealthFactor: "1",
+  },
+};
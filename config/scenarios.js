@@ -0,0 +1,76 @@
+/**
+ * Stress scenarios for LeveragedERC4626Vault, run by scripts/runScenarios.js on the in-process Hardhat network.
+ * Each declares funded actors, steps run in order and the invariants checked over every step (see
+ * scripts/lib/scenario.js). Amounts are in whole token units. The deployer owns the protocol, seeded each reserve
+ * with 500000 tokens and sends the keeper transactions.
+ */
+module.exports = {
+  // A whale borrows the USDT reserve past its optimal utilization, so VARIABLE_RATE_SLOPE_2 prices the vault's debt
+  // for months while the keeper keeps up
+  "rate-spike": {
+    description: "USDT utilization past optimal for 90 days, with the keeper rebalancing",
+    actors: {
+      alice: { USDC: "10000" },
+      whale: { USDC: "2000000" },
+    },
+    steps: [
+      { action: "deposit", actor: "alice", amount: "10000" },
+      { action: "loop" },
+      { action: "supply", actor: "whale", asset: "USDC", amount: "2000000" },
+      { action: "borrow", actor: "whale", asset: "USDT", utilization: "0.97" },
+      { action: "advanceTime", duration: "30d" },
+      { action: "keeper" },
+      { action: "advanceTime", duration: "30d" },
+      { action: "keeper" },
+      { action: "advanceTime", duration: "30d" },
+      { action: "keeper" },
+      { action: "withdraw", actor: "alice", amount: "max" },
+    ],
+    invariants: { minHealthFactor: "1", maxLtvBps: 9000 },
+  },
+
+  // Nobody rebalances through the spike: the position drifts until the keeper runs once, a year late
+  "delayed-rebalance": {
+    description: "USDT utilization past optimal for 360 days before the first rebalance",
+    actors: {
+      alice: { USDC: "10000" },
+      whale: { USDC: "2000000" },
+    },
+    steps: [
+      { action: "deposit", actor: "alice", amount: "10000" },
+      { action: "loop" },
+      { action: "supply", actor: "whale", asset: "USDC", amount: "2000000" },
+      { action: "borrow", actor: "whale", asset: "USDT", utilization: "0.99" },
+      { action: "advanceTime", duration: "60d" },
+      { action: "advanceTime", duration: "60d" },
+      { action: "advanceTime", duration: "60d" },
+      { action: "advanceTime", duration: "60d" },
+      { action: "advanceTime", duration: "60d" },
+      { action: "advanceTime", duration: "60d" },
+      { action: "keeper" },
+    ],
+    invariants: { minHealthFactor: "1" },
+  },
+
+  // The USDT liquidity is borrowed and withdrawn, so rebalance() cannot take USDT back out of the strategy to repay
+  "liquidity-crunch": {
+    description: "USDT liquidity drained while the vault needs to deleverage",
+    actors: {
+      alice: { USDC: "10000" },
+      whale: { USDC: "2000000" },
+    },
+    steps: [
+      { action: "deposit", actor: "alice", amount: "10000" },
+      { action: "loop" },
+      { action: "supply", actor: "whale", asset: "USDC", amount: "2000000" },
+      { action: "borrow", actor: "whale", asset: "USDT", utilization: "1" },
+      { action: "advanceTime", duration: "90d" },
+      { action: "rebalance" },
+      { action: "withdraw", actor: "alice", amount: "1000" },
+      { action: "repay", actor: "whale", asset: "USDT", amount: "100000" },
+      { action: "rebalance" },
+      { action: "withdraw", actor: "alice", amount: "1000" },
+    ],
+    invariants: { minHealthFactor: "1" },
+  },
+};
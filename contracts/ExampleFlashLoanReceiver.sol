@@ -3,21 +3,37 @@ pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
 import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/interfaces/IERC3156FlashBorrower.sol";
 import "./FlashLoanReceiver.sol";
 import "./FlashLoanProvider.sol";
+import "./interfaces/IPool.sol";
+import "./interfaces/IFlashLoanSimpleReceiver.sol";
+import "./interfaces/IPoolFlashLoanReceiver.sol";
 
 /**
  * @title ExampleFlashLoanReceiver
- * @dev Example contract demonstrating how to use the FlashLoanProvider
- * This contract implements the IFlashLoanReceiver interface
+ * @dev Example contract demonstrating how to use the FlashLoanProvider and the Pool flash loans
+ * This contract implements the IFlashLoanReceiver, IERC3156FlashBorrower, IFlashLoanSimpleReceiver and
+ * IPoolFlashLoanReceiver interfaces
  */
-contract ExampleFlashLoanReceiver is IFlashLoanReceiver {
+contract ExampleFlashLoanReceiver is
+    IFlashLoanReceiver,
+    IERC3156FlashBorrower,
+    IFlashLoanSimpleReceiver,
+    IPoolFlashLoanReceiver
+{
     using SafeERC20 for IERC20;
 
     FlashLoanProvider public immutable flashLoanProvider;
+    IPool public immutable override(IFlashLoanSimpleReceiver, IPoolFlashLoanReceiver) POOL;
 
-    constructor(address _flashLoanProvider) {
+    /**
+     * @param _flashLoanProvider The FlashLoanProvider to borrow from (address(0) if unused)
+     * @param _pool The Pool to borrow from (address(0) if unused)
+     */
+    constructor(address _flashLoanProvider, address _pool) {
         flashLoanProvider = FlashLoanProvider(_flashLoanProvider);
+        POOL = IPool(_pool);
     }
 
     /**
@@ -68,6 +84,128 @@ contract ExampleFlashLoanReceiver is IFlashLoanReceiver {
         return true;
     }
 
+    /**
+     * @dev Execute an ERC-3156 flash loan from the FlashLoanProvider
+     * @param token The token to borrow
+     * @param amount The amount to borrow
+     * @param data Additional data passed back to the ERC-3156 onFlashLoan
+     */
+    function executeERC3156FlashLoan(
+        address token,
+        uint256 amount,
+        bytes calldata data
+    ) external {
+        flashLoanProvider.flashLoan(this, token, amount, data);
+    }
+
+    /**
+     * @dev ERC-3156 callback called by the FlashLoanProvider after lending tokens
+     * @param initiator The account that started the flash loan
+     * @param token The token address
+     * @param amount The amount borrowed
+     * @param fee The fee to be paid
+     * @param data Additional data passed to flashLoan
+     * @return The ERC-3156 callback success value
+     */
+    function onFlashLoan(
+        address initiator,
+        address token,
+        uint256 amount,
+        uint256 fee,
+        bytes calldata data
+    ) external override returns (bytes32) {
+        data; // Silence unused parameter warning
+        require(
+            msg.sender == address(flashLoanProvider),
+            "ExampleFlashLoanReceiver: invalid caller"
+        );
+        require(initiator == address(this), "ExampleFlashLoanReceiver: invalid initiator");
+
+        // Your custom logic here. The provider pulls amount + fee back once this returns.
+        IERC20(token).forceApprove(address(flashLoanProvider), amount + fee);
+
+        return keccak256("ERC3156FlashBorrower.onFlashLoan");
+    }
+
+    /**
+     * @dev Execute a flash loan of one asset from the Pool reserves
+     * @param asset The asset to borrow
+     * @param amount The amount to borrow
+     * @param params Additional data passed back to executeOperation
+     */
+    function executePoolFlashLoanSimple(address asset, uint256 amount, bytes calldata params) external {
+        POOL.flashLoanSimple(address(this), asset, amount, params, 0);
+    }
+
+    /**
+     * @dev Execute a flash loan of several assets from the Pool reserves. Assets borrowed with interest rate
+     * mode 2 are kept as variable debt of this contract, which needs collateral in the Pool for it.
+     * @param assets The assets to borrow
+     * @param amounts The amounts to borrow
+     * @param interestRateModes Per asset, 0 to repay within the transaction or 2 to keep it as debt
+     * @param params Additional data passed back to executeOperation
+     */
+    function executePoolFlashLoan(
+        address[] calldata assets,
+        uint256[] calldata amounts,
+        uint256[] calldata interestRateModes,
+        bytes calldata params
+    ) external {
+        POOL.flashLoan(address(this), assets, amounts, interestRateModes, address(this), params, 0);
+    }
+
+    /**
+     * @dev Callback function called by the Pool after lending one asset
+     * @param asset The asset borrowed
+     * @param amount The amount borrowed
+     * @param premium The premium to be paid
+     * @param initiator The account that started the flash loan
+     * @param params Additional data passed to flashLoanSimple
+     * @return Whether the operation was successful
+     */
+    function executeOperation(
+        address asset,
+        uint256 amount,
+        uint256 premium,
+        address initiator,
+        bytes calldata params
+    ) external override returns (bool) {
+        params; // Silence unused parameter warning
+        _checkPoolCallback(initiator);
+
+        // Your custom logic here. The Pool pulls amount + premium back once this returns.
+        IERC20(asset).forceApprove(address(POOL), amount + premium);
+
+        return true;
+    }
+
+    /**
+     * @dev Callback function called by the Pool after lending several assets
+     * @param assets The assets borrowed
+     * @param amounts The amounts borrowed
+     * @param premiums The premium to be paid per asset (0 for assets kept as debt)
+     * @param initiator The account that started the flash loan
+     * @param params Additional data passed to flashLoan
+     * @return Whether the operation was successful
+     */
+    function executeOperation(
+        address[] calldata assets,
+        uint256[] calldata amounts,
+        uint256[] calldata premiums,
+        address initiator,
+        bytes calldata params
+    ) external override returns (bool) {
+        params; // Silence unused parameter warning
+        _checkPoolCallback(initiator);
+
+        // Your custom logic here. The Pool pulls amount + premium back for every asset not kept as debt.
+        for (uint256 i = 0; i < assets.length; i++) {
+            IERC20(assets[i]).forceApprove(address(POOL), amounts[i] + premiums[i]);
+        }
+
+        return true;
+    }
+
     /**
      * @dev Withdraw any tokens that may have been left in this contract
      * @param token The token to withdraw
@@ -76,4 +214,12 @@ contract ExampleFlashLoanReceiver is IFlashLoanReceiver {
     function withdrawToken(address token, uint256 amount) external {
         IERC20(token).safeTransfer(msg.sender, amount);
     }
+
+    /**
+     * @dev Only the Pool can call back, and only for flash loans this contract started
+     */
+    function _checkPoolCallback(address initiator) internal view {
+        require(msg.sender == address(POOL), "ExampleFlashLoanReceiver: invalid caller");
+        require(initiator == address(this), "ExampleFlashLoanReceiver: invalid initiator");
+    }
 }
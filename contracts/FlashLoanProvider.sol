@@ -5,23 +5,40 @@ import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
 import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
 import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/interfaces/IERC3156FlashLender.sol";
 import "./FlashLoanReceiver.sol";
 
 /**
  * @title FlashLoanProvider
- * @dev Standard flash loan provider contract following ERC-3156 pattern
- * Allows users to borrow tokens without collateral, as long as they repay in the same transaction
+ * @dev ERC-3156 flash lender funded by liquidity providers
+ * Allows users to borrow tokens without collateral, as long as they repay in the same transaction.
+ * Liquidity providers get per-token shares for their deposits, and withdraw their principal plus their pro-rata
+ * share of the flash loan fees. The owner keeps `protocolFeeBps` of every fee.
  */
-contract FlashLoanProvider is Ownable, ReentrancyGuard {
+contract FlashLoanProvider is IERC3156FlashLender, Ownable, ReentrancyGuard {
     using SafeERC20 for IERC20;
 
     // Flash loan fee in basis points (1 basis point = 0.01%)
     uint256 public constant FLASH_LOAN_FEE_BPS = 9; // 0.09% fee
     uint256 public constant BPS_DENOMINATOR = 10000;
+    // The owner's cut of the fees can't go above half
+    uint256 public constant MAX_PROTOCOL_FEE_BPS = 5000;
+    bytes32 public constant CALLBACK_SUCCESS = keccak256("ERC3156FlashBorrower.onFlashLoan");
 
     // Mapping to track supported tokens
     mapping(address => bool) public supportedTokens;
 
+    // Share of every flash loan fee kept by the owner, in basis points
+    uint256 public protocolFeeBps;
+
+    // Per token: liquidity owned by the providers (principal plus their share of fees), and their shares of it
+    mapping(address => uint256) public totalLiquidity;
+    mapping(address => uint256) public totalShares;
+    mapping(address => mapping(address => uint256)) public shares;
+
+    // Per token: the owner's cut of the fees, not withdrawn yet
+    mapping(address => uint256) public protocolFees;
+
     // Events
     event FlashLoan(
         address indexed borrower,
@@ -29,8 +46,13 @@ contract FlashLoanProvider is Ownable, ReentrancyGuard {
         uint256 amount,
         uint256 fee
     );
+    event FeesDistributed(address indexed token, uint256 liquidityProviderFee, uint256 protocolFee);
+    event Deposit(address indexed token, address indexed provider, uint256 amount, uint256 shares);
+    event Withdraw(address indexed token, address indexed provider, uint256 amount, uint256 shares);
     event TokenSupported(address indexed token, bool supported);
+    event ProtocolFeeUpdated(uint256 oldProtocolFeeBps, uint256 newProtocolFeeBps);
     event FeesWithdrawn(address indexed token, uint256 amount);
+    event SurplusWithdrawn(address indexed token, uint256 amount);
 
     /**
      * @dev Constructor
@@ -39,7 +61,7 @@ contract FlashLoanProvider is Ownable, ReentrancyGuard {
     constructor(address initialOwner) Ownable(initialOwner) {}
 
     /**
-     * @dev Enable or disable a token for flash loans
+     * @dev Enable or disable a token for flash loans and deposits. Providers can still withdraw a disabled token.
      * @param token The token address
      * @param supported Whether the token is supported
      */
@@ -52,33 +74,63 @@ contract FlashLoanProvider is Ownable, ReentrancyGuard {
     }
 
     /**
-     * @dev Execute a flash loan
+     * @dev Set the owner's cut of every flash loan fee
+     * @param newProtocolFeeBps The cut in basis points, at most MAX_PROTOCOL_FEE_BPS
+     */
+    function setProtocolFee(uint256 newProtocolFeeBps) external onlyOwner {
+        require(
+            newProtocolFeeBps <= MAX_PROTOCOL_FEE_BPS,
+            "FlashLoanProvider: protocol fee too high"
+        );
+        emit ProtocolFeeUpdated(protocolFeeBps, newProtocolFeeBps);
+        protocolFeeBps = newProtocolFeeBps;
+    }
+
+    /**
+     * @dev Execute an ERC-3156 flash loan. The receiver gets the tokens, and has to approve this contract for
+     * `amount + fee` before its callback returns.
+     * @param receiver The ERC-3156 borrower receiving the tokens and the callback
      * @param token The address of the token to borrow
      * @param amount The amount of tokens to borrow
      * @param data Additional data to pass to the receiver callback
+     * @return True once the loan is repaid
      */
     function flashLoan(
+        IERC3156FlashBorrower receiver,
         address token,
         uint256 amount,
         bytes calldata data
-    ) external nonReentrant {
+    ) external override nonReentrant returns (bool) {
+        uint256 fee = _checkFlashLoan(token, amount);
+
+        IERC20(token).safeTransfer(address(receiver), amount);
+
         require(
-            supportedTokens[token],
-            "FlashLoanProvider: token not supported"
+            receiver.onFlashLoan(msg.sender, token, amount, fee, data) == CALLBACK_SUCCESS,
+            "FlashLoanProvider: flash loan callback failed"
         );
-        require(amount > 0, "FlashLoanProvider: amount must be greater than 0");
 
-        IERC20 tokenContract = IERC20(token);
+        IERC20(token).safeTransferFrom(address(receiver), address(this), amount + fee);
+        _distributeFee(token, fee);
 
-        // Calculate fee
-        uint256 fee = (amount * FLASH_LOAN_FEE_BPS) / BPS_DENOMINATOR;
+        emit FlashLoan(address(receiver), token, amount, fee);
+        return true;
+    }
 
-        // Check contract has enough balance
-        uint256 contractBalance = tokenContract.balanceOf(address(this));
-        require(
-            contractBalance >= amount,
-            "FlashLoanProvider: insufficient liquidity"
-        );
+    /**
+     * @dev Execute a flash loan with the IFlashLoanReceiver callback, which lends to and calls back msg.sender.
+     * The receiver transfers `amount + fee` back itself.
+     * @param token The address of the token to borrow
+     * @param amount The amount of tokens to borrow
+     * @param data Additional data to pass to the receiver callback
+     */
+    function flashLoan(
+        address token,
+        uint256 amount,
+        bytes calldata data
+    ) external nonReentrant {
+        uint256 fee = _checkFlashLoan(token, amount);
+        IERC20 tokenContract = IERC20(token);
 
         // Record initial balance
         uint256 balanceBefore = tokenContract.balanceOf(address(this));
@@ -95,12 +147,13 @@ contract FlashLoanProvider is Ownable, ReentrancyGuard {
         );
         require(success, "FlashLoanProvider: flash loan callback failed");
 
-        // Verify repayment
+        // Verify repayment. Deposits can't count towards it: they are locked out during the loan.
         uint256 balanceAfter = tokenContract.balanceOf(address(this));
         require(
             balanceAfter >= balanceBefore + fee,
             "FlashLoanProvider: insufficient repayment"
         );
+        _distributeFee(token, fee);
 
         emit FlashLoan(msg.sender, token, amount, fee);
     }
@@ -110,19 +163,28 @@ contract FlashLoanProvider is Ownable, ReentrancyGuard {
      * @param token The token address
      * @return The maximum amount available for flash loan
      */
-    function maxFlashLoan(address token) external view returns (uint256) {
+    function maxFlashLoan(address token) external view override returns (uint256) {
         if (!supportedTokens[token]) {
             return 0;
         }
         return IERC20(token).balanceOf(address(this));
     }
 
+    /**
+     * @dev Get the fee of a flash loan. Reverts for unsupported tokens, as ERC-3156 requires.
+     * @param token The token address
+     * @param amount The amount to borrow
+     * @return The fee charged on top of the amount
+     */
     function flashFee(
-        address _token,
+        address token,
         uint256 amount
-    ) external pure returns (uint256) {
-        _token; // Silence unused parameter warning
-        return (amount * FLASH_LOAN_FEE_BPS) / BPS_DENOMINATOR;
+    ) external view override returns (uint256) {
+        require(
+            supportedTokens[token],
+            "FlashLoanProvider: token not supported"
+        );
+        return _flashFee(amount);
     }
 
     /**
@@ -135,40 +197,150 @@ contract FlashLoanProvider is Ownable, ReentrancyGuard {
     }
 
     /**
-     * @dev Deposit tokens to the contract to enable flash loans
+     * @dev Deposit tokens to provide flash loan liquidity, in exchange for shares of the token's liquidity
      * @param token The token address
      * @param amount The amount to deposit
+     * @return mintedShares The shares credited to the caller
      */
-    function deposit(address token, uint256 amount) external {
+    function deposit(address token, uint256 amount) external nonReentrant returns (uint256 mintedShares) {
         require(
             supportedTokens[token],
             "FlashLoanProvider: token not supported"
         );
+        require(amount > 0, "FlashLoanProvider: amount must be greater than 0");
+
+        mintedShares = previewDeposit(token, amount);
+        require(mintedShares > 0, "FlashLoanProvider: zero shares");
+
         IERC20(token).safeTransferFrom(msg.sender, address(this), amount);
+
+        shares[token][msg.sender] += mintedShares;
+        totalShares[token] += mintedShares;
+        totalLiquidity[token] += amount;
+
+        emit Deposit(token, msg.sender, amount, mintedShares);
     }
 
     /**
-     * @dev Withdraw accumulated fees
+     * @dev Burn shares for their part of the token's liquidity: principal plus accrued fees
+     * @param token The token address
+     * @param shareAmount The shares to burn, or type(uint256).max for all of the caller's shares
+     * @return amount The tokens sent to the caller
+     */
+    function withdraw(address token, uint256 shareAmount) external nonReentrant returns (uint256 amount) {
+        if (shareAmount == type(uint256).max) {
+            shareAmount = shares[token][msg.sender];
+        }
+        require(shareAmount > 0, "FlashLoanProvider: amount must be greater than 0");
+        require(
+            shares[token][msg.sender] >= shareAmount,
+            "FlashLoanProvider: insufficient shares"
+        );
+
+        amount = previewWithdraw(token, shareAmount);
+
+        shares[token][msg.sender] -= shareAmount;
+        totalShares[token] -= shareAmount;
+        totalLiquidity[token] -= amount;
+
+        IERC20(token).safeTransfer(msg.sender, amount);
+
+        emit Withdraw(token, msg.sender, amount, shareAmount);
+    }
+
+    /**
+     * @dev Shares a deposit of `amount` would get now (rounded down)
+     */
+    function previewDeposit(address token, uint256 amount) public view returns (uint256) {
+        uint256 supply = totalShares[token];
+        if (supply == 0) {
+            return amount;
+        }
+        return (amount * supply) / totalLiquidity[token];
+    }
+
+    /**
+     * @dev Tokens burning `shareAmount` would pay out now (rounded down)
+     */
+    function previewWithdraw(address token, uint256 shareAmount) public view returns (uint256) {
+        uint256 supply = totalShares[token];
+        if (supply == 0) {
+            return 0;
+        }
+        return (shareAmount * totalLiquidity[token]) / supply;
+    }
+
+    /**
+     * @dev A provider's current claim on a token's liquidity: principal plus accrued fees
+     * @param token The token address
+     * @param provider The liquidity provider
+     */
+    function liquidityOf(address token, address provider) external view returns (uint256) {
+        return previewWithdraw(token, shares[token][provider]);
+    }
+
+    /**
+     * @dev Withdraw the owner's accumulated cut of the fees
      * @param token The token address
      * @param amount The amount to withdraw
      */
     function withdrawFees(address token, uint256 amount) external onlyOwner {
-        IERC20 tokenContract = IERC20(token);
-        uint256 balance = tokenContract.balanceOf(address(this));
-        require(amount <= balance, "FlashLoanProvider: insufficient balance");
+        require(
+            amount <= protocolFees[token],
+            "FlashLoanProvider: insufficient protocol fees"
+        );
+        protocolFees[token] -= amount;
 
-        tokenContract.safeTransfer(owner(), amount);
+        IERC20(token).safeTransfer(owner(), amount);
         emit FeesWithdrawn(token, amount);
     }
 
     /**
-     * @dev Emergency withdraw all tokens (only owner)
+     * @dev Withdraw tokens sent to the contract outside deposit() (only owner). Provider liquidity and
+     * protocol fees are not touched.
      * @param token The token address
      */
-    function emergencyWithdraw(address token) external onlyOwner {
-        IERC20 tokenContract = IERC20(token);
-        uint256 balance = tokenContract.balanceOf(address(this));
-        tokenContract.safeTransfer(owner(), balance);
-        emit FeesWithdrawn(token, balance);
+    function withdrawSurplus(address token) external onlyOwner {
+        uint256 surplus = IERC20(token).balanceOf(address(this)) - totalLiquidity[token] - protocolFees[token];
+        IERC20(token).safeTransfer(owner(), surplus);
+        emit SurplusWithdrawn(token, surplus);
+    }
+
+    /**
+     * @dev Checks a flash loan request and returns its fee
+     */
+    function _checkFlashLoan(address token, uint256 amount) internal view returns (uint256) {
+        require(
+            supportedTokens[token],
+            "FlashLoanProvider: token not supported"
+        );
+        require(amount > 0, "FlashLoanProvider: amount must be greater than 0");
+        require(
+            IERC20(token).balanceOf(address(this)) >= amount,
+            "FlashLoanProvider: insufficient liquidity"
+        );
+        return _flashFee(amount);
+    }
+
+    function _flashFee(uint256 amount) internal pure returns (uint256) {
+        return (amount * FLASH_LOAN_FEE_BPS) / BPS_DENOMINATOR;
+    }
+
+    /**
+     * @dev Splits a fee between the owner and the providers, whose liquidity (and so share value) grows by
+     * their part. Without providers the whole fee goes to the owner.
+     */
+    function _distributeFee(address token, uint256 fee) internal {
+        uint256 protocolFee = (fee * protocolFeeBps) / BPS_DENOMINATOR;
+        uint256 liquidityProviderFee = fee - protocolFee;
+        if (totalShares[token] == 0) {
+            protocolFee = fee;
+            liquidityProviderFee = 0;
+        }
+
+        protocolFees[token] += protocolFee;
+        totalLiquidity[token] += liquidityProviderFee;
+
+        emit FeesDistributed(token, liquidityProviderFee, protocolFee);
     }
 }
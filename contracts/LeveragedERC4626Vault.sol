@@ -7,43 +7,146 @@ import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
 import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
 import "@openzeppelin/contracts/access/Ownable.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/math/Math.sol";
 import "./interfaces/IPool.sol";
 import "./interfaces/IAToken.sol";
 import "./interfaces/IVariableDebtToken.sol";
+import "./interfaces/IPriceOracleGetter.sol";
+import "./interfaces/IStrategyAdapter.sol";
+import "./FlashLoanProvider.sol";
 import "./libraries/DataTypes.sol";
 import "./libraries/ReserveConfiguration.sol";
 import "./libraries/WadRayMath.sol";
+import "./libraries/VaultRiskLogic.sol";
+import "./libraries/VaultFeeLogic.sol";
+import "./libraries/VaultAllowlistLogic.sol";
+import "./libraries/VaultRebalanceLogic.sol";
+import "./libraries/VaultLeverageLogic.sol";
 
 /**
  * @title LeveragedERC4626Vault
  * @notice ERC4626 vault that implements leveraged looping strategy using Aave-style lending
- * @dev Users deposit assets, vault supplies to lending pool and borrows against it for leverage
+ * @dev Users deposit assets, vault supplies to lending pool and borrows against it for leverage. The borrowed asset
+ *   goes into a pluggable strategy (IStrategyAdapter): back into the pool as collateral to loop on, or into any
+ *   ERC-4626 vault. The risk parameters, fees, allowlist, rebalances and loops are kept in linked libraries
+ *   (VaultRiskLogic, VaultFeeLogic, VaultAllowlistLogic, VaultRebalanceLogic, VaultLeverageLogic) to stay under the
+ *   contract size limit.
  */
-contract LeveragedERC4626Vault is ERC4626, Ownable, ReentrancyGuard {
+contract LeveragedERC4626Vault is ERC4626, Ownable, ReentrancyGuard, IFlashLoanReceiver {
     using SafeERC20 for IERC20;
     using ReserveConfiguration for DataTypes.ReserveConfigurationMap;
     using WadRayMath for uint256;
+    using Math for uint256;
+
+    /// @dev Loop: up to maxLoopIterations borrow/supply round-trips. FlashLoan: one flash loan to targetLTVBps,
+    ///   and withdrawals unwind their share of the position with one flash loan
+    enum LeverageMode {
+        Loop,
+        FlashLoan
+    }
 
     IPool public immutable lendingPool;
     IERC20 public immutable collateralAsset; // USDC
     IERC20 public immutable borrowAsset; // USDT
 
-    uint256 public constant MAX_LTV_BPS = 9000; // 90% max LTV
-    uint256 public constant REBALANCE_LTV_BPS = 8000; // 80% LTV threshold for rebalancing
     uint256 public constant BPS_DENOMINATOR = 10000;
+    uint256 public constant RISK_TIMELOCK = VaultRiskLogic.RISK_TIMELOCK;
+    /// @notice Share of the withdrawal cap maxWithdraw and maxRedeem leave out: the cap shrinks as the debt outgrows
+    ///   the strategy's holdings, so a cap read a few blocks before the withdrawal still fits it
+    uint256 public constant WITHDRAW_HEADROOM_BPS = 1;
+
+    uint256 public constant MAX_MANAGEMENT_FEE_BPS = VaultFeeLogic.MAX_MANAGEMENT_FEE_BPS;
+    uint256 public constant MAX_PERFORMANCE_FEE_BPS = VaultFeeLogic.MAX_PERFORMANCE_FEE_BPS;
+    uint256 public constant SECONDS_PER_YEAR = VaultFeeLogic.SECONDS_PER_YEAR;
 
     uint256 private constant RAY = 1e27;
+    uint256 private constant WAD = 1e18;
+
+    // Actions the flash loan callback performs
+    uint8 private constant FLASH_ACTION_LEVERAGE = 1;
+    uint8 private constant FLASH_ACTION_DELEVERAGE = 2;
 
     bool public loopingEnabled = true;
     uint256 public maxLoopIterations = 5; // Maximum number of loops to prevent gas issues
 
+    VaultFeeLogic.FeeState private _fees;
+
+    LeverageMode public leverageMode;
+    FlashLoanProvider public flashLoanProvider;
+    bool private _flashLoanActive; // Only flash loans the vault started itself are accepted
+
+    IStrategyAdapter public strategy;
+    bool private _strategyIsCollateral; // Cached strategy.collateralPool() != address(0)
+    IStrategyAdapter public pendingStrategy; // Adapter a live vault migrates to, waiting for strategyMigrationEta
+    uint256 public strategyMigrationEta;
+
+    VaultRiskLogic.RiskParameters private _risk; // Flash loan target, rebalance target, loop ceiling, minimum HF
+    address public riskManager; // Can change the risk parameters, like the owner
+    VaultRiskLogic.RiskParameters public pendingRiskParameters; // Loosened parameters, waiting for riskParametersEta
+    uint256 public riskParametersEta;
+
+    bool public allowlistEnabled; // Only allowlisted accounts deposit, receive and transfer shares
+    mapping(address => bool) public isAllowlisted;
+    uint256 public depositCap = type(uint256).max; // totalAssets() deposits can take the vault to
+    uint256 public accountDepositCap = type(uint256).max; // Asset value of one account's shares deposits stop at
+    address public guardian; // Can pause deposits and looping; only the owner unpauses
+    bool public depositsPaused;
+    bool public loopingPaused; // No new leverage; rebalances and withdrawals still work
+
+    // Emitted by VaultLeverageLogic, declared here for the vault's ABI
     event LoopExecuted(
         uint256 collateralSupplied,
         uint256 borrowed,
         uint256 iterations
     );
+    // Emitted by VaultRebalanceLogic, declared here for the vault's ABI
     event Rebalanced(uint256 repaid, uint256 withdrawn);
     event LoopingToggled(bool enabled);
+    // Emitted by VaultFeeLogic, declared here for the vault's ABI
+    event FeesAccrued(
+        uint256 managementFeeAssets,
+        uint256 performanceFeeAssets,
+        uint256 feeShares,
+        uint256 highWaterMark
+    );
+    event ManagementFeeUpdated(uint256 feeBps);
+    event PerformanceFeeUpdated(uint256 feeBps);
+    event FeeRecipientUpdated(address indexed feeRecipient);
+    event LeverageModeUpdated(LeverageMode mode);
+    event FlashLoanProviderUpdated(address indexed provider);
+    event FlashLeverage(uint256 flashAmount, uint256 fee, uint256 ltvBps);
+    event FlashDeleverage(uint256 debtRepaid, uint256 fee, uint256 ltvBps);
+    event PositionUnwound(uint256 collateralWithdrawn, uint256 debtRepaid, uint256 ltvBps);
+    event StrategyMigrated(address indexed oldStrategy, address indexed newStrategy, uint256 debtRepaid);
+    event StrategyMigrationQueued(address indexed newStrategy, uint256 eta);
+    event StrategyMigrationCancelled(address indexed newStrategy);
+    // Emitted by VaultRiskLogic, declared here for the vault's ABI
+    event RiskParametersUpdated(
+        uint256 targetLTVBps,
+        uint256 rebalanceLTVBps,
+        uint256 maxLTVBps,
+        uint256 minHealthFactor
+    );
+    event RiskParametersQueued(
+        uint256 targetLTVBps,
+        uint256 rebalanceLTVBps,
+        uint256 maxLTVBps,
+        uint256 minHealthFactor,
+        uint256 eta
+    );
+    event RiskParametersCancelled();
+    event RiskManagerUpdated(address indexed riskManager);
+    event AllowlistToggled(bool enabled);
+    // Emitted by VaultAllowlistLogic, declared here for the vault's ABI
+    event AllowlistUpdated(address indexed account, bool allowed);
+    event DepositCapsUpdated(uint256 depositCap, uint256 accountDepositCap);
+    event GuardianUpdated(address indexed guardian);
+    event PauseUpdated(bool depositsPaused, bool loopingPaused);
+
+    modifier onlyRiskAdmin() {
+        _checkRiskAdmin();
+        _;
+    }
 
     /**
      * @param asset_ The underlying asset (collateral asset, e.g., USDC)
@@ -51,21 +154,30 @@ contract LeveragedERC4626Vault is ERC4626, Ownable, ReentrancyGuard {
      * @param symbol_ Symbol of the vault token
      * @param lendingPool_ Address of the lending pool
      * @param borrowAsset_ Address of the asset to borrow (e.g., USDT)
+     * @param strategy_ Strategy adapter the borrowed asset goes into
      */
     constructor(
         IERC20 asset_,
         string memory name_,
         string memory symbol_,
         address lendingPool_,
-        address borrowAsset_
+        address borrowAsset_,
+        IStrategyAdapter strategy_
     ) ERC4626(asset_) ERC20(name_, symbol_) Ownable(msg.sender) {
         lendingPool = IPool(lendingPool_);
         collateralAsset = asset_;
         borrowAsset = IERC20(borrowAsset_);
+        _fees.recipient = msg.sender;
+        _fees.highWaterMark = WAD;
+        _fees.lastAccrual = block.timestamp;
+        _risk = VaultRiskLogic.RiskParameters(7800, 8000, 9000, WAD);
 
         // Approve lending pool to spend collateral and borrow assets
         IERC20(address(asset_)).forceApprove(lendingPool_, type(uint256).max);
         borrowAsset.forceApprove(lendingPool_, type(uint256).max);
+
+        _setStrategy(strategy_);
+        emit StrategyMigrated(address(0), address(strategy_), 0);
     }
 
     /**
@@ -78,6 +190,7 @@ contract LeveragedERC4626Vault is ERC4626, Ownable, ReentrancyGuard {
         uint256 assets,
         address receiver
     ) public override nonReentrant returns (uint256 shares) {
+        _accrueFees();
         uint256 supplyBefore = totalSupply();
 
         // Use parent implementation which handles share calculation correctly
@@ -86,7 +199,7 @@ contract LeveragedERC4626Vault is ERC4626, Ownable, ReentrancyGuard {
         // Execute looping after deposit is complete
         // Only loop if this is not the first deposit (supplyBefore > 0)
         if (loopingEnabled && assets > 0 && supplyBefore > 0) {
-            _executeLooping();
+            _leverage();
         }
 
         return shares;
@@ -102,17 +215,19 @@ contract LeveragedERC4626Vault is ERC4626, Ownable, ReentrancyGuard {
         uint256 shares,
         address receiver
     ) public override nonReentrant returns (uint256 assets) {
+        _accrueFees();
         assets = super.mint(shares, receiver);
 
         if (loopingEnabled && assets > 0) {
-            _executeLooping();
+            _leverage();
         }
 
         return assets;
     }
 
     /**
-     * @notice Override withdraw to handle rebalancing if needed
+     * @notice Override withdraw to unwind the share of the leveraged position the assets represent
+     * @dev Shares are priced before unwinding, so the unwind cost (flash loan fee) is charged to the withdrawal
      * @param assets Amount of assets to withdraw
      * @param receiver Address to receive assets
      * @param owner Address that owns the shares
@@ -123,14 +238,22 @@ contract LeveragedERC4626Vault is ERC4626, Ownable, ReentrancyGuard {
         address receiver,
         address owner
     ) public override nonReentrant returns (uint256 shares) {
-        // Check and rebalance if LTV is too high
-        _checkAndRebalance();
+        _accrueFees();
+        _beforeUnwind();
+
+        uint256 maxAssets = _maxWithdraw(owner, _withdrawableAssets(true));
+        if (assets > maxAssets) {
+            revert ERC4626ExceededMaxWithdraw(owner, assets, maxAssets);
+        }
 
-        return super.withdraw(assets, receiver, owner);
+        shares = previewWithdraw(assets);
+        _unwind(assets);
+        _withdraw(_msgSender(), receiver, owner, assets, shares);
     }
 
     /**
-     * @notice Override redeem to handle rebalancing if needed
+     * @notice Override redeem to unwind the share of the leveraged position the shares represent
+     * @dev Assets are priced before unwinding, net of the unwind cost (flash loan fee)
      * @param shares Amount of shares to redeem
      * @param receiver Address to receive assets
      * @param owner Address that owns the shares
@@ -141,18 +264,201 @@ contract LeveragedERC4626Vault is ERC4626, Ownable, ReentrancyGuard {
         address receiver,
         address owner
     ) public override nonReentrant returns (uint256 assets) {
-        // Check and rebalance if LTV is too high
-        _checkAndRebalance();
+        _accrueFees();
+        _beforeUnwind();
+
+        // Checked on the assets, so the final exit fits once its preview leaves out what the holdings can't unwind
+        uint256 withdrawable = _withdrawableAssets(true);
+        assets = previewRedeem(shares);
+        if (shares > balanceOf(owner) || assets > withdrawable) {
+            revert ERC4626ExceededMaxRedeem(owner, shares, _maxRedeem(owner, withdrawable));
+        }
+
+        _unwind(assets);
+        _withdraw(_msgSender(), receiver, owner, assets, shares);
+    }
+
+    /**
+     * @notice Assets `receiver` can deposit now: nothing while deposits are paused or when the allowlist is on and
+     *   does not include them, otherwise what is left under depositCap and under accountDepositCap for them
+     */
+    function maxDeposit(address receiver) public view override returns (uint256) {
+        if (depositsPaused || !_isAllowed(receiver)) {
+            return 0;
+        }
+        return Math.min(
+            _capRoom(depositCap, totalAssets()),
+            _capRoom(accountDepositCap, _convertToAssets(balanceOf(receiver), Math.Rounding.Ceil))
+        );
+    }
+
+    /**
+     * @notice Shares `receiver` can mint now, capped like maxDeposit
+     */
+    function maxMint(address receiver) public view override returns (uint256) {
+        uint256 assets = maxDeposit(receiver);
+        return assets == type(uint256).max ? assets : previewDeposit(assets);
+    }
+
+    /**
+     * @notice Assets `owner` can withdraw now: their shares' value, capped by what the position can unwind
+     *   given the pool's liquidity (and the flash loan provider's in FlashLoan mode), less WITHDRAW_HEADROOM_BPS
+     */
+    function maxWithdraw(address owner) public view override returns (uint256) {
+        return _maxWithdraw(owner, _withdrawCap());
+    }
+
+    /**
+     * @notice Shares `owner` can redeem now, capped like maxWithdraw, or all of them when they hold the whole
+     *   supply: the final exit takes whatever the position can unwind
+     */
+    function maxRedeem(address owner) public view override returns (uint256) {
+        return _maxRedeem(owner, _withdrawCap());
+    }
+
+    /**
+     * @notice Shares minted for depositing `assets`, net of the cost of levering the position up for them
+     */
+    function previewDeposit(uint256 assets) public view override returns (uint256) {
+        return _convertToShares(assets - _leverCost(assets), Math.Rounding.Floor);
+    }
+
+    /**
+     * @notice Assets deposited to mint `shares`, including the cost of levering the position up for them
+     */
+    function previewMint(uint256 shares) public view override returns (uint256) {
+        uint256 assets = _convertToAssets(shares, Math.Rounding.Ceil);
+        uint256 cost = _leverCost(assets);
+        // The cost grows with the deposit it is charged on: gross it up by its share of the deposit
+        return cost == 0 ? assets : assets.mulDiv(assets, assets - cost, Math.Rounding.Ceil);
+    }
+
+    /**
+     * @notice Shares burned to withdraw `assets`, including the cost of unwinding the position for them
+     */
+    function previewWithdraw(uint256 assets) public view override returns (uint256) {
+        return _convertToShares(assets + _unwindCost(assets), Math.Rounding.Ceil);
+    }
 
-        return super.redeem(shares, receiver, owner);
+    /**
+     * @notice Assets paid for redeeming `shares`, net of the cost of unwinding the position for them
+     */
+    function previewRedeem(uint256 shares) public view override returns (uint256) {
+        uint256 assets = _previewRedeem(shares);
+        // Redeeming the whole supply leaves out the collateral backing debt the strategy's holdings can't repay
+        return _isFinalExit(shares) ? Math.min(assets, _withdrawableAssets(false)) : assets;
     }
 
     /**
      * @notice Execute looping strategy: supply collateral, borrow, supply borrowed amount
-     * @dev This function loops to maximize leverage up to MAX_LTV_BPS
+     * @dev This function loops to maximize leverage up to maxLTVBps, or takes a single flash loan to
+     *   targetLTVBps in FlashLoan mode
      */
     function executeLooping() external {
-        _executeLooping();
+        require(!loopingPaused, "LOOPING_PAUSED");
+        _leverage();
+    }
+
+    /**
+     * @notice Flash loan callback: levers up or unwinds with the borrowed asset, then repays amount + fee
+     * @dev Only accepted from the configured provider, during a flash loan the vault started
+     */
+    function onFlashLoan(
+        address token,
+        uint256 amount,
+        uint256 fee,
+        bytes calldata data
+    ) external override returns (bool success) {
+        require(
+            msg.sender == address(flashLoanProvider) && _flashLoanActive,
+            "INVALID_FLASH_LOAN"
+        );
+        uint8 action = abi.decode(data, (uint8));
+
+        if (action == FLASH_ACTION_LEVERAGE) {
+            // Supply the loan, then borrow it back plus the fee against the larger collateral
+            _strategyDeposit(amount);
+            lendingPool.borrow(token, amount + fee, 2, 0, address(this));
+        } else {
+            // Repay debt with the loan, then free the borrow asset collateral it was backing
+            lendingPool.repay(token, amount, 2, address(this));
+            _strategyWithdraw(amount + fee);
+        }
+
+        IERC20(token).safeTransfer(msg.sender, amount + fee);
+        return true;
+    }
+
+    /**
+     * @notice Mints the management and performance fees accrued since the last accrual to the fee recipient
+     */
+    function accrueFees() external nonReentrant {
+        _accrueFees();
+    }
+
+    /**
+     * @notice Returns the fees that would be minted by accrueFees() now
+     * @return managementFeeAssets Management fee accrued since lastFeeAccrual, in assets
+     * @return performanceFeeAssets Performance fee on the gain above the high-water mark, in assets
+     * @return feeShares Shares that would be minted to the fee recipient
+     * @return newHighWaterMark High-water mark after the accrual
+     */
+    function previewFees()
+        external
+        view
+        returns (
+            uint256 managementFeeAssets,
+            uint256 performanceFeeAssets,
+            uint256 feeShares,
+            uint256 newHighWaterMark
+        )
+    {
+        return _accruedFees();
+    }
+
+    /// @notice Account fee shares are minted to
+    function feeRecipient() external view returns (address) {
+        return _fees.recipient;
+    }
+
+    /// @notice Annual management fee in basis points, streamed on totalAssets
+    function managementFeeBps() external view returns (uint256) {
+        return _fees.managementFeeBps;
+    }
+
+    /// @notice Performance fee in basis points of the share price gains above the high-water mark
+    function performanceFeeBps() external view returns (uint256) {
+        return _fees.performanceFeeBps;
+    }
+
+    /// @notice Highest share price fees were charged at, in assets per share (wad)
+    function highWaterMark() external view returns (uint256) {
+        return _fees.highWaterMark;
+    }
+
+    /// @notice When fees were last accrued
+    function lastFeeAccrual() external view returns (uint256) {
+        return _fees.lastAccrual;
+    }
+
+    /// @notice Flash loan and non-collateral strategy target LTV, in basis points
+    function targetLTVBps() external view returns (uint256) {
+        return _risk.targetLTVBps;
+    }
+
+    /// @notice LTV rebalances bring the position back down to, in basis points
+    function rebalanceLTVBps() external view returns (uint256) {
+        return _risk.rebalanceLTVBps;
+    }
+
+    /// @notice Loop ceiling LTV, in basis points
+    function maxLTVBps() external view returns (uint256) {
+        return _risk.maxLTVBps;
+    }
+
+    /// @notice Health factor loops stop at and rebalances restore (wad)
+    function minHealthFactor() external view returns (uint256) {
+        return _risk.minHealthFactor;
     }
 
     /**
@@ -185,6 +491,8 @@ contract LeveragedERC4626Vault is ERC4626, Ownable, ReentrancyGuard {
 
     /**
      * @notice Get current position details
+     * @dev Collateral and debt span both reserves; they are valued at oracle prices and expressed in collateral
+     *   asset units, like totalAssets()
      * @return collateralSupplied Total collateral supplied to lending pool
      * @return debtBorrowed Total debt borrowed
      * @return currentLTV Current LTV in basis points
@@ -200,40 +508,17 @@ contract LeveragedERC4626Vault is ERC4626, Ownable, ReentrancyGuard {
             uint256 healthFactor
         )
     {
-        (, , , , , uint256 hf) = lendingPool.getUserAccountData(address(this));
-
-        // Get actual collateral supplied (aToken balance * liquidity index)
-        DataTypes.ReserveData memory collateralReserve = lendingPool
-            .getReserveData(address(collateralAsset));
-        uint256 aTokenBalance = IAToken(collateralReserve.aTokenAddress)
-            .balanceOf(address(this));
-        uint256 collateralSuppliedFromCollateral = aTokenBalance.rayMul(
-            uint256(collateralReserve.liquidityIndex)
-        );
-
-        // Get borrow asset collateral if any
-        DataTypes.ReserveData memory borrowReserve = lendingPool.getReserveData(
-            address(borrowAsset)
-        );
-        uint256 borrowATokenBalance = IAToken(borrowReserve.aTokenAddress)
-            .balanceOf(address(this));
-        uint256 collateralSuppliedFromBorrow = borrowATokenBalance.rayMul(
-            uint256(borrowReserve.liquidityIndex)
-        );
-
-        collateralSupplied =
-            collateralSuppliedFromCollateral +
-            collateralSuppliedFromBorrow;
-
-        // Get actual debt (variableDebtToken balance * borrow index)
-        uint256 variableBorrowIndex = uint256(
-            borrowReserve.variableBorrowIndex
-        );
-        uint256 debtTokenBalance = IVariableDebtToken(
-            borrowReserve.variableDebtTokenAddress
-        ).scaledBalanceOf(address(this));
-        debtBorrowed = debtTokenBalance.rayMul(variableBorrowIndex);
+        (
+            uint256 totalCollateralBase,
+            uint256 totalDebtBase,
+            ,
+            ,
+            ,
+            uint256 hf
+        ) = lendingPool.getUserAccountData(address(this));
 
+        collateralSupplied = _baseToAmount(address(collateralAsset), totalCollateralBase);
+        debtBorrowed = _baseToAmount(address(collateralAsset), totalDebtBase);
         currentLTV = getCurrentLTV();
         healthFactor = hf;
     }
@@ -246,23 +531,17 @@ contract LeveragedERC4626Vault is ERC4626, Ownable, ReentrancyGuard {
         // Get assets currently in the vault (not yet supplied to lending pool)
         uint256 assetsInVault = collateralAsset.balanceOf(address(this));
         
-        // Get position in lending pool
+        // Get position in lending pool and the strategy
         // Note: getUserAccountData will return zeros if no position exists
-        (
-            uint256 totalCollateralBase,
-            uint256 totalDebtBase,
-            ,
-            ,
-            ,
-
-        ) = lendingPool.getUserAccountData(address(this));
+        (uint256 totalCollateralBase, uint256 totalDebtBase) = _getPosition();
 
-        // Net assets = assets in vault + (collateral in pool - debt)
+        // Net assets = assets in vault + (collateral in pool and strategy - debt), the latter converted from the base currency
         uint256 netPoolPosition = 0;
-        if (totalCollateralBase >= totalDebtBase) {
+        if (totalCollateralBase > totalDebtBase) {
             unchecked {
                 netPoolPosition = totalCollateralBase - totalDebtBase;
             }
+            netPoolPosition = _baseToAmount(address(collateralAsset), netPoolPosition);
         }
         
         return assetsInVault + netPoolPosition;
@@ -277,6 +556,248 @@ contract LeveragedERC4626Vault is ERC4626, Ownable, ReentrancyGuard {
         emit LoopingToggled(enabled);
     }
 
+    /**
+     * @notice Set the annual management fee, after charging the fees accrued at the current rate
+     * @param feeBps Management fee in basis points a year
+     */
+    function setManagementFee(uint256 feeBps) external onlyOwner {
+        _accrueFees();
+        VaultFeeLogic.setManagementFee(_fees, feeBps);
+    }
+
+    /**
+     * @notice Set the performance fee, after charging the fees accrued at the current rate
+     * @param feeBps Performance fee in basis points of the yield above the high-water mark
+     */
+    function setPerformanceFee(uint256 feeBps) external onlyOwner {
+        _accrueFees();
+        VaultFeeLogic.setPerformanceFee(_fees, feeBps);
+    }
+
+    /**
+     * @notice Set the account fee shares are minted to; fees accrued so far go to the previous recipient
+     * @param recipient New fee recipient
+     */
+    function setFeeRecipient(address recipient) external onlyOwner {
+        _accrueFees();
+        VaultFeeLogic.setFeeRecipient(_fees, recipient);
+    }
+
+    /**
+     * @notice Switch between looping and flash loan leverage
+     * @param mode LeverageMode.Loop or LeverageMode.FlashLoan (requires a flash loan provider)
+     */
+    function setLeverageMode(LeverageMode mode) external onlyOwner {
+        require(
+            mode == LeverageMode.Loop || address(flashLoanProvider) != address(0),
+            "FLASH_LOAN_PROVIDER_NOT_SET"
+        );
+        leverageMode = mode;
+        emit LeverageModeUpdated(mode);
+    }
+
+    /**
+     * @notice Set the FlashLoanProvider used in FlashLoan mode
+     * @param provider FlashLoanProvider lending the borrow asset
+     */
+    function setFlashLoanProvider(address provider) external onlyOwner {
+        require(
+            provider != address(0) || leverageMode == LeverageMode.Loop,
+            "FLASH_LOAN_MODE_ACTIVE"
+        );
+        flashLoanProvider = FlashLoanProvider(provider);
+        emit FlashLoanProviderUpdated(provider);
+    }
+
+    /**
+     * @notice Move the borrowed asset into another strategy, without users exiting. The adapter takes custody of
+     *   the borrow asset, so while the vault has shares the migration is queued for RISK_TIMELOCK, like loosened
+     *   risk parameters, and executeStrategyMigration() runs it. Replaces a queued migration.
+     * @param newStrategy Strategy adapter for the borrow asset
+     */
+    function migrateStrategy(IStrategyAdapter newStrategy) external onlyOwner nonReentrant {
+        require(newStrategy != strategy, "INVALID_STRATEGY");
+        _checkStrategy(newStrategy);
+        if (totalSupply() == 0) {
+            _migrateStrategy(newStrategy);
+            return;
+        }
+        pendingStrategy = newStrategy;
+        strategyMigrationEta = block.timestamp + RISK_TIMELOCK;
+        emit StrategyMigrationQueued(address(newStrategy), strategyMigrationEta);
+    }
+
+    /**
+     * @notice Run the queued strategy migration once RISK_TIMELOCK has passed
+     */
+    function executeStrategyMigration() external onlyOwner nonReentrant {
+        require(strategyMigrationEta != 0 && block.timestamp >= strategyMigrationEta, "STRATEGY_TIMELOCK_NOT_EXPIRED");
+        IStrategyAdapter newStrategy = pendingStrategy;
+        _clearPendingStrategy();
+        _migrateStrategy(newStrategy);
+    }
+
+    /**
+     * @notice Drop the queued strategy migration
+     */
+    function cancelStrategyMigration() external onlyOwner {
+        require(strategyMigrationEta != 0, "NO_PENDING_STRATEGY");
+        emit StrategyMigrationCancelled(address(pendingStrategy));
+        _clearPendingStrategy();
+    }
+
+    /**
+     * @dev Repays the debt with the current strategy's holdings (through a flash loan when they are pool
+     *   collateral), then levers the position up again into `newStrategy`. Debt the holdings do not cover (the
+     *   borrow/supply rate spread, the flash loan fee) stays on the position.
+     */
+    function _migrateStrategy(IStrategyAdapter newStrategy) internal {
+        _accrueFees();
+        IStrategyAdapter oldStrategy = strategy;
+
+        uint256 debt = _debtBalance(address(borrowAsset));
+        if (debt > 0 && _strategyIsCollateral) {
+            // The holdings back the debt, so they can only come out once it is repaid
+            require(address(flashLoanProvider) != address(0), "FLASH_LOAN_PROVIDER_NOT_SET");
+            uint256 flashAmount = Math.min(
+                debt,
+                oldStrategy.balanceOf(address(this)).mulDiv(
+                    BPS_DENOMINATOR,
+                    BPS_DENOMINATOR + flashLoanProvider.FLASH_LOAN_FEE_BPS()
+                )
+            );
+            if (flashAmount > 0) {
+                _flashLoan(FLASH_ACTION_DELEVERAGE, flashAmount);
+            }
+        }
+        if (oldStrategy.balanceOf(address(this)) > 0) {
+            _strategyWithdraw(type(uint256).max);
+        }
+        require(oldStrategy.balanceOf(address(this)) == 0, "STRATEGY_NOT_EMPTY");
+
+        uint256 repay = Math.min(borrowAsset.balanceOf(address(this)), _debtBalance(address(borrowAsset)));
+        if (repay > 0) {
+            lendingPool.repay(address(borrowAsset), repay, 2, address(this));
+        }
+        uint256 debtRepaid = debt - _debtBalance(address(borrowAsset));
+
+        _setStrategy(newStrategy);
+        uint256 remaining = borrowAsset.balanceOf(address(this));
+        if (remaining > 0) {
+            _strategyDeposit(remaining);
+        }
+        if (loopingEnabled) {
+            _leverage();
+        }
+
+        emit StrategyMigrated(address(oldStrategy), address(newStrategy), debtRepaid);
+    }
+
+    /**
+     * @notice Set the account that can change the risk parameters besides the owner
+     * @param manager Risk manager, or address(0) for none
+     */
+    function setRiskManager(address manager) external onlyOwner {
+        riskManager = manager;
+        emit RiskManagerUpdated(manager);
+    }
+
+    /**
+     * @notice Set the leverage limits, validated against the live reserve configuration. Tightening (or any change
+     *   while the vault has no shares) applies now; loosening any of them is queued for RISK_TIMELOCK.
+     *   Either replaces a queued change.
+     * @param targetLTV Flash loan and non-collateral strategy target LTV, in basis points
+     * @param rebalanceLTV LTV rebalances bring the position back down to, at most the reserves' LTV
+     * @param maxLTV Loop ceiling LTV
+     * @param minHF Health factor loops stop at and rebalances restore (wad, at least 1)
+     */
+    function setRiskParameters(
+        uint256 targetLTV,
+        uint256 rebalanceLTV,
+        uint256 maxLTV,
+        uint256 minHF
+    ) external onlyRiskAdmin {
+        riskParametersEta = VaultRiskLogic.setRiskParameters(
+            _risk,
+            pendingRiskParameters,
+            _riskReserves(),
+            VaultRiskLogic.RiskParameters(targetLTV, rebalanceLTV, maxLTV, minHF),
+            totalSupply() == 0
+        );
+    }
+
+    /**
+     * @notice Apply the queued risk parameters once RISK_TIMELOCK has passed, if the reserves still allow them
+     */
+    function executeRiskParameters() external onlyRiskAdmin {
+        VaultRiskLogic.executeRiskParameters(_risk, pendingRiskParameters, _riskReserves(), riskParametersEta);
+        riskParametersEta = 0;
+    }
+
+    /**
+     * @notice Drop the queued risk parameters
+     */
+    function cancelRiskParameters() external onlyRiskAdmin {
+        VaultRiskLogic.cancelRiskParameters(pendingRiskParameters, riskParametersEta);
+        riskParametersEta = 0;
+    }
+
+    /**
+     * @notice Turn the depositor allowlist on or off
+     * @param enabled Whether deposits, mints and share transfers are limited to allowlisted accounts
+     */
+    function setAllowlistEnabled(bool enabled) external onlyOwner {
+        allowlistEnabled = enabled;
+        emit AllowlistToggled(enabled);
+    }
+
+    /**
+     * @notice Add accounts to the allowlist or remove them. Removed accounts keep their shares and can still
+     *   withdraw and redeem, but can neither deposit nor transfer
+     * @param accounts Accounts to update
+     * @param allowed Whether they are allowlisted
+     */
+    function setAllowlist(address[] calldata accounts, bool allowed) external onlyOwner {
+        VaultAllowlistLogic.setAllowlist(isAllowlisted, accounts, allowed);
+    }
+
+    /**
+     * @notice Set the deposit caps maxDeposit and maxMint enforce; type(uint256).max for none
+     * @param cap Cap on totalAssets()
+     * @param accountCap Cap on the asset value of each account's shares
+     */
+    function setDepositCaps(uint256 cap, uint256 accountCap) external onlyOwner {
+        depositCap = cap;
+        accountDepositCap = accountCap;
+        emit DepositCapsUpdated(cap, accountCap);
+    }
+
+    /**
+     * @notice Set the account that can pause deposits and looping besides the owner
+     * @param guardian_ Guardian, or address(0) for none
+     */
+    function setGuardian(address guardian_) external onlyOwner {
+        guardian = guardian_;
+        emit GuardianUpdated(guardian_);
+    }
+
+    /**
+     * @notice Pause or unpause deposits and looping. Withdrawals, redeems and rebalances work either way.
+     *   The guardian can only pause; unpausing takes the owner
+     * @param deposits Whether deposits and mints are paused
+     * @param looping Whether levering up (executeLooping, and the loop after deposits and migrations) is paused
+     */
+    function setPaused(bool deposits, bool looping) external {
+        require(
+            _msgSender() == owner() ||
+                (_msgSender() == guardian && (deposits || !depositsPaused) && (looping || !loopingPaused)),
+            "NOT_GUARDIAN"
+        );
+        depositsPaused = deposits;
+        loopingPaused = looping;
+        emit PauseUpdated(deposits, looping);
+    }
+
     /**
      * @notice Set maximum loop iterations
      * @param iterations Maximum number of loops
@@ -287,250 +808,510 @@ contract LeveragedERC4626Vault is ERC4626, Ownable, ReentrancyGuard {
     }
 
     /**
-     * @dev Internal function to execute looping strategy
-     * Strategy: Supply USDC -> Borrow USDT -> Supply USDT -> Repeat
+     * @dev Share conversions account for the fee shares accrued but not minted yet, so previews match the
+     *   next deposit or withdrawal, which accrues them first
      */
-    function _executeLooping() internal {
-        // First, supply any available collateral asset to the pool
+    function _convertToShares(
+        uint256 assets,
+        Math.Rounding rounding
+    ) internal view override returns (uint256) {
+        (, , uint256 feeShares, ) = _accruedFees();
+        return assets.mulDiv(totalSupply() + feeShares + 1, totalAssets() + 1, rounding);
+    }
+
+    function _convertToAssets(
+        uint256 shares,
+        Math.Rounding rounding
+    ) internal view override returns (uint256) {
+        (, , uint256 feeShares, ) = _accruedFees();
+        return shares.mulDiv(totalAssets() + 1, totalSupply() + feeShares + 1, rounding);
+    }
+
+    /**
+     * @dev Mints the accrued fees to the fee recipient and moves the high-water mark
+     */
+    function _accrueFees() internal {
+        uint256 supply = totalSupply();
+        uint256 feeShares = VaultFeeLogic.accrueFees(_fees, supply == 0 ? 0 : totalAssets(), supply);
+        if (feeShares > 0) {
+            _mint(_fees.recipient, feeShares);
+        }
+    }
+
+    /**
+     * @dev Fees accrued since lastFeeAccrual, see VaultFeeLogic.accruedFees
+     */
+    function _accruedFees()
+        internal
+        view
+        returns (
+            uint256 managementFeeAssets,
+            uint256 performanceFeeAssets,
+            uint256 feeShares,
+            uint256 newHighWaterMark
+        )
+    {
+        uint256 supply = totalSupply();
+        return VaultFeeLogic.accruedFees(_fees, supply == 0 ? 0 : totalAssets(), supply);
+    }
+
+    /**
+     * @dev Only allowlisted callers deposit (maxDeposit already checks the receiver)
+     */
+    function _deposit(address caller, address receiver, uint256 assets, uint256 shares) internal override {
+        require(_isAllowed(caller), "NOT_ALLOWLISTED");
+        super._deposit(caller, receiver, assets, shares);
+    }
+
+    /**
+     * @dev Share transfers need both sides allowlisted; mints and burns are checked by deposit and left free
+     *   so anyone can exit
+     */
+    function _update(address from, address to, uint256 value) internal override {
+        if (from != address(0) && to != address(0)) {
+            require(_isAllowed(from) && _isAllowed(to), "NOT_ALLOWLISTED");
+        }
+        super._update(from, to, value);
+    }
+
+    function _isAllowed(address account) internal view returns (bool) {
+        return !allowlistEnabled || isAllowlisted[account];
+    }
+
+    function _capRoom(uint256 cap, uint256 used) internal pure returns (uint256) {
+        if (cap == type(uint256).max) {
+            return cap;
+        }
+        return cap > used ? cap - used : 0;
+    }
+
+    /**
+     * @dev Supplies idle collateral to the pool, then levers up with the configured leverage mode, unless looping
+     *   is paused
+     */
+    function _leverage() internal {
+        if (loopingPaused) {
+            return;
+        }
         uint256 availableCollateral = collateralAsset.balanceOf(address(this));
         if (availableCollateral > 0) {
-            lendingPool.supply(
-                address(collateralAsset),
-                availableCollateral,
-                address(this),
-                0
-            );
+            lendingPool.supply(address(collateralAsset), availableCollateral, address(this), 0);
         }
-        
-        // Skip if no assets in vault and no position in pool
-        if (totalAssets() == 0) {
-            return;
+
+        if (!_strategyIsCollateral) {
+            VaultLeverageLogic.leverageIntoStrategy(_position(), _risk.targetLTVBps, _risk.minHealthFactor);
+        } else if (leverageMode == LeverageMode.FlashLoan) {
+            _flashLeverage();
+        } else {
+            VaultLeverageLogic.loop(_position(), _risk.maxLTVBps, _risk.minHealthFactor, maxLoopIterations);
         }
-        
-        uint256 currentLTV = getCurrentLTV();
+    }
 
-        // Don't loop if already at max LTV
-        if (currentLTV >= MAX_LTV_BPS) {
+    /**
+     * @dev Reaches the target LTV with one flash loan of the borrow asset
+     */
+    function _flashLeverage() internal {
+        uint256 flashAmount = _flashLeverageAmount(0);
+        if (flashAmount == 0) {
             return;
         }
 
-        uint256 iterations = 0;
-        uint256 totalBorrowed = 0;
-
-        while (iterations < maxLoopIterations) {
-            currentLTV = getCurrentLTV();
+        uint256 fee = _flashLoan(FLASH_ACTION_LEVERAGE, flashAmount);
+        emit FlashLeverage(flashAmount, fee, getCurrentLTV());
+    }
 
-            // Stop if we've reached max LTV
-            if (currentLTV >= MAX_LTV_BPS) {
-                break;
-            }
+    /**
+     * @dev Flash loan reaching the target LTV once `addedCollateralBase` more collateral is supplied, capped by the
+     *   provider's liquidity: supplying x and borrowing x + fee back gives
+     *   (debt + x * (1 + feeRate)) / (collateral + x) = target
+     */
+    function _flashLeverageAmount(uint256 addedCollateralBase) internal view returns (uint256) {
+        (uint256 totalCollateralBase, uint256 totalDebtBase, , uint256 liquidationThreshold, , ) = lendingPool
+            .getUserAccountData(address(this));
+        uint256 targetLTV = _targetLTV(liquidationThreshold);
+        uint256 targetDebtBase = ((totalCollateralBase + addedCollateralBase) * targetLTV) / BPS_DENOMINATOR;
+        if (totalDebtBase >= targetDebtBase) {
+            return 0;
+        }
 
-            // Calculate how much we can borrow (in borrow asset terms)
-            (
-                uint256 totalCollateralBase,
-                uint256 totalDebtBase,
-                ,
-                ,
-                ,
+        uint256 feeBps = flashLoanProvider.FLASH_LOAN_FEE_BPS();
+        uint256 flashAmount = _baseToAmount(
+            address(borrowAsset),
+            ((targetDebtBase - totalDebtBase) * BPS_DENOMINATOR) /
+                (BPS_DENOMINATOR + feeBps - targetLTV)
+        );
+        return Math.min(flashAmount, flashLoanProvider.maxFlashLoan(address(borrowAsset)));
+    }
 
-            ) = lendingPool.getUserAccountData(address(this));
-            uint256 maxBorrowableValue = ((totalCollateralBase * MAX_LTV_BPS) /
-                BPS_DENOMINATOR) - totalDebtBase;
+    /**
+     * @dev Rebalances a loop mode position above the rebalance LTV before a withdrawal unwinds it
+     */
+    function _beforeUnwind() internal {
+        if (!_flashUnwinds()) {
+            _rebalance();
+        }
+    }
 
-            if (maxBorrowableValue == 0) {
-                break;
+    /**
+     * @dev Frees `assets` of collateral for a withdrawal. Whatever idle balance does not cover is taken from the
+     *   pool position, after repaying the same share of the debt so the pool LTV is unchanged: with borrow asset
+     *   withdrawn from the strategy, through one flash loan in FlashLoan mode when it is pool collateral.
+     */
+    function _unwind(uint256 assets) internal {
+        uint256 idle = collateralAsset.balanceOf(address(this));
+        if (assets <= idle) {
+            return;
+        }
+        uint256 needed = assets - idle;
+
+        uint256 debtToRepay = _debtToRepay(assets);
+        bool flash = _flashUnwinds();
+        uint256 fee;
+        if (debtToRepay > 0) {
+            if (flash) {
+                fee = _flashLoan(FLASH_ACTION_DELEVERAGE, debtToRepay);
+            } else {
+                // In rounds when the holdings are pool collateral, which the pool only lets out while it stays healthy.
+                // The pool's index rounding can keep a unit of the holdings per round.
+                require(
+                    VaultRebalanceLogic.repayFromStrategy(_position(), debtToRepay) +
+                        VaultRebalanceLogic.MAX_REPAY_ROUNDS >=
+                        debtToRepay,
+                    "UNWIND_INCOMPLETE"
+                );
             }
+        }
 
-            // Check available liquidity in the lending pool for borrow asset
-            // Note: In a real implementation, you'd need to check the pool's available liquidity
-            // For now, we'll use a conservative approach
-            uint256 availableLiquidity = IERC20(address(borrowAsset)).balanceOf(
-                address(lendingPool)
-            );
+        lendingPool.withdraw(address(collateralAsset), needed, address(this));
 
-            // Borrow amount is limited by: max borrowable value, available liquidity, and current debt capacity
-            uint256 borrowAmount = maxBorrowableValue;
-            if (availableLiquidity < borrowAmount) {
-                borrowAmount = availableLiquidity;
-            }
+        uint256 ltvBps = getCurrentLTV();
+        if (flash && debtToRepay > 0) {
+            emit FlashDeleverage(debtToRepay, fee, ltvBps);
+        }
+        emit PositionUnwound(needed, debtToRepay, ltvBps);
+    }
 
-            if (borrowAmount == 0) {
-                break;
-            }
+    /**
+     * @dev Debt to repay, in borrow asset units, before taking the part of `assets` idle balance does not cover
+     *   out of the pool: the same share of the debt as that part is of the unwind basis, so the pool LTV is
+     *   unchanged. Repayment is funded by the strategy's holdings; without a swap, debt they do not cover (flash
+     *   fees and the interest rate spread) stays on the position, and _withdrawableAssets stops withdrawals
+     *   from exceeding it.
+     */
+    function _debtToRepay(uint256 assets) internal view returns (uint256) {
+        uint256 idle = collateralAsset.balanceOf(address(this));
+        if (assets <= idle) {
+            return 0;
+        }
 
-            // Borrow USDT
-            try
-                lendingPool.borrow(
-                    address(borrowAsset),
-                    borrowAmount,
-                    2,
-                    0,
-                    address(this)
-                )
-            {
-                totalBorrowed += borrowAmount;
-
-                // Supply the borrowed USDT as collateral (if USDT can be used as collateral)
-                // Otherwise, swap or handle differently
-                // For this implementation, we'll supply it back to increase our collateral
-                uint256 borrowedBalance = borrowAsset.balanceOf(address(this));
-                if (borrowedBalance > 0) {
-                    // If borrow asset can be supplied as collateral, supply it
-                    // Otherwise, you'd need a swap mechanism here
-                    try
-                        lendingPool.supply(
-                            address(borrowAsset),
-                            borrowedBalance,
-                            address(this),
-                            0
-                        )
-                    {
-                        // Successfully supplied borrowed asset
-                    } catch {
-                        // If supplying borrow asset fails, we can't continue the loop
-                        break;
-                    }
-                }
-            } catch {
-                // Borrow failed, stop looping
-                break;
-            }
+        (uint256 totalDebtBase, uint256 basisBase) = _unwindBasis();
+        if (totalDebtBase == 0 || basisBase == 0) {
+            return 0;
+        }
+
+        uint256 debt = _debtBalance(address(borrowAsset));
+        uint256 neededBase = Math.min(_amountToBase(address(collateralAsset), assets - idle), basisBase);
+        return Math.min(debt.mulDiv(neededBase, basisBase, Math.Rounding.Ceil), _repayableDebt(true));
+    }
 
-            iterations++;
+    /**
+     * @dev The pool debt, and the unwind basis collateral taken out of the pool repays it in proportion to: the
+     *   pool collateral, less what repaying the whole debt takes out of it when the strategy's holdings are pool
+     *   collateral (the debt, plus the flash loan fee in FlashLoan mode). Both in the base currency; the basis
+     *   is 0 for an underwater position.
+     */
+    function _unwindBasis() internal view returns (uint256 totalDebtBase, uint256 basisBase) {
+        uint256 totalCollateralBase;
+        (totalCollateralBase, totalDebtBase, , , , ) = lendingPool.getUserAccountData(address(this));
+        if (!_strategyIsCollateral) {
+            return (totalDebtBase, totalCollateralBase);
         }
+        uint256 repaymentBase = totalDebtBase;
+        if (_flashUnwinds()) {
+            repaymentBase += totalDebtBase.mulDiv(flashLoanProvider.FLASH_LOAN_FEE_BPS(), BPS_DENOMINATOR);
+        }
+        basisBase = Math.saturatingSub(totalCollateralBase, repaymentBase);
+    }
 
-        if (iterations > 0 || totalBorrowed > 0) {
-            (uint256 totalCollateralBase, ) = _getPosition();
-            emit LoopExecuted(totalCollateralBase, totalBorrowed, iterations);
+    /**
+     * @dev Debt the vault can repay, in borrow asset units: the strategy's holdings, or net of the flash loan fee
+     *   when unwinding with flash loans. With `live`, capped by what the strategy can withdraw, or by the provider's
+     *   liquidity, now.
+     */
+    function _repayableDebt(bool live) internal view returns (uint256) {
+        if (_flashUnwinds()) {
+            uint256 feeBps = flashLoanProvider.FLASH_LOAN_FEE_BPS();
+            uint256 repayable = (strategy.balanceOf(address(this)) * BPS_DENOMINATOR) / (BPS_DENOMINATOR + feeBps);
+            return live ? Math.min(repayable, flashLoanProvider.maxFlashLoan(address(borrowAsset))) : repayable;
         }
+        return live ? strategy.maxWithdraw(address(this)) : strategy.balanceOf(address(this));
     }
 
     /**
-     * @dev Check LTV and rebalance if needed
+     * @dev Collateral the vault can pay out: the idle balance, plus the collateral asset the pool holds for it, as
+     *   far as the debt that has to be repaid alongside it can be. Strategy holdings above the debt are borrow
+     *   asset, which can't be paid out without a swap. With `live`, only as far as the pool's and the flash loan
+     *   provider's liquidity lets the unwind go now.
      */
-    function _checkAndRebalance() internal {
-        uint256 currentLTV = getCurrentLTV();
+    function _withdrawableAssets(bool live) internal view returns (uint256) {
+        uint256 idle = collateralAsset.balanceOf(address(this));
 
-        if (currentLTV > REBALANCE_LTV_BPS) {
-            _rebalance();
+        (uint256 totalCollateralBase, uint256 totalDebtBase) = _getPosition();
+        if (totalCollateralBase <= totalDebtBase) {
+            return idle;
         }
+
+        uint256 fromPool = _suppliedBalance(address(collateralAsset));
+        if (live) {
+            fromPool = Math.min(fromPool, collateralAsset.balanceOf(address(lendingPool)));
+        }
+        if (totalDebtBase > 0) {
+            // Freeing x of collateral repays x * debt / basis
+            (, uint256 basisBase) = _unwindBasis();
+            uint256 unwindableBase = _amountToBase(address(borrowAsset), _repayableDebt(live)).mulDiv(
+                basisBase,
+                totalDebtBase
+            );
+            fromPool = Math.min(fromPool, _baseToAmount(address(collateralAsset), unwindableBase));
+        }
+        return idle + fromPool;
     }
 
     /**
-     * @dev Rebalance position by repaying debt to bring LTV below threshold
+     * @dev Value of `shares` net of the cost of unwinding the position for them
      */
-    function _rebalance() internal {
-        uint256 currentLTV = getCurrentLTV();
+    function _previewRedeem(uint256 shares) internal view returns (uint256) {
+        uint256 assets = _convertToAssets(shares, Math.Rounding.Floor);
+        uint256 cost = _unwindCost(assets);
+        return assets > cost ? assets - cost : 0;
+    }
 
-        if (currentLTV <= REBALANCE_LTV_BPS) {
-            return; // Already balanced
+    /**
+     * @dev Assets `owner` can withdraw, capped by `withdrawable`
+     */
+    function _maxWithdraw(address owner, uint256 withdrawable) internal view returns (uint256) {
+        return Math.min(previewRedeem(balanceOf(owner)), withdrawable);
+    }
+
+    /**
+     * @dev Shares `owner` can redeem, capped by `withdrawable`. The final exit, redeeming the whole supply, only has
+     *   to fit what the unwind can take out now: its preview already leaves out what the holdings can't unwind.
+     */
+    function _maxRedeem(address owner, uint256 withdrawable) internal view returns (uint256) {
+        uint256 shares = balanceOf(owner);
+        if (previewRedeem(shares) <= (_isFinalExit(shares) ? _withdrawableAssets(true) : withdrawable)) {
+            return shares;
         }
+        return Math.min(shares, _convertToShares(withdrawable, Math.Rounding.Floor));
+    }
 
-        (uint256 totalCollateralBase, uint256 totalDebtBase) = _getPosition();
+    /**
+     * @dev The cap the max views report: what the unwind can take out now, less WITHDRAW_HEADROOM_BPS of it.
+     *   Withdrawals check against the exact cap.
+     */
+    function _withdrawCap() internal view returns (uint256) {
+        uint256 withdrawable = _withdrawableAssets(true);
+        return withdrawable - withdrawable.mulDiv(WITHDRAW_HEADROOM_BPS, BPS_DENOMINATOR, Math.Rounding.Ceil);
+    }
 
-        // Calculate target debt (80% of collateral)
-        uint256 targetDebt = (totalCollateralBase * REBALANCE_LTV_BPS) /
-            BPS_DENOMINATOR;
-        uint256 debtToRepay = totalDebtBase - targetDebt;
+    /**
+     * @dev Whether `shares` are the whole supply, including the fee shares accrued but not minted yet
+     */
+    function _isFinalExit(uint256 shares) internal view returns (bool) {
+        (, , uint256 feeShares, ) = _accruedFees();
+        return shares > 0 && shares == totalSupply() + feeShares;
+    }
 
+    /**
+     * @dev Cost of unwinding the position to withdraw `assets`, in collateral asset units: the flash loan fee
+     *   when unwinding with flash loans, nothing otherwise
+     */
+    function _unwindCost(uint256 assets) internal view returns (uint256) {
+        if (!_flashUnwinds()) {
+            return 0;
+        }
+        uint256 debtToRepay = _debtToRepay(assets);
         if (debtToRepay == 0) {
-            return;
+            return 0;
         }
+        uint256 fee = flashLoanProvider.flashFee(address(borrowAsset), debtToRepay);
+        return _baseToAmount(address(collateralAsset), _amountToBase(address(borrowAsset), fee));
+    }
 
-        // Get borrow asset balance
-        uint256 borrowAssetBalance = borrowAsset.balanceOf(address(this));
-
-        // If we don't have enough, withdraw some collateral
-        if (borrowAssetBalance < debtToRepay) {
-            uint256 needed = debtToRepay - borrowAssetBalance;
-            _withdrawCollateralForRepayment(needed);
+    /**
+     * @dev Cost of levering the position up for `assets` deposited, in collateral asset units: in FlashLoan mode,
+     *   the fee on the part of the flash loan the deposit adds when it levers a vault with shares, nothing otherwise
+     */
+    function _leverCost(uint256 assets) internal view returns (uint256) {
+        if (!_flashUnwinds() || !loopingEnabled || loopingPaused || totalSupply() == 0) {
+            return 0;
         }
-
-        // Repay debt
-        uint256 actualRepay = borrowAsset.balanceOf(address(this));
-        if (actualRepay > debtToRepay) {
-            actualRepay = debtToRepay;
+        uint256 added = _flashLeverageAmount(_amountToBase(address(collateralAsset), assets)) -
+            _flashLeverageAmount(0);
+        if (added == 0) {
+            return 0;
         }
+        uint256 fee = flashLoanProvider.flashFee(address(borrowAsset), added);
+        return _baseToAmount(address(collateralAsset), _amountToBase(address(borrowAsset), fee));
+    }
 
-        if (actualRepay > 0) {
-            lendingPool.repay(
-                address(borrowAsset),
-                actualRepay,
-                2,
-                address(this)
-            );
-            emit Rebalanced(actualRepay, 0);
-        }
+    /**
+     * @dev Takes a flash loan of the borrow asset and runs `action` in onFlashLoan
+     * @return fee The flash loan fee paid
+     */
+    function _flashLoan(uint8 action, uint256 amount) internal returns (uint256 fee) {
+        fee = flashLoanProvider.flashFee(address(borrowAsset), amount);
+        _flashLoanActive = true;
+        flashLoanProvider.flashLoan(address(borrowAsset), amount, abi.encode(action));
+        _flashLoanActive = false;
+    }
+
+    function _checkRiskAdmin() internal view {
+        require(_msgSender() == owner() || _msgSender() == riskManager, "NOT_RISK_ADMIN");
+    }
+
+    /**
+     * @dev The reserves the position uses as collateral, which the risk parameters are validated against: the
+     *   collateral asset, and the borrow asset when the strategy supplies it to the pool
+     */
+    function _riskReserves() internal view returns (VaultRiskLogic.Reserves memory) {
+        return
+            VaultRiskLogic.Reserves(lendingPool, address(collateralAsset), address(borrowAsset), _strategyIsCollateral);
+    }
+
+    /**
+     * @dev Rebalance position by repaying debt to bring LTV below threshold: rebalanceLTVBps, or lower when the
+     *   live liquidation threshold needs it to keep minHealthFactor
+     */
+    function _rebalance() internal {
+        VaultRebalanceLogic.rebalance(_position(), _risk.rebalanceLTVBps, _risk.minHealthFactor);
     }
 
     /**
-     * @dev Withdraw collateral to get borrow asset for repayment
-     * Note: In a production system, you'd typically swap collateral to borrow asset
-     * For this implementation, we withdraw collateral asset
+     * @dev The pool position and strategy VaultRebalanceLogic repays debt out of
      */
-    function _withdrawCollateralForRepayment(uint256 needed) internal {
-        // Withdraw from borrow asset collateral if available
-        DataTypes.ReserveData memory borrowReserve = lendingPool.getReserveData(
-            address(borrowAsset)
+    function _position() internal view returns (VaultRebalanceLogic.Position memory) {
+        return VaultRebalanceLogic.Position(lendingPool, strategy, collateralAsset, borrowAsset, _strategyIsCollateral);
+    }
+
+    /**
+     * @dev Flash loan target: targetLTVBps, or lower when the live liquidation threshold needs it to keep
+     *   minHealthFactor (the highest LTV that does, in basis points)
+     */
+    function _targetLTV(uint256 liquidationThreshold) internal view returns (uint256) {
+        return Math.min(_risk.targetLTVBps, liquidationThreshold.mulDiv(WAD, _risk.minHealthFactor));
+    }
+
+    /**
+     * @dev Whether withdrawals unwind with a flash loan: in FlashLoan mode, while the strategy's holdings are pool
+     *   collateral that can only come out once the debt is repaid
+     */
+    function _flashUnwinds() internal view returns (bool) {
+        return leverageMode == LeverageMode.FlashLoan && _strategyIsCollateral;
+    }
+
+    /**
+     * @dev Checks `newStrategy` takes the borrow asset and, if its holdings are pool collateral, that it is this
+     *   vault's pool
+     * @return isCollateral Whether the holdings are pool collateral
+     */
+    function _checkStrategy(IStrategyAdapter newStrategy) internal view returns (bool isCollateral) {
+        address pool = newStrategy.collateralPool();
+        require(
+            newStrategy.asset() == address(borrowAsset) && (pool == address(0) || pool == address(lendingPool)),
+            "INVALID_STRATEGY"
         );
-        uint256 borrowATokenBalance = IAToken(borrowReserve.aTokenAddress)
-            .balanceOf(address(this));
+        return pool != address(0);
+    }
 
-        if (borrowATokenBalance > 0) {
-            uint256 liquidityIndex = uint256(borrowReserve.liquidityIndex);
-            uint256 availableAmount = borrowATokenBalance.rayMul(
-                liquidityIndex
-            );
+    /**
+     * @dev Makes `newStrategy` the current strategy, after _checkStrategy
+     */
+    function _setStrategy(IStrategyAdapter newStrategy) internal {
+        _strategyIsCollateral = _checkStrategy(newStrategy);
+        strategy = newStrategy;
+    }
 
-            uint256 withdrawAmount = needed;
-            if (withdrawAmount > availableAmount) {
-                withdrawAmount = availableAmount;
-            }
+    function _clearPendingStrategy() internal {
+        pendingStrategy = IStrategyAdapter(address(0));
+        strategyMigrationEta = 0;
+    }
 
-            if (withdrawAmount > 0) {
-                lendingPool.withdraw(
-                    address(borrowAsset),
-                    withdrawAmount,
-                    address(this)
-                );
-            }
+    /**
+     * @dev Pool collateral holdings are the vault's own supply, anything else goes to the adapter, approved for
+     *   just `amount`
+     */
+    function _strategyDeposit(uint256 amount) internal {
+        if (_strategyIsCollateral) {
+            lendingPool.supply(address(borrowAsset), amount, address(this), 0);
+        } else {
+            borrowAsset.forceApprove(address(strategy), amount);
+            strategy.deposit(amount);
+        }
+    }
+
+    function _strategyWithdraw(uint256 amount) internal {
+        if (_strategyIsCollateral) {
+            lendingPool.withdraw(address(borrowAsset), amount, address(this));
+        } else {
+            strategy.withdraw(amount);
         }
+    }
 
-        // If still not enough, withdraw from collateral asset
-        uint256 stillNeeded = needed > borrowAsset.balanceOf(address(this))
-            ? needed - borrowAsset.balanceOf(address(this))
-            : 0;
+    /**
+     * @dev The vault's supply of `asset` in the pool, in `asset` units, with the interest accrued up to now
+     */
+    function _suppliedBalance(address asset) internal view returns (uint256) {
+        IAToken aToken = IAToken(lendingPool.getReserveData(asset).aTokenAddress);
+        return aToken.balanceOf(address(this)).rayMul(lendingPool.getReserveNormalizedIncome(asset));
+    }
 
-        if (stillNeeded > 0) {
-            DataTypes.ReserveData memory collateralReserve = lendingPool
-                .getReserveData(address(collateralAsset));
-            uint256 aTokenBalance = IAToken(collateralReserve.aTokenAddress)
-                .balanceOf(address(this));
+    /**
+     * @dev The vault's debt in `asset`, in `asset` units, with the interest accrued up to now
+     */
+    function _debtBalance(address asset) internal view returns (uint256) {
+        IVariableDebtToken debtToken = IVariableDebtToken(lendingPool.getReserveData(asset).variableDebtTokenAddress);
+        return debtToken.scaledBalanceOf(address(this)).rayMul(lendingPool.getReserveNormalizedVariableDebt(asset));
+    }
 
-            if (aTokenBalance > 0) {
-                uint256 liquidityIndex = uint256(
-                    collateralReserve.liquidityIndex
-                );
-                uint256 availableAmount = aTokenBalance.rayMul(liquidityIndex);
-
-                uint256 withdrawAmount = stillNeeded;
-                if (withdrawAmount > availableAmount) {
-                    withdrawAmount = availableAmount;
-                }
-
-                if (withdrawAmount > 0) {
-                    lendingPool.withdraw(
-                        address(collateralAsset),
-                        withdrawAmount,
-                        address(this)
-                    );
-                }
-            }
-        }
+    /**
+     * @dev Returns the oracle price of `asset` and its unit (10 ** decimals), as configured in the lending pool
+     */
+    function _getPriceAndUnit(
+        address asset
+    ) internal view returns (uint256 price, uint256 unit) {
+        IPriceOracleGetter oracle = IPriceOracleGetter(
+            lendingPool.ADDRESSES_PROVIDER().getPriceOracle()
+        );
+        price = oracle.getAssetPrice(asset);
+        require(price > 0, "INVALID_ASSET_PRICE");
+        unit = 10 ** lendingPool.getConfiguration(asset).getDecimals();
+    }
+
+    /**
+     * @dev Converts a value in the pool's base currency into an amount of `asset`
+     */
+    function _baseToAmount(
+        address asset,
+        uint256 baseAmount
+    ) internal view returns (uint256) {
+        (uint256 price, uint256 unit) = _getPriceAndUnit(asset);
+        return (baseAmount * unit) / price;
+    }
+
+    /**
+     * @dev Converts an amount of `asset` into the pool's base currency
+     */
+    function _amountToBase(
+        address asset,
+        uint256 amount
+    ) internal view returns (uint256) {
+        (uint256 price, uint256 unit) = _getPriceAndUnit(asset);
+        return (amount * price) / unit;
     }
 
     /**
-     * @dev Get current position values
+     * @dev Get current position values: the pool position, plus the strategy's holdings when they are not pool collateral
      */
     function _getPosition()
         internal
@@ -539,5 +1320,8 @@ contract LeveragedERC4626Vault is ERC4626, Ownable, ReentrancyGuard {
     {
         (totalCollateralBase, totalDebtBase, , , , ) = lendingPool
             .getUserAccountData(address(this));
+        if (!_strategyIsCollateral) {
+            totalCollateralBase += _amountToBase(address(borrowAsset), strategy.balanceOf(address(this)));
+        }
     }
 }
@@ -2,17 +2,18 @@
 pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";
 import "@openzeppelin/contracts/access/Ownable.sol";
 
 /**
  * @title USDT
- * @dev Tether USD (USDT) ERC20 token contract
+ * @dev Tether USD (USDT) ERC20 token contract, with EIP-2612 permit approvals
  */
-contract USDT is ERC20, Ownable {
+contract USDT is ERC20, ERC20Permit, Ownable {
     constructor(
         address initialOwner,
         uint256 initialSupply
-    ) ERC20("Tether USD", "USDT") Ownable(initialOwner) {
+    ) ERC20("Tether USD", "USDT") ERC20Permit("Tether USD") Ownable(initialOwner) {
         if (initialSupply > 0) {
             _mint(initialOwner, initialSupply);
         }
@@ -0,0 +1,170 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/Multicall.sol";
+import "./LeveragedERC4626Vault.sol";
+import "./interfaces/IPool.sol";
+
+/**
+ * @title VaultRouter
+ * @notice Batches vault and Pool interactions into one transaction: a permit signature replaces the approve,
+ *   deposits and redemptions revert past a slippage bound, and multicall chains any of them with looping and
+ *   status reads
+ * @dev Calls made through multicall are delegatecalls into the router, so msg.sender stays the user's account in
+ *   every step. The router holds nothing between calls: it pulls exactly what a step spends. It acts only for
+ *   msg.sender, so it has no borrow and no Pool withdraw (those act on the caller's own position).
+ */
+contract VaultRouter is Multicall {
+    using SafeERC20 for IERC20;
+
+    /**
+     * @notice Approves the router to spend `value` of `token` for msg.sender with an EIP-2612 signature
+     * @dev A permit front-run from the mempool uses up the nonce but leaves the allowance, so the call only
+     *   reverts when the allowance is not there
+     * @param token The token with permit support
+     * @param value The allowance signed for the router
+     * @param deadline The signature's deadline
+     * @param v The signature's v
+     * @param r The signature's r
+     * @param s The signature's s
+     */
+    function selfPermit(
+        address token,
+        uint256 value,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) public {
+        try IERC20Permit(token).permit(msg.sender, address(this), value, deadline, v, r, s) {} catch {
+            require(IERC20(token).allowance(msg.sender, address(this)) >= value, "PERMIT_FAILED");
+        }
+    }
+
+    /**
+     * @notice Deposits `assets` of msg.sender into `vault`, reverting when fewer than `minShares` are minted
+     * @dev With the vault's allowlist on, msg.sender must be allowlisted, and so must the router
+     * @param vault The vault to deposit into
+     * @param assets The amount of the vault's asset to deposit
+     * @param receiver The address receiving the shares
+     * @param minShares The fewest shares the deposit may mint
+     * @return shares The shares minted
+     */
+    function depositWithMinShares(
+        LeveragedERC4626Vault vault,
+        uint256 assets,
+        address receiver,
+        uint256 minShares
+    ) public returns (uint256 shares) {
+        // The vault only sees the router as the caller
+        require(!vault.allowlistEnabled() || vault.isAllowlisted(msg.sender), "NOT_ALLOWLISTED");
+
+        IERC20 asset = IERC20(vault.asset());
+        asset.safeTransferFrom(msg.sender, address(this), assets);
+        asset.forceApprove(address(vault), assets);
+        shares = vault.deposit(assets, receiver);
+        require(shares >= minShares, "INSUFFICIENT_SHARES");
+    }
+
+    /**
+     * @notice Permits the router to pull `assets` and deposits them, in one call
+     * @param vault The vault to deposit into
+     * @param assets The amount of the vault's asset to deposit, and the allowance signed for the router
+     * @param receiver The address receiving the shares
+     * @param minShares The fewest shares the deposit may mint
+     * @param deadline The signature's deadline
+     * @param v The signature's v
+     * @param r The signature's r
+     * @param s The signature's s
+     * @return shares The shares minted
+     */
+    function depositWithPermit(
+        LeveragedERC4626Vault vault,
+        uint256 assets,
+        address receiver,
+        uint256 minShares,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external returns (uint256 shares) {
+        selfPermit(vault.asset(), assets, deadline, v, r, s);
+        return depositWithMinShares(vault, assets, receiver, minShares);
+    }
+
+    /**
+     * @notice Redeems `shares` of msg.sender, reverting when they return fewer than `minAssets`
+     * @dev The vault spends msg.sender's share allowance for the router, so the shares must be approved first
+     * @param vault The vault to redeem from
+     * @param shares The shares to redeem
+     * @param receiver The address receiving the assets
+     * @param minAssets The fewest assets the redemption may return
+     * @return assets The assets withdrawn
+     */
+    function redeemWithMinAssets(
+        LeveragedERC4626Vault vault,
+        uint256 shares,
+        address receiver,
+        uint256 minAssets
+    ) external returns (uint256 assets) {
+        assets = vault.redeem(shares, receiver, msg.sender);
+        require(assets >= minAssets, "INSUFFICIENT_ASSETS");
+    }
+
+    /**
+     * @notice Loops the vault's idle collateral into leverage
+     * @param vault The vault to loop
+     */
+    function executeLooping(LeveragedERC4626Vault vault) external {
+        vault.executeLooping();
+    }
+
+    /**
+     * @notice Supplies `amount` of `asset` from msg.sender to `pool`, on msg.sender's behalf
+     * @param pool The Pool to supply to
+     * @param asset The reserve's underlying asset
+     * @param amount The amount to supply
+     */
+    function supply(IPool pool, address asset, uint256 amount) external {
+        IERC20(asset).safeTransferFrom(msg.sender, address(this), amount);
+        IERC20(asset).forceApprove(address(pool), amount);
+        pool.supply(asset, amount, msg.sender, 0);
+    }
+
+    /**
+     * @notice Repays `amount` of msg.sender's variable debt in `asset` to `pool` with msg.sender's tokens
+     * @dev The amount must be exact: the router cannot pull type(uint256).max for the whole debt
+     * @param pool The Pool to repay
+     * @param asset The reserve's underlying asset
+     * @param amount The amount to repay
+     * @return The amount repaid
+     */
+    function repay(IPool pool, address asset, uint256 amount) external returns (uint256) {
+        require(amount != type(uint256).max, "INVALID_AMOUNT");
+        IERC20(asset).safeTransferFrom(msg.sender, address(this), amount);
+        IERC20(asset).forceApprove(address(pool), amount);
+        return pool.repay(asset, amount, 2, msg.sender);
+    }
+
+    /**
+     * @notice Returns `account`'s position in `vault` with the vault's leverage, so a batch can end with a status
+     *   read
+     * @param vault The vault to read
+     * @param account The account whose shares are read
+     * @return shares The account's shares
+     * @return assets What the shares would redeem for now
+     * @return currentLTV The vault's LTV in basis points
+     * @return healthFactor The vault's health factor
+     */
+    function getAccountStatus(
+        LeveragedERC4626Vault vault,
+        address account
+    ) external view returns (uint256 shares, uint256 assets, uint256 currentLTV, uint256 healthFactor) {
+        shares = vault.balanceOf(account);
+        assets = vault.previewRedeem(shares);
+        (, , currentLTV, healthFactor) = vault.getPositionDetails();
+    }
+}
@@ -28,7 +28,8 @@ interface IAToken is IERC20 {
     function mint(address user, uint256 amount) external;
 
     /**
-     * @notice Burns aTokens from `user` and sends the equivalent amount of underlying to `receiverOfUnderlying`
+     * @notice Burns aTokens from `user`
+     * @dev The reserve liquidity sits in the Pool, which transfers the underlying to `receiverOfUnderlying` itself
      * @param user The owner of the aTokens, getting them burned
      * @param receiverOfUnderlying The address that will receive the underlying
      * @param amount The amount being burned
@@ -38,4 +39,12 @@ interface IAToken is IERC20 {
         address receiverOfUnderlying,
         uint256 amount
     ) external;
+
+    /**
+     * @notice Transfers aTokens in the event of a borrow being liquidated, in case the liquidator reclaims the aToken
+     * @param from The address getting liquidated, current owner of the aTokens
+     * @param to The recipient
+     * @param amount The scaled amount of tokens getting transferred
+     */
+    function transferOnLiquidation(address from, address to, uint256 amount) external;
 }
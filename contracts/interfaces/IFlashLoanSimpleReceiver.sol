@@ -0,0 +1,30 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./IPool.sol";
+
+/**
+ * @title IFlashLoanSimpleReceiver
+ * @notice Interface of contracts receiving a single-asset flash loan from Pool.flashLoanSimple
+ */
+interface IFlashLoanSimpleReceiver {
+    /**
+     * @notice Executes an operation after receiving the flash-borrowed asset
+     * @dev Before returning, the receiver has to approve the Pool for `amount + premium`, which the Pool then pulls
+     * @param asset The address of the flash-borrowed asset
+     * @param amount The amount of the flash-borrowed asset
+     * @param premium The fee of the flash-borrowed asset
+     * @param initiator The address that called flashLoanSimple
+     * @param params The byte-encoded params passed when initiating the flash loan
+     * @return True if the execution of the operation succeeds, false otherwise
+     */
+    function executeOperation(
+        address asset,
+        uint256 amount,
+        uint256 premium,
+        address initiator,
+        bytes calldata params
+    ) external returns (bool);
+
+    function POOL() external view returns (IPool);
+}
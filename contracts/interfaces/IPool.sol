@@ -9,6 +9,12 @@ import "../libraries/DataTypes.sol";
  * @notice Main interface for the Pool
  */
 interface IPool {
+    /**
+     * @notice Returns the PoolAddressesProvider connected to this contract
+     * @return The address of the PoolAddressesProvider
+     */
+    function ADDRESSES_PROVIDER() external view returns (IPoolAddressesProvider);
+
     /**
      * @notice Supplies an `amount` of underlying asset into the reserve, receiving in return overlying aTokens.
      * @param asset The address of the underlying asset to supply
@@ -77,6 +83,76 @@ interface IPool {
         address onBehalfOf
     ) external returns (uint256);
 
+    /**
+     * @notice Function to liquidate a non-healthy position collateral-wise, with Health Factor below 1
+     * - The caller (liquidator) covers `debtToCover` amount of debt of the user getting liquidated, and receives
+     *   a proportional amount of the `collateralAsset` plus a bonus to cover market risk
+     * @dev Up to DEFAULT_LIQUIDATION_CLOSE_FACTOR of the debt can be covered per call, or all of it once the
+     *   health factor drops below CLOSE_FACTOR_HF_THRESHOLD. Pass type(uint256).max to cover as much as allowed.
+     * @param collateralAsset The address of the underlying asset used as collateral, to receive as result of the liquidation
+     * @param debtAsset The address of the underlying borrowed asset to be repaid with the liquidation
+     * @param user The address of the borrower getting liquidated
+     * @param debtToCover The debt amount of borrowed `asset` the liquidator wants to cover
+     * @param receiveAToken True if the liquidators wants to receive the collateral aTokens, `false` if he wants
+     *   to receive the underlying collateral asset directly
+     */
+    function liquidationCall(
+        address collateralAsset,
+        address debtAsset,
+        address user,
+        uint256 debtToCover,
+        bool receiveAToken
+    ) external;
+
+    /**
+     * @notice Allows smartcontracts to access the liquidity of the pool within one transaction,
+     *   as long as the amount taken plus a fee is returned, or a debt position is opened for it.
+     * @dev The premium (FLASHLOAN_PREMIUM_TOTAL) is added to the liquidity index, so the reserve suppliers earn it.
+     *   Credit delegation is not supported, so debt can only be opened for the initiator.
+     * @param receiverAddress The address of the contract receiving the funds, implementing IPoolFlashLoanReceiver
+     * @param assets The addresses of the assets being flash-borrowed
+     * @param amounts The amounts of the assets being flash-borrowed
+     * @param interestRateModes Per asset, the kind of debt to open if the flash loan is not returned:
+     *   0 -> Don't open any debt, just revert if funds can't be transferred from the receiver
+     *   2 -> Open debt at variable rate for the value of the amount flash-borrowed to the `onBehalfOf` address
+     * @param onBehalfOf The address that will receive the debt in the case of using mode 2, which has to be the
+     *   caller
+     * @param params Variadic packed params to pass to the receiver as extra information
+     * @param referralCode The code used to register the integrator originating the operation, for potential rewards.
+     */
+    function flashLoan(
+        address receiverAddress,
+        address[] calldata assets,
+        uint256[] calldata amounts,
+        uint256[] calldata interestRateModes,
+        address onBehalfOf,
+        bytes calldata params,
+        uint16 referralCode
+    ) external;
+
+    /**
+     * @notice Allows smartcontracts to access the liquidity of one reserve within one transaction,
+     *   as long as the amount taken plus a fee is returned.
+     * @param receiverAddress The address of the contract receiving the funds, implementing IFlashLoanSimpleReceiver
+     * @param asset The address of the asset being flash-borrowed
+     * @param amount The amount of the asset being flash-borrowed
+     * @param params Variadic packed params to pass to the receiver as extra information
+     * @param referralCode The code used to register the integrator originating the operation, for potential rewards.
+     */
+    function flashLoanSimple(
+        address receiverAddress,
+        address asset,
+        uint256 amount,
+        bytes calldata params,
+        uint16 referralCode
+    ) external;
+
+    /**
+     * @notice Returns the fee on flash loans, in bps
+     * @return The flash loan premium
+     */
+    function FLASHLOAN_PREMIUM_TOTAL() external view returns (uint128);
+
     /**
      * @notice Returns the user account data across all the reserves
      * @param user The address of the user
@@ -118,4 +194,53 @@ interface IPool {
     function getReserveData(
         address asset
     ) external view returns (DataTypes.ReserveData memory);
+
+    /**
+     * @notice Returns the liquidity index of the reserve with the interest accrued up to the current block
+     * @param asset The address of the underlying asset of the reserve
+     * @return The reserve's normalized income, in ray
+     */
+    function getReserveNormalizedIncome(address asset) external view returns (uint256);
+
+    /**
+     * @notice Returns the variable borrow index of the reserve with the interest accrued up to the current block
+     * @param asset The address of the underlying asset of the reserve
+     * @return The reserve's normalized variable debt, in ray
+     */
+    function getReserveNormalizedVariableDebt(address asset) external view returns (uint256);
+
+    /**
+     * @notice Returns the list of the underlying assets of all the initialized reserves
+     * @return The addresses of the underlying assets of the initialized reserves
+     */
+    function getReservesList() external view returns (address[] memory);
+
+    /**
+     * @notice Sets the configuration bitmap of the reserve as a whole
+     * @dev Only callable by the PoolConfigurator. Interest accrues with the previous configuration first.
+     * @param asset The address of the underlying asset of the reserve
+     * @param configuration The new configuration bitmap
+     */
+    function setConfiguration(address asset, DataTypes.ReserveConfigurationMap calldata configuration) external;
+
+    /**
+     * @notice Updates the address of the interest rate strategy contract
+     * @dev Only callable by the PoolConfigurator. Interest accrues with the previous strategy first.
+     * @param asset The address of the underlying asset of the reserve
+     * @param rateStrategyAddress The address of the interest rate strategy contract
+     */
+    function setReserveInterestRateStrategyAddress(address asset, address rateStrategyAddress) external;
+
+    /**
+     * @notice Updates the fee on flash loans
+     * @dev Only callable by the PoolConfigurator
+     * @param flashLoanPremiumTotal The new flash loan premium, in bps
+     */
+    function updateFlashloanPremium(uint128 flashLoanPremiumTotal) external;
+
+    /**
+     * @notice Mints the reserve factor accrued on each reserve to the treasury, as aTokens
+     * @param assets The list of reserves for which the minting needs to be executed
+     */
+    function mintToTreasury(address[] calldata assets) external;
 }
@@ -3,7 +3,7 @@ pragma solidity ^0.8.20;
 
 /**
  * @title IPoolAddressesProvider
- * @notice Provides the interface to fetch the Pool address
+ * @notice Provides the interface to fetch the Pool and price oracle addresses
  */
 interface IPoolAddressesProvider {
     /**
@@ -17,4 +17,40 @@ interface IPoolAddressesProvider {
      * @param newPoolImpl The new Pool implementation
      */
     function setPoolImpl(address newPoolImpl) external;
+
+    /**
+     * @notice Returns the address of the price oracle.
+     * @return The address of the PriceOracle
+     */
+    function getPriceOracle() external view returns (address);
+
+    /**
+     * @notice Updates the address of the price oracle.
+     * @param newPriceOracle The address of the new PriceOracle
+     */
+    function setPriceOracle(address newPriceOracle) external;
+
+    /**
+     * @notice Returns the address of the PoolConfigurator, the only account allowed to change reserve parameters.
+     * @return The PoolConfigurator address
+     */
+    function getPoolConfigurator() external view returns (address);
+
+    /**
+     * @notice Updates the address of the PoolConfigurator.
+     * @param newPoolConfigurator The address of the new PoolConfigurator
+     */
+    function setPoolConfigurator(address newPoolConfigurator) external;
+
+    /**
+     * @notice Returns the address of the treasury the reserve factor accrues to.
+     * @return The treasury address
+     */
+    function getTreasury() external view returns (address);
+
+    /**
+     * @notice Updates the address of the treasury.
+     * @param newTreasury The address of the new treasury
+     */
+    function setTreasury(address newTreasury) external;
 }
@@ -0,0 +1,33 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./IPool.sol";
+
+/**
+ * @title IPoolFlashLoanReceiver
+ * @notice Interface of contracts receiving a multi-asset flash loan from Pool.flashLoan
+ * @dev Aave's IFlashLoanReceiver, renamed so it does not clash with the FlashLoanProvider callback interface
+ */
+interface IPoolFlashLoanReceiver {
+    /**
+     * @notice Executes an operation after receiving the flash-borrowed assets
+     * @dev Before returning, the receiver has to approve the Pool for `amounts[i] + premiums[i]` of every asset
+     *   borrowed with interest rate mode 0, which the Pool then pulls. Assets borrowed with mode 2 stay with the
+     *   receiver as debt of `onBehalfOf`, and their premium is 0.
+     * @param assets The addresses of the flash-borrowed assets
+     * @param amounts The amounts of the flash-borrowed assets
+     * @param premiums The fee of each flash-borrowed asset
+     * @param initiator The address that called flashLoan
+     * @param params The byte-encoded params passed when initiating the flash loan
+     * @return True if the execution of the operation succeeds, false otherwise
+     */
+    function executeOperation(
+        address[] calldata assets,
+        uint256[] calldata amounts,
+        uint256[] calldata premiums,
+        address initiator,
+        bytes calldata params
+    ) external returns (bool);
+
+    function POOL() external view returns (IPool);
+}
@@ -0,0 +1,47 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title IStrategyAdapter
+ * @notice Where LeveragedERC4626Vault puts the borrow asset it borrows
+ * @dev The vault calls adapters like any other contract, and each adapter holds the position of its callers on
+ *   their behalf: deposit pulls the asset from the caller, which approves it first, and withdraw only returns the
+ *   caller's own holdings to it. Holdings that are collateral of the vault's Pool position (collateralPool() is
+ *   not address(0)) can only be the vault's own supply: the vault supplies and withdraws them itself, and only
+ *   uses the adapter's views.
+ */
+interface IStrategyAdapter {
+    /**
+     * @notice Returns the asset the strategy takes
+     */
+    function asset() external view returns (address);
+
+    /**
+     * @notice Returns the Pool whose collateral the strategy's holdings are, or address(0) when they are not
+     *   collateral anywhere
+     * @dev Holdings that are collateral of the vault's own Pool position let the vault loop on them
+     */
+    function collateralPool() external view returns (address);
+
+    /**
+     * @notice Pulls `amount` of the asset from the caller and puts it into the strategy on its behalf
+     * @param amount The amount to deposit
+     */
+    function deposit(uint256 amount) external;
+
+    /**
+     * @notice Takes `amount` of the caller's holdings out of the strategy, back to the caller
+     * @param amount The amount to withdraw, or type(uint256).max for everything
+     */
+    function withdraw(uint256 amount) external;
+
+    /**
+     * @notice Returns the value `account` holds in the strategy, in asset units
+     */
+    function balanceOf(address account) external view returns (uint256);
+
+    /**
+     * @notice Returns the part of its holdings `account` can withdraw now
+     */
+    function maxWithdraw(address account) external view returns (uint256);
+}
@@ -0,0 +1,40 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title PercentageMath library
+ * @notice Provides functions to perform percentage calculations
+ * @dev Percentages are defined by default with 2 decimals of precision (100.00). The precision is indicated by
+ *   PERCENTAGE_FACTOR, so LTVs, liquidation thresholds and bonuses stored in basis points can be used directly
+ */
+library PercentageMath {
+    uint256 internal constant PERCENTAGE_FACTOR = 1e4;
+    uint256 internal constant HALF_PERCENTAGE_FACTOR = 0.5e4;
+
+    /**
+     * @dev Executes a percentage multiplication, rounding half up
+     * @param value The value of which the percentage needs to be calculated
+     * @param percentage The percentage of the value to be calculated
+     * @return The percentage of value
+     */
+    function percentMul(uint256 value, uint256 percentage) internal pure returns (uint256) {
+        if (value == 0 || percentage == 0) {
+            return 0;
+        }
+
+        return (value * percentage + HALF_PERCENTAGE_FACTOR) / PERCENTAGE_FACTOR;
+    }
+
+    /**
+     * @dev Executes a percentage division, rounding half up
+     * @param value The value of which the percentage needs to be calculated
+     * @param percentage The percentage of the value to be calculated
+     * @return The value divided the percentage
+     */
+    function percentDiv(uint256 value, uint256 percentage) internal pure returns (uint256) {
+        require(percentage != 0, "PM_DIV_ZERO");
+        uint256 halfPercentage = percentage / 2;
+
+        return (value * PERCENTAGE_FACTOR + halfPercentage) / percentage;
+    }
+}
@@ -0,0 +1,25 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title VaultAllowlistLogic
+ * @notice Depositor allowlist of LeveragedERC4626Vault
+ * @dev Linked library: the vault keeps the allowlist and delegatecalls in to update it
+ */
+library VaultAllowlistLogic {
+    event AllowlistUpdated(address indexed account, bool allowed);
+
+    /**
+     * @notice Allows or disallows `accounts` to deposit and receive shares while the allowlist is enabled
+     */
+    function setAllowlist(
+        mapping(address => bool) storage allowlist,
+        address[] calldata accounts,
+        bool allowed
+    ) external {
+        for (uint256 i = 0; i < accounts.length; i++) {
+            allowlist[accounts[i]] = allowed;
+            emit AllowlistUpdated(accounts[i], allowed);
+        }
+    }
+}
@@ -0,0 +1,142 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/utils/math/Math.sol";
+
+/**
+ * @title VaultFeeLogic
+ * @notice Management and performance fees of LeveragedERC4626Vault, charged by minting shares to the fee recipient
+ * @dev Linked library: the vault keeps the FeeState, mints the fee shares and delegatecalls in for the rest
+ */
+library VaultFeeLogic {
+    using Math for uint256;
+
+    uint256 internal constant MAX_MANAGEMENT_FEE_BPS = 500; // 5% a year
+    uint256 internal constant MAX_PERFORMANCE_FEE_BPS = 5000; // 50% of the yield
+    uint256 internal constant SECONDS_PER_YEAR = 365 days;
+
+    uint256 private constant BPS_DENOMINATOR = 10000;
+    uint256 private constant WAD = 1e18;
+
+    struct FeeState {
+        address recipient;
+        uint256 managementFeeBps; // Annualized, streamed on totalAssets
+        uint256 performanceFeeBps; // Charged on share price gains above the high-water mark
+        uint256 highWaterMark; // Highest share price fees were charged at, in assets per share (wad)
+        uint256 lastAccrual;
+    }
+
+    event FeesAccrued(
+        uint256 managementFeeAssets,
+        uint256 performanceFeeAssets,
+        uint256 feeShares,
+        uint256 highWaterMark
+    );
+    event ManagementFeeUpdated(uint256 feeBps);
+    event PerformanceFeeUpdated(uint256 feeBps);
+    event FeeRecipientUpdated(address indexed feeRecipient);
+
+    /**
+     * @notice Moves the high-water mark and the accrual time for the fees accrued since the last accrual
+     * @param assets The vault's totalAssets()
+     * @param supply The vault's totalSupply()
+     * @return feeShares Shares the vault mints to the fee recipient
+     */
+    function accrueFees(FeeState storage fees, uint256 assets, uint256 supply) external returns (uint256 feeShares) {
+        uint256 managementFeeAssets;
+        uint256 performanceFeeAssets;
+        uint256 newHighWaterMark;
+        (managementFeeAssets, performanceFeeAssets, feeShares, newHighWaterMark) = accruedFees(fees, assets, supply);
+
+        fees.lastAccrual = block.timestamp;
+        if (feeShares == 0 && newHighWaterMark == fees.highWaterMark) {
+            return 0;
+        }
+
+        fees.highWaterMark = newHighWaterMark;
+        emit FeesAccrued(managementFeeAssets, performanceFeeAssets, feeShares, newHighWaterMark);
+    }
+
+    /**
+     * @notice Fees since the last accrual. The management fee streams on totalAssets; the performance fee is taken
+     *   on the share price gain above the high-water mark, net of the management fee. Fee shares are sized so
+     *   that, once minted, they are worth the fee assets.
+     * @param assets The vault's totalAssets()
+     * @param supply The vault's totalSupply()
+     */
+    function accruedFees(
+        FeeState storage fees,
+        uint256 assets,
+        uint256 supply
+    )
+        public
+        view
+        returns (
+            uint256 managementFeeAssets,
+            uint256 performanceFeeAssets,
+            uint256 feeShares,
+            uint256 newHighWaterMark
+        )
+    {
+        newHighWaterMark = fees.highWaterMark;
+        if (supply == 0) {
+            return (0, 0, 0, newHighWaterMark);
+        }
+
+        managementFeeAssets =
+            (assets * fees.managementFeeBps * (block.timestamp - fees.lastAccrual)) /
+            (BPS_DENOMINATOR * SECONDS_PER_YEAR);
+
+        uint256 sharePrice = _sharePrice(assets - managementFeeAssets, supply);
+        if (sharePrice > newHighWaterMark) {
+            performanceFeeAssets =
+                (((sharePrice - newHighWaterMark) * (supply + 1)) / WAD) *
+                fees.performanceFeeBps /
+                BPS_DENOMINATOR;
+        }
+
+        uint256 feeAssets = managementFeeAssets + performanceFeeAssets;
+        if (feeAssets > 0) {
+            // feeShares / (supply + feeShares) = feeAssets / assets
+            feeShares = feeAssets.mulDiv(supply + 1, assets - feeAssets + 1);
+        }
+
+        if (sharePrice > newHighWaterMark) {
+            newHighWaterMark = Math.max(newHighWaterMark, _sharePrice(assets, supply + feeShares));
+        }
+    }
+
+    /**
+     * @notice Sets the annual management fee; the vault accrues the fees at the current rate first
+     */
+    function setManagementFee(FeeState storage fees, uint256 feeBps) external {
+        require(feeBps <= MAX_MANAGEMENT_FEE_BPS, "FEE_TOO_HIGH");
+        fees.managementFeeBps = feeBps;
+        emit ManagementFeeUpdated(feeBps);
+    }
+
+    /**
+     * @notice Sets the performance fee; the vault accrues the fees at the current rate first
+     */
+    function setPerformanceFee(FeeState storage fees, uint256 feeBps) external {
+        require(feeBps <= MAX_PERFORMANCE_FEE_BPS, "FEE_TOO_HIGH");
+        fees.performanceFeeBps = feeBps;
+        emit PerformanceFeeUpdated(feeBps);
+    }
+
+    /**
+     * @notice Sets the account fee shares are minted to; the vault accrues the fees to the previous one first
+     */
+    function setFeeRecipient(FeeState storage fees, address recipient) external {
+        require(recipient != address(0), "INVALID_FEE_RECIPIENT");
+        fees.recipient = recipient;
+        emit FeeRecipientUpdated(recipient);
+    }
+
+    /**
+     * @dev Assets per share in wad, with the same virtual share and asset as the ERC4626 conversions
+     */
+    function _sharePrice(uint256 assets, uint256 supply) private pure returns (uint256) {
+        return (assets + 1).mulDiv(WAD, supply + 1);
+    }
+}
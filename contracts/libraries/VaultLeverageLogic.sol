@@ -0,0 +1,144 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/math/Math.sol";
+import "../interfaces/IPool.sol";
+import "./VaultRebalanceLogic.sol";
+
+/**
+ * @title VaultLeverageLogic
+ * @notice Levers a LeveragedERC4626Vault position up without flash loans: borrow/supply round-trips when the
+ *   strategy's holdings are pool collateral, or a single borrow into a strategy that is not
+ * @dev Linked library: runs by delegatecall in the vault's context, so the borrows and supplies are the vault's own
+ */
+library VaultLeverageLogic {
+    using SafeERC20 for IERC20;
+    using Math for uint256;
+
+    uint256 private constant BPS_DENOMINATOR = 10000;
+    uint256 private constant WAD = 1e18;
+
+    event LoopExecuted(uint256 collateralSupplied, uint256 borrowed, uint256 iterations);
+
+    /**
+     * @notice Borrows the borrow asset and supplies it back as collateral, up to `maxIterations` times, until the
+     *   LTV reaches maxLTVBps or the health factor minHealthFactor
+     * @dev Only for strategies whose holdings are pool collateral: looping on anything else would not raise the
+     *   borrowing power
+     */
+    function loop(
+        VaultRebalanceLogic.Position memory position,
+        uint256 maxLTVBps,
+        uint256 minHealthFactor,
+        uint256 maxIterations
+    ) external {
+        IPool pool = position.pool;
+        address borrowAsset = address(position.borrowAsset);
+
+        // Don't loop if already at max LTV
+        (uint256 totalCollateralBase, uint256 totalDebtBase, , , , ) = pool.getUserAccountData(address(this));
+        if (totalDebtBase * BPS_DENOMINATOR >= totalCollateralBase * maxLTVBps) {
+            return;
+        }
+
+        uint256 iterations = 0;
+        uint256 totalBorrowed = 0;
+
+        while (iterations < maxIterations) {
+            // Calculate how much we can borrow, in the base currency: up to maxLTVBps, and no further than keeps
+            // minHealthFactor under the live liquidation threshold or than the pool lends against the collateral
+            uint256 availableBorrowsBase;
+            uint256 liquidationThreshold;
+            (totalCollateralBase, totalDebtBase, availableBorrowsBase, liquidationThreshold, , ) = pool
+                .getUserAccountData(address(this));
+            uint256 maxDebtBase = (totalCollateralBase *
+                Math.min(maxLTVBps, liquidationThreshold.mulDiv(WAD, minHealthFactor))) / BPS_DENOMINATOR;
+
+            if (maxDebtBase <= totalDebtBase) {
+                break;
+            }
+            uint256 maxBorrowableValue = Math.min(maxDebtBase - totalDebtBase, availableBorrowsBase);
+
+            // Borrow amount is limited by the max borrowable value and the pool's available liquidity
+            uint256 borrowAmount = VaultRebalanceLogic.baseToAmount(pool, borrowAsset, maxBorrowableValue);
+            if (maxBorrowableValue == availableBorrowsBase && borrowAmount > 0) {
+                // The pool checks the LTV with the new debt minted, which its index rounding can take a unit over
+                borrowAmount -= 1;
+            }
+            borrowAmount = Math.min(borrowAmount, IERC20(borrowAsset).balanceOf(address(pool)));
+
+            if (borrowAmount == 0) {
+                break;
+            }
+
+            try pool.borrow(borrowAsset, borrowAmount, 2, 0, address(this)) {
+                totalBorrowed += borrowAmount;
+
+                // Supply the borrowed asset back as collateral; if the pool refuses it, the loop can't continue
+                uint256 borrowedBalance = IERC20(borrowAsset).balanceOf(address(this));
+                if (borrowedBalance > 0) {
+                    try pool.supply(borrowAsset, borrowedBalance, address(this), 0) {} catch {
+                        break;
+                    }
+                }
+            } catch {
+                // Borrow failed, stop looping
+                break;
+            }
+
+            iterations++;
+        }
+
+        if (iterations > 0 || totalBorrowed > 0) {
+            (totalCollateralBase, , , , , ) = pool.getUserAccountData(address(this));
+            emit LoopExecuted(
+                VaultRebalanceLogic.baseToAmount(pool, address(position.collateralAsset), totalCollateralBase),
+                totalBorrowed,
+                iterations
+            );
+        }
+    }
+
+    /**
+     * @notice Borrows up to the target LTV of the collateral in one go, targetLTVBps or lower when the live
+     *   liquidation threshold needs it to keep minHealthFactor, and deposits the loan into a strategy that is not
+     *   pool collateral
+     */
+    function leverageIntoStrategy(
+        VaultRebalanceLogic.Position memory position,
+        uint256 targetLTVBps,
+        uint256 minHealthFactor
+    ) external {
+        IPool pool = position.pool;
+        address borrowAsset = address(position.borrowAsset);
+        (uint256 totalCollateralBase, uint256 totalDebtBase, , uint256 liquidationThreshold, , ) = pool
+            .getUserAccountData(address(this));
+        uint256 targetDebtBase = (totalCollateralBase *
+            Math.min(targetLTVBps, liquidationThreshold.mulDiv(WAD, minHealthFactor))) / BPS_DENOMINATOR;
+        if (totalDebtBase >= targetDebtBase) {
+            return;
+        }
+
+        uint256 borrowAmount = Math.min(
+            VaultRebalanceLogic.baseToAmount(pool, borrowAsset, targetDebtBase - totalDebtBase),
+            IERC20(borrowAsset).balanceOf(address(pool))
+        );
+        if (borrowAmount == 0) {
+            return;
+        }
+        pool.borrow(borrowAsset, borrowAmount, 2, 0, address(this));
+
+        // The adapter pulls just what it is approved for
+        uint256 balance = IERC20(borrowAsset).balanceOf(address(this));
+        IERC20(borrowAsset).forceApprove(address(position.strategy), balance);
+        position.strategy.deposit(balance);
+
+        emit LoopExecuted(
+            VaultRebalanceLogic.baseToAmount(pool, address(position.collateralAsset), totalCollateralBase),
+            borrowAmount,
+            1
+        );
+    }
+}
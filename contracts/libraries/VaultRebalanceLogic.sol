@@ -0,0 +1,143 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/utils/math/Math.sol";
+import "../interfaces/IPool.sol";
+import "../interfaces/IPriceOracleGetter.sol";
+import "../interfaces/IStrategyAdapter.sol";
+import "./DataTypes.sol";
+import "./ReserveConfiguration.sol";
+
+/**
+ * @title VaultRebalanceLogic
+ * @notice Repays the debt of a LeveragedERC4626Vault position out of its strategy's holdings, to bring it back down
+ *   to its rebalance LTV or to unwind it for a withdrawal
+ * @dev Linked library: runs by delegatecall in the vault's context, so the strategy withdrawals and repayments act
+ *   on the vault's own position. Pool collateral holdings are withdrawn from the pool directly, others through the
+ *   strategy adapter.
+ */
+library VaultRebalanceLogic {
+    using ReserveConfiguration for DataTypes.ReserveConfigurationMap;
+    using Math for uint256;
+
+    // Withdraw and repay rounds repayFromStrategy takes at most
+    uint256 internal constant MAX_REPAY_ROUNDS = 32;
+
+    uint256 private constant BPS_DENOMINATOR = 10000;
+    uint256 private constant WAD = 1e18;
+
+    /// @dev The vault's pool position and where its borrow asset goes
+    struct Position {
+        IPool pool;
+        IStrategyAdapter strategy;
+        IERC20 collateralAsset;
+        IERC20 borrowAsset;
+        bool strategyIsCollateral;
+    }
+
+    event Rebalanced(uint256 repaid, uint256 withdrawn);
+
+    /**
+     * @notice Repays debt to bring the LTV below rebalanceLTVBps, or lower when the live liquidation threshold
+     *   needs it to keep minHealthFactor
+     */
+    function rebalance(Position memory position, uint256 rebalanceLTVBps, uint256 minHealthFactor) external {
+        (uint256 totalCollateralBase, uint256 totalDebtBase, , uint256 liquidationThreshold, , ) = position
+            .pool
+            .getUserAccountData(address(this));
+        uint256 rebalanceLTV = Math.min(rebalanceLTVBps, liquidationThreshold.mulDiv(WAD, minHealthFactor));
+
+        if (totalCollateralBase == 0 || (totalDebtBase * BPS_DENOMINATOR) / totalCollateralBase <= rebalanceLTV) {
+            return; // Already balanced
+        }
+
+        // Repayment is funded by withdrawing from the strategy, which lowers collateral by the same amount when the
+        // strategy is pool collateral: (debt - x) / (collateral - x) = target  =>  x = (debt - target * collateral) / (1 - target)
+        uint256 debtToRepay = baseToAmount(
+            position.pool,
+            address(position.borrowAsset),
+            (totalDebtBase * BPS_DENOMINATOR - totalCollateralBase * rebalanceLTV) /
+                (position.strategyIsCollateral ? BPS_DENOMINATOR - rebalanceLTV : BPS_DENOMINATOR)
+        );
+
+        if (debtToRepay == 0) {
+            return;
+        }
+
+        // Idle borrow asset first, then the strategy's holdings
+        uint256 repaid = Math.min(position.borrowAsset.balanceOf(address(this)), debtToRepay);
+        if (repaid > 0) {
+            position.pool.repay(address(position.borrowAsset), repaid, 2, address(this));
+        }
+        repaid += repayFromStrategy(position, debtToRepay - repaid);
+
+        if (repaid > 0) {
+            emit Rebalanced(repaid, 0);
+        }
+    }
+
+    /**
+     * @notice Repays up to `amount` of the borrow asset debt with holdings withdrawn from the strategy. When they are
+     *   pool collateral, the pool only lets out what keeps the health factor above 1, so they come out in rounds,
+     *   each repayment making room for the next withdrawal.
+     * @return repaid The debt repaid, short of `amount` when the strategy's holdings or MAX_REPAY_ROUNDS run out
+     */
+    function repayFromStrategy(Position memory position, uint256 amount) public returns (uint256 repaid) {
+        for (uint256 round = 0; round < MAX_REPAY_ROUNDS && repaid < amount; round++) {
+            uint256 withdrawal = Math.min(amount - repaid, position.strategy.maxWithdraw(address(this)));
+            if (position.strategyIsCollateral) {
+                withdrawal = Math.min(withdrawal, _healthyWithdrawal(position));
+            }
+            if (withdrawal == 0) {
+                break;
+            }
+
+            if (position.strategyIsCollateral) {
+                position.pool.withdraw(address(position.borrowAsset), withdrawal, address(this));
+            } else {
+                position.strategy.withdraw(withdrawal);
+            }
+            position.pool.repay(address(position.borrowAsset), withdrawal, 2, address(this));
+            repaid += withdrawal;
+        }
+    }
+
+    /**
+     * @notice Converts a value in the pool's base currency into an amount of `asset`, at the pool's oracle price
+     */
+    function baseToAmount(IPool pool, address asset, uint256 baseAmount) internal view returns (uint256) {
+        (uint256 price, uint256 unit) = _getPriceAndUnit(pool, asset);
+        return (baseAmount * unit) / price;
+    }
+
+    /**
+     * @dev Borrow asset collateral the vault can withdraw with its health factor staying above 1: the withdrawal
+     *   takes its value times the reserve's liquidation threshold off the position's threshold-weighted
+     *   collateral. Kept 0.01% short of the limit for the pool's rounding.
+     */
+    function _healthyWithdrawal(Position memory position) private view returns (uint256) {
+        (uint256 totalCollateralBase, uint256 totalDebtBase, , uint256 liquidationThreshold, , ) = position
+            .pool
+            .getUserAccountData(address(this));
+        uint256 thresholdCollateral = totalCollateralBase * liquidationThreshold;
+        if (thresholdCollateral <= totalDebtBase * BPS_DENOMINATOR) {
+            return 0;
+        }
+
+        uint256 maxBase = (thresholdCollateral - totalDebtBase * BPS_DENOMINATOR) /
+            position.pool.getConfiguration(address(position.borrowAsset)).getLiquidationThreshold();
+        return
+            baseToAmount(
+                position.pool,
+                address(position.borrowAsset),
+                maxBase.mulDiv(BPS_DENOMINATOR - 1, BPS_DENOMINATOR)
+            );
+    }
+
+    function _getPriceAndUnit(IPool pool, address asset) private view returns (uint256 price, uint256 unit) {
+        price = IPriceOracleGetter(pool.ADDRESSES_PROVIDER().getPriceOracle()).getAssetPrice(asset);
+        require(price > 0, "INVALID_ASSET_PRICE");
+        unit = 10 ** pool.getConfiguration(asset).getDecimals();
+    }
+}
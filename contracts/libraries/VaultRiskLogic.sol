@@ -0,0 +1,162 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/utils/math/Math.sol";
+import "../interfaces/IPool.sol";
+import "./DataTypes.sol";
+import "./ReserveConfiguration.sol";
+
+/**
+ * @title VaultRiskLogic
+ * @notice Leverage limits of LeveragedERC4626Vault, and the timelock loosening them waits behind
+ * @dev Linked library: the vault keeps the current and pending parameters and the eta, and delegatecalls in to
+ *   change them
+ */
+library VaultRiskLogic {
+    using ReserveConfiguration for DataTypes.ReserveConfigurationMap;
+
+    uint256 internal constant RISK_TIMELOCK = 2 days; // Delay before loosened risk parameters apply
+    uint256 private constant WAD = 1e18;
+
+    /// @dev Leverage limits. targetLTVBps <= rebalanceLTVBps <= maxLTVBps, and at maxLTVBps the health factor
+    ///   is still at least minHealthFactor under the reserves' liquidation threshold
+    struct RiskParameters {
+        uint256 targetLTVBps;
+        uint256 rebalanceLTVBps;
+        uint256 maxLTVBps;
+        uint256 minHealthFactor;
+    }
+
+    /// @dev What the parameters are validated against: the collateral asset's reserve, and the borrow asset's
+    ///   when the strategy supplies it to the pool
+    struct Reserves {
+        IPool pool;
+        address collateralAsset;
+        address borrowAsset;
+        bool borrowAssetIsCollateral;
+    }
+
+    event RiskParametersUpdated(
+        uint256 targetLTVBps,
+        uint256 rebalanceLTVBps,
+        uint256 maxLTVBps,
+        uint256 minHealthFactor
+    );
+    event RiskParametersQueued(
+        uint256 targetLTVBps,
+        uint256 rebalanceLTVBps,
+        uint256 maxLTVBps,
+        uint256 minHealthFactor,
+        uint256 eta
+    );
+    event RiskParametersCancelled();
+
+    /**
+     * @notice Validates `params`, then applies them if they only tighten the current ones (or `immediate`), or
+     *   queues them for RISK_TIMELOCK. Either replaces a queued change.
+     * @param immediate Apply even a loosening now, e.g. while the vault has no shares
+     * @return eta When the queued parameters can be executed, or 0 when they were applied
+     */
+    function setRiskParameters(
+        RiskParameters storage current,
+        RiskParameters storage pending,
+        Reserves memory reserves,
+        RiskParameters memory params,
+        bool immediate
+    ) external returns (uint256 eta) {
+        validateRiskParameters(reserves, params);
+
+        if (
+            immediate ||
+            (params.targetLTVBps <= current.targetLTVBps &&
+                params.rebalanceLTVBps <= current.rebalanceLTVBps &&
+                params.maxLTVBps <= current.maxLTVBps &&
+                params.minHealthFactor >= current.minHealthFactor)
+        ) {
+            _apply(current, pending, params);
+            return 0;
+        }
+
+        _store(pending, params);
+        eta = block.timestamp + RISK_TIMELOCK;
+        emit RiskParametersQueued(
+            params.targetLTVBps,
+            params.rebalanceLTVBps,
+            params.maxLTVBps,
+            params.minHealthFactor,
+            eta
+        );
+    }
+
+    /**
+     * @notice Applies the queued parameters once RISK_TIMELOCK has passed since they were queued for `eta`, if
+     *   the reserves still allow them. The vault clears its eta afterwards.
+     */
+    function executeRiskParameters(
+        RiskParameters storage current,
+        RiskParameters storage pending,
+        Reserves memory reserves,
+        uint256 eta
+    ) external {
+        require(eta != 0 && block.timestamp >= eta, "RISK_TIMELOCK_NOT_EXPIRED");
+        RiskParameters memory params = pending;
+        validateRiskParameters(reserves, params);
+        _apply(current, pending, params);
+    }
+
+    /**
+     * @notice Drops the parameters queued for `eta`. The vault clears its eta afterwards.
+     */
+    function cancelRiskParameters(RiskParameters storage pending, uint256 eta) external {
+        require(eta != 0, "NO_PENDING_RISK_PARAMETERS");
+        _store(pending, RiskParameters(0, 0, 0, 0));
+        emit RiskParametersCancelled();
+    }
+
+    /**
+     * @dev Checks risk parameters against each other and against the lowest LTV and liquidation threshold of the
+     *   reserves the position uses as collateral
+     */
+    function validateRiskParameters(Reserves memory reserves, RiskParameters memory params) internal view {
+        DataTypes.ReserveConfigurationMap memory config = reserves.pool.getConfiguration(reserves.collateralAsset);
+        uint256 reserveLTV = config.getLtv();
+        uint256 liquidationThreshold = config.getLiquidationThreshold();
+        if (reserves.borrowAssetIsCollateral) {
+            config = reserves.pool.getConfiguration(reserves.borrowAsset);
+            reserveLTV = Math.min(reserveLTV, config.getLtv());
+            liquidationThreshold = Math.min(liquidationThreshold, config.getLiquidationThreshold());
+        }
+
+        require(
+            params.targetLTVBps > 0 &&
+                params.targetLTVBps <= params.rebalanceLTVBps &&
+                params.rebalanceLTVBps <= params.maxLTVBps &&
+                params.rebalanceLTVBps <= reserveLTV &&
+                params.minHealthFactor >= WAD &&
+                params.maxLTVBps * params.minHealthFactor <= liquidationThreshold * WAD,
+            "INVALID_RISK_PARAMETERS"
+        );
+    }
+
+    function _apply(
+        RiskParameters storage current,
+        RiskParameters storage pending,
+        RiskParameters memory params
+    ) private {
+        _store(current, params);
+        _store(pending, RiskParameters(0, 0, 0, 0));
+        emit RiskParametersUpdated(
+            params.targetLTVBps,
+            params.rebalanceLTVBps,
+            params.maxLTVBps,
+            params.minHealthFactor
+        );
+    }
+
+    function _store(RiskParameters storage to, RiskParameters memory params) private {
+        to.targetLTVBps = params.targetLTVBps;
+        to.rebalanceLTVBps = params.rebalanceLTVBps;
+        to.maxLTVBps = params.maxLTVBps;
+        to.minHealthFactor = params.minHealthFactor;
+    }
+}
@@ -0,0 +1,103 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/interfaces/IERC3156FlashBorrower.sol";
+import "../FlashLoanReceiver.sol";
+import "../FlashLoanProvider.sol";
+import "../interfaces/IPool.sol";
+import "../interfaces/IFlashLoanSimpleReceiver.sol";
+
+/**
+ * @title MockFlashLoanReceiver
+ * @dev Flash loan receiver for tests: repays a configurable amount and returns a configurable result, to the
+ * FlashLoanProvider (either callback) or to the Pool
+ */
+contract MockFlashLoanReceiver is IFlashLoanReceiver, IERC3156FlashBorrower, IFlashLoanSimpleReceiver {
+    using SafeERC20 for IERC20;
+
+    FlashLoanProvider public immutable flashLoanProvider;
+    IPool public immutable override POOL;
+
+    // Amount withheld from the `amount + fee` repayment
+    uint256 public shortfall;
+    bool public callbackResult = true;
+
+    uint256 public lastAmount;
+    uint256 public lastFee;
+
+    constructor(address _flashLoanProvider, address _pool) {
+        flashLoanProvider = FlashLoanProvider(_flashLoanProvider);
+        POOL = IPool(_pool);
+    }
+
+    function setShortfall(uint256 _shortfall) external {
+        shortfall = _shortfall;
+    }
+
+    function setCallbackResult(bool _callbackResult) external {
+        callbackResult = _callbackResult;
+    }
+
+    function executeFlashLoan(address token, uint256 amount, bytes calldata data) external {
+        flashLoanProvider.flashLoan(token, amount, data);
+    }
+
+    function onFlashLoan(
+        address token,
+        uint256 amount,
+        uint256 fee,
+        bytes calldata data
+    ) external override returns (bool success) {
+        data; // Silence unused parameter warning
+        lastAmount = amount;
+        lastFee = fee;
+
+        IERC20(token).safeTransfer(address(flashLoanProvider), amount + fee - shortfall);
+
+        return callbackResult;
+    }
+
+    function executeERC3156FlashLoan(address token, uint256 amount, bytes calldata data) external {
+        flashLoanProvider.flashLoan(this, token, amount, data);
+    }
+
+    function onFlashLoan(
+        address initiator,
+        address token,
+        uint256 amount,
+        uint256 fee,
+        bytes calldata data
+    ) external override returns (bytes32) {
+        initiator; // Silence unused parameter warning
+        data;
+        lastAmount = amount;
+        lastFee = fee;
+
+        IERC20(token).forceApprove(address(flashLoanProvider), amount + fee - shortfall);
+
+        return callbackResult ? keccak256("ERC3156FlashBorrower.onFlashLoan") : bytes32(0);
+    }
+
+    function executePoolFlashLoanSimple(address asset, uint256 amount, bytes calldata params) external {
+        POOL.flashLoanSimple(address(this), asset, amount, params, 0);
+    }
+
+    function executeOperation(
+        address asset,
+        uint256 amount,
+        uint256 premium,
+        address initiator,
+        bytes calldata params
+    ) external override returns (bool) {
+        initiator; // Silence unused parameter warning
+        params;
+        lastAmount = amount;
+        lastFee = premium;
+
+        IERC20(asset).forceApprove(address(POOL), amount + premium - shortfall);
+
+        return callbackResult;
+    }
+}
@@ -0,0 +1,40 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "../interfaces/IPriceOracleGetter.sol";
+
+/**
+ * @title MockPriceOracle
+ * @notice Price oracle with owner-set prices, quoted in USD with 8 decimals
+ * @dev Used by tests, local deployments and price shock scenarios
+ */
+contract MockPriceOracle is IPriceOracleGetter, Ownable {
+    address public constant override BASE_CURRENCY = address(0);
+    uint256 public constant override BASE_CURRENCY_UNIT = 1e8;
+
+    mapping(address => uint256) private _prices;
+
+    event AssetPriceUpdated(address indexed asset, uint256 price, uint256 timestamp);
+
+    constructor(address owner) Ownable(owner) {}
+
+    /**
+     * @notice Returns the asset price in the base currency
+     * @param asset The address of the asset
+     * @return The price of the asset, expressed in BASE_CURRENCY_UNIT
+     */
+    function getAssetPrice(address asset) external view override returns (uint256) {
+        return _prices[asset];
+    }
+
+    /**
+     * @notice Sets the price of an asset
+     * @param asset The address of the asset
+     * @param price The price of the asset, expressed in BASE_CURRENCY_UNIT
+     */
+    function setAssetPrice(address asset, uint256 price) external onlyOwner {
+        _prices[asset] = price;
+        emit AssetPriceUpdated(asset, price, block.timestamp);
+    }
+}
@@ -52,14 +52,23 @@ contract AToken is ERC20, IAToken, Ownable {
     }
 
     /**
-     * @notice Burns aTokens from `user` and sends the equivalent amount of underlying to `receiverOfUnderlying`
+     * @notice Burns aTokens from `user`
+     * @dev The reserve liquidity sits in the Pool, which transfers the underlying to the receiver itself
      * @param user The owner of the aTokens, getting them burned
-     * @param receiverOfUnderlying The address that will receive the underlying
      * @param amount The amount being burned
      */
-    function burn(address user, address receiverOfUnderlying, uint256 amount) external override onlyPool {
+    function burn(address user, address /* receiverOfUnderlying */, uint256 amount) external override onlyPool {
         _burn(user, amount);
-        IERC20(UNDERLYING_ASSET_ADDRESS).safeTransfer(receiverOfUnderlying, amount);
+    }
+
+    /**
+     * @notice Transfers aTokens in the event of a borrow being liquidated, in case the liquidator reclaims the aToken
+     * @param from The address getting liquidated, current owner of the aTokens
+     * @param to The recipient
+     * @param amount The scaled amount of tokens getting transferred
+     */
+    function transferOnLiquidation(address from, address to, uint256 amount) external override onlyPool {
+        _transfer(from, to, amount);
     }
 }
 
@@ -8,9 +8,13 @@ import "../interfaces/IPool.sol";
 import "../interfaces/IAToken.sol";
 import "../interfaces/IVariableDebtToken.sol";
 import "../interfaces/IInterestRateStrategy.sol";
+import "../interfaces/IPriceOracleGetter.sol";
+import "../interfaces/IFlashLoanSimpleReceiver.sol";
+import "../interfaces/IPoolFlashLoanReceiver.sol";
 import "../libraries/DataTypes.sol";
 import "../libraries/ReserveConfiguration.sol";
 import "../libraries/WadRayMath.sol";
+import "../libraries/PercentageMath.sol";
 
 /**
  * @title Pool
@@ -20,23 +24,60 @@ contract Pool is IPool, Ownable {
     using SafeERC20 for IERC20;
     using ReserveConfiguration for DataTypes.ReserveConfigurationMap;
     using WadRayMath for uint256;
+    using PercentageMath for uint256;
 
-    IPoolAddressesProvider public immutable ADDRESSES_PROVIDER;
+    IPoolAddressesProvider public immutable override ADDRESSES_PROVIDER;
     uint256 public constant MAX_NUMBER_RESERVES = 128;
     uint256 public constant HEALTH_FACTOR_LIQUIDATION_THRESHOLD = 1e18;
+    // Share of a position's debt that can be liquidated in one call, in bps
+    uint256 public constant DEFAULT_LIQUIDATION_CLOSE_FACTOR = 0.5e4;
+    uint256 public constant MAX_LIQUIDATION_CLOSE_FACTOR = 1e4;
+    // Below this health factor the whole debt can be liquidated at once
+    uint256 public constant CLOSE_FACTOR_HF_THRESHOLD = 0.95e18;
 
     mapping(address => DataTypes.ReserveData) internal _reserves;
     mapping(address => DataTypes.UserConfigurationMap) internal _usersConfig;
     mapping(uint256 => address) internal _reservesList;
     uint256 internal _reservesCount;
+    // Fee on flash loans, in bps
+    uint128 internal _flashLoanPremiumTotal;
+
+    struct LiquidationCallLocalVars {
+        uint256 healthFactor;
+        uint256 variableBorrowIndex;
+        uint256 liquidityIndex;
+        uint256 userDebt;
+        uint256 userCollateral;
+        uint256 actualDebtToLiquidate;
+        uint256 collateralToLiquidate;
+    }
+
+    struct CalculateUserAccountDataVars {
+        uint256 userBalance;
+        uint256 userDebt;
+        uint256 assetPrice;
+        uint256 assetUnit;
+        uint256 collateralValue;
+        uint256 weightedLtv;
+        uint256 weightedLiquidationThreshold;
+        uint256 liquidityIndex;
+        uint256 variableBorrowIndex;
+    }
 
     modifier onlyPoolAdmin() {
         require(owner() == msg.sender, "CALLER_NOT_POOL_ADMIN");
         _;
     }
 
+    modifier onlyPoolConfigurator() {
+        require(ADDRESSES_PROVIDER.getPoolConfigurator() == msg.sender, "CALLER_NOT_POOL_CONFIGURATOR");
+        _;
+    }
+
     constructor(address addressesProvider) Ownable(msg.sender) {
         ADDRESSES_PROVIDER = IPoolAddressesProvider(addressesProvider);
+        // 0.09%, the FlashLoanProvider fee
+        _flashLoanPremiumTotal = 0.0009e4;
     }
 
     /**
@@ -54,12 +95,14 @@ contract Pool is IPool, Ownable {
         address interestRateStrategyAddress,
         DataTypes.ReserveConfigurationMap memory reserveConfiguration
     ) external onlyPoolAdmin {
-        require(!_reserves[asset].configuration.getActive(), "RESERVE_ALREADY_INITIALIZED");
+        require(_reserves[asset].aTokenAddress == address(0), "RESERVE_ALREADY_INITIALIZED");
         require(aTokenAddress != address(0), "INVALID_ATOKEN_ADDRESS");
         require(variableDebtTokenAddress != address(0), "INVALID_DEBT_TOKEN_ADDRESS");
         require(interestRateStrategyAddress != address(0), "INVALID_INTEREST_RATE_STRATEGY_ADDRESS");
         require(_reservesCount < MAX_NUMBER_RESERVES, "NO_MORE_RESERVES_ALLOWED");
 
+        // The setters work on memory, so the flag is set before the configuration is stored
+        reserveConfiguration.setActive(true);
         _reserves[asset].configuration = reserveConfiguration;
         _reserves[asset].aTokenAddress = aTokenAddress;
         _reserves[asset].variableDebtTokenAddress = variableDebtTokenAddress;
@@ -71,8 +114,6 @@ contract Pool is IPool, Ownable {
 
         _reservesList[_reservesCount] = asset;
         _reservesCount++;
-
-        _reserves[asset].configuration.setActive(true);
     }
 
     /**
@@ -129,8 +170,13 @@ contract Pool is IPool, Ownable {
         uint256 amountToBurn = amountToWithdraw.rayDiv(liquidityIndex);
         IAToken(reserve.aTokenAddress).burn(msg.sender, to, amountToBurn);
 
+        // The reserve liquidity is held by the pool, not by the aToken
         IERC20(asset).safeTransfer(to, amountToWithdraw);
 
+        // The collateral left has to keep any debt healthy
+        (,,,,, uint256 healthFactor) = getUserAccountData(msg.sender);
+        require(healthFactor > HEALTH_FACTOR_LIQUIDATION_THRESHOLD, "HEALTH_FACTOR_LOWER_THAN_LIQUIDATION_THRESHOLD");
+
         emit Withdraw(asset, msg.sender, to, amountToWithdraw);
 
         return amountToWithdraw;
@@ -162,10 +208,6 @@ contract Pool is IPool, Ownable {
         uint256 availableLiquidity = IERC20(asset).balanceOf(address(this));
         require(availableLiquidity >= amount, "NOT_ENOUGH_AVAILABLE_USER_BALANCE");
 
-        // Check health factor
-        (,,,,, uint256 healthFactor) = getUserAccountData(onBehalfOf);
-        require(healthFactor > HEALTH_FACTOR_LIQUIDATION_THRESHOLD, "HEALTH_FACTOR_LOWER_THAN_LIQUIDATION_THRESHOLD");
-
         uint256 currentVariableBorrowIndex = uint256(reserve.variableBorrowIndex);
         IVariableDebtToken(reserve.variableDebtTokenAddress).mint(
             msg.sender,
@@ -173,6 +215,7 @@ contract Pool is IPool, Ownable {
             amount,
             currentVariableBorrowIndex
         );
+        _validateNewDebt(onBehalfOf);
 
         IERC20(asset).safeTransfer(msg.sender, amount);
 
@@ -222,15 +265,189 @@ contract Pool is IPool, Ownable {
         return amountToRepay;
     }
 
+    /**
+     * @notice Function to liquidate a non-healthy position collateral-wise, with Health Factor below 1
+     * - The caller (liquidator) covers `debtToCover` amount of debt of the user getting liquidated, and receives
+     *   a proportional amount of the `collateralAsset` plus a bonus to cover market risk
+     * @param collateralAsset The address of the underlying asset used as collateral, to receive as result of the liquidation
+     * @param debtAsset The address of the underlying borrowed asset to be repaid with the liquidation
+     * @param user The address of the borrower getting liquidated
+     * @param debtToCover The debt amount of borrowed `asset` the liquidator wants to cover
+     * @param receiveAToken True if the liquidators wants to receive the collateral aTokens, `false` if he wants
+     *   to receive the underlying collateral asset directly
+     */
+    function liquidationCall(
+        address collateralAsset,
+        address debtAsset,
+        address user,
+        uint256 debtToCover,
+        bool receiveAToken
+    ) external override {
+        DataTypes.ReserveData storage collateralReserve = _reserves[collateralAsset];
+        DataTypes.ReserveData storage debtReserve = _reserves[debtAsset];
+        require(collateralReserve.configuration.getActive(), "RESERVE_NOT_ACTIVE");
+        require(debtReserve.configuration.getActive(), "RESERVE_NOT_ACTIVE");
+        require(debtToCover > 0, "INVALID_AMOUNT");
+
+        _updateInterestRates(debtAsset);
+        if (collateralAsset != debtAsset) {
+            _updateInterestRates(collateralAsset);
+        }
+
+        LiquidationCallLocalVars memory vars;
+        (, , , , , vars.healthFactor) = getUserAccountData(user);
+        require(vars.healthFactor < HEALTH_FACTOR_LIQUIDATION_THRESHOLD, "HEALTH_FACTOR_NOT_BELOW_THRESHOLD");
+
+        vars.variableBorrowIndex = uint256(debtReserve.variableBorrowIndex);
+        vars.userDebt = IVariableDebtToken(debtReserve.variableDebtTokenAddress).balanceOf(
+            user,
+            vars.variableBorrowIndex
+        );
+        require(vars.userDebt > 0, "SPECIFIED_CURRENCY_NOT_BORROWED_BY_USER");
+
+        vars.liquidityIndex = uint256(collateralReserve.liquidityIndex);
+        vars.userCollateral = IAToken(collateralReserve.aTokenAddress).balanceOf(user).rayMul(vars.liquidityIndex);
+        require(vars.userCollateral > 0, "COLLATERAL_CANNOT_BE_LIQUIDATED");
+
+        uint256 closeFactor = vars.healthFactor > CLOSE_FACTOR_HF_THRESHOLD
+            ? DEFAULT_LIQUIDATION_CLOSE_FACTOR
+            : MAX_LIQUIDATION_CLOSE_FACTOR;
+        uint256 maxLiquidatableDebt = vars.userDebt.percentMul(closeFactor);
+        vars.actualDebtToLiquidate = debtToCover > maxLiquidatableDebt ? maxLiquidatableDebt : debtToCover;
+
+        (vars.collateralToLiquidate, vars.actualDebtToLiquidate) = _calculateAvailableCollateralToLiquidate(
+            collateralAsset,
+            debtAsset,
+            vars.actualDebtToLiquidate,
+            vars.userCollateral
+        );
+        require(vars.actualDebtToLiquidate > 0 && vars.collateralToLiquidate > 0, "INVALID_AMOUNT");
+
+        IVariableDebtToken(debtReserve.variableDebtTokenAddress).burn(
+            user,
+            vars.actualDebtToLiquidate,
+            vars.variableBorrowIndex
+        );
+
+        uint256 collateralToLiquidateScaled = vars.collateralToLiquidate.rayDiv(vars.liquidityIndex);
+        if (receiveAToken) {
+            IAToken(collateralReserve.aTokenAddress).transferOnLiquidation(user, msg.sender, collateralToLiquidateScaled);
+        } else {
+            IAToken(collateralReserve.aTokenAddress).burn(user, msg.sender, collateralToLiquidateScaled);
+            IERC20(collateralAsset).safeTransfer(msg.sender, vars.collateralToLiquidate);
+        }
+
+        IERC20(debtAsset).safeTransferFrom(msg.sender, address(this), vars.actualDebtToLiquidate);
+
+        emit LiquidationCall(
+            collateralAsset,
+            debtAsset,
+            user,
+            vars.actualDebtToLiquidate,
+            vars.collateralToLiquidate,
+            msg.sender,
+            receiveAToken
+        );
+    }
+
+    /// @inheritdoc IPool
+    function flashLoan(
+        address receiverAddress,
+        address[] calldata assets,
+        uint256[] calldata amounts,
+        uint256[] calldata interestRateModes,
+        address onBehalfOf,
+        bytes calldata params,
+        uint16 referralCode
+    ) external override {
+        require(
+            assets.length == amounts.length && assets.length == interestRateModes.length,
+            "INCONSISTENT_FLASHLOAN_PARAMS"
+        );
+
+        uint256[] memory premiums = new uint256[](assets.length);
+        for (uint256 i = 0; i < assets.length; i++) {
+            if (interestRateModes[i] == uint256(DataTypes.InterestRateMode.NONE)) {
+                premiums[i] = amounts[i].percentMul(_flashLoanPremiumTotal);
+            } else {
+                // Amounts kept as debt pay interest instead of a premium
+                require(
+                    interestRateModes[i] == uint256(DataTypes.InterestRateMode.VARIABLE),
+                    "INVALID_INTEREST_RATE_MODE_SELECTED"
+                );
+                require(onBehalfOf == msg.sender, "CREDIT_DELEGATION_NOT_SUPPORTED");
+            }
+            _transferFlashLoan(assets[i], receiverAddress, amounts[i]);
+        }
+
+        require(
+            IPoolFlashLoanReceiver(receiverAddress).executeOperation(assets, amounts, premiums, msg.sender, params),
+            "INVALID_FLASHLOAN_EXECUTOR_RETURN"
+        );
+
+        for (uint256 i = 0; i < assets.length; i++) {
+            if (interestRateModes[i] == uint256(DataTypes.InterestRateMode.NONE)) {
+                _handleFlashLoanRepayment(assets[i], receiverAddress, amounts[i], premiums[i]);
+            } else {
+                _openFlashLoanDebt(assets[i], amounts[i], onBehalfOf, referralCode);
+            }
+            emit FlashLoan(
+                receiverAddress,
+                msg.sender,
+                assets[i],
+                amounts[i],
+                interestRateModes[i],
+                premiums[i],
+                referralCode
+            );
+        }
+    }
+
+    /// @inheritdoc IPool
+    function flashLoanSimple(
+        address receiverAddress,
+        address asset,
+        uint256 amount,
+        bytes calldata params,
+        uint16 referralCode
+    ) external override {
+        uint256 premium = amount.percentMul(_flashLoanPremiumTotal);
+        _transferFlashLoan(asset, receiverAddress, amount);
+
+        require(
+            IFlashLoanSimpleReceiver(receiverAddress).executeOperation(asset, amount, premium, msg.sender, params),
+            "INVALID_FLASHLOAN_EXECUTOR_RETURN"
+        );
+
+        _handleFlashLoanRepayment(asset, receiverAddress, amount, premium);
+
+        emit FlashLoan(
+            receiverAddress,
+            msg.sender,
+            asset,
+            amount,
+            uint256(DataTypes.InterestRateMode.NONE),
+            premium,
+            referralCode
+        );
+    }
+
+    /// @inheritdoc IPool
+    function FLASHLOAN_PREMIUM_TOTAL() external view override returns (uint128) {
+        return _flashLoanPremiumTotal;
+    }
+
     /**
      * @notice Returns the user account data across all the reserves
+     * @dev Amounts are valued with the price oracle registered in the PoolAddressesProvider, and include the
+     *   interest accrued up to the current block
      * @param user The address of the user
-     * @return totalCollateralBase The total collateral of the user
-     * @return totalDebtBase The total debt of the user
-     * @return availableBorrowsBase The borrowing power left of the user
+     * @return totalCollateralBase The total collateral of the user in the base currency used by the price feed
+     * @return totalDebtBase The total debt of the user in the base currency used by the price feed
+     * @return availableBorrowsBase The borrowing power left of the user in the base currency used by the price feed
      * @return currentLiquidationThreshold The liquidation threshold of the user
-     * @return ltv The loan to value of The user
-     * @return healthFactor The current health factor of the user
+     * @return ltv The loan to value of The user, in bps
+     * @return healthFactor The current health factor of the user, in wad
      */
     function getUserAccountData(
         address user
@@ -249,12 +466,13 @@ contract Pool is IPool, Ownable {
     {
         (totalCollateralBase, totalDebtBase, ltv, currentLiquidationThreshold) = _calculateUserAccountData(user);
 
-        if (totalCollateralBase > 0) {
-            availableBorrowsBase = totalCollateralBase.rayMul(ltv) - totalDebtBase;
+        uint256 maxBorrowsBase = totalCollateralBase.percentMul(ltv);
+        if (maxBorrowsBase > totalDebtBase) {
+            availableBorrowsBase = maxBorrowsBase - totalDebtBase;
         }
 
         if (totalDebtBase > 0) {
-            healthFactor = totalCollateralBase.rayMul(currentLiquidationThreshold).rayDiv(totalDebtBase);
+            healthFactor = totalCollateralBase.percentMul(currentLiquidationThreshold).wadDiv(totalDebtBase);
         } else {
             healthFactor = type(uint256).max;
         }
@@ -266,38 +484,83 @@ contract Pool is IPool, Ownable {
     function _calculateUserAccountData(
         address user
     ) internal view returns (uint256 totalCollateralBase, uint256 totalDebtBase, uint256 ltv, uint256 currentLiquidationThreshold) {
-        uint256 reservesLength = _reservesCount;
-        uint256 weightedLtv;
-        uint256 weightedLiquidationThreshold;
+        IPriceOracleGetter oracle = IPriceOracleGetter(ADDRESSES_PROVIDER.getPriceOracle());
+        CalculateUserAccountDataVars memory vars;
 
-        for (uint256 i = 0; i < reservesLength; i++) {
+        for (uint256 i = 0; i < _reservesCount; i++) {
             address reserveAddress = _reservesList[i];
             DataTypes.ReserveData storage reserve = _reserves[reserveAddress];
 
-            uint256 userBalance = IAToken(reserve.aTokenAddress).balanceOf(user);
-            if (userBalance > 0) {
-                uint256 liquidityIndex = uint256(reserve.liquidityIndex);
-                uint256 collateralValue = userBalance.rayMul(liquidityIndex);
-                totalCollateralBase += collateralValue;
-                weightedLtv += collateralValue.rayMul(reserve.configuration.getLtv());
-                weightedLiquidationThreshold += collateralValue.rayMul(
-                    reserve.configuration.getLiquidationThreshold()
-                );
+            vars.userBalance = IAToken(reserve.aTokenAddress).balanceOf(user);
+            vars.userDebt = IVariableDebtToken(reserve.variableDebtTokenAddress).scaledBalanceOf(user);
+            if (vars.userBalance == 0 && vars.userDebt == 0) {
+                continue;
             }
 
-            uint256 variableBorrowIndex = uint256(reserve.variableBorrowIndex);
-            uint256 userDebt = IVariableDebtToken(reserve.variableDebtTokenAddress).balanceOf(
-                user,
-                variableBorrowIndex
-            );
-            if (userDebt > 0) {
-                totalDebtBase += userDebt;
+            // Valued with the interest accrued up to now, as the next update of the reserve would
+            (, , vars.liquidityIndex, vars.variableBorrowIndex) = _accruedIndexes(reserveAddress);
+            vars.userDebt = vars.userDebt.rayMul(vars.variableBorrowIndex);
+
+            // Normalize by the reserve decimals so every reserve is valued in the same base currency
+            vars.assetPrice = oracle.getAssetPrice(reserveAddress);
+            vars.assetUnit = 10 ** reserve.configuration.getDecimals();
+
+            if (vars.userBalance > 0) {
+                vars.collateralValue =
+                    (vars.userBalance.rayMul(vars.liquidityIndex) * vars.assetPrice) /
+                    vars.assetUnit;
+                totalCollateralBase += vars.collateralValue;
+                vars.weightedLtv += vars.collateralValue * reserve.configuration.getLtv();
+                vars.weightedLiquidationThreshold +=
+                    vars.collateralValue *
+                    reserve.configuration.getLiquidationThreshold();
+            }
+
+            if (vars.userDebt > 0) {
+                totalDebtBase += (vars.userDebt * vars.assetPrice) / vars.assetUnit;
             }
         }
 
+        // Weighted averages, expressed in bps
         if (totalCollateralBase > 0) {
-            ltv = weightedLtv.rayDiv(totalCollateralBase);
-            currentLiquidationThreshold = weightedLiquidationThreshold.rayDiv(totalCollateralBase);
+            ltv = vars.weightedLtv / totalCollateralBase;
+            currentLiquidationThreshold = vars.weightedLiquidationThreshold / totalCollateralBase;
+        }
+    }
+
+    /**
+     * @dev Calculates how much collateral can be liquidated for `debtToCover` at oracle prices, including the
+     *   liquidation bonus. If the user does not hold enough collateral, the debt covered is reduced to what the
+     *   collateral pays for.
+     * @return collateralAmount The collateral amount the liquidator receives
+     * @return debtAmountNeeded The debt amount the liquidator repays
+     */
+    function _calculateAvailableCollateralToLiquidate(
+        address collateralAsset,
+        address debtAsset,
+        uint256 debtToCover,
+        uint256 userCollateralBalance
+    ) internal view returns (uint256 collateralAmount, uint256 debtAmountNeeded) {
+        IPriceOracleGetter oracle = IPriceOracleGetter(ADDRESSES_PROVIDER.getPriceOracle());
+        DataTypes.ReserveConfigurationMap memory collateralConfig = _reserves[collateralAsset].configuration;
+        uint256 liquidationBonus = collateralConfig.getLiquidationBonus();
+        uint256 collateralPrice = oracle.getAssetPrice(collateralAsset);
+        uint256 debtPrice = oracle.getAssetPrice(debtAsset);
+        require(collateralPrice > 0 && debtPrice > 0, "INVALID_ASSET_PRICE");
+
+        uint256 collateralUnit = 10 ** collateralConfig.getDecimals();
+        uint256 debtUnit = 10 ** _reserves[debtAsset].configuration.getDecimals();
+
+        uint256 maxCollateralToLiquidate = ((debtPrice * debtToCover * collateralUnit) /
+            (collateralPrice * debtUnit)).percentMul(PercentageMath.PERCENTAGE_FACTOR + liquidationBonus);
+
+        if (maxCollateralToLiquidate > userCollateralBalance) {
+            collateralAmount = userCollateralBalance;
+            debtAmountNeeded = ((collateralPrice * userCollateralBalance * debtUnit) / (debtPrice * collateralUnit))
+                .percentDiv(PercentageMath.PERCENTAGE_FACTOR + liquidationBonus);
+        } else {
+            collateralAmount = maxCollateralToLiquidate;
+            debtAmountNeeded = debtToCover;
         }
     }
 
@@ -322,14 +585,209 @@ contract Pool is IPool, Ownable {
     }
 
     /**
-     * @notice Updates the liquidity and variable borrow indexes
+     * @notice Returns the liquidity index of the reserve with the interest accrued up to the current block, which
+     *   the stored index only includes up to the reserve's last update
+     * @param asset The address of the underlying asset of the reserve
+     * @return The liquidity index a reserve update would set now, in ray
+     */
+    function getReserveNormalizedIncome(address asset) external view override returns (uint256) {
+        (, , uint256 liquidityIndex, ) = _accruedIndexes(asset);
+        return liquidityIndex;
+    }
+
+    /**
+     * @notice Returns the variable borrow index of the reserve with the interest accrued up to the current block
+     * @param asset The address of the underlying asset of the reserve
+     * @return The variable borrow index a reserve update would set now, in ray
+     */
+    function getReserveNormalizedVariableDebt(address asset) external view override returns (uint256) {
+        (, , , uint256 variableBorrowIndex) = _accruedIndexes(asset);
+        return variableBorrowIndex;
+    }
+
+    /**
+     * @notice Returns the list of the underlying assets of all the initialized reserves
+     * @return The addresses of the underlying assets of the initialized reserves
+     */
+    function getReservesList() external view override returns (address[] memory) {
+        address[] memory reservesList = new address[](_reservesCount);
+        for (uint256 i = 0; i < _reservesCount; i++) {
+            reservesList[i] = _reservesList[i];
+        }
+        return reservesList;
+    }
+
+    /// @inheritdoc IPool
+    function setConfiguration(
+        address asset,
+        DataTypes.ReserveConfigurationMap calldata configuration
+    ) external override onlyPoolConfigurator {
+        require(_reserves[asset].aTokenAddress != address(0), "RESERVE_NOT_INITIALIZED");
+
+        _updateInterestRates(asset);
+        _reserves[asset].configuration = configuration;
+        // Rates pick up the new reserve factor right away
+        _updateInterestRates(asset);
+    }
+
+    /// @inheritdoc IPool
+    function setReserveInterestRateStrategyAddress(
+        address asset,
+        address rateStrategyAddress
+    ) external override onlyPoolConfigurator {
+        require(_reserves[asset].aTokenAddress != address(0), "RESERVE_NOT_INITIALIZED");
+        require(rateStrategyAddress != address(0), "INVALID_INTEREST_RATE_STRATEGY_ADDRESS");
+
+        _updateInterestRates(asset);
+        _reserves[asset].interestRateStrategyAddress = rateStrategyAddress;
+        _updateInterestRates(asset);
+    }
+
+    /// @inheritdoc IPool
+    function updateFlashloanPremium(uint128 flashLoanPremiumTotal) external override onlyPoolConfigurator {
+        _flashLoanPremiumTotal = flashLoanPremiumTotal;
+    }
+
+    /// @inheritdoc IPool
+    function mintToTreasury(address[] calldata assets) external override {
+        address treasury = ADDRESSES_PROVIDER.getTreasury();
+        require(treasury != address(0), "INVALID_TREASURY");
+
+        for (uint256 i = 0; i < assets.length; i++) {
+            DataTypes.ReserveData storage reserve = _reserves[assets[i]];
+            uint256 accruedToTreasury = reserve.accruedToTreasury;
+            if (accruedToTreasury == 0) {
+                continue;
+            }
+
+            reserve.accruedToTreasury = 0;
+            IAToken(reserve.aTokenAddress).mint(treasury, accruedToTreasury);
+
+            emit MintedToTreasury(assets[i], accruedToTreasury.rayMul(uint256(reserve.liquidityIndex)));
+        }
+    }
+
+    /**
+     * @notice Sends flash-borrowed liquidity to the receiver, accruing the reserve first
+     */
+    function _transferFlashLoan(address asset, address receiverAddress, uint256 amount) internal {
+        DataTypes.ReserveData storage reserve = _reserves[asset];
+        require(reserve.configuration.getActive(), "RESERVE_NOT_ACTIVE");
+        require(amount > 0, "INVALID_AMOUNT");
+
+        _updateInterestRates(asset);
+
+        require(IERC20(asset).balanceOf(address(this)) >= amount, "NOT_ENOUGH_AVAILABLE_USER_BALANCE");
+        IERC20(asset).safeTransfer(receiverAddress, amount);
+    }
+
+    /**
+     * @notice Pulls back a flash loan plus its premium, and adds the premium to the liquidity index so everything
+     *   supplied to the reserve (the treasury's accrued share included) earns it
+     */
+    function _handleFlashLoanRepayment(
+        address asset,
+        address receiverAddress,
+        uint256 amount,
+        uint256 premium
+    ) internal {
+        DataTypes.ReserveData storage reserve = _reserves[asset];
+        IERC20(asset).safeTransferFrom(receiverAddress, address(this), amount + premium);
+
+        uint256 liquidityIndex = uint256(reserve.liquidityIndex);
+        uint256 totalLiquidity = (IERC20(reserve.aTokenAddress).totalSupply() + uint256(reserve.accruedToTreasury))
+            .rayMul(liquidityIndex);
+        if (premium > 0 && totalLiquidity > 0) {
+            uint256 premiumRatio = premium.wadToRay().rayDiv(totalLiquidity.wadToRay());
+            reserve.liquidityIndex = uint128((premiumRatio + WadRayMath.RAY).rayMul(liquidityIndex));
+        }
+
+        // Rates pick up the repaid liquidity
+        _updateInterestRates(asset);
+    }
+
+    /**
+     * @notice Keeps a flash loan as variable debt of `onBehalfOf`, under the same conditions as a borrow
+     */
+    function _openFlashLoanDebt(address asset, uint256 amount, address onBehalfOf, uint16 referralCode) internal {
+        DataTypes.ReserveData storage reserve = _reserves[asset];
+        require(!reserve.configuration.getFrozen(), "RESERVE_FROZEN");
+        require(reserve.configuration.getBorrowingEnabled(), "BORROWING_NOT_ENABLED");
+
+        IVariableDebtToken(reserve.variableDebtTokenAddress).mint(
+            msg.sender,
+            onBehalfOf,
+            amount,
+            uint256(reserve.variableBorrowIndex)
+        );
+
+        _validateNewDebt(onBehalfOf);
+
+        _updateInterestRates(asset);
+
+        emit Borrow(asset, msg.sender, onBehalfOf, amount, uint256(DataTypes.InterestRateMode.VARIABLE), referralCode);
+    }
+
+    /**
+     * @dev Checks a position right after it took on debt, with that debt included: it has collateral, stays
+     *   healthy, and the debt fits within the collateral's LTV
+     */
+    function _validateNewDebt(address user) internal view {
+        (uint256 totalCollateralBase, uint256 totalDebtBase,,, uint256 ltv, uint256 healthFactor) =
+            getUserAccountData(user);
+        require(totalCollateralBase > 0, "COLLATERAL_BALANCE_IS_ZERO");
+        require(healthFactor > HEALTH_FACTOR_LIQUIDATION_THRESHOLD, "HEALTH_FACTOR_LOWER_THAN_LIQUIDATION_THRESHOLD");
+        require(totalDebtBase <= totalCollateralBase.percentMul(ltv), "COLLATERAL_CANNOT_COVER_NEW_BORROW");
+    }
+
+    /**
+     * @notice Updates the liquidity and variable borrow indexes, and accrues the reserve factor share of the
+     *   interest to the treasury. Suppliers earn the borrow interest net of the reserve factor.
      * @param asset The address of the underlying asset of the reserve
      */
     function _updateInterestRates(address asset) internal {
         DataTypes.ReserveData storage reserve = _reserves[asset];
 
+        uint256 scaledTotalDebt = IVariableDebtToken(reserve.variableDebtTokenAddress).scaledTotalSupply();
+        uint256 totalVariableDebt = scaledTotalDebt.rayMul(uint256(reserve.variableBorrowIndex));
+        (
+            uint256 newLiquidityRate,
+            uint256 newVariableBorrowRate,
+            uint256 liquidityIndex,
+            uint256 variableBorrowIndex
+        ) = _accruedIndexes(asset);
+
+        reserve.currentLiquidityRate = uint128(newLiquidityRate);
+        reserve.currentVariableBorrowRate = uint128(newVariableBorrowRate);
+
+        uint256 reserveFactor = reserve.configuration.getReserveFactor();
+        if (block.timestamp > reserve.lastUpdateTimestamp && reserveFactor > 0) {
+            // The interest accrued on the whole debt since the last update, valued at the new index
+            uint256 debtAccrued = scaledTotalDebt.rayMul(variableBorrowIndex) - totalVariableDebt;
+            reserve.accruedToTreasury += uint128(debtAccrued.percentMul(reserveFactor).rayDiv(liquidityIndex));
+        }
+        reserve.lastUpdateTimestamp = uint40(block.timestamp);
+        reserve.liquidityIndex = uint128(liquidityIndex);
+        reserve.variableBorrowIndex = uint128(variableBorrowIndex);
+    }
+
+    /**
+     * @dev The rates at the reserve's current utilization, and the indexes with the interest accrued at them since
+     *   the last update, which are what _updateInterestRates sets. Views value positions with these indexes, so
+     *   they match what the next transaction sees once it updates the reserve.
+     */
+    function _accruedIndexes(
+        address asset
+    )
+        internal
+        view
+        returns (uint256 liquidityRate, uint256 variableBorrowRate, uint256 liquidityIndex, uint256 variableBorrowIndex)
+    {
+        DataTypes.ReserveData storage reserve = _reserves[asset];
+
         uint256 availableLiquidity = IERC20(asset).balanceOf(address(this));
-        uint256 variableBorrowIndex = uint256(reserve.variableBorrowIndex);
+        liquidityIndex = uint256(reserve.liquidityIndex);
+        variableBorrowIndex = uint256(reserve.variableBorrowIndex);
         uint256 totalVariableDebt = IVariableDebtToken(reserve.variableDebtTokenAddress).scaledTotalSupply().rayMul(
             variableBorrowIndex
         );
@@ -339,29 +797,19 @@ contract Pool is IPool, Ownable {
             utilizationRate = totalVariableDebt.rayDiv(availableLiquidity + totalVariableDebt);
         }
 
-        (uint256 newLiquidityRate, uint256 newVariableBorrowRate) = IInterestRateStrategy(
-            reserve.interestRateStrategyAddress
-        ).calculateInterestRates(utilizationRate);
-
-        reserve.currentLiquidityRate = uint128(newLiquidityRate);
-        reserve.currentVariableBorrowRate = uint128(newVariableBorrowRate);
-        
-        uint40 lastUpdateTimestamp = reserve.lastUpdateTimestamp;
-        uint256 timeDelta = block.timestamp - lastUpdateTimestamp;
-        reserve.lastUpdateTimestamp = uint40(block.timestamp);
+        (liquidityRate, variableBorrowRate) = IInterestRateStrategy(reserve.interestRateStrategyAddress)
+            .calculateInterestRates(utilizationRate);
+        liquidityRate = liquidityRate.percentMul(
+            PercentageMath.PERCENTAGE_FACTOR - reserve.configuration.getReserveFactor()
+        );
 
-        // Update indexes
-        uint256 liquidityIndex = uint256(reserve.liquidityIndex);
+        uint256 timeDelta = block.timestamp - reserve.lastUpdateTimestamp;
         if (timeDelta > 0) {
-            liquidityIndex = liquidityIndex.rayMul(
-                WadRayMath.RAY + (newLiquidityRate * timeDelta) / 365 days
-            );
+            liquidityIndex = liquidityIndex.rayMul(WadRayMath.RAY + (liquidityRate * timeDelta) / 365 days);
             variableBorrowIndex = variableBorrowIndex.rayMul(
-                WadRayMath.RAY + (newVariableBorrowRate * timeDelta) / 365 days
+                WadRayMath.RAY + (variableBorrowRate * timeDelta) / 365 days
             );
         }
-        reserve.liquidityIndex = uint128(liquidityIndex);
-        reserve.variableBorrowIndex = uint128(variableBorrowIndex);
     }
 
     event Supply(address indexed reserve, address user, address onBehalfOf, uint256 amount, uint16 indexed referral);
@@ -375,5 +823,24 @@ contract Pool is IPool, Ownable {
         uint16 indexed referral
     );
     event Repay(address indexed reserve, address indexed user, address indexed repayer, uint256 amount);
+    event MintedToTreasury(address indexed reserve, uint256 amountMinted);
+    event FlashLoan(
+        address indexed target,
+        address initiator,
+        address indexed asset,
+        uint256 amount,
+        uint256 interestRateMode,
+        uint256 premium,
+        uint16 indexed referralCode
+    );
+    event LiquidationCall(
+        address indexed collateralAsset,
+        address indexed debtAsset,
+        address indexed user,
+        uint256 debtToCover,
+        uint256 liquidatedCollateralAmount,
+        address liquidator,
+        bool receiveAToken
+    );
 }
 
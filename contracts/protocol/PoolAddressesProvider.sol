@@ -11,6 +11,9 @@ import "../interfaces/IPool.sol";
  */
 contract PoolAddressesProvider is IPoolAddressesProvider, Ownable {
     address private _pool;
+    address private _priceOracle;
+    address private _poolConfigurator;
+    address private _treasury;
 
     /**
      * @dev Constructor
@@ -35,6 +38,60 @@ contract PoolAddressesProvider is IPoolAddressesProvider, Ownable {
         emit PoolUpdated(newPoolImpl);
     }
 
+    /**
+     * @notice Returns the address of the price oracle.
+     * @return The address of the PriceOracle
+     */
+    function getPriceOracle() external view override returns (address) {
+        return _priceOracle;
+    }
+
+    /**
+     * @notice Updates the address of the price oracle.
+     * @param newPriceOracle The address of the new PriceOracle
+     */
+    function setPriceOracle(address newPriceOracle) external override onlyOwner {
+        _priceOracle = newPriceOracle;
+        emit PriceOracleUpdated(newPriceOracle);
+    }
+
+    /**
+     * @notice Returns the address of the PoolConfigurator, the only account allowed to change reserve parameters.
+     * @return The PoolConfigurator address
+     */
+    function getPoolConfigurator() external view override returns (address) {
+        return _poolConfigurator;
+    }
+
+    /**
+     * @notice Updates the address of the PoolConfigurator.
+     * @param newPoolConfigurator The address of the new PoolConfigurator
+     */
+    function setPoolConfigurator(address newPoolConfigurator) external override onlyOwner {
+        _poolConfigurator = newPoolConfigurator;
+        emit PoolConfiguratorUpdated(newPoolConfigurator);
+    }
+
+    /**
+     * @notice Returns the address of the treasury the reserve factor accrues to.
+     * @return The treasury address
+     */
+    function getTreasury() external view override returns (address) {
+        return _treasury;
+    }
+
+    /**
+     * @notice Updates the address of the treasury.
+     * @param newTreasury The address of the new treasury
+     */
+    function setTreasury(address newTreasury) external override onlyOwner {
+        _treasury = newTreasury;
+        emit TreasuryUpdated(newTreasury);
+    }
+
     event PoolUpdated(address indexed newAddress);
+    event PriceOracleUpdated(address indexed newAddress);
+    event PoolConfiguratorUpdated(address indexed newAddress);
+    event TreasuryUpdated(address indexed newAddress);
 }
 
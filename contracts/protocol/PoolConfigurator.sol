@@ -0,0 +1,197 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "../interfaces/IPool.sol";
+import "../interfaces/IPoolAddressesProvider.sol";
+import "../interfaces/IVariableDebtToken.sol";
+import "../libraries/DataTypes.sol";
+import "../libraries/ReserveConfiguration.sol";
+import "../libraries/PercentageMath.sol";
+
+/**
+ * @title PoolConfigurator
+ * @notice Changes the parameters of initialized reserves: collateral parameters, borrowing, freezing,
+ *   activation, reserve factor and interest rate strategy, and the pool-wide flash loan premium
+ * @dev Registered in the PoolAddressesProvider, which the Pool checks configuration calls against. The pool
+ *   admin is the owner of the PoolAddressesProvider.
+ */
+contract PoolConfigurator {
+    using ReserveConfiguration for DataTypes.ReserveConfigurationMap;
+    using PercentageMath for uint256;
+
+    IPoolAddressesProvider public immutable ADDRESSES_PROVIDER;
+
+    event CollateralConfigurationChanged(
+        address indexed asset,
+        uint256 ltv,
+        uint256 liquidationThreshold,
+        uint256 liquidationBonus
+    );
+    event ReserveBorrowing(address indexed asset, bool enabled);
+    event ReserveFrozen(address indexed asset, bool frozen);
+    event ReserveActive(address indexed asset, bool active);
+    event ReserveFactorChanged(address indexed asset, uint256 oldReserveFactor, uint256 newReserveFactor);
+    event ReserveInterestRateStrategyChanged(address indexed asset, address oldStrategy, address newStrategy);
+    event FlashloanPremiumTotalUpdated(uint128 oldFlashloanPremiumTotal, uint128 newFlashloanPremiumTotal);
+
+    modifier onlyPoolAdmin() {
+        require(Ownable(address(ADDRESSES_PROVIDER)).owner() == msg.sender, "CALLER_NOT_POOL_ADMIN");
+        _;
+    }
+
+    /**
+     * @param addressesProvider The PoolAddressesProvider this configurator is registered in
+     */
+    constructor(address addressesProvider) {
+        ADDRESSES_PROVIDER = IPoolAddressesProvider(addressesProvider);
+    }
+
+    /**
+     * @notice Configures the collateral parameters of a reserve
+     * @dev A liquidation threshold of 0 disables the reserve as collateral, and then requires a bonus of 0.
+     *   Otherwise the threshold plus the bonus has to stay below 100%, or liquidations would seize more
+     *   collateral than the position holds.
+     * @param asset The address of the underlying asset of the reserve
+     * @param ltv The loan to value, in bps
+     * @param liquidationThreshold The liquidation threshold, in bps
+     * @param liquidationBonus The liquidation bonus, in bps on top of the debt repaid (e.g. 500 for 5%)
+     */
+    function configureReserveAsCollateral(
+        address asset,
+        uint256 ltv,
+        uint256 liquidationThreshold,
+        uint256 liquidationBonus
+    ) external onlyPoolAdmin {
+        require(ltv <= liquidationThreshold, "INVALID_RESERVE_PARAMS");
+        if (liquidationThreshold != 0) {
+            require(
+                liquidationThreshold.percentMul(PercentageMath.PERCENTAGE_FACTOR + liquidationBonus) <=
+                    PercentageMath.PERCENTAGE_FACTOR,
+                "INVALID_RESERVE_PARAMS"
+            );
+        } else {
+            require(liquidationBonus == 0, "INVALID_RESERVE_PARAMS");
+        }
+
+        DataTypes.ReserveConfigurationMap memory config = _getConfiguration(asset);
+        config.setLtv(ltv);
+        config.setLiquidationThreshold(liquidationThreshold);
+        config.setLiquidationBonus(liquidationBonus);
+        _pool().setConfiguration(asset, config);
+
+        emit CollateralConfigurationChanged(asset, ltv, liquidationThreshold, liquidationBonus);
+    }
+
+    /**
+     * @notice Enables or disables borrowing on a reserve
+     * @param asset The address of the underlying asset of the reserve
+     * @param enabled True to enable borrowing
+     */
+    function setReserveBorrowing(address asset, bool enabled) external onlyPoolAdmin {
+        DataTypes.ReserveConfigurationMap memory config = _getConfiguration(asset);
+        config.setBorrowingEnabled(enabled);
+        _pool().setConfiguration(asset, config);
+
+        emit ReserveBorrowing(asset, enabled);
+    }
+
+    /**
+     * @notice Freezes or unfreezes a reserve. A frozen reserve takes no new supply or borrows, but withdrawals,
+     *   repayments and liquidations still go through.
+     * @param asset The address of the underlying asset of the reserve
+     * @param freeze True to freeze the reserve
+     */
+    function setReserveFreeze(address asset, bool freeze) external onlyPoolAdmin {
+        DataTypes.ReserveConfigurationMap memory config = _getConfiguration(asset);
+        config.setFrozen(freeze);
+        _pool().setConfiguration(asset, config);
+
+        emit ReserveFrozen(asset, freeze);
+    }
+
+    /**
+     * @notice Activates or deactivates a reserve. An inactive reserve rejects every action, so it can only be
+     *   deactivated once nothing is supplied to or borrowed from it.
+     * @param asset The address of the underlying asset of the reserve
+     * @param active True to activate the reserve
+     */
+    function setReserveActive(address asset, bool active) external onlyPoolAdmin {
+        if (!active) {
+            _checkNoLiquidity(asset);
+        }
+
+        DataTypes.ReserveConfigurationMap memory config = _getConfiguration(asset);
+        config.setActive(active);
+        _pool().setConfiguration(asset, config);
+
+        emit ReserveActive(asset, active);
+    }
+
+    /**
+     * @notice Updates the share of the borrow interest that accrues to the treasury
+     * @param asset The address of the underlying asset of the reserve
+     * @param newReserveFactor The new reserve factor, in bps
+     */
+    function setReserveFactor(address asset, uint256 newReserveFactor) external onlyPoolAdmin {
+        require(newReserveFactor <= PercentageMath.PERCENTAGE_FACTOR, "INVALID_RESERVE_FACTOR");
+
+        DataTypes.ReserveConfigurationMap memory config = _getConfiguration(asset);
+        uint256 oldReserveFactor = config.getReserveFactor();
+        config.setReserveFactor(newReserveFactor);
+        _pool().setConfiguration(asset, config);
+
+        emit ReserveFactorChanged(asset, oldReserveFactor, newReserveFactor);
+    }
+
+    /**
+     * @notice Swaps the interest rate strategy of a reserve
+     * @param asset The address of the underlying asset of the reserve
+     * @param newRateStrategyAddress The address of the new interest rate strategy contract
+     */
+    function setReserveInterestRateStrategyAddress(
+        address asset,
+        address newRateStrategyAddress
+    ) external onlyPoolAdmin {
+        IPool pool = _pool();
+        address oldRateStrategyAddress = pool.getReserveData(asset).interestRateStrategyAddress;
+        pool.setReserveInterestRateStrategyAddress(asset, newRateStrategyAddress);
+
+        emit ReserveInterestRateStrategyChanged(asset, oldRateStrategyAddress, newRateStrategyAddress);
+    }
+
+    /**
+     * @notice Updates the fee on flash loans, which goes to the suppliers of the reserve lent from
+     * @param newFlashloanPremiumTotal The new flash loan premium, in bps
+     */
+    function updateFlashloanPremiumTotal(uint128 newFlashloanPremiumTotal) external onlyPoolAdmin {
+        require(newFlashloanPremiumTotal <= PercentageMath.PERCENTAGE_FACTOR, "FLASHLOAN_PREMIUM_INVALID");
+
+        IPool pool = _pool();
+        uint128 oldFlashloanPremiumTotal = pool.FLASHLOAN_PREMIUM_TOTAL();
+        pool.updateFlashloanPremium(newFlashloanPremiumTotal);
+
+        emit FlashloanPremiumTotalUpdated(oldFlashloanPremiumTotal, newFlashloanPremiumTotal);
+    }
+
+    function _pool() internal view returns (IPool) {
+        return IPool(ADDRESSES_PROVIDER.getPool());
+    }
+
+    function _getConfiguration(address asset) internal view returns (DataTypes.ReserveConfigurationMap memory) {
+        IPool pool = _pool();
+        require(pool.getReserveData(asset).aTokenAddress != address(0), "RESERVE_NOT_INITIALIZED");
+        return pool.getConfiguration(asset);
+    }
+
+    function _checkNoLiquidity(address asset) internal view {
+        DataTypes.ReserveData memory reserve = _pool().getReserveData(asset);
+        require(
+            IERC20(reserve.aTokenAddress).totalSupply() == 0 &&
+                IVariableDebtToken(reserve.variableDebtTokenAddress).scaledTotalSupply() == 0 &&
+                reserve.accruedToTreasury == 0,
+            "RESERVE_LIQUIDITY_NOT_ZERO"
+        );
+    }
+}
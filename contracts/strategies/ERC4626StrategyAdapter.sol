@@ -0,0 +1,73 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/interfaces/IERC4626.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/math/Math.sol";
+import "../interfaces/IStrategyAdapter.sol";
+
+/**
+ * @title ERC4626StrategyAdapter
+ * @notice Deposits the borrow asset into any ERC-4626 vault. The shares are not Pool collateral, so the vault
+ *   borrows once against its collateral asset instead of looping.
+ * @dev Holds the target vault's shares, keeping count of each depositor's
+ */
+contract ERC4626StrategyAdapter is IStrategyAdapter {
+    using SafeERC20 for IERC20;
+
+    IERC4626 public immutable TARGET;
+    address public immutable ASSET;
+
+    /// @notice TARGET shares held for each depositor
+    mapping(address => uint256) public sharesOf;
+
+    /**
+     * @param target The ERC-4626 vault to deposit into; its asset is the strategy's asset
+     */
+    constructor(address target) {
+        TARGET = IERC4626(target);
+        ASSET = IERC4626(target).asset();
+    }
+
+    /// @inheritdoc IStrategyAdapter
+    function asset() external view override returns (address) {
+        return ASSET;
+    }
+
+    /// @inheritdoc IStrategyAdapter
+    function collateralPool() external pure override returns (address) {
+        return address(0);
+    }
+
+    /// @inheritdoc IStrategyAdapter
+    function deposit(uint256 amount) external override {
+        IERC20(ASSET).safeTransferFrom(msg.sender, address(this), amount);
+        IERC20(ASSET).forceApprove(address(TARGET), amount);
+        sharesOf[msg.sender] += TARGET.deposit(amount, address(this));
+    }
+
+    /// @inheritdoc IStrategyAdapter
+    function withdraw(uint256 amount) external override {
+        // Everything is redeemed by shares, so no dust is left behind
+        if (amount == type(uint256).max) {
+            uint256 shares = sharesOf[msg.sender];
+            sharesOf[msg.sender] = 0;
+            TARGET.redeem(shares, msg.sender, address(this));
+        } else {
+            // No fewer shares than withdraw burns
+            sharesOf[msg.sender] -= TARGET.previewWithdraw(amount);
+            TARGET.withdraw(amount, msg.sender, address(this));
+        }
+    }
+
+    /// @inheritdoc IStrategyAdapter
+    function balanceOf(address account) public view override returns (uint256) {
+        return TARGET.previewRedeem(sharesOf[account]);
+    }
+
+    /// @inheritdoc IStrategyAdapter
+    function maxWithdraw(address account) external view override returns (uint256) {
+        return Math.min(balanceOf(account), TARGET.maxWithdraw(address(this)));
+    }
+}
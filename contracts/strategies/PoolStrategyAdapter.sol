@@ -0,0 +1,65 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "../interfaces/IPool.sol";
+import "../interfaces/IAToken.sol";
+import "../interfaces/IStrategyAdapter.sol";
+import "../libraries/DataTypes.sol";
+import "../libraries/WadRayMath.sol";
+
+/**
+ * @title PoolStrategyAdapter
+ * @notice Keeps the borrow asset supplied to the Pool, as collateral of the vault's own position, so the vault can
+ *   keep looping on it
+ * @dev Only the supplier can withdraw its Pool supply, so the vault supplies and withdraws the asset itself: this
+ *   adapter names the Pool and reads the vault's supply, and its deposit and withdraw always revert
+ */
+contract PoolStrategyAdapter is IStrategyAdapter {
+    using WadRayMath for uint256;
+
+    IPool public immutable POOL;
+    address public immutable ASSET;
+
+    /**
+     * @param pool The Pool the vault borrows from
+     * @param asset_ The asset to supply
+     */
+    constructor(address pool, address asset_) {
+        POOL = IPool(pool);
+        ASSET = asset_;
+    }
+
+    /// @inheritdoc IStrategyAdapter
+    function asset() external view override returns (address) {
+        return ASSET;
+    }
+
+    /// @inheritdoc IStrategyAdapter
+    function collateralPool() external view override returns (address) {
+        return address(POOL);
+    }
+
+    /// @inheritdoc IStrategyAdapter
+    function deposit(uint256) external pure override {
+        revert("StrategyAdapter: supplied by the vault");
+    }
+
+    /// @inheritdoc IStrategyAdapter
+    function withdraw(uint256) external pure override {
+        revert("StrategyAdapter: supplied by the vault");
+    }
+
+    /// @inheritdoc IStrategyAdapter
+    function balanceOf(address account) public view override returns (uint256) {
+        IAToken aToken = IAToken(POOL.getReserveData(ASSET).aTokenAddress);
+        return aToken.balanceOf(account).rayMul(POOL.getReserveNormalizedIncome(ASSET));
+    }
+
+    /// @inheritdoc IStrategyAdapter
+    function maxWithdraw(address account) external view override returns (uint256) {
+        uint256 balance = balanceOf(account);
+        uint256 liquidity = IERC20(ASSET).balanceOf(address(POOL));
+        return balance < liquidity ? balance : liquidity;
+    }
+}
@@ -1,10 +1,26 @@
 require("@nomicfoundation/hardhat-toolbox");
-require("dotenv").config();
+require("dotenv").config({ quiet: true });
+require("./tasks/vault");
+require("./tasks/token");
+require("./tasks/pool");
+require("./tasks/oracle");
+require("./tasks/devnet");
 
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
-  solidity: "0.8.24",
+  solidity: {
+    version: "0.8.24",
+    // The Pool and the vault are over the 24 KiB contract size limit without it
+    settings: {
+      optimizer: { enabled: true, runs: 200 },
+    },
+  },
   networks: {
+    // `npx hardhat devnet` (or `npx hardhat node`)
+    localhost: {
+      url: "http://127.0.0.1:8545",
+      chainId: 31337,
+    },
     rayls: {
       url: "https://devnet-rpc.rayls.com",
       chainId: 123123,
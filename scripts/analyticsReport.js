@@ -0,0 +1,70 @@
+const fs = require("fs");
+const path = require("path");
+const hre = require("hardhat");
+const {
+  buildAnalyticsReport,
+  formatAnalyticsReport,
+  samplesToCsv,
+  windowsToCsv,
+  analyticsToHtml,
+} = require("./lib/analytics");
+const { loadManifest, getAddress } = require("./lib/deployments");
+
+async function main() {
+  // Vault and data provider to report on: VAULT_ADDRESS / POOL_DATA_PROVIDER or deployments/<network>.json
+  const manifest = await loadManifest(hre, { persist: true });
+  const vault = process.env.VAULT_ADDRESS || getAddress(manifest, "LeveragedERC4626Vault");
+  const dataProvider = process.env.POOL_DATA_PROVIDER || getAddress(manifest, "PoolDataProvider");
+  if (!vault || !dataProvider) {
+    throw new Error(
+      "No vault or PoolDataProvider to report on. Set VAULT_ADDRESS and POOL_DATA_PROVIDER or deploy with " +
+        "scripts/deployProtocol.js"
+    );
+  }
+
+  // Default start block: the vault deployment block, so the whole share price history is sampled
+  const vaultEntry = manifest.data.contracts.LeveragedERC4626Vault;
+  const fromBlock = Number(process.env.FROM_BLOCK || (vaultEntry && vaultEntry.blockNumber) || 0);
+  const toBlock = process.env.TO_BLOCK ? Number(process.env.TO_BLOCK) : "latest";
+  const windows = (process.env.WINDOWS || "1d,7d,30d,all").split(",").map((window) => window.trim());
+
+  const report = await buildAnalyticsReport(hre, {
+    vault,
+    dataProvider,
+    fromBlock,
+    toBlock,
+    samples: Number(process.env.SAMPLES || 100),
+    step: process.env.SAMPLE_EVERY ? Number(process.env.SAMPLE_EVERY) : null,
+    windows,
+  });
+  const formatted = formatAnalyticsReport(report);
+
+  const dir = process.env.REPORT_DIR || "reports";
+  fs.mkdirSync(dir, { recursive: true });
+  const prefix = path.join(dir, `analytics-${hre.network.name}-${report.toBlock}`);
+  fs.writeFileSync(`${prefix}.json`, JSON.stringify(formatted, null, 2) + "\n");
+  fs.writeFileSync(`${prefix}-samples.csv`, samplesToCsv(formatted));
+  fs.writeFileSync(`${prefix}-windows.csv`, windowsToCsv(formatted));
+  fs.writeFileSync(`${prefix}.html`, analyticsToHtml(report));
+
+  console.log(`Vault ${formatted.vault}, blocks ${formatted.fromBlock}-${formatted.toBlock}`);
+  console.log(`${formatted.samples.length} samples`);
+  console.table(
+    formatted.windows.map((window) => ({
+      window: window.complete ? window.name : `${window.name} (partial)`,
+      days: window.days,
+      vaultApy: window.vault && window.vault.apy,
+      maxDrawdown: window.vault && window.vault.maxDrawdown,
+      carrySpread: window.carrySpread,
+      netLeverageSpread: window.netLeverageSpread,
+    }))
+  );
+  console.log(`Wrote ${prefix}.json, ${prefix}-samples.csv, ${prefix}-windows.csv and ${prefix}.html`);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -0,0 +1,27 @@
+const hre = require("hardhat");
+const { compareLeverageGas, formatGasComparison } = require("./lib/gasComparison");
+
+/**
+ * Deploys the protocol once per leverage mode and compares the gas of levering up, of a levered deposit and of
+ * a withdrawal, with the LTV each mode reaches. Deployments are not persisted: run it on the in-process network.
+ */
+async function main() {
+  const options = {};
+  if (process.env.GAS_DEPOSIT) options.deposit = process.env.GAS_DEPOSIT;
+  if (process.env.GAS_WITHDRAW) options.withdraw = process.env.GAS_WITHDRAW;
+
+  const results = await compareLeverageGas(hre, options);
+
+  console.log("\n⛽ Loop mode vs flash loan mode");
+  console.table(formatGasComparison(results));
+  for (const result of results.filter((r) => r.withdrawError)) {
+    console.log(`${result.mode} mode withdraw reverted: ${result.withdrawError}`);
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -0,0 +1,73 @@
+const hre = require("hardhat");
+const { deployProtocol } = require("./lib/protocol");
+const { parsePrice, formatPrice, setPrice } = require("./lib/oracle");
+
+/**
+ * Steps the oracle price of one reserve through a depeg and prints how the vault position reacts:
+ * LTV, health factor, totalAssets, share price, and whether a rebalance or a liquidation would trigger.
+ * Original prices are restored at the end. On the in-process network everything is deployed and
+ * a looped position is opened first; elsewhere the deployment in deployments/<network>.json is used.
+ */
+async function main() {
+  const { ethers } = hre;
+  const [deployer, user = deployer] = await ethers.getSigners();
+  const symbol = process.env.DEPEG_ASSET || "USDC";
+  const prices = (process.env.DEPEG_PRICES || "1,0.99,0.98,0.95,0.9,0.85").split(",").map((p) => p.trim());
+  const depositAmount = process.env.DEPEG_DEPOSIT || "10000";
+
+  const deployment = await deployProtocol(hre, { signer: deployer, log: (message) => console.log(message) });
+  const { vault, pool, priceOracle } = deployment;
+  const tokens = { USDC: deployment.usdc, USDT: deployment.usdt };
+  if (!tokens[symbol]) {
+    throw new Error(`DEPEG_ASSET must be one of ${Object.keys(tokens).join(", ")}`);
+  }
+  const assetAddress = await tokens[symbol].getAddress();
+  const vaultAddress = await vault.getAddress();
+  const decimals = Number(await vault.decimals());
+
+  if ((await vault.totalSupply()) === 0n) {
+    const assets = ethers.parseUnits(depositAmount, decimals);
+    console.log(`\nOpening a position: ${depositAmount} USDC deposited by ${user.address}, then executeLooping()`);
+    await (await deployment.usdc.mint(user.address, assets)).wait();
+    await (await deployment.usdc.connect(user).approve(vaultAddress, assets)).wait();
+    await (await vault.connect(user).deposit(assets, user.address)).wait();
+    await (await vault.executeLooping()).wait();
+  }
+
+  const originalPrice = await priceOracle.getAssetPrice(assetAddress);
+  const rebalanceLtv = await vault.rebalanceLTVBps();
+  const oneShare = 10n ** BigInt(decimals);
+  const rows = [];
+
+  try {
+    for (const price of prices) {
+      await setPrice(priceOracle, assetAddress, parsePrice(price));
+
+      const position = await vault.getPositionDetails();
+      const { totalCollateralBase, totalDebtBase, healthFactor } = await pool.getUserAccountData(vaultAddress);
+      rows.push({
+        [`${symbol} price`]: formatPrice(parsePrice(price)),
+        "LTV %": (Number(position.currentLTV) / 100).toFixed(2),
+        healthFactor: healthFactor === ethers.MaxUint256 ? "∞" : Number(ethers.formatEther(healthFactor)).toFixed(4),
+        "net value USD": formatPrice(totalCollateralBase - totalDebtBase),
+        totalAssets: ethers.formatUnits(await vault.totalAssets(), decimals),
+        sharePrice: ethers.formatUnits(await vault.convertToAssets(oneShare), decimals),
+        rebalance: position.currentLTV > rebalanceLtv,
+        liquidatable: healthFactor < ethers.parseEther("1"),
+      });
+    }
+  } finally {
+    await setPrice(priceOracle, assetAddress, originalPrice);
+  }
+
+  console.log(`\n📉 ${symbol} depeg against vault ${vaultAddress} (rebalance above ${Number(rebalanceLtv) / 100}% LTV)`);
+  console.table(rows);
+  console.log(`${symbol} price restored to ${formatPrice(originalPrice)}`);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -0,0 +1,78 @@
+const hre = require("hardhat");
+const { deployProtocol } = require("./lib/protocol");
+
+async function main() {
+  const [deployer] = await hre.ethers.getSigners();
+
+  console.log("Deploying protocol to", hre.network.name, "with the account:", deployer.address);
+  console.log("Account balance:", (await hre.ethers.provider.getBalance(deployer.address)).toString());
+
+  // Existing tokens can be reused instead of deploying fresh ones
+  const tokens = {};
+  if (process.env.USDC_ADDRESS) tokens.USDC = process.env.USDC_ADDRESS;
+  if (process.env.USDT_ADDRESS) tokens.USDT = process.env.USDT_ADDRESS;
+
+  // Vault fees (in bps), leverage mode, strategy, risk profile and access controls
+  const vault = {};
+  if (process.env.MANAGEMENT_FEE_BPS) vault.managementFeeBps = Number(process.env.MANAGEMENT_FEE_BPS);
+  if (process.env.PERFORMANCE_FEE_BPS) vault.performanceFeeBps = Number(process.env.PERFORMANCE_FEE_BPS);
+  if (process.env.FEE_RECIPIENT) vault.feeRecipient = process.env.FEE_RECIPIENT;
+  if (process.env.LEVERAGE_MODE) vault.leverageMode = process.env.LEVERAGE_MODE;
+  if (process.env.VAULT_STRATEGY) vault.strategy = process.env.VAULT_STRATEGY;
+  if (process.env.STRATEGY_VAULT_ADDRESS) vault.strategyTarget = process.env.STRATEGY_VAULT_ADDRESS;
+  if (process.env.RISK_PROFILE) vault.riskProfile = process.env.RISK_PROFILE;
+  if (process.env.RISK_MANAGER) vault.riskManager = process.env.RISK_MANAGER;
+  if (process.env.GUARDIAN) vault.guardian = process.env.GUARDIAN;
+  if (process.env.DEPOSIT_CAP) vault.depositCap = process.env.DEPOSIT_CAP;
+  if (process.env.ACCOUNT_DEPOSIT_CAP) vault.accountDepositCap = process.env.ACCOUNT_DEPOSIT_CAP;
+  if (process.env.ALLOWLIST_ENABLED) vault.allowlistEnabled = process.env.ALLOWLIST_ENABLED === "true";
+
+  const options = {
+    tokens,
+    vault,
+    verify: process.env.VERIFY === "true",
+    log: (message) => console.log(message),
+  };
+  if (process.env.PRICE_ORACLE_ADDRESS) {
+    options.priceOracle = process.env.PRICE_ORACLE_ADDRESS;
+  }
+  if (process.env.SEED_LIQUIDITY) {
+    options.seedLiquidity = process.env.SEED_LIQUIDITY === "0" ? null : process.env.SEED_LIQUIDITY;
+  }
+  if (process.env.RESERVE_CONFIG) {
+    options.reserveConfig = process.env.RESERVE_CONFIG;
+  }
+  if (process.env.TREASURY_ADDRESS) {
+    options.treasury = process.env.TREASURY_ADDRESS;
+  }
+  if (process.env.FLASH_LOAN_PREMIUM_BPS) {
+    options.flashLoanPremium = Number(process.env.FLASH_LOAN_PREMIUM_BPS);
+  }
+  if (process.env.FLASH_PROTOCOL_FEE_BPS) {
+    options.flashProtocolFee = Number(process.env.FLASH_PROTOCOL_FEE_BPS);
+  }
+  if (process.env.FLASH_LIQUIDITY) {
+    options.flashLiquidity = process.env.FLASH_LIQUIDITY === "0" ? null : process.env.FLASH_LIQUIDITY;
+  }
+
+  const deployment = await deployProtocol(hre, options);
+
+  console.log("\n📋 Deployment Summary");
+  for (const [id, entry] of Object.entries(deployment.manifest.data.contracts)) {
+    console.log(`${id}:`, entry.address);
+  }
+  if (deployment.riskProfile.action === "queued" || deployment.riskProfile.action === "pending") {
+    const eta = new Date(Number(deployment.riskProfile.eta) * 1000).toISOString();
+    console.log(`\nLoosened risk parameters are queued: re-run after ${eta} to apply them`);
+  }
+  if (deployment.manifest.persist) {
+    console.log("\nManifest written to:", deployment.manifest.file);
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
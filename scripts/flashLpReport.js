@@ -0,0 +1,42 @@
+const hre = require("hardhat");
+const { buildLpReport, formatLpReport } = require("./lib/flashLiquidity");
+const { loadManifest, getAddress } = require("./lib/deployments");
+
+async function main() {
+  // Provider to report on: FLASH_PROVIDER or the FlashLoanProvider in deployments/<network>.json
+  const manifest = await loadManifest(hre, { persist: true });
+  const provider = process.env.FLASH_PROVIDER || getAddress(manifest, "FlashLoanProvider");
+  if (!provider) {
+    throw new Error("No FlashLoanProvider to report on. Set FLASH_PROVIDER or deploy with scripts/deployProtocol.js");
+  }
+
+  // Default start block: the provider deployment block, so every deposit is counted
+  const providerEntry = manifest.data.contracts.FlashLoanProvider;
+  const fromBlock = Number(process.env.FROM_BLOCK || (providerEntry && providerEntry.blockNumber) || 0);
+  const toBlock = process.env.TO_BLOCK ? Number(process.env.TO_BLOCK) : "latest";
+
+  const report = formatLpReport(await buildLpReport(hre, provider, { fromBlock, toBlock }));
+
+  if (process.env.REPORT_JSON === "true") {
+    console.log(JSON.stringify(report, null, 2));
+    return;
+  }
+
+  console.log(`FlashLoanProvider ${report.provider}, blocks ${report.fromBlock}-${report.toBlock}`);
+  console.log(`Protocol fee: ${report.protocolFee}`);
+  for (const [symbol, token] of Object.entries(report.tokens)) {
+    console.log(`\n${symbol} (${token.token})${token.supported ? "" : " [not supported]"}`);
+    console.log(`  Liquidity: ${token.totalLiquidity} in ${token.totalShares} shares`);
+    console.log(`  Loans: ${token.loans}, volume ${token.volume}, fees ${token.fees}`);
+    console.log(`  Fees to LPs: ${token.liquidityProviderFees}, to the protocol: ${token.protocolFeesDistributed}`);
+    console.log(`  Protocol fees not withdrawn: ${token.protocolFees}`);
+    console.table(token.providers);
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -0,0 +1,48 @@
+const hre = require("hardhat");
+const { Indexer } = require("./lib/indexer");
+const { IndexStore } = require("./lib/indexStore");
+const { loadManifest, getAddress } = require("./lib/deployments");
+
+async function main() {
+  // Contracts to index: INDEXER_POOL / INDEXER_VAULTS or the addresses in deployments/<network>.json
+  const manifest = await loadManifest(hre, { persist: true });
+  const pool = process.env.INDEXER_POOL || getAddress(manifest, "Pool");
+  const vaults = process.env.INDEXER_VAULTS
+    ? process.env.INDEXER_VAULTS.split(",").map((address) => address.trim())
+    : [getAddress(manifest, "LeveragedERC4626Vault")].filter(Boolean);
+
+  if (!pool) {
+    throw new Error("No pool to index. Set INDEXER_POOL or deploy with scripts/deployProtocol.js");
+  }
+
+  // Default start block: the pool deployment block
+  const poolEntry = manifest.data.contracts.Pool;
+  const startBlock = Number(process.env.INDEXER_START_BLOCK || (poolEntry && poolEntry.blockNumber) || 0);
+
+  const store = new IndexStore(process.env.INDEXER_FILE || IndexStore.pathFor(hre.network.name));
+  const indexer = new Indexer(hre, store, { pool, vaults }, {
+    startBlock,
+    confirmations: Number(process.env.INDEXER_CONFIRMATIONS || 0),
+    pollIntervalMs: Number(process.env.INDEXER_POLL_INTERVAL_MS || 5000),
+    log: (message) => console.log(message),
+  });
+
+  console.log("Indexing Pool", pool, "and vaults", vaults.join(", "), "from block", startBlock);
+  console.log("Store:", store.file);
+
+  if (process.env.INDEXER_FOLLOW === "false") {
+    await indexer.sync();
+    return;
+  }
+
+  process.on("SIGINT", () => indexer.stop());
+  process.on("SIGTERM", () => indexer.stop());
+  await indexer.follow();
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -0,0 +1,43 @@
+const hre = require("hardhat");
+const { Keeper, createJsonLogger } = require("./lib/keeper");
+const { loadManifest, getAddress } = require("./lib/deployments");
+
+async function main() {
+  const [signer] = await hre.ethers.getSigners();
+  const logger = createJsonLogger();
+
+  // Vaults to watch: KEEPER_VAULTS (comma separated) or the vault in deployments/<network>.json
+  let vaults = (process.env.KEEPER_VAULTS || "").split(",").map((address) => address.trim()).filter(Boolean);
+  if (vaults.length === 0) {
+    const manifest = await loadManifest(hre, { persist: true });
+    const vault = getAddress(manifest, "LeveragedERC4626Vault");
+    if (!vault) {
+      throw new Error("No vault to watch. Set KEEPER_VAULTS or deploy with scripts/deployProtocol.js");
+    }
+    vaults = [vault];
+  }
+
+  const keeper = new Keeper(hre, signer, vaults, {
+    logger,
+    pollIntervalMs: Number(process.env.KEEPER_POLL_INTERVAL_MS || 15000),
+    releverBelowBps: Number(process.env.KEEPER_RELEVER_LTV_BPS || 7000),
+    maxGasPrice: process.env.KEEPER_MAX_GAS_PRICE_GWEI
+      ? hre.ethers.parseUnits(process.env.KEEPER_MAX_GAS_PRICE_GWEI, "gwei")
+      : null,
+    maxRetries: Number(process.env.KEEPER_MAX_RETRIES || 3),
+    confirmations: Number(process.env.KEEPER_CONFIRMATIONS || 1),
+    dryRun: process.env.KEEPER_DRY_RUN === "true",
+  });
+
+  process.on("SIGINT", () => keeper.stop());
+  process.on("SIGTERM", () => keeper.stop());
+
+  await keeper.start();
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -0,0 +1,158 @@
+const fs = require("fs");
+const { getAddress, isAddress } = require("ethers");
+const { queryInBatches } = require("./events");
+
+const ALLOWED_VALUES = { true: true, yes: true, 1: true, allow: true, false: false, no: false, 0: false, deny: false };
+
+/**
+ * Parses an allowlist CSV: one `address[,allowed]` row per account, with an optional `address,allowed` header.
+ * `allowed` is true/false, yes/no, 1/0 or allow/deny, and defaults to true. Blank lines and lines starting with
+ * `#` are skipped. An account listed twice must have the same value both times.
+ * @param {string} text
+ * @returns {{ address: string, allowed: boolean }[]} Checksummed, one entry per account, in file order
+ */
+function parseAllowlistCsv(text) {
+  const entries = new Map();
+  const lines = text.split(/\r?\n/);
+
+  lines.forEach((raw, index) => {
+    const line = raw.trim();
+    if (line === "" || line.startsWith("#")) {
+      return;
+    }
+    const [address, value, ...rest] = line.split(",").map((cell) => cell.trim());
+    if (address.toLowerCase() === "address" && entries.size === 0) {
+      return;
+    }
+
+    const where = `Allowlist line ${index + 1}`;
+    if (rest.length > 0) {
+      throw new Error(`${where}: expected address[,allowed], got ${line}`);
+    }
+    if (!isAddress(address)) {
+      throw new Error(`${where}: invalid address ${address}`);
+    }
+    const allowed = value === undefined || value === "" ? true : ALLOWED_VALUES[value.toLowerCase()];
+    if (allowed === undefined) {
+      throw new Error(`${where}: invalid allowed value ${value}, use true or false`);
+    }
+
+    const account = getAddress(address);
+    if (entries.has(account) && entries.get(account) !== allowed) {
+      throw new Error(`${where}: ${account} is listed as both allowed and not allowed`);
+    }
+    entries.set(account, allowed);
+  });
+
+  return [...entries].map(([address, allowed]) => ({ address, allowed }));
+}
+
+function loadAllowlistCsv(file) {
+  return parseAllowlistCsv(fs.readFileSync(file, "utf8"));
+}
+
+/**
+ * Writes allowlisted accounts in the format parseAllowlistCsv reads
+ * @param {string[]} addresses
+ */
+function formatAllowlistCsv(addresses) {
+  return ["address,allowed", ...addresses.map((address) => `${address},true`)].join("\n") + "\n";
+}
+
+/**
+ * Accounts allowlisted on a vault, replayed from its AllowlistUpdated events (the mapping cannot be listed)
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre
+ * @param {import("ethers").Contract} vault
+ * @param {{ fromBlock?: number, toBlock?: number|string, batchSize?: number }} [range] `fromBlock` should be at
+ *   or before the vault's deployment
+ * @returns {Promise<string[]>}
+ */
+async function readAllowlist(hre, vault, { fromBlock = 0, toBlock = "latest", batchSize = 2000 } = {}) {
+  const endBlock = toBlock === "latest" ? await hre.ethers.provider.getBlockNumber() : Number(toBlock);
+  const events = await queryInBatches(vault, vault.filters.AllowlistUpdated(), fromBlock, endBlock, batchSize);
+
+  const allowlist = new Set();
+  for (const event of events) {
+    if (event.args.allowed) {
+      allowlist.add(event.args.account);
+    } else {
+      allowlist.delete(event.args.account);
+    }
+  }
+  return [...allowlist];
+}
+
+/**
+ * Works out the setAllowlist calls that bring a vault in line with `entries`, skipping accounts already in the
+ * wanted state
+ * @param {import("ethers").Contract} vault
+ * @param {{ address: string, allowed: boolean }[]} entries As returned by parseAllowlistCsv
+ * @param {string[]|null} [current] Allowlisted accounts (readAllowlist) to remove when missing from `entries`
+ * @returns {Promise<{ allow: string[], deny: string[] }>}
+ */
+async function planAllowlistChanges(vault, entries, current = null) {
+  const wanted = new Map(entries.map((entry) => [entry.address, entry.allowed]));
+  for (const address of current || []) {
+    if (!wanted.has(address)) {
+      wanted.set(address, false);
+    }
+  }
+
+  const plan = { allow: [], deny: [] };
+  for (const [address, allowed] of wanted) {
+    if ((await vault.isAllowlisted(address)) !== allowed) {
+      plan[allowed ? "allow" : "deny"].push(address);
+    }
+  }
+  return plan;
+}
+
+/**
+ * Applies an allowlist to a vault in batched setAllowlist calls (owner only)
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre
+ * @param {object} params
+ * @param {import("ethers").Contract} params.vault Connected to the owner
+ * @param {{ address: string, allowed: boolean }[]} params.entries As returned by parseAllowlistCsv
+ * @param {boolean} [params.sync] Also remove allowlisted accounts missing from `entries`
+ * @param {number} [params.fromBlock] Block to replay the allowlist from when syncing
+ * @param {number} [params.batchSize] Accounts per transaction
+ * @param {boolean} [params.dryRun] Only work out the changes
+ * @param {Function} [params.log]
+ * @returns {Promise<{ allow: string[], deny: string[], txs: string[] }>}
+ */
+async function applyAllowlist(
+  hre,
+  { vault, entries, sync = false, fromBlock = 0, batchSize = 200, dryRun = false, log }
+) {
+  const print = log || (() => {});
+  const current = sync ? await readAllowlist(hre, vault, { fromBlock }) : null;
+  const plan = await planAllowlistChanges(vault, entries, current);
+  print(`${dryRun ? "[dry run] " : ""}allowlist: ${plan.allow.length} to allow, ${plan.deny.length} to remove`);
+
+  const txs = [];
+  if (dryRun) {
+    return { ...plan, txs };
+  }
+  for (const [accounts, allowed] of [
+    [plan.allow, true],
+    [plan.deny, false],
+  ]) {
+    for (let i = 0; i < accounts.length; i += batchSize) {
+      const batch = accounts.slice(i, i + batchSize);
+      const tx = await vault.setAllowlist(batch, allowed);
+      await tx.wait();
+      print(`  ${allowed ? "allowed" : "removed"} ${batch.length} accounts: ${tx.hash}`);
+      txs.push(tx.hash);
+    }
+  }
+  return { ...plan, txs };
+}
+
+module.exports = {
+  parseAllowlistCsv,
+  loadAllowlistCsv,
+  formatAllowlistCsv,
+  readAllowlist,
+  planAllowlistChanges,
+  applyAllowlist,
+};
@@ -0,0 +1,548 @@
+const { formatUnits } = require("ethers");
+const { RAY, SECONDS_PER_YEAR, rayMul } = require("./wadRayMath");
+
+// convertToAssets is sampled for this many shares at once, so short windows still resolve the share price
+const SHARE_PRICE_SCALE = 10n ** 12n;
+const RATIO_PRECISION = 10n ** 18n;
+
+const WINDOW_UNITS = { s: 1, m: 60, h: 3600, d: 86400, w: 604800 };
+
+/**
+ * Parses a report window such as 1h, 7d or 4w (a number alone is seconds); `all` covers every sample
+ * @returns {{ name: string, seconds: number|null }}
+ */
+function parseWindow(window) {
+  const name = String(window).trim();
+  if (name === "all") {
+    return { name, seconds: null };
+  }
+  const match = /^(\d+)([smhdw]?)$/.exec(name);
+  if (!match || Number(match[1]) === 0) {
+    throw new Error(`Invalid window ${name}: use a duration such as 1h, 7d or 4w, or all`);
+  }
+  return { name, seconds: Number(match[1]) * WINDOW_UNITS[match[2] || "s"] };
+}
+
+/**
+ * Blocks to sample between `fromBlock` and `toBlock`: every `step` blocks, or `samples` evenly spaced ones,
+ * always including both ends
+ */
+function sampleBlocks(fromBlock, toBlock, { samples = 100, step = null } = {}) {
+  if (toBlock < fromBlock) {
+    throw new Error(`toBlock ${toBlock} is before fromBlock ${fromBlock}`);
+  }
+  const blocks = new Set([fromBlock]);
+  if (step) {
+    for (let block = fromBlock + step; block < toBlock; block += step) {
+      blocks.add(block);
+    }
+  } else {
+    const count = Math.max(2, samples);
+    for (let i = 1; i < count - 1; i++) {
+      blocks.add(fromBlock + Math.floor(((toBlock - fromBlock) * i) / (count - 1)));
+    }
+  }
+  blocks.add(toBlock);
+  return [...blocks].sort((a, b) => a - b);
+}
+
+/**
+ * Pool index accrued up to `timestamp` at the rate stored with it, as the Pool accrues it on its next update
+ */
+function accrueIndex(index, rate, lastUpdateTimestamp, timestamp) {
+  const elapsed = BigInt(timestamp) - BigInt(lastUpdateTimestamp);
+  return elapsed > 0n ? rayMul(index, RAY + (rate * elapsed) / SECONDS_PER_YEAR) : index;
+}
+
+const ratio = (end, start) => Number((end * RATIO_PRECISION) / start) / Number(RATIO_PRECISION);
+
+/**
+ * Reads the vault and reserve data of one block
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre
+ * @param {{ vault: import("ethers").Contract, pool: import("ethers").Contract,
+ *   dataProvider: import("ethers").Contract, reserves: { symbol: string, asset: string }[], oneShare: bigint }} context
+ * @param {number} blockNumber
+ */
+async function readSample(hre, context, blockNumber) {
+  const { vault, pool, dataProvider, reserves, oneShare } = context;
+  const overrides = { blockTag: blockNumber };
+  const block = await hre.ethers.provider.getBlock(blockNumber);
+
+  // The vault may have been deployed after the first sampled block
+  let vaultSample = null;
+  if ((await hre.ethers.provider.getCode(await vault.getAddress(), blockNumber)) !== "0x") {
+    const [sharePrice, totalAssets, totalSupply, ltvBps] = await Promise.all([
+      vault.convertToAssets(oneShare * SHARE_PRICE_SCALE, overrides),
+      vault.totalAssets(overrides),
+      vault.totalSupply(overrides),
+      vault.getCurrentLTV(overrides),
+    ]);
+    vaultSample = { sharePrice, totalAssets, totalSupply, ltvBps };
+  }
+
+  const reserveSamples = {};
+  for (const { symbol, asset } of reserves) {
+    const [reserve, data] = await Promise.all([
+      pool.getReserveData(asset, overrides),
+      dataProvider.getReserveData(asset, overrides),
+    ]);
+    reserveSamples[symbol] = {
+      liquidityIndex: reserve.liquidityIndex,
+      variableBorrowIndex: reserve.variableBorrowIndex,
+      normalizedIncome: accrueIndex(
+        reserve.liquidityIndex,
+        reserve.currentLiquidityRate,
+        reserve.lastUpdateTimestamp,
+        block.timestamp
+      ),
+      normalizedDebt: accrueIndex(
+        reserve.variableBorrowIndex,
+        reserve.currentVariableBorrowRate,
+        reserve.lastUpdateTimestamp,
+        block.timestamp
+      ),
+      liquidityRate: data.liquidityRate,
+      variableBorrowRate: data.variableBorrowRate,
+      totalSupplied: data.totalATokenSupply,
+      totalDebt: data.totalVariableDebt,
+    };
+  }
+
+  return { blockNumber, timestamp: block.timestamp, vault: vaultSample, reserves: reserveSamples };
+}
+
+/**
+ * Largest fall of the share price from an earlier peak, as a fraction of the peak
+ */
+function maxDrawdown(samples) {
+  let peak = null;
+  let worst = { drawdown: 0, peakBlock: null, troughBlock: null };
+  for (const sample of samples) {
+    const price = sample.vault.sharePrice;
+    if (peak === null || price > peak.vault.sharePrice) {
+      peak = sample;
+      continue;
+    }
+    const drawdown = 1 - ratio(price, peak.vault.sharePrice);
+    if (drawdown > worst.drawdown) {
+      worst = { drawdown, peakBlock: peak.blockNumber, troughBlock: sample.blockNumber };
+    }
+  }
+  return worst;
+}
+
+/**
+ * Realized performance over one window ending at the last sample. Rates are annualized from the change in
+ * the share price and the pool indexes:
+ * - vault `apr` is simple and `apy` compounded; both are net of the vault's fees
+ * - reserve `supplyApr` / `borrowApr` come from the liquidity and variable borrow indexes
+ * - `carrySpread` is what each borrowed unit earns in the pool net of its interest: the borrow asset's supply
+ *   APR minus its borrow APR
+ * - `netLeverageSpread` is what leverage added: the vault APR minus the collateral asset's supply APR, the yield
+ *   of supplying it unlevered
+ */
+function windowMetrics(window, samples, { collateral, borrow }) {
+  const end = samples[samples.length - 1];
+  const startTime = window.seconds === null ? samples[0].timestamp : end.timestamp - window.seconds;
+  // Start at the last sample at or before the window start, so the window is covered in full when sampled
+  const first = samples.filter((sample) => sample.timestamp <= startTime).pop() || samples[0];
+  const inWindow = samples.filter((sample) => sample.blockNumber >= first.blockNumber);
+  const start = inWindow[0];
+  const seconds = end.timestamp - start.timestamp;
+  const annualize = (growth) => (seconds > 0 ? ((growth - 1) * Number(SECONDS_PER_YEAR)) / seconds : null);
+
+  const reserves = {};
+  for (const symbol of Object.keys(end.reserves)) {
+    reserves[symbol] = {
+      supplyApr: annualize(ratio(end.reserves[symbol].normalizedIncome, start.reserves[symbol].normalizedIncome)),
+      borrowApr: annualize(ratio(end.reserves[symbol].normalizedDebt, start.reserves[symbol].normalizedDebt)),
+    };
+  }
+
+  let vault = null;
+  const vaultSamples = inWindow.filter((sample) => sample.vault !== null);
+  if (vaultSamples.length > 0) {
+    const vaultStart = vaultSamples[0];
+    const vaultSeconds = end.timestamp - vaultStart.timestamp;
+    const growth = ratio(end.vault.sharePrice, vaultStart.vault.sharePrice);
+    const apr = vaultSeconds > 0 ? ((growth - 1) * Number(SECONDS_PER_YEAR)) / vaultSeconds : null;
+    vault = {
+      fromBlock: vaultStart.blockNumber,
+      startSharePrice: vaultStart.vault.sharePrice,
+      endSharePrice: end.vault.sharePrice,
+      apr,
+      apy: vaultSeconds > 0 ? growth ** (Number(SECONDS_PER_YEAR) / vaultSeconds) - 1 : null,
+      ...maxDrawdown(vaultSamples),
+    };
+  }
+
+  const spread = (a, b) => (a === null || b === null ? null : a - b);
+  return {
+    name: window.name,
+    fromBlock: start.blockNumber,
+    toBlock: end.blockNumber,
+    from: start.timestamp,
+    to: end.timestamp,
+    seconds,
+    // False when the history sampled is shorter than the window
+    complete: window.seconds === null || samples[0].timestamp <= startTime,
+    vault,
+    reserves,
+    carrySpread: spread(reserves[borrow].supplyApr, reserves[borrow].borrowApr),
+    netLeverageSpread: vault ? spread(vault.apr, reserves[collateral].supplyApr) : null,
+  };
+}
+
+/**
+ * Samples a vault and its pool's reserves at historical blocks and computes realized performance over windows
+ * ending at `toBlock`. Needs an archive node for the history (a local Hardhat node keeps it). The reserve indexes
+ * are accrued to every sampled block, as the vault accrues them to price its shares.
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre
+ * @param {object} params
+ * @param {string} params.vault LeveragedERC4626Vault address
+ * @param {string} params.dataProvider PoolDataProvider of the vault's pool
+ * @param {number} [params.fromBlock]
+ * @param {number|string} [params.toBlock]
+ * @param {number} [params.samples] Evenly spaced blocks to sample
+ * @param {number} [params.step] Sample every `step` blocks instead
+ * @param {string[]} [params.windows] Windows for parseWindow
+ */
+async function buildAnalyticsReport(
+  hre,
+  { vault: vaultAddress, dataProvider: dataProviderAddress, fromBlock = 0, toBlock = "latest", samples, step, windows }
+) {
+  const { ethers } = hre;
+  const endBlock = toBlock === "latest" ? await ethers.provider.getBlockNumber() : Number(toBlock);
+  const vault = await ethers.getContractAt("LeveragedERC4626Vault", vaultAddress);
+  const latest = { blockTag: endBlock };
+  const pool = await ethers.getContractAt("Pool", await vault.lendingPool(latest));
+  const dataProvider = await ethers.getContractAt("PoolDataProvider", dataProviderAddress);
+  const decimals = Number(await vault.decimals(latest));
+
+  const reserves = [];
+  for (const asset of await pool.getReservesList(latest)) {
+    const token = await ethers.getContractAt("ERC20", asset);
+    reserves.push({ symbol: await token.symbol(latest), asset, decimals: Number(await token.decimals(latest)) });
+  }
+  const symbolOf = async (asset) => reserves.find((reserve) => reserve.asset === asset).symbol;
+  const collateral = await symbolOf(await vault.collateralAsset(latest));
+  const borrow = await symbolOf(await vault.borrowAsset(latest));
+
+  const context = { vault, pool, dataProvider, reserves, oneShare: 10n ** BigInt(decimals) };
+  const sampled = [];
+  for (const blockNumber of sampleBlocks(fromBlock, endBlock, { samples, step })) {
+    sampled.push(await readSample(hre, context, blockNumber));
+  }
+
+  return {
+    vault: vaultAddress,
+    pool: await pool.getAddress(),
+    dataProvider: dataProviderAddress,
+    decimals,
+    collateral,
+    borrow,
+    reserves: reserves.map(({ symbol, asset, decimals: reserveDecimals }) => ({
+      symbol,
+      asset,
+      decimals: reserveDecimals,
+    })),
+    fromBlock: sampled[0].blockNumber,
+    toBlock: endBlock,
+    samples: sampled,
+    windows: (windows || ["1d", "7d", "30d", "all"])
+      .map(parseWindow)
+      .map((window) => windowMetrics(window, sampled, { collateral, borrow })),
+  };
+}
+
+const percent = (value) => (value === null ? null : `${(value * 100).toFixed(4)}%`);
+const isoTime = (timestamp) => new Date(Number(timestamp) * 1000).toISOString();
+
+/**
+ * Converts an analytics report into JSON friendly values: amounts as decimals, rates as percentages
+ */
+function formatAnalyticsReport(report) {
+  const price = (value) => formatUnits(value, report.decimals + 12);
+  const reserveDecimals = Object.fromEntries(report.reserves.map((reserve) => [reserve.symbol, reserve.decimals]));
+
+  return {
+    vault: report.vault,
+    pool: report.pool,
+    dataProvider: report.dataProvider,
+    collateral: report.collateral,
+    borrow: report.borrow,
+    fromBlock: report.fromBlock,
+    toBlock: report.toBlock,
+    windows: report.windows.map((window) => ({
+      name: window.name,
+      fromBlock: window.fromBlock,
+      toBlock: window.toBlock,
+      from: isoTime(window.from),
+      to: isoTime(window.to),
+      days: Number((window.seconds / 86400).toFixed(4)),
+      complete: window.complete,
+      vault: window.vault && {
+        startSharePrice: price(window.vault.startSharePrice),
+        endSharePrice: price(window.vault.endSharePrice),
+        apr: percent(window.vault.apr),
+        apy: percent(window.vault.apy),
+        maxDrawdown: percent(window.vault.drawdown),
+        drawdownPeakBlock: window.vault.peakBlock,
+        drawdownTroughBlock: window.vault.troughBlock,
+      },
+      reserves: Object.fromEntries(
+        Object.entries(window.reserves).map(([symbol, rates]) => [
+          symbol,
+          { supplyApr: percent(rates.supplyApr), borrowApr: percent(rates.borrowApr) },
+        ])
+      ),
+      carrySpread: percent(window.carrySpread),
+      netLeverageSpread: percent(window.netLeverageSpread),
+    })),
+    samples: report.samples.map((sample) => ({
+      blockNumber: sample.blockNumber,
+      time: isoTime(sample.timestamp),
+      vault: sample.vault && {
+        sharePrice: price(sample.vault.sharePrice),
+        totalAssets: formatUnits(sample.vault.totalAssets, report.decimals),
+        totalSupply: formatUnits(sample.vault.totalSupply, report.decimals),
+        ltvBps: Number(sample.vault.ltvBps),
+      },
+      reserves: Object.fromEntries(
+        Object.entries(sample.reserves).map(([symbol, reserve]) => [
+          symbol,
+          {
+            liquidityIndex: formatUnits(reserve.liquidityIndex, 27),
+            variableBorrowIndex: formatUnits(reserve.variableBorrowIndex, 27),
+            supplyRate: percent(Number(formatUnits(reserve.liquidityRate, 27))),
+            borrowRate: percent(Number(formatUnits(reserve.variableBorrowRate, 27))),
+            totalSupplied: formatUnits(reserve.totalSupplied, reserveDecimals[symbol]),
+            totalDebt: formatUnits(reserve.totalDebt, reserveDecimals[symbol]),
+          },
+        ])
+      ),
+    })),
+  };
+}
+
+const csvRow = (cells) => cells.map((cell) => (cell === null || cell === undefined ? "" : String(cell))).join(",");
+
+/**
+ * One CSV row per sample, with the vault columns and then each reserve's
+ * @param {object} formatted As returned by formatAnalyticsReport
+ */
+function samplesToCsv(formatted) {
+  const symbols = Object.keys(formatted.samples[0].reserves);
+  const reserveColumns = [
+    "liquidityIndex",
+    "variableBorrowIndex",
+    "supplyRate",
+    "borrowRate",
+    "totalSupplied",
+    "totalDebt",
+  ];
+  const header = [
+    "blockNumber",
+    "time",
+    "sharePrice",
+    "totalAssets",
+    "totalSupply",
+    "ltvBps",
+    ...symbols.flatMap((symbol) => reserveColumns.map((column) => `${symbol}.${column}`)),
+  ];
+
+  const rows = formatted.samples.map((sample) => {
+    const vault = sample.vault || {};
+    return csvRow([
+      sample.blockNumber,
+      sample.time,
+      vault.sharePrice,
+      vault.totalAssets,
+      vault.totalSupply,
+      vault.ltvBps,
+      ...symbols.flatMap((symbol) => reserveColumns.map((column) => sample.reserves[symbol][column])),
+    ]);
+  });
+  return [csvRow(header), ...rows].join("\n") + "\n";
+}
+
+/**
+ * One CSV row per window
+ * @param {object} formatted As returned by formatAnalyticsReport
+ */
+function windowsToCsv(formatted) {
+  const symbols = Object.keys(formatted.windows[0].reserves);
+  const header = [
+    "window",
+    "fromBlock",
+    "toBlock",
+    "from",
+    "to",
+    "days",
+    "complete",
+    "vaultApr",
+    "vaultApy",
+    "maxDrawdown",
+    ...symbols.flatMap((symbol) => [`${symbol}.supplyApr`, `${symbol}.borrowApr`]),
+    "carrySpread",
+    "netLeverageSpread",
+  ];
+
+  const rows = formatted.windows.map((window) => {
+    const vault = window.vault || {};
+    return csvRow([
+      window.name,
+      window.fromBlock,
+      window.toBlock,
+      window.from,
+      window.to,
+      window.days,
+      window.complete,
+      vault.apr,
+      vault.apy,
+      vault.maxDrawdown,
+      ...symbols.flatMap((symbol) => [window.reserves[symbol].supplyApr, window.reserves[symbol].borrowApr]),
+      window.carrySpread,
+      window.netLeverageSpread,
+    ]);
+  });
+  return [csvRow(header), ...rows].join("\n") + "\n";
+}
+
+const escapeHtml = (value) =>
+  String(value === null || value === undefined ? "–" : value).replace(
+    /[&<>"']/g,
+    (char) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[char]
+  );
+
+/**
+ * Inline SVG line chart of the vault share price over the samples
+ */
+function sharePriceChart(report) {
+  const points = report.samples.filter((sample) => sample.vault !== null);
+  if (points.length < 2) {
+    return "<p>Not enough vault samples to chart.</p>";
+  }
+  const [width, height, pad] = [720, 200, 10];
+  const prices = points.map((sample) => Number(formatUnits(sample.vault.sharePrice, report.decimals + 12)));
+  const [minPrice, maxPrice] = [Math.min(...prices), Math.max(...prices)];
+  const [minTime, maxTime] = [points[0].timestamp, points[points.length - 1].timestamp];
+  const x = (timestamp) => pad + ((timestamp - minTime) / Math.max(1, maxTime - minTime)) * (width - 2 * pad);
+  const y = (price) => height - pad - ((price - minPrice) / (maxPrice - minPrice || 1)) * (height - 2 * pad);
+  const path = points.map((sample, i) => `${x(sample.timestamp).toFixed(1)},${y(prices[i]).toFixed(1)}`).join(" ");
+
+  return (
+    `<svg viewBox="0 0 ${width} ${height}" width="${width}" height="${height}" role="img" ` +
+    `aria-label="Share price from ${minPrice} to ${maxPrice}">` +
+    `<polyline fill="none" stroke="#2563eb" stroke-width="2" points="${path}"/></svg>` +
+    `<p class="note">Share price ${escapeHtml(minPrice.toFixed(8))} – ${escapeHtml(maxPrice.toFixed(8))}</p>`
+  );
+}
+
+/**
+ * Static, self-contained HTML summary of a report: the windows, the share price chart and the latest sample
+ * @param {object} report As returned by buildAnalyticsReport
+ */
+function analyticsToHtml(report) {
+  const formatted = formatAnalyticsReport(report);
+  const symbols = report.reserves.map((reserve) => reserve.symbol);
+  const cells = (values, tag = "td") => values.map((value) => `<${tag}>${escapeHtml(value)}</${tag}>`).join("");
+
+  const windowRows = formatted.windows
+    .map((window) => {
+      const vault = window.vault || {};
+      return `<tr>${cells([
+        `${window.name}${window.complete ? "" : " *"}`,
+        `${window.fromBlock}–${window.toBlock}`,
+        window.days,
+        vault.apy,
+        vault.apr,
+        vault.maxDrawdown,
+        ...symbols.flatMap((symbol) => [window.reserves[symbol].supplyApr, window.reserves[symbol].borrowApr]),
+        window.carrySpread,
+        window.netLeverageSpread,
+      ])}</tr>`;
+    })
+    .join("\n");
+
+  const last = formatted.samples[formatted.samples.length - 1];
+  const reserveRows = symbols
+    .map((symbol) => {
+      const reserve = last.reserves[symbol];
+      return `<tr>${cells([
+        symbol,
+        reserve.totalSupplied,
+        reserve.totalDebt,
+        reserve.supplyRate,
+        reserve.borrowRate,
+        reserve.liquidityIndex,
+        reserve.variableBorrowIndex,
+      ])}</tr>`;
+    })
+    .join("\n");
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Vault analytics ${escapeHtml(formatted.vault)}</title>
+<style>
+  body { font-family: system-ui, sans-serif; margin: 2rem; color: #111827; }
+  table { border-collapse: collapse; margin: 1rem 0; }
+  th, td { border: 1px solid #d1d5db; padding: 0.3rem 0.6rem; text-align: right; }
+  th:first-child, td:first-child { text-align: left; }
+  .note { color: #6b7280; font-size: 0.9rem; }
+</style>
+</head>
+<body>
+<h1>Vault analytics</h1>
+<p>Vault <code>${escapeHtml(formatted.vault)}</code> (${escapeHtml(formatted.collateral)} collateral, ${escapeHtml(
+    formatted.borrow
+  )} borrowed), pool <code>${escapeHtml(formatted.pool)}</code>, blocks ${formatted.fromBlock}–${formatted.toBlock}
+(${escapeHtml(last.time)}), ${formatted.samples.length} samples.</p>
+<h2>Realized performance</h2>
+<table>
+<tr>${cells(
+    [
+      "Window",
+      "Blocks",
+      "Days",
+      "Vault APY",
+      "Vault APR",
+      "Max drawdown",
+      ...symbols.flatMap((symbol) => [`${symbol} supply APR`, `${symbol} borrow APR`]),
+      "Carry spread",
+      "Net leverage spread",
+    ],
+    "th"
+  )}</tr>
+${windowRows}
+</table>
+<p class="note">* Less history was sampled than the window covers. Vault rates are net of fees. Carry spread: the
+borrowed asset's supply APR minus its borrow APR. Net leverage spread: the vault APR minus the collateral's
+unlevered supply APR.</p>
+<h2>Share price</h2>
+${sharePriceChart(report)}
+<h2>Reserves at block ${formatted.toBlock}</h2>
+<table>
+<tr>${cells(
+    ["Reserve", "Supplied", "Borrowed", "Supply rate", "Borrow rate", "Liquidity index", "Borrow index"],
+    "th"
+  )}</tr>
+${reserveRows}
+</table>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  parseWindow,
+  sampleBlocks,
+  accrueIndex,
+  buildAnalyticsReport,
+  formatAnalyticsReport,
+  samplesToCsv,
+  windowsToCsv,
+  analyticsToHtml,
+};
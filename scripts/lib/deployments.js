@@ -0,0 +1,242 @@
+const fs = require("fs");
+const path = require("path");
+
+const DEPLOYMENTS_DIR = path.join(__dirname, "..", "..", "deployments");
+
+/**
+ * Returns the path of the address manifest for a network
+ * @param {string} networkName Hardhat network name
+ * @returns {string}
+ */
+function getManifestPath(networkName) {
+  return path.join(DEPLOYMENTS_DIR, `${networkName}.json`);
+}
+
+/**
+ * Converts constructor args / call args into something JSON can hold (bigint -> string)
+ */
+function serializeArgs(args) {
+  return JSON.parse(
+    JSON.stringify(args, (_, value) => (typeof value === "bigint" ? value.toString() : value))
+  );
+}
+
+function sameArgs(a, b) {
+  return JSON.stringify(serializeArgs(a)) === JSON.stringify(serializeArgs(b));
+}
+
+/**
+ * Loads the manifest for the current network, or an empty one if none was written yet.
+ * When `persist` is false the manifest only lives in memory (used for the in-process hardhat network).
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre
+ * @param {{ persist?: boolean }} [options]
+ */
+async function loadManifest(hre, options = {}) {
+  const networkName = hre.network.name;
+  const persist = options.persist !== undefined ? options.persist : networkName !== "hardhat";
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const file = getManifestPath(networkName);
+
+  let data = { network: networkName, chainId: Number(chainId), contracts: {}, steps: {} };
+  if (persist && fs.existsSync(file)) {
+    data = JSON.parse(fs.readFileSync(file, "utf8"));
+    data.contracts = data.contracts || {};
+    data.steps = data.steps || {};
+
+    if (data.chainId !== Number(chainId)) {
+      throw new Error(
+        `Manifest ${file} was written for chainId ${data.chainId}, connected to chainId ${chainId}`
+      );
+    }
+  }
+
+  return { file, persist, data };
+}
+
+/**
+ * Writes the manifest back to deployments/<network>.json
+ */
+function saveManifest(manifest) {
+  if (!manifest.persist) {
+    return;
+  }
+
+  fs.mkdirSync(path.dirname(manifest.file), { recursive: true });
+  fs.writeFileSync(manifest.file, JSON.stringify(manifest.data, null, 2) + "\n");
+}
+
+/**
+ * Returns the address recorded for `id`, or undefined
+ */
+function getAddress(manifest, id) {
+  const entry = manifest.data.contracts[id];
+  return entry ? entry.address : undefined;
+}
+
+async function hasCode(hre, address) {
+  const code = await hre.ethers.provider.getCode(address);
+  return code !== "0x";
+}
+
+/**
+ * Hash of the compiled runtime bytecode of `contractName`, recorded with each deployment so a re-run can tell
+ * whether the contract changed since. Taken before library linking and without immutables, so it only moves with
+ * the source and the compiler settings.
+ */
+async function getBytecodeHash(hre, contractName) {
+  const { deployedBytecode } = await hre.artifacts.readArtifact(contractName);
+  return hre.ethers.id(deployedBytecode);
+}
+
+/**
+ * Deploys `contractName` under the manifest key `id`, unless the manifest already records a
+ * deployment with the same contract, bytecode, constructor args and linked libraries that still has code on chain.
+ * Entries written before bytecode hashes were recorded are redeployed.
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre
+ * @param {object} manifest Manifest returned by loadManifest
+ * @param {string} id Key of the deployment in the manifest (e.g. "aTokenUSDC")
+ * @param {string} contractName Artifact name
+ * @param {Array} args Constructor arguments
+ * @param {{ signer?: import("ethers").Signer, libraries?: Record<string, string>, log?: Function }} [options]
+ *   `libraries` maps the names of the linked libraries the contract uses to their addresses
+ * @returns {Promise<import("ethers").Contract>}
+ */
+async function deployContract(hre, manifest, id, contractName, args = [], options = {}) {
+  const log = options.log || (() => {});
+  const existing = manifest.data.contracts[id];
+  const libraries = options.libraries;
+  const bytecodeHash = await getBytecodeHash(hre, contractName);
+
+  if (
+    existing &&
+    existing.contract === contractName &&
+    sameArgs(existing.args, args) &&
+    sameArgs(existing.libraries || {}, libraries || {}) &&
+    (await hasCode(hre, existing.address))
+  ) {
+    if (existing.bytecodeHash === bytecodeHash) {
+      log(`↩️  ${id} already deployed at ${existing.address}, skipping`);
+      return hre.ethers.getContractAt(contractName, existing.address, options.signer);
+    }
+    log(`♻️  ${contractName} changed since ${id} was deployed at ${existing.address}, redeploying`);
+  }
+
+  const factory = await hre.ethers.getContractFactory(contractName, { signer: options.signer, libraries });
+  const contract = await factory.deploy(...args);
+  await contract.waitForDeployment();
+
+  const address = await contract.getAddress();
+  const tx = contract.deploymentTransaction();
+  const receipt = tx ? await tx.wait() : null;
+
+  manifest.data.contracts[id] = {
+    contract: contractName,
+    address,
+    args: serializeArgs(args),
+    ...(libraries ? { libraries } : {}),
+    bytecodeHash,
+    txHash: tx ? tx.hash : null,
+    blockNumber: receipt ? receipt.blockNumber : null,
+    verified: false,
+  };
+  saveManifest(manifest);
+
+  log(`✅ ${id} deployed to: ${address}`);
+  return contract;
+}
+
+/**
+ * Records an externally deployed contract (e.g. an existing token) in the manifest
+ */
+function recordExternal(manifest, id, contractName, address) {
+  const existing = manifest.data.contracts[id];
+  if (existing && existing.address === address) {
+    return;
+  }
+
+  manifest.data.contracts[id] = {
+    contract: contractName,
+    address,
+    args: null,
+    txHash: null,
+    blockNumber: null,
+    external: true,
+  };
+  saveManifest(manifest);
+}
+
+/**
+ * Runs a one-off setup transaction unless `isDone` reports it already happened on chain.
+ * The tx hash is recorded under `steps[id]`.
+ * @param {object} manifest Manifest returned by loadManifest
+ * @param {string} id Key of the step in the manifest (e.g. "initReserve:USDC")
+ * @param {() => Promise<boolean>} isDone Checks on-chain state
+ * @param {() => Promise<import("ethers").ContractTransactionResponse>} send Sends the transaction
+ * @param {{ args?: Array, log?: Function }} [options]
+ */
+async function runStep(manifest, id, isDone, send, options = {}) {
+  const log = options.log || (() => {});
+
+  if (await isDone()) {
+    log(`↩️  ${id} already done, skipping`);
+    return manifest.data.steps[id];
+  }
+
+  const tx = await send();
+  const receipt = await tx.wait();
+
+  manifest.data.steps[id] = {
+    args: serializeArgs(options.args || []),
+    txHash: tx.hash,
+    blockNumber: receipt.blockNumber,
+  };
+  saveManifest(manifest);
+
+  log(`✅ ${id} (tx ${tx.hash})`);
+  return manifest.data.steps[id];
+}
+
+/**
+ * Verifies every contract deployed by the manifest on the network's block explorer
+ * (see `etherscan.customChains` in hardhat.config.js). Already verified contracts are skipped.
+ */
+async function verifyManifest(hre, manifest, options = {}) {
+  const log = options.log || (() => {});
+
+  for (const [id, entry] of Object.entries(manifest.data.contracts)) {
+    if (entry.external || entry.verified) {
+      continue;
+    }
+
+    try {
+      await hre.run("verify:verify", {
+        address: entry.address,
+        constructorArguments: entry.args,
+        libraries: entry.libraries,
+      });
+      entry.verified = true;
+      log(`✅ ${id} verified`);
+    } catch (error) {
+      if (/already verified/i.test(error.message)) {
+        entry.verified = true;
+        log(`↩️  ${id} already verified`);
+      } else {
+        log(`⚠️  ${id} verification failed: ${error.message}`);
+      }
+    }
+    saveManifest(manifest);
+  }
+}
+
+module.exports = {
+  DEPLOYMENTS_DIR,
+  getManifestPath,
+  loadManifest,
+  saveManifest,
+  getAddress,
+  getBytecodeHash,
+  deployContract,
+  recordExternal,
+  runStep,
+  verifyManifest,
+};
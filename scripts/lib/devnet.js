@@ -0,0 +1,217 @@
+const http = require("http");
+const path = require("path");
+const { formatUnits, parseUnits, isAddress, getAddress, toQuantity } = require("ethers");
+const { deployProtocol } = require("./protocol");
+const { runScenario } = require("./scenario");
+const { getManifestPath, saveManifest } = require("./deployments");
+const { createClient } = require("../../sdk");
+
+const DEFAULT_DEVNET_FILE = path.join(__dirname, "..", "..", "config", "devnet.js");
+
+// Request bodies the faucet accepts, in bytes
+const MAX_BODY_SIZE = 10 * 1024;
+
+/**
+ * A faucet request the faucet refuses (answered with 400)
+ */
+class FaucetError extends Error {}
+
+/**
+ * Loads a devnet config: a config object, or the path of a JS or JSON file exporting one
+ */
+function loadDevnetConfig(config = DEFAULT_DEVNET_FILE) {
+  return typeof config === "string" ? require(path.resolve(config)) : config;
+}
+
+/**
+ * Deploys the protocol on the in-process Hardhat network, runs the config's `seed` scenario to open positions and
+ * accrue interest, and writes the manifest as deployments/localhost.json so scripts and tasks run with
+ * `--network localhost` (and the SDK's loadAddressBook("localhost")) find the contracts. The manifest also records
+ * the seeded `accounts` by actor name.
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre
+ * @param {object} [options]
+ * @param {object} [options.config] Devnet config (default config/devnet.js)
+ * @param {boolean} [options.seed] false to only deploy
+ * @param {string} [options.manifestFile] Where to write the manifest instead of deployments/localhost.json
+ * @param {Function} [options.log]
+ * @returns {Promise<{ deployment: object, manifest: object, accounts: Record<string, string> }>}
+ */
+async function bootstrapDevnet(hre, options = {}) {
+  if (hre.network.name !== "hardhat") {
+    throw new Error("The devnet mints tokens and moves time, so it only runs on the in-process hardhat network");
+  }
+  const config = loadDevnetConfig(options.config);
+  const log = options.log || (() => {});
+  const [deployer] = await hre.ethers.getSigners();
+
+  const deployment = await deployProtocol(hre, { ...config.deployment, signer: deployer, persist: false, log });
+
+  let accounts = { deployer: deployer.address };
+  if (options.seed !== false && config.seed) {
+    log("\n🌱 Seeding accounts and positions");
+    const seed = { name: "devnet", ...config.seed };
+    const report = await runScenario(hre, seed, { deployment, log: (message) => log(`  ${message}`) });
+    if (!report.passed) {
+      // Failed steps already break noUnexpectedFailures
+      const failed = report.steps.filter((step) => !step.asExpected).map((step) => `${step.action}: ${step.error}`);
+      const broken = report.invariants
+        .filter((invariant) => !invariant.passed && invariant.name !== "noUnexpectedFailures")
+        .map((invariant) => `${invariant.name} ${invariant.threshold} (worst ${invariant.worst})`);
+      throw new Error(`Seeding the devnet failed: ${[...failed, ...broken].join("; ")}`);
+    }
+    accounts = report.actors;
+  }
+
+  const manifest = {
+    file: options.manifestFile || getManifestPath("localhost"),
+    persist: true,
+    data: { ...deployment.manifest.data, network: "localhost", accounts },
+  };
+  saveManifest(manifest);
+  log(`\n📝 Manifest written to ${manifest.file}`);
+
+  return { deployment, manifest, accounts };
+}
+
+/**
+ * Vault, reserve and chain state served by the status endpoint, with amounts formatted
+ */
+async function readDevnetStatus(hre, devnet, { rpcUrl } = {}) {
+  const { manifest, accounts } = devnet;
+  const client = createClient(hre.ethers.provider, manifest.data);
+  const block = await hre.ethers.provider.getBlock("latest");
+  const [state, position] = await Promise.all([client.vault.getState(), client.vault.getPosition()]);
+
+  const reserves = {};
+  for (const asset of await client.pool.getReservesList()) {
+    const reserve = await client.dataProvider.getReserveData(asset);
+    reserves[reserve.symbol] = { address: reserve.asset, ...reserve.formatted };
+  }
+
+  return {
+    chainId: manifest.data.chainId,
+    rpcUrl: rpcUrl || null,
+    blockNumber: block.number,
+    timestamp: block.timestamp,
+    contracts: Object.fromEntries(client.addressBook.ids().map((id) => [id, client.addressBook.get(id)])),
+    accounts,
+    vault: {
+      ...state.formatted,
+      loopingEnabled: state.loopingEnabled,
+      leverageMode: state.leverageMode,
+      position: { ...position.formatted, symbol: position.symbol },
+    },
+    reserves,
+  };
+}
+
+/**
+ * Mints `amount` (whole units) of the requested tokens to `address`, and tops its ETH up to `faucet.eth`
+ */
+async function drip(hre, devnet, faucet, request) {
+  const tokens = { USDC: devnet.deployment.usdc, USDT: devnet.deployment.usdt };
+  if (!isAddress(request.address)) {
+    throw new FaucetError("address must be an account address");
+  }
+  const address = getAddress(request.address);
+  const symbols = request.token ? [String(request.token).toUpperCase()] : Object.keys(tokens);
+  if (!symbols.every((symbol) => tokens[symbol])) {
+    throw new FaucetError(`token must be one of ${Object.keys(tokens).join(", ")}`);
+  }
+
+  const amount = String(request.amount || faucet.amount);
+  if (!/^\d+(\.\d+)?$/.test(amount) || Number(amount) <= 0 || Number(amount) > Number(faucet.maxAmount)) {
+    throw new FaucetError(`amount must be a number of tokens above 0 and at most ${faucet.maxAmount}`);
+  }
+
+  const minted = [];
+  for (const symbol of symbols) {
+    const token = tokens[symbol];
+    const decimals = Number(await token.decimals());
+    const tx = await token.mint(address, parseUnits(amount, decimals));
+    await tx.wait();
+    minted.push({ symbol, amount, balance: formatUnits(await token.balanceOf(address), decimals), tx: tx.hash });
+  }
+
+  let balance = await hre.ethers.provider.getBalance(address);
+  const minimum = parseUnits(String(faucet.eth || "0"), 18);
+  const toppedUp = balance < minimum;
+  if (toppedUp) {
+    await hre.network.provider.send("hardhat_setBalance", [address, toQuantity(minimum)]);
+    balance = minimum;
+  }
+
+  return { address, tokens: minted, eth: { toppedUp, balance: formatUnits(balance, 18) } };
+}
+
+function readBody(request) {
+  return new Promise((resolve, reject) => {
+    let body = "";
+    request.on("data", (chunk) => {
+      body += chunk;
+      if (body.length > MAX_BODY_SIZE) {
+        reject(new FaucetError("request body too large"));
+        request.destroy();
+      }
+    });
+    request.on("end", () => resolve(body));
+    request.on("error", reject);
+  });
+}
+
+/**
+ * HTTP server for the devnet, answering JSON with CORS open so front-ends on any local port can call it:
+ * - `GET /status`: chain, contract addresses, seeded accounts, the vault's state and position and reserve rates
+ * - `POST /faucet` with `{ address, token?, amount? }`: mints `amount` (default faucet.amount, at most
+ *   faucet.maxAmount) of USDC and USDT, or only `token`, through USDC.mint / USDT.mint from the deployer, and
+ *   tops the account's ETH up to faucet.eth
+ * The server is returned without listening.
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre
+ * @param {{ deployment: object, manifest: object, accounts: object }} devnet What bootstrapDevnet returned
+ * @param {{ amount?: string, maxAmount?: string, eth?: string, rpcUrl?: string }} [faucet]
+ * @returns {http.Server}
+ */
+function createFaucet(hre, devnet, faucet = {}) {
+  const settings = { amount: "10000", maxAmount: "100000", eth: "10", ...faucet };
+
+  return http.createServer(async (request, response) => {
+    const reply = (status, body) => {
+      response.writeHead(status, {
+        "Content-Type": "application/json",
+        "Access-Control-Allow-Origin": "*",
+        "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+        "Access-Control-Allow-Headers": "Content-Type",
+      });
+      response.end(body === undefined ? "" : JSON.stringify(body, null, 2) + "\n");
+    };
+    const { pathname } = new URL(request.url, "http://localhost");
+
+    try {
+      if (request.method === "OPTIONS") {
+        reply(204);
+      } else if (request.method === "GET" && (pathname === "/" || pathname === "/status")) {
+        reply(200, await readDevnetStatus(hre, devnet, settings));
+      } else if (request.method === "POST" && pathname === "/faucet") {
+        let body;
+        try {
+          body = JSON.parse((await readBody(request)) || "{}");
+        } catch (error) {
+          throw error instanceof FaucetError ? error : new FaucetError("body must be JSON");
+        }
+        reply(200, await drip(hre, devnet, settings, body));
+      } else {
+        reply(404, { error: "use GET /status or POST /faucet" });
+      }
+    } catch (error) {
+      reply(error instanceof FaucetError ? 400 : 500, { error: error.message });
+    }
+  });
+}
+
+module.exports = {
+  DEFAULT_DEVNET_FILE,
+  loadDevnetConfig,
+  bootstrapDevnet,
+  readDevnetStatus,
+  createFaucet,
+};
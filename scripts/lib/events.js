@@ -0,0 +1,21 @@
+/**
+ * Queries `filter` on `contract` from `fromBlock` to `toBlock` (inclusive) in ranges of `batchSize` blocks, so
+ * RPCs that cap the block range of eth_getLogs can serve long histories
+ * @param {import("ethers").Contract} contract
+ * @param {import("ethers").DeferredTopicFilter} filter
+ * @param {number} fromBlock
+ * @param {number} toBlock
+ * @param {number} batchSize
+ * @returns {Promise<import("ethers").EventLog[]>} The events in block order
+ */
+async function queryInBatches(contract, filter, fromBlock, toBlock, batchSize) {
+  const events = [];
+  for (let start = fromBlock; start <= toBlock; start += batchSize) {
+    events.push(...(await contract.queryFilter(filter, start, Math.min(start + batchSize - 1, toBlock))));
+  }
+  return events;
+}
+
+module.exports = {
+  queryInBatches,
+};
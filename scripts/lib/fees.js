@@ -0,0 +1,217 @@
+const { formatUnits } = require("ethers");
+const { WAD, PERCENTAGE_FACTOR, SECONDS_PER_YEAR } = require("./wadRayMath");
+const { queryInBatches } = require("./events");
+
+const FEE_CONFIG_EVENTS = ["ManagementFeeUpdated", "PerformanceFeeUpdated", "FeeRecipientUpdated"];
+
+/**
+ * Vault._sharePrice: assets per share in wad, with the ERC4626 virtual share and asset
+ */
+function sharePrice(totalAssets, totalSupply) {
+  return ((totalAssets + 1n) * WAD) / (totalSupply + 1n);
+}
+
+/**
+ * Port of LeveragedERC4626Vault._accruedFees: the fees accrueFees() would mint at `timestamp`
+ * @param {object} state As returned by readFeeState
+ * @param {bigint} timestamp Block timestamp of the accrual
+ * @returns {{ managementFeeAssets: bigint, performanceFeeAssets: bigint, feeShares: bigint, highWaterMark: bigint }}
+ */
+function calculateAccruedFees(state, timestamp) {
+  const { totalAssets, totalSupply, managementFeeBps, performanceFeeBps, lastFeeAccrual } = state;
+  let highWaterMark = state.highWaterMark;
+  if (totalSupply === 0n) {
+    return { managementFeeAssets: 0n, performanceFeeAssets: 0n, feeShares: 0n, highWaterMark };
+  }
+
+  const managementFeeAssets =
+    (totalAssets * managementFeeBps * (BigInt(timestamp) - lastFeeAccrual)) / (PERCENTAGE_FACTOR * SECONDS_PER_YEAR);
+
+  const price = sharePrice(totalAssets - managementFeeAssets, totalSupply);
+  let performanceFeeAssets = 0n;
+  if (price > highWaterMark) {
+    performanceFeeAssets = ((((price - highWaterMark) * (totalSupply + 1n)) / WAD) * performanceFeeBps) / PERCENTAGE_FACTOR;
+  }
+
+  const feeAssets = managementFeeAssets + performanceFeeAssets;
+  const feeShares = feeAssets > 0n ? (feeAssets * (totalSupply + 1n)) / (totalAssets - feeAssets + 1n) : 0n;
+
+  if (price > highWaterMark) {
+    const after = sharePrice(totalAssets, totalSupply + feeShares);
+    highWaterMark = after > highWaterMark ? after : highWaterMark;
+  }
+
+  return { managementFeeAssets, performanceFeeAssets, feeShares, highWaterMark };
+}
+
+/**
+ * Reads the vault's fee settings and share accounting at `blockTag`
+ */
+async function readFeeState(hre, vaultAddress, blockTag = "latest") {
+  const block = await hre.ethers.provider.getBlock(blockTag);
+  const overrides = { blockTag: block.number };
+  const vault = await hre.ethers.getContractAt("LeveragedERC4626Vault", vaultAddress);
+
+  const [feeRecipient, managementFeeBps, performanceFeeBps, highWaterMark, lastFeeAccrual, totalAssets, totalSupply] =
+    await Promise.all([
+      vault.feeRecipient(overrides),
+      vault.managementFeeBps(overrides),
+      vault.performanceFeeBps(overrides),
+      vault.highWaterMark(overrides),
+      vault.lastFeeAccrual(overrides),
+      vault.totalAssets(overrides),
+      vault.totalSupply(overrides),
+    ]);
+
+  return {
+    blockNumber: block.number,
+    timestamp: BigInt(block.timestamp),
+    feeRecipient,
+    managementFeeBps,
+    performanceFeeBps,
+    highWaterMark,
+    lastFeeAccrual,
+    totalAssets,
+    totalSupply,
+    sharePrice: sharePrice(totalAssets, totalSupply),
+  };
+}
+
+/**
+ * Reconstructs the fees of a vault over a block range from its FeesAccrued events and fee setter events:
+ * every accrual with the shares minted and their recipient, totals, the high-water mark at both ends,
+ * and the fees accrued but not minted yet at `toBlock`. `start` is null when the vault was deployed within the range.
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre
+ * @param {string} vaultAddress
+ * @param {{ fromBlock?: number, toBlock?: number|string, batchSize?: number }} [range]
+ */
+async function buildFeeReport(hre, vaultAddress, { fromBlock = 0, toBlock = "latest", batchSize = 2000 } = {}) {
+  const { ethers } = hre;
+  const vault = await ethers.getContractAt("LeveragedERC4626Vault", vaultAddress);
+  const end = await readFeeState(hre, vaultAddress, toBlock);
+  // State as of the block before the range, unless the vault did not exist yet
+  const startBlock = Math.max(fromBlock - 1, 0);
+  const deployed = (await ethers.provider.getCode(vaultAddress, startBlock)) !== "0x";
+  const start = deployed ? await readFeeState(hre, vaultAddress, startBlock) : null;
+  const timestamps = new Map();
+  const blockTimestamp = async (blockNumber) => {
+    if (!timestamps.has(blockNumber)) {
+      timestamps.set(blockNumber, (await ethers.provider.getBlock(blockNumber)).timestamp);
+    }
+    return timestamps.get(blockNumber);
+  };
+
+  const accruals = [];
+  for (const event of await queryInBatches(vault, vault.filters.FeesAccrued(), fromBlock, end.blockNumber, batchSize)) {
+    const { managementFeeAssets, performanceFeeAssets, feeShares, highWaterMark } = event.args;
+
+    // Fee shares are minted in the same transaction, to the recipient at that time
+    let recipient = null;
+    if (feeShares > 0n) {
+      const receipt = await event.getTransactionReceipt();
+      const mint = receipt.logs
+        .filter((log) => log.address.toLowerCase() === vaultAddress.toLowerCase())
+        .map((log) => vault.interface.parseLog(log))
+        .find((parsed) => parsed && parsed.name === "Transfer" && parsed.args.from === ethers.ZeroAddress && parsed.args.value === feeShares);
+      recipient = mint ? mint.args.to : null;
+    }
+
+    accruals.push({
+      blockNumber: event.blockNumber,
+      timestamp: await blockTimestamp(event.blockNumber),
+      transactionHash: event.transactionHash,
+      recipient,
+      managementFeeAssets,
+      performanceFeeAssets,
+      feeShares,
+      highWaterMark,
+    });
+  }
+
+  const configChanges = [];
+  for (const name of FEE_CONFIG_EVENTS) {
+    for (const event of await queryInBatches(vault, vault.filters[name](), fromBlock, end.blockNumber, batchSize)) {
+      configChanges.push({ blockNumber: event.blockNumber, event: name, value: event.args[0] });
+    }
+  }
+  configChanges.sort((a, b) => a.blockNumber - b.blockNumber);
+
+  const totals = { managementFeeAssets: 0n, performanceFeeAssets: 0n, feeShares: 0n };
+  const byRecipient = {};
+  for (const accrual of accruals) {
+    totals.managementFeeAssets += accrual.managementFeeAssets;
+    totals.performanceFeeAssets += accrual.performanceFeeAssets;
+    totals.feeShares += accrual.feeShares;
+    if (accrual.recipient) {
+      byRecipient[accrual.recipient] = (byRecipient[accrual.recipient] || 0n) + accrual.feeShares;
+    }
+  }
+  totals.feeSharesValue = await vault.convertToAssets(totals.feeShares, { blockTag: end.blockNumber });
+
+  return {
+    vault: vaultAddress,
+    fromBlock,
+    toBlock: end.blockNumber,
+    start,
+    end,
+    // A vault deployed within the range starts at a share price of 1
+    highWaterMark: { start: start ? start.highWaterMark : WAD, end: end.highWaterMark },
+    accruals,
+    configChanges,
+    totals,
+    feeSharesByRecipient: byRecipient,
+    pending: calculateAccruedFees(end, end.timestamp),
+  };
+}
+
+/**
+ * Converts a buildFeeReport result into human readable strings
+ * @param {object} report As returned by buildFeeReport
+ * @param {number} decimals Decimals of the vault asset (and shares)
+ */
+function formatFeeReport(report, decimals) {
+  const amount = (value) => formatUnits(value, decimals);
+  const price = (value) => formatUnits(value, 18);
+  const fees = (f) => ({
+    managementFee: amount(f.managementFeeAssets),
+    performanceFee: amount(f.performanceFeeAssets),
+    feeShares: amount(f.feeShares),
+  });
+  const settings = (state) => ({
+    blockNumber: state.blockNumber,
+    feeRecipient: state.feeRecipient,
+    managementFee: `${(Number(state.managementFeeBps) / 100).toFixed(2)}%`,
+    performanceFee: `${(Number(state.performanceFeeBps) / 100).toFixed(2)}%`,
+    sharePrice: price(state.sharePrice),
+    highWaterMark: price(state.highWaterMark),
+  });
+
+  return {
+    vault: report.vault,
+    fromBlock: report.fromBlock,
+    toBlock: report.toBlock,
+    start: report.start ? settings(report.start) : null,
+    end: settings(report.end),
+    totals: { ...fees(report.totals), feeSharesValue: amount(report.totals.feeSharesValue) },
+    pending: { ...fees(report.pending), highWaterMark: price(report.pending.highWaterMark) },
+    feeSharesByRecipient: Object.fromEntries(
+      Object.entries(report.feeSharesByRecipient).map(([recipient, shares]) => [recipient, amount(shares)])
+    ),
+    accruals: report.accruals.map((accrual) => ({
+      blockNumber: accrual.blockNumber,
+      timestamp: new Date(accrual.timestamp * 1000).toISOString(),
+      recipient: accrual.recipient,
+      ...fees(accrual),
+      highWaterMark: price(accrual.highWaterMark),
+    })),
+    configChanges: report.configChanges.map((change) => ({ ...change, value: change.value.toString() })),
+  };
+}
+
+module.exports = {
+  sharePrice,
+  calculateAccruedFees,
+  readFeeState,
+  buildFeeReport,
+  formatFeeReport,
+};
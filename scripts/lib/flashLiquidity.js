@@ -0,0 +1,147 @@
+const { formatUnits } = require("ethers");
+const { PERCENTAGE_FACTOR } = require("./wadRayMath");
+const { queryInBatches } = require("./events");
+
+/**
+ * Reconstructs the liquidity providers of a FlashLoanProvider over a block range from its Deposit, Withdraw,
+ * FeesDistributed and FlashLoan events, and values their shares at `toBlock`. Per token: liquidity, shares,
+ * protocol fees, loan volume and fees, and per provider what they deposited, withdrew and can withdraw now.
+ * A provider's earnings are `value + withdrawn - deposited`, so they are only complete when the range starts
+ * before the provider's first deposit (the default fromBlock of 0 covers everything).
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre
+ * @param {string} providerAddress
+ * @param {{ fromBlock?: number, toBlock?: number|string, batchSize?: number }} [range]
+ */
+async function buildLpReport(hre, providerAddress, { fromBlock = 0, toBlock = "latest", batchSize = 2000 } = {}) {
+  const { ethers } = hre;
+  const provider = await ethers.getContractAt("FlashLoanProvider", providerAddress);
+  const endBlock = (await ethers.provider.getBlock(toBlock)).number;
+  const overrides = { blockTag: endBlock };
+  const query = (filter) => queryInBatches(provider, filter, fromBlock, endBlock, batchSize);
+
+  const tokens = {};
+  const tokenEntry = (token) => {
+    if (!tokens[token]) {
+      tokens[token] = {
+        token,
+        loans: 0,
+        volume: 0n,
+        fees: 0n,
+        liquidityProviderFees: 0n,
+        protocolFeesDistributed: 0n,
+        providers: {},
+      };
+    }
+    return tokens[token];
+  };
+  const providerEntry = (token, account) => {
+    const entry = tokenEntry(token);
+    if (!entry.providers[account]) {
+      entry.providers[account] = { deposited: 0n, withdrawn: 0n, deposits: 0, withdrawals: 0 };
+    }
+    return entry.providers[account];
+  };
+
+  for (const event of await query(provider.filters.Deposit())) {
+    const lp = providerEntry(event.args.token, event.args.provider);
+    lp.deposited += event.args.amount;
+    lp.deposits += 1;
+  }
+  for (const event of await query(provider.filters.Withdraw())) {
+    const lp = providerEntry(event.args.token, event.args.provider);
+    lp.withdrawn += event.args.amount;
+    lp.withdrawals += 1;
+  }
+  for (const event of await query(provider.filters.FlashLoan())) {
+    const entry = tokenEntry(event.args.token);
+    entry.loans += 1;
+    entry.volume += event.args.amount;
+    entry.fees += event.args.fee;
+  }
+  for (const event of await query(provider.filters.FeesDistributed())) {
+    const entry = tokenEntry(event.args.token);
+    entry.liquidityProviderFees += event.args.liquidityProviderFee;
+    entry.protocolFeesDistributed += event.args.protocolFee;
+  }
+
+  for (const entry of Object.values(tokens)) {
+    const token = await ethers.getContractAt("ERC20", entry.token);
+    const [symbol, decimals, supported, totalLiquidity, totalShares, protocolFees] = await Promise.all([
+      token.symbol(overrides),
+      token.decimals(overrides),
+      provider.supportedTokens(entry.token, overrides),
+      provider.totalLiquidity(entry.token, overrides),
+      provider.totalShares(entry.token, overrides),
+      provider.protocolFees(entry.token, overrides),
+    ]);
+    Object.assign(entry, { symbol, decimals: Number(decimals), supported, totalLiquidity, totalShares, protocolFees });
+
+    for (const [account, lp] of Object.entries(entry.providers)) {
+      lp.shares = await provider.shares(entry.token, account, overrides);
+      lp.value = await provider.liquidityOf(entry.token, account, overrides);
+      lp.earnings = lp.value + lp.withdrawn - lp.deposited;
+      lp.poolShareBps = totalShares > 0n ? (lp.shares * PERCENTAGE_FACTOR) / totalShares : 0n;
+    }
+  }
+
+  return {
+    provider: providerAddress,
+    fromBlock,
+    toBlock: endBlock,
+    protocolFeeBps: await provider.protocolFeeBps(overrides),
+    tokens,
+  };
+}
+
+/**
+ * Converts a buildLpReport result into human readable strings, keyed by token symbol
+ * @param {object} report As returned by buildLpReport
+ */
+function formatLpReport(report) {
+  const percent = (bps) => `${(Number(bps) / 100).toFixed(2)}%`;
+
+  return {
+    provider: report.provider,
+    fromBlock: report.fromBlock,
+    toBlock: report.toBlock,
+    protocolFee: percent(report.protocolFeeBps),
+    tokens: Object.fromEntries(
+      Object.values(report.tokens).map((entry) => {
+        const amount = (value) => formatUnits(value, entry.decimals);
+        return [
+          entry.symbol,
+          {
+            token: entry.token,
+            supported: entry.supported,
+            totalLiquidity: amount(entry.totalLiquidity),
+            totalShares: amount(entry.totalShares),
+            protocolFees: amount(entry.protocolFees),
+            loans: entry.loans,
+            volume: amount(entry.volume),
+            fees: amount(entry.fees),
+            liquidityProviderFees: amount(entry.liquidityProviderFees),
+            protocolFeesDistributed: amount(entry.protocolFeesDistributed),
+            providers: Object.fromEntries(
+              Object.entries(entry.providers).map(([account, lp]) => [
+                account,
+                {
+                  shares: amount(lp.shares),
+                  poolShare: percent(lp.poolShareBps),
+                  deposited: amount(lp.deposited),
+                  withdrawn: amount(lp.withdrawn),
+                  value: amount(lp.value),
+                  earnings: amount(lp.earnings),
+                },
+              ])
+            ),
+          },
+        ];
+      })
+    ),
+  };
+}
+
+module.exports = {
+  buildLpReport,
+  formatLpReport,
+};
@@ -0,0 +1,104 @@
+const { formatUnits } = require("ethers");
+const { deployProtocol } = require("./protocol");
+
+const DEFAULT_OPTIONS = {
+  deposit: "10000", // Opening deposit, then each later deposit, in whole units
+  withdraw: "5000", // Withdrawal after the second deposit, in whole units
+};
+
+/**
+ * Gas used by a transaction, or the revert reason if it failed
+ */
+async function measure(txPromise) {
+  try {
+    const receipt = await (await txPromise).wait();
+    return { gasUsed: receipt.gasUsed, receipt };
+  } catch (error) {
+    return { gasUsed: null, error: error.shortMessage || error.message };
+  }
+}
+
+/**
+ * Deploys a fresh protocol with the vault in `mode` ("loop" or "flash") and measures the gas of levering up an
+ * opening deposit (executeLooping), of a later deposit that levers itself up, and of a withdrawal.
+ * Deploys with persist: false, so it is meant for the in-process network.
+ * @returns {Promise<object>} Gas used per step, with the LTV and totalAssets they left the vault at
+ */
+async function measureLeverageMode(hre, mode, options = {}) {
+  const { ethers } = hre;
+  const opts = { ...DEFAULT_OPTIONS, ...options };
+  const signer = opts.signer || (await ethers.getSigners())[0];
+
+  const { vault, usdc } = await deployProtocol(hre, { signer, persist: false, vault: { leverageMode: mode } });
+  const decimals = Number(await vault.decimals());
+  const deposit = ethers.parseUnits(opts.deposit, decimals);
+  const withdraw = ethers.parseUnits(opts.withdraw, decimals);
+
+  await (await usdc.connect(signer).approve(await vault.getAddress(), ethers.MaxUint256)).wait();
+  // The first deposit stays idle, so leverage is measured on executeLooping()
+  await (await vault.connect(signer).deposit(deposit, signer.address)).wait();
+
+  const leverage = await measure(vault.connect(signer).executeLooping());
+  const leverageLtvBps = await vault.getCurrentLTV();
+  const depositStep = await measure(vault.connect(signer).deposit(deposit, signer.address));
+  const withdrawStep = await measure(vault.connect(signer).withdraw(withdraw, signer.address, signer.address));
+
+  let iterations = 0n;
+  for (const log of leverage.receipt ? leverage.receipt.logs : []) {
+    const parsed = vault.interface.parseLog(log);
+    if (parsed && parsed.name === "LoopExecuted") {
+      iterations = parsed.args.iterations;
+    } else if (parsed && parsed.name === "FlashLeverage") {
+      iterations = 1n;
+    }
+  }
+
+  return {
+    mode,
+    leverageGas: leverage.gasUsed,
+    iterations,
+    leverageLtvBps,
+    depositGas: depositStep.gasUsed,
+    withdrawGas: withdrawStep.gasUsed,
+    withdrawError: withdrawStep.error || null,
+    ltvBps: await vault.getCurrentLTV(),
+    totalAssets: await vault.totalAssets(),
+    decimals,
+  };
+}
+
+/**
+ * Runs measureLeverageMode for loop mode and flash loan mode on identical fresh deployments
+ * @returns {Promise<object[]>} One result per mode
+ */
+async function compareLeverageGas(hre, options = {}) {
+  const results = [];
+  for (const mode of ["loop", "flash"]) {
+    results.push(await measureLeverageMode(hre, mode, options));
+  }
+  return results;
+}
+
+/**
+ * Rows for console.table
+ */
+function formatGasComparison(results) {
+  const gas = (value) => (value === null ? "reverted" : value.toString());
+  return results.map((result) => ({
+    mode: result.mode,
+    "leverage gas": gas(result.leverageGas),
+    iterations: result.iterations.toString(),
+    "LTV after leverage %": (Number(result.leverageLtvBps) / 100).toFixed(2),
+    "levered deposit gas": gas(result.depositGas),
+    "withdraw gas": gas(result.withdrawGas),
+    "final LTV %": (Number(result.ltvBps) / 100).toFixed(2),
+    totalAssets: formatUnits(result.totalAssets, result.decimals),
+  }));
+}
+
+module.exports = {
+  DEFAULT_OPTIONS,
+  measureLeverageMode,
+  compareLeverageGas,
+  formatGasComparison,
+};
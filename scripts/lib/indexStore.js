@@ -0,0 +1,178 @@
+const fs = require("fs");
+const path = require("path");
+
+const INDEX_DIR = path.join(__dirname, "..", "..", "indexer-data");
+
+const sameAddress = (a, b) => a && b && a.toLowerCase() === b.toLowerCase();
+
+/**
+ * JSON file backed store for indexed events and the state snapshots taken alongside them.
+ * Amounts are kept as decimal strings so the file stays plain JSON.
+ */
+class IndexStore {
+  /**
+   * @param {string|null} file Path of the JSON file, or null to keep everything in memory
+   */
+  constructor(file) {
+    this.file = file;
+    this.data = {
+      cursor: null, // last indexed block: { blockNumber, blockHash }
+      blockHashes: {}, // recent block number => hash, used to detect reorgs
+      events: [],
+      vaultSnapshots: [],
+      reserveSnapshots: [],
+    };
+
+    if (file && fs.existsSync(file)) {
+      this.data = { ...this.data, ...JSON.parse(fs.readFileSync(file, "utf8")) };
+    }
+  }
+
+  /**
+   * Default location of the store for a network
+   */
+  static pathFor(networkName) {
+    return path.join(INDEX_DIR, `${networkName}.json`);
+  }
+
+  save() {
+    if (!this.file) {
+      return;
+    }
+
+    // Write then rename so a crash never leaves a truncated file behind
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const tmp = `${this.file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(this.data));
+    fs.renameSync(tmp, this.file);
+  }
+
+  get cursor() {
+    return this.data.cursor;
+  }
+
+  setCursor(blockNumber, blockHash) {
+    this.data.cursor = { blockNumber, blockHash };
+    this.data.blockHashes[blockNumber] = blockHash;
+  }
+
+  recordBlockHash(blockNumber, blockHash) {
+    this.data.blockHashes[blockNumber] = blockHash;
+  }
+
+  /**
+   * Block numbers with a known hash, newest first
+   */
+  knownBlocks() {
+    return Object.keys(this.data.blockHashes)
+      .map(Number)
+      .sort((a, b) => b - a);
+  }
+
+  /**
+   * Forgets block hashes older than `depth` blocks behind `head`
+   */
+  pruneBlockHashes(head, depth) {
+    for (const blockNumber of this.knownBlocks()) {
+      if (blockNumber < head - depth) {
+        delete this.data.blockHashes[blockNumber];
+      }
+    }
+  }
+
+  addEvents(events) {
+    this.data.events.push(...events);
+  }
+
+  addVaultSnapshot(snapshot) {
+    this.data.vaultSnapshots.push(snapshot);
+  }
+
+  addReserveSnapshot(snapshot) {
+    this.data.reserveSnapshots.push(snapshot);
+  }
+
+  /**
+   * Drops everything recorded above `blockNumber` (used when a reorg is detected)
+   */
+  rollback(blockNumber, blockHash) {
+    const keep = (entry) => entry.blockNumber <= blockNumber;
+    this.data.events = this.data.events.filter(keep);
+    this.data.vaultSnapshots = this.data.vaultSnapshots.filter(keep);
+    this.data.reserveSnapshots = this.data.reserveSnapshots.filter(keep);
+
+    for (const known of this.knownBlocks()) {
+      if (known > blockNumber) {
+        delete this.data.blockHashes[known];
+      }
+    }
+
+    this.data.cursor = blockHash ? { blockNumber, blockHash } : null;
+  }
+
+  /**
+   * Events matching every provided filter field
+   * @param {{ contract?: string, address?: string, event?: string, fromBlock?: number, toBlock?: number }} filter
+   */
+  getEvents(filter = {}) {
+    return this.data.events.filter(
+      (e) =>
+        (!filter.contract || e.contract === filter.contract) &&
+        (!filter.address || sameAddress(e.address, filter.address)) &&
+        (!filter.event || e.event === filter.event) &&
+        (filter.fromBlock === undefined || e.blockNumber >= filter.fromBlock) &&
+        (filter.toBlock === undefined || e.blockNumber <= filter.toBlock)
+    );
+  }
+
+  /**
+   * Vault deposits/withdrawals and pool supplies/withdrawals made by or for `user`, oldest first
+   */
+  getDepositHistory(user) {
+    return this.data.events.filter((e) => {
+      const { args } = e;
+      if (e.contract === "LeveragedERC4626Vault") {
+        return (
+          (e.event === "Deposit" && (sameAddress(args.owner, user) || sameAddress(args.sender, user))) ||
+          (e.event === "Withdraw" && (sameAddress(args.owner, user) || sameAddress(args.receiver, user)))
+        );
+      }
+      if (e.contract === "Pool") {
+        return (
+          (e.event === "Supply" && (sameAddress(args.onBehalfOf, user) || sameAddress(args.user, user))) ||
+          (e.event === "Withdraw" && (sameAddress(args.user, user) || sameAddress(args.to, user)))
+        );
+      }
+      return false;
+    });
+  }
+
+  /**
+   * Utilization and rates of a reserve, one point per block where the reserve was touched
+   */
+  getReserveUtilization(asset, { fromBlock, toBlock } = {}) {
+    return this.data.reserveSnapshots.filter(
+      (s) =>
+        sameAddress(s.asset, asset) &&
+        (fromBlock === undefined || s.blockNumber >= fromBlock) &&
+        (toBlock === undefined || s.blockNumber <= toBlock)
+    );
+  }
+
+  /**
+   * LTV and health factor of a vault, one point per block where the vault emitted an event
+   */
+  getVaultTimeline(vault, { fromBlock, toBlock } = {}) {
+    return this.data.vaultSnapshots.filter(
+      (s) =>
+        sameAddress(s.vault, vault) &&
+        (fromBlock === undefined || s.blockNumber >= fromBlock) &&
+        (toBlock === undefined || s.blockNumber <= toBlock)
+    );
+  }
+}
+
+module.exports = {
+  INDEX_DIR,
+  IndexStore,
+};
@@ -0,0 +1,324 @@
+const DEFAULT_CONFIG = {
+  startBlock: 0,
+  // Only index blocks this far behind the head
+  confirmations: 0,
+  batchSize: 2000,
+  // How many blocks back reorgs are tracked
+  reorgDepth: 64,
+  pollIntervalMs: 5000,
+};
+
+const POOL_EVENTS = ["Supply", "Withdraw", "Borrow", "Repay", "LiquidationCall", "FlashLoan"];
+const VAULT_EVENTS = [
+  "LoopExecuted",
+  "Rebalanced",
+  "PositionUnwound",
+  "LoopingToggled",
+  "StrategyMigrated",
+  "Deposit",
+  "Withdraw",
+];
+
+/**
+ * Converts decoded event args into a plain object of JSON friendly values
+ */
+function toPlainArgs(fragment, args) {
+  const result = {};
+  fragment.inputs.forEach((input, i) => {
+    const value = args[i];
+    result[input.name] = typeof value === "bigint" ? value.toString() : value;
+  });
+  return result;
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Backfills Pool and LeveragedERC4626Vault events from `startBlock`, then follows new blocks.
+ * Alongside the events it snapshots vault positions and reserve utilization at every block that
+ * touched them, and rolls back whatever was indexed on blocks that got reorged out.
+ */
+class Indexer {
+  /**
+   * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre
+   * @param {import("./indexStore").IndexStore} store
+   * @param {{ pool: string, vaults: string[] }} addresses Contracts to index
+   * @param {object} [config] Overrides for DEFAULT_CONFIG, plus an optional `log`
+   */
+  constructor(hre, store, addresses, config = {}) {
+    this.hre = hre;
+    this.provider = hre.ethers.provider;
+    this.store = store;
+    this.addresses = addresses;
+    this.config = { ...DEFAULT_CONFIG, ...config };
+    this.log = config.log || (() => {});
+    this._running = false;
+    this._contracts = null;
+  }
+
+  async _init() {
+    if (this._contracts) {
+      return this._contracts;
+    }
+
+    const { ethers } = this.hre;
+    const pool = await ethers.getContractAt("Pool", this.addresses.pool);
+    const vaults = {};
+    for (const address of this.addresses.vaults) {
+      vaults[address.toLowerCase()] = await ethers.getContractAt("LeveragedERC4626Vault", address);
+    }
+
+    this._contracts = { pool, vaults, reserves: {} };
+    return this._contracts;
+  }
+
+  async _getReserve(asset) {
+    const { ethers } = this.hre;
+    const contracts = await this._init();
+    const key = asset.toLowerCase();
+
+    if (!contracts.reserves[key]) {
+      const reserveData = await contracts.pool.getReserveData(asset);
+      contracts.reserves[key] = {
+        token: await ethers.getContractAt("ERC20", asset),
+        debtToken: await ethers.getContractAt("IVariableDebtToken", reserveData.variableDebtTokenAddress),
+      };
+    }
+    return contracts.reserves[key];
+  }
+
+  /**
+   * Returns the block to resume from, rolling the store back first if the chain reorged
+   */
+  async _resolveReorg() {
+    const { cursor } = this.store;
+    if (!cursor) {
+      return this.config.startBlock - 1;
+    }
+
+    const head = await this.provider.getBlock(cursor.blockNumber);
+    if (head && head.hash === cursor.blockHash) {
+      return cursor.blockNumber;
+    }
+
+    // Walk back through the recorded hashes to the newest block still on the canonical chain
+    for (const blockNumber of this.store.knownBlocks()) {
+      if (blockNumber >= cursor.blockNumber) {
+        continue;
+      }
+      const block = await this.provider.getBlock(blockNumber);
+      if (block && block.hash === this.store.data.blockHashes[blockNumber]) {
+        this.log(`reorg detected at block ${cursor.blockNumber}, rolling back to ${blockNumber}`);
+        this.store.rollback(blockNumber, block.hash);
+        return blockNumber;
+      }
+    }
+
+    // Deeper than anything recorded: start over
+    this.log(`reorg deeper than ${this.config.reorgDepth} blocks, re-indexing from ${this.config.startBlock}`);
+    this.store.rollback(this.config.startBlock - 1, null);
+    return this.config.startBlock - 1;
+  }
+
+  _decode(log) {
+    const { pool, vaults } = this._contracts;
+    const address = log.address.toLowerCase();
+    const isPool = address === this.addresses.pool.toLowerCase();
+    const contract = isPool ? pool : vaults[address];
+    if (!contract) {
+      return null;
+    }
+
+    const parsed = contract.interface.parseLog(log);
+    const wanted = isPool ? POOL_EVENTS : VAULT_EVENTS;
+    if (!parsed || !wanted.includes(parsed.name)) {
+      return null;
+    }
+
+    return {
+      contract: isPool ? "Pool" : "LeveragedERC4626Vault",
+      address: log.address,
+      event: parsed.name,
+      args: toPlainArgs(parsed.fragment, parsed.args),
+      blockNumber: log.blockNumber,
+      blockHash: log.blockHash,
+      transactionHash: log.transactionHash,
+      logIndex: log.index,
+    };
+  }
+
+  async _snapshotVault(address, blockNumber, timestamp) {
+    const vault = this._contracts.vaults[address.toLowerCase()];
+    const overrides = { blockTag: blockNumber };
+    const [position, totalAssets, totalSupply] = await Promise.all([
+      vault.getPositionDetails(overrides),
+      vault.totalAssets(overrides),
+      vault.totalSupply(overrides),
+    ]);
+
+    this.store.addVaultSnapshot({
+      vault: address,
+      blockNumber,
+      timestamp,
+      collateral: position.collateralSupplied.toString(),
+      debt: position.debtBorrowed.toString(),
+      ltv: position.currentLTV.toString(),
+      healthFactor: position.healthFactor.toString(),
+      totalAssets: totalAssets.toString(),
+      totalSupply: totalSupply.toString(),
+    });
+  }
+
+  async _snapshotReserve(asset, blockNumber, timestamp) {
+    const { pool } = this._contracts;
+    const { token, debtToken } = await this._getReserve(asset);
+    const overrides = { blockTag: blockNumber };
+    const [reserveData, availableLiquidity, scaledDebt] = await Promise.all([
+      pool.getReserveData(asset, overrides),
+      token.balanceOf(this.addresses.pool, overrides),
+      debtToken.scaledTotalSupply(overrides),
+    ]);
+
+    const RAY = 10n ** 27n;
+    const totalDebt = (scaledDebt * reserveData.variableBorrowIndex + RAY / 2n) / RAY;
+    const total = availableLiquidity + totalDebt;
+    const utilization = total > 0n ? (totalDebt * RAY + total / 2n) / total : 0n;
+
+    this.store.addReserveSnapshot({
+      asset,
+      blockNumber,
+      timestamp,
+      availableLiquidity: availableLiquidity.toString(),
+      totalDebt: totalDebt.toString(),
+      utilization: utilization.toString(),
+      liquidityRate: reserveData.currentLiquidityRate.toString(),
+      variableBorrowRate: reserveData.currentVariableBorrowRate.toString(),
+      liquidityIndex: reserveData.liquidityIndex.toString(),
+      variableBorrowIndex: reserveData.variableBorrowIndex.toString(),
+    });
+  }
+
+  /**
+   * Indexes the events of one batch of blocks and moves the cursor to `toBlock`
+   * @returns {Promise<number|null>} The number of events indexed, or null if a block reorged mid-batch
+   */
+  async _indexRange(fromBlock, toBlock) {
+    const logs = await this.provider.getLogs({
+      address: [this.addresses.pool, ...this.addresses.vaults],
+      fromBlock,
+      toBlock,
+    });
+
+    const events = logs.map((log) => this._decode(log)).filter(Boolean);
+    const byBlock = new Map();
+    for (const event of events) {
+      if (!byBlock.has(event.blockNumber)) {
+        byBlock.set(event.blockNumber, []);
+      }
+      byBlock.get(event.blockNumber).push(event);
+    }
+
+    // A reorg between getLogs and getBlock leaves logs from a block that is no longer canonical:
+    // check every block before storing anything so the batch is skipped as a whole
+    const blocks = new Map();
+    for (const [blockNumber, blockEvents] of byBlock) {
+      const block = await this.provider.getBlock(blockNumber);
+      if (!block || block.hash !== blockEvents[0].blockHash) {
+        this.log(`block ${blockNumber} changed while indexing blocks ${fromBlock}-${toBlock}, retrying the batch`);
+        return null;
+      }
+      blocks.set(blockNumber, block);
+    }
+
+    for (const [blockNumber, blockEvents] of byBlock) {
+      const block = blocks.get(blockNumber);
+      this.store.recordBlockHash(blockNumber, block.hash);
+
+      for (const event of blockEvents) {
+        event.timestamp = block.timestamp;
+      }
+      this.store.addEvents(blockEvents);
+
+      const vaults = new Set();
+      const reserves = new Set();
+      for (const event of blockEvents) {
+        if (event.contract === "LeveragedERC4626Vault") {
+          vaults.add(event.address);
+        } else if (event.event === "LiquidationCall") {
+          reserves.add(event.args.collateralAsset);
+          reserves.add(event.args.debtAsset);
+        } else if (event.event === "FlashLoan") {
+          reserves.add(event.args.asset);
+        } else {
+          reserves.add(event.args.reserve);
+        }
+      }
+      for (const vault of vaults) {
+        await this._snapshotVault(vault, blockNumber, block.timestamp);
+      }
+      for (const asset of reserves) {
+        await this._snapshotReserve(asset, blockNumber, block.timestamp);
+      }
+    }
+
+    const last = await this.provider.getBlock(toBlock);
+    this.store.setCursor(toBlock, last.hash);
+    this.store.pruneBlockHashes(toBlock, this.config.reorgDepth);
+    this.store.save();
+
+    return events.length;
+  }
+
+  /**
+   * Indexes everything between the cursor and the (confirmed) head
+   * @returns {Promise<number>} The number of events indexed
+   */
+  async sync() {
+    await this._init();
+
+    const latest = (await this.provider.getBlockNumber()) - this.config.confirmations;
+    let from = (await this._resolveReorg()) + 1;
+    let indexed = 0;
+
+    while (from <= latest) {
+      const to = Math.min(from + this.config.batchSize - 1, latest);
+      const count = await this._indexRange(from, to);
+      if (count === null) {
+        // Nothing was stored; the next sync resolves the reorg and picks the batch up again
+        break;
+      }
+      this.log(`indexed blocks ${from}-${to}: ${count} events`);
+      indexed += count;
+      from = to + 1;
+    }
+
+    return indexed;
+  }
+
+  /**
+   * Keeps syncing every `pollIntervalMs` until stop() is called. A failed sync (e.g. an RPC error)
+   * is logged and retried on the next poll.
+   */
+  async follow() {
+    this._running = true;
+    while (this._running) {
+      try {
+        await this.sync();
+      } catch (err) {
+        this.log(`sync failed: ${err.message}`);
+      }
+      await sleep(this.config.pollIntervalMs);
+    }
+  }
+
+  stop() {
+    this._running = false;
+  }
+}
+
+module.exports = {
+  DEFAULT_CONFIG,
+  POOL_EVENTS,
+  VAULT_EVENTS,
+  Indexer,
+};
@@ -0,0 +1,313 @@
+const { ZeroAddress } = require("ethers");
+const { readVaultState, simulateDeposit } = require("./simulator");
+
+const DEFAULT_CONFIG = {
+  pollIntervalMs: 15000,
+  // Re-lever (executeLooping) when LTV drifts below this, if the projected LTV stays within the vault's
+  // rebalanceLTVBps; should stay well below it
+  releverBelowBps: 7000,
+  // Skip sending when the base fee plus priority fee is above this ceiling (wei); null for no ceiling
+  maxGasPrice: null,
+  maxRetries: 3,
+  retryDelayMs: 2000,
+  confirmations: 1,
+  dryRun: false,
+};
+
+/**
+ * Structured logger writing one JSON object per line
+ */
+function createJsonLogger(stream = process.stdout) {
+  const write = (level) => (msg, fields = {}) => {
+    const entry = { ts: new Date().toISOString(), level, msg, ...fields };
+    stream.write(JSON.stringify(entry, (_, value) => (typeof value === "bigint" ? value.toString() : value)) + "\n");
+  };
+
+  return { debug: write("debug"), info: write("info"), warn: write("warn"), error: write("error") };
+}
+
+/**
+ * Reverts are deterministic and are not retried; anything else (timeouts, RPC hiccups, underpriced replacements) is
+ */
+function isRetryable(error) {
+  if (error.code === "CALL_EXCEPTION" || error.code === "INSUFFICIENT_FUNDS") {
+    return false;
+  }
+  return !/revert/i.test(error.message || "");
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Raises every fee field by 12.5%, above the 10% nodes require to replace a pending transaction
+ */
+function bumpFees(fees) {
+  return Object.fromEntries(Object.entries(fees).map(([key, value]) => [key, (value * 1125n) / 1000n + 1n]));
+}
+
+/**
+ * Off-chain keeper that watches LeveragedERC4626Vault positions and calls rebalance() when the LTV
+ * crosses the vault's rebalanceLTVBps or the health factor drops below its minHealthFactor, or executeLooping()
+ * when the LTV drifts below `releverBelowBps` (unless the guardian paused looping) and the simulated loop stays
+ * within rebalanceLTVBps. The risk parameters are read on every poll, as the vault's risk admin can change them.
+ */
+class Keeper {
+  /**
+   * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre
+   * @param {import("ethers").Signer} signer Account sending the keeper transactions
+   * @param {string[]} vaults Vault addresses to watch
+   * @param {object} [config] Overrides for DEFAULT_CONFIG, plus an optional `logger`
+   */
+  constructor(hre, signer, vaults, config = {}) {
+    this.hre = hre;
+    this.signer = signer;
+    this.vaults = vaults;
+    this.config = { ...DEFAULT_CONFIG, ...config };
+    this.logger = config.logger || createJsonLogger();
+    this._contracts = {};
+    this._timer = null;
+    this._wake = null;
+    this._running = false;
+  }
+
+  async _getVault(address) {
+    if (!this._contracts[address]) {
+      const vault = await this.hre.ethers.getContractAt("LeveragedERC4626Vault", address, this.signer);
+      this._contracts[address] = { vault };
+    }
+    return this._contracts[address];
+  }
+
+  /**
+   * Reads the position of a vault and decides what, if anything, should be sent
+   * @returns {Promise<{ vault: string, ltv: bigint, healthFactor: bigint, action: string|null }>}
+   */
+  async inspect(address) {
+    const { vault } = await this._getVault(address);
+    const [position, ltv, loopingEnabled, loopingPaused, totalAssets, rebalanceLtvBps, minHealthFactor] =
+      await Promise.all([
+        vault.getPositionDetails(),
+        vault.getCurrentLTV(),
+        vault.loopingEnabled(),
+        vault.loopingPaused(),
+        vault.totalAssets(),
+        vault.rebalanceLTVBps(),
+        vault.minHealthFactor(),
+      ]);
+
+    let action = null;
+    let projectedLtv = null;
+    if (ltv > rebalanceLtvBps || (position.debtBorrowed > 0n && position.healthFactor < minHealthFactor)) {
+      action = "rebalance";
+    } else if (loopingEnabled && !loopingPaused && totalAssets > 0n && ltv < BigInt(this.config.releverBelowBps)) {
+      projectedLtv = await this._projectLeverage(vault, address);
+      if (projectedLtv === null || projectedLtv <= rebalanceLtvBps) {
+        action = "executeLooping";
+      } else {
+        this.logger.info("re-lever skipped, it would overshoot rebalanceLTVBps", {
+          vault: address,
+          ltv,
+          projectedLtv,
+          rebalanceLtvBps,
+        });
+      }
+    }
+
+    return {
+      vault: address,
+      collateral: position.collateralSupplied,
+      debt: position.debtBorrowed,
+      healthFactor: position.healthFactor,
+      ltv,
+      rebalanceLtvBps,
+      projectedLtv,
+      action,
+    };
+  }
+
+  /**
+   * LTV executeLooping() would leave the vault at, from the simulator. In Loop mode it levers toward maxLTVBps, so
+   * from a partly levered position it can end above rebalanceLTVBps. Null for strategies that are not pool
+   * collateral, which only borrow up to targetLTVBps.
+   * @returns {Promise<bigint|null>}
+   */
+  async _projectLeverage(vault, address) {
+    const strategy = await this.hre.ethers.getContractAt("IStrategyAdapter", await vault.strategy());
+    if ((await strategy.collateralPool()) === ZeroAddress) {
+      return null;
+    }
+    const simulation = simulateDeposit(await readVaultState(this.hre, address), 0n);
+    return simulation.final.ltvBps;
+  }
+
+  /**
+   * Fee fields every attempt of one execute() is sent with, so retries can bump them to replace the original
+   */
+  _fees(feeData) {
+    if (feeData.maxFeePerGas !== null) {
+      return { maxFeePerGas: feeData.maxFeePerGas, maxPriorityFeePerGas: feeData.maxPriorityFeePerGas };
+    }
+    return { gasPrice: feeData.gasPrice };
+  }
+
+  /**
+   * Compares what a transaction would actually pay, the current base fee plus the priority fee, to the ceiling.
+   * maxFeePerGas is only a cap, usually twice the base fee, and would trip the ceiling long before the network does.
+   */
+  async _gasPriceTooHigh(feeData) {
+    if (this.config.maxGasPrice === null || this.config.maxGasPrice === undefined) {
+      return false;
+    }
+
+    const block = await this.hre.ethers.provider.getBlock("latest");
+    const gasPrice =
+      block.baseFeePerGas !== null ? block.baseFeePerGas + (feeData.maxPriorityFeePerGas ?? 0n) : feeData.gasPrice;
+    if (gasPrice !== null && gasPrice > BigInt(this.config.maxGasPrice)) {
+      this.logger.warn("gas price above ceiling, skipping", { gasPrice, maxGasPrice: this.config.maxGasPrice });
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Returns the first of `sent` that got mined, if any
+   */
+  async _findMined(sent) {
+    for (const tx of sent) {
+      if (await this.hre.ethers.provider.getTransactionReceipt(tx.hash)) {
+        return tx;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Sends `action` on the vault, retrying transient failures. Every attempt uses the same nonce: a failure after
+   * the broadcast (a wait timeout, a dropped connection) is first checked on-chain, and a retry can only replace
+   * the pending transaction, never land the action a second time.
+   */
+  async execute(address, action) {
+    const { vault } = await this._getVault(address);
+
+    // Surfaces reverts before spending gas (and is all a dry run does)
+    await vault[action].staticCall();
+
+    if (this.config.dryRun) {
+      this.logger.info("dry run, not sending", { vault: address, action });
+      return null;
+    }
+
+    const feeData = await this.hre.ethers.provider.getFeeData();
+    if (await this._gasPriceTooHigh(feeData)) {
+      return null;
+    }
+
+    const nonce = await this.signer.getNonce("pending");
+    let fees = this._fees(feeData);
+    const sent = [];
+    for (let attempt = 1; ; attempt++) {
+      try {
+        let tx = null;
+        if (attempt > 1 && (await this.signer.getNonce("latest")) > nonce) {
+          // The nonce got mined: by one of the sent transactions, or by an attempt whose send errored after the
+          // broadcast. Either way the action went through (or reverted) once and must not be sent again.
+          tx = await this._findMined(sent);
+          if (!tx) {
+            this.logger.warn("nonce used by an earlier attempt, not resending", { vault: address, action, nonce });
+            return null;
+          }
+        } else {
+          if (attempt > 1) {
+            fees = bumpFees(fees);
+          }
+          tx = await vault[action]({ nonce, ...fees });
+          sent.push(tx);
+          this.logger.info("transaction sent", { vault: address, action, txHash: tx.hash, nonce: tx.nonce, attempt });
+        }
+
+        const receipt = await tx.wait(this.config.confirmations);
+        this.logger.info("transaction confirmed", {
+          vault: address,
+          action,
+          txHash: tx.hash,
+          blockNumber: receipt.blockNumber,
+          gasUsed: receipt.gasUsed,
+        });
+        return receipt;
+      } catch (error) {
+        if (!isRetryable(error) || attempt >= this.config.maxRetries) {
+          throw error;
+        }
+
+        this.logger.warn("transaction failed, retrying", { vault: address, action, attempt, error: error.message });
+        await sleep(this.config.retryDelayMs * 2 ** (attempt - 1));
+      }
+    }
+  }
+
+  /**
+   * Runs one polling cycle over every vault. Errors on one vault do not stop the others.
+   * @returns {Promise<object[]>} The inspected state of each vault, with the receipt of any action sent
+   */
+  async tick() {
+    const results = [];
+
+    for (const address of this.vaults) {
+      try {
+        const state = await this.inspect(address);
+        this.logger.debug("vault inspected", state);
+
+        if (state.action) {
+          this.logger.info("action required", { vault: address, action: state.action, ltv: state.ltv });
+          state.receipt = await this.execute(address, state.action);
+        }
+        results.push(state);
+      } catch (error) {
+        this.logger.error("keeper cycle failed", { vault: address, error: error.message });
+        results.push({ vault: address, error });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Polls every `pollIntervalMs` until stop() is called
+   */
+  async start() {
+    this._running = true;
+    this.logger.info("keeper started", {
+      vaults: this.vaults,
+      keeper: await this.signer.getAddress(),
+      dryRun: this.config.dryRun,
+      pollIntervalMs: this.config.pollIntervalMs,
+    });
+
+    while (this._running) {
+      await this.tick();
+      if (!this._running) {
+        break;
+      }
+      await new Promise((resolve) => {
+        this._timer = setTimeout(resolve, this.config.pollIntervalMs);
+        this._wake = resolve;
+      });
+    }
+
+    this.logger.info("keeper stopped");
+  }
+
+  stop() {
+    this._running = false;
+    if (this._timer) {
+      clearTimeout(this._timer);
+      this._wake();
+    }
+  }
+}
+
+module.exports = {
+  DEFAULT_CONFIG,
+  Keeper,
+  createJsonLogger,
+};
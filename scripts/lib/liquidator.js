@@ -0,0 +1,318 @@
+const { createJsonLogger } = require("./keeper");
+const { decodeReserveConfig } = require("./reserveConfig");
+const { getPriceOracle } = require("./oracle");
+const { WAD, PERCENTAGE_FACTOR, rayMul, percentMul, percentDiv } = require("./wadRayMath");
+
+const DEFAULT_CONFIG = {
+  startBlock: 0,
+  batchSize: 2000,
+  pollIntervalMs: 15000,
+  // Smallest bonus worth a transaction, in the oracle base currency (USD with 8 decimals)
+  minProfit: 0n,
+  receiveAToken: false,
+  confirmations: 1,
+  dryRun: false,
+};
+
+// Mirrors the Pool constants
+const DEFAULT_LIQUIDATION_CLOSE_FACTOR = 5000n;
+const MAX_LIQUIDATION_CLOSE_FACTOR = 10000n;
+const CLOSE_FACTOR_HF_THRESHOLD = (WAD * 95n) / 100n;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Off-chain port of Pool._calculateAvailableCollateralToLiquidate
+ * @returns {{ collateralAmount: bigint, debtAmount: bigint }}
+ */
+function calculateLiquidation({
+  debtToCover,
+  userCollateral,
+  liquidationBonus,
+  collateralDecimals,
+  debtDecimals,
+  collateralPrice,
+  debtPrice,
+}) {
+  const collateralUnit = 10n ** BigInt(collateralDecimals);
+  const debtUnit = 10n ** BigInt(debtDecimals);
+  const bonusFactor = PERCENTAGE_FACTOR + BigInt(liquidationBonus);
+
+  const maxCollateral = percentMul((debtPrice * debtToCover * collateralUnit) / (collateralPrice * debtUnit), bonusFactor);
+  if (maxCollateral > userCollateral) {
+    return {
+      collateralAmount: userCollateral,
+      debtAmount: percentDiv((collateralPrice * userCollateral * debtUnit) / (debtPrice * collateralUnit), bonusFactor),
+    };
+  }
+  return { collateralAmount: maxCollateral, debtAmount: debtToCover };
+}
+
+/**
+ * Watches Pool borrowers and liquidates positions whose health factor dropped below 1.
+ * Borrowers are discovered from `Borrow` events; for each underwater account the most profitable
+ * collateral/debt pair is liquidated, up to the close factor, when the bonus clears `minProfit`.
+ */
+class Liquidator {
+  /**
+   * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre
+   * @param {import("ethers").Signer} signer Account repaying debt and receiving collateral
+   * @param {string} poolAddress Pool to watch
+   * @param {object} [config] Overrides for DEFAULT_CONFIG, plus an optional `logger`
+   */
+  constructor(hre, signer, poolAddress, config = {}) {
+    this.hre = hre;
+    this.signer = signer;
+    this.poolAddress = poolAddress;
+    this.config = { ...DEFAULT_CONFIG, ...config };
+    this.logger = config.logger || createJsonLogger();
+    this.borrowers = new Set();
+    this.reserves = new Map();
+    this._nextBlock = this.config.startBlock;
+    this._pool = null;
+    this._oracle = null;
+    this._running = false;
+  }
+
+  async _getPool() {
+    if (!this._pool) {
+      this._pool = await this.hre.ethers.getContractAt("Pool", this.poolAddress, this.signer);
+    }
+    return this._pool;
+  }
+
+  async _getOracle() {
+    if (!this._oracle) {
+      this._oracle = await getPriceOracle(this.hre, await this._getPool());
+    }
+    return this._oracle;
+  }
+
+  async _loadReserves() {
+    const { ethers } = this.hre;
+    const pool = await this._getPool();
+
+    for (const asset of await pool.getReservesList()) {
+      if (this.reserves.has(asset)) {
+        continue;
+      }
+      const data = await pool.getReserveData(asset);
+      this.reserves.set(asset, {
+        asset,
+        token: await ethers.getContractAt("ERC20", asset, this.signer),
+        aToken: await ethers.getContractAt("ERC20", data.aTokenAddress),
+        debtToken: await ethers.getContractAt("VariableDebtToken", data.variableDebtTokenAddress),
+      });
+    }
+  }
+
+  /**
+   * Scans Borrow events since the last call for new borrowers, and picks up new reserves
+   * @returns {Promise<number>} How many borrowers are tracked
+   */
+  async discover() {
+    const pool = await this._getPool();
+    const latest = await this.hre.ethers.provider.getBlockNumber();
+    await this._loadReserves();
+
+    while (this._nextBlock <= latest) {
+      const to = Math.min(this._nextBlock + this.config.batchSize - 1, latest);
+      const events = await pool.queryFilter(pool.filters.Borrow(), this._nextBlock, to);
+      for (const event of events) {
+        this.borrowers.add(event.args.onBehalfOf);
+      }
+      this._nextBlock = to + 1;
+    }
+
+    return this.borrowers.size;
+  }
+
+  /**
+   * Tracked borrowers with a health factor below 1, unhealthiest first
+   * @returns {Promise<{ user: string, healthFactor: bigint }[]>}
+   */
+  async findUnderwater() {
+    const pool = await this._getPool();
+    const accounts = [];
+
+    for (const user of this.borrowers) {
+      const { healthFactor } = await pool.getUserAccountData(user);
+      if (healthFactor < WAD) {
+        accounts.push({ user, healthFactor });
+      }
+    }
+
+    return accounts.sort((a, b) => (a.healthFactor < b.healthFactor ? -1 : 1));
+  }
+
+  /**
+   * Picks the collateral/debt pair that pays the largest bonus for `user`
+   * @returns {Promise<object|null>} The liquidation to send, or null if the user has nothing to liquidate
+   */
+  async plan(user, healthFactor) {
+    const pool = await this._getPool();
+    const oracle = await this._getOracle();
+    const positions = [];
+
+    for (const reserve of this.reserves.values()) {
+      const data = await pool.getReserveData(reserve.asset);
+      const config = decodeReserveConfig(data.configuration.data);
+      const price = await oracle.getAssetPrice(reserve.asset);
+      if (price === 0n) {
+        // The pool refuses to liquidate against an unpriced asset
+        continue;
+      }
+      positions.push({
+        asset: reserve.asset,
+        config,
+        price,
+        collateral: rayMul(await reserve.aToken.balanceOf(user), data.liquidityIndex),
+        debt: rayMul(await reserve.debtToken.scaledBalanceOf(user), data.variableBorrowIndex),
+      });
+    }
+
+    const closeFactor =
+      healthFactor > CLOSE_FACTOR_HF_THRESHOLD ? DEFAULT_LIQUIDATION_CLOSE_FACTOR : MAX_LIQUIDATION_CLOSE_FACTOR;
+    let best = null;
+
+    for (const debtPosition of positions.filter((p) => p.debt > 0n)) {
+      for (const collateralPosition of positions.filter((p) => p.collateral > 0n)) {
+        const { collateralAmount, debtAmount } = calculateLiquidation({
+          debtToCover: percentMul(debtPosition.debt, closeFactor),
+          userCollateral: collateralPosition.collateral,
+          liquidationBonus: collateralPosition.config.liquidationBonus,
+          collateralDecimals: collateralPosition.config.decimals,
+          debtDecimals: debtPosition.config.decimals,
+          collateralPrice: collateralPosition.price,
+          debtPrice: debtPosition.price,
+        });
+
+        // The bonus is the value of the collateral received minus the debt repaid, in the base currency
+        const profit =
+          (collateralAmount * collateralPosition.price) / 10n ** BigInt(collateralPosition.config.decimals) -
+          (debtAmount * debtPosition.price) / 10n ** BigInt(debtPosition.config.decimals);
+
+        if (debtAmount > 0n && (!best || profit > best.profit)) {
+          best = {
+            user,
+            healthFactor,
+            collateralAsset: collateralPosition.asset,
+            debtAsset: debtPosition.asset,
+            debtToCover: debtAmount,
+            collateralAmount,
+            profit,
+          };
+        }
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Sends a planned liquidation (after a static call), approving the debt asset if needed
+   * @returns {Promise<{ status: string, hash?: string }>}
+   */
+  async execute(liquidation) {
+    const pool = await this._getPool();
+    const { token } = this.reserves.get(liquidation.debtAsset);
+    const signerAddress = await this.signer.getAddress();
+
+    if ((await token.balanceOf(signerAddress)) < liquidation.debtToCover) {
+      return { status: "insufficientBalance" };
+    }
+
+    const args = [
+      liquidation.collateralAsset,
+      liquidation.debtAsset,
+      liquidation.user,
+      liquidation.debtToCover,
+      this.config.receiveAToken,
+    ];
+
+    if ((await token.allowance(signerAddress, this.poolAddress)) < liquidation.debtToCover) {
+      if (this.config.dryRun) {
+        return { status: "dryRun" };
+      }
+      await (await token.approve(this.poolAddress, liquidation.debtToCover)).wait(this.config.confirmations);
+    }
+
+    await pool.liquidationCall.staticCall(...args);
+    if (this.config.dryRun) {
+      return { status: "dryRun" };
+    }
+
+    const tx = await pool.liquidationCall(...args);
+    await tx.wait(this.config.confirmations);
+    return { status: "liquidated", hash: tx.hash };
+  }
+
+  /**
+   * One pass: discover borrowers, then liquidate every profitable underwater account
+   * @returns {Promise<object[]>} The liquidations considered, with their outcome
+   */
+  async run() {
+    await this.discover();
+    const results = [];
+
+    for (const { user, healthFactor } of await this.findUnderwater()) {
+      const liquidation = await this.plan(user, healthFactor);
+      if (!liquidation) {
+        continue;
+      }
+
+      if (liquidation.profit < this.config.minProfit) {
+        this.logger.info("liquidation below minimum profit", liquidation);
+        results.push({ ...liquidation, status: "unprofitable" });
+        continue;
+      }
+
+      try {
+        const outcome = await this.execute(liquidation);
+        this.logger.info(`liquidation ${outcome.status}`, { ...liquidation, ...outcome });
+        results.push({ ...liquidation, ...outcome });
+      } catch (error) {
+        this.logger.error("liquidation failed", { ...liquidation, error: error.shortMessage || error.message });
+        results.push({ ...liquidation, status: "failed", error: error.shortMessage || error.message });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Runs a pass every `pollIntervalMs` until stop() is called
+   */
+  async start() {
+    this._running = true;
+    this.logger.info("liquidator started", {
+      pool: this.poolAddress,
+      liquidator: await this.signer.getAddress(),
+      dryRun: this.config.dryRun,
+      pollIntervalMs: this.config.pollIntervalMs,
+    });
+
+    while (this._running) {
+      try {
+        await this.run();
+      } catch (error) {
+        this.logger.error("liquidator cycle failed", { error: error.message });
+      }
+      if (this._running) {
+        await sleep(this.config.pollIntervalMs);
+      }
+    }
+
+    this.logger.info("liquidator stopped");
+  }
+
+  stop() {
+    this._running = false;
+  }
+}
+
+module.exports = {
+  DEFAULT_CONFIG,
+  calculateLiquidation,
+  Liquidator,
+};
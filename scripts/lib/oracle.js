@@ -0,0 +1,65 @@
+const { parseUnits, formatUnits } = require("ethers");
+
+// MockPriceOracle quotes USD prices with 8 decimals (BASE_CURRENCY_UNIT = 1e8)
+const PRICE_DECIMALS = 8;
+
+/**
+ * Parses a human readable USD price ("0.97") into oracle units; bigints are returned as-is
+ */
+function parsePrice(price) {
+  return typeof price === "bigint" ? price : parseUnits(String(price), PRICE_DECIMALS);
+}
+
+function formatPrice(price) {
+  return formatUnits(price, PRICE_DECIMALS);
+}
+
+/**
+ * Returns the price oracle registered in the PoolAddressesProvider behind `pool`
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre
+ * @param {import("ethers").Contract|string} pool Pool contract or address
+ * @param {import("ethers").Signer} [signer] Signer for price updates (must own the mock oracle)
+ */
+async function getPriceOracle(hre, pool, signer) {
+  const poolContract = typeof pool === "string" ? await hre.ethers.getContractAt("Pool", pool) : pool;
+  const provider = await hre.ethers.getContractAt("PoolAddressesProvider", await poolContract.ADDRESSES_PROVIDER());
+  return hre.ethers.getContractAt("MockPriceOracle", await provider.getPriceOracle(), signer);
+}
+
+/**
+ * Sets the USD price of one asset on a MockPriceOracle and waits for the transaction
+ */
+async function setPrice(oracle, asset, price) {
+  const tx = await oracle.setAssetPrice(typeof asset === "string" ? asset : await asset.getAddress(), parsePrice(price));
+  return tx.wait();
+}
+
+/**
+ * Sets several prices at once: `{ [assetAddress]: price }`
+ */
+async function setPrices(oracle, prices) {
+  for (const [asset, price] of Object.entries(prices)) {
+    await setPrice(oracle, asset, price);
+  }
+}
+
+/**
+ * Reads the prices of `assets` as `{ [assetAddress]: bigint }`
+ */
+async function getPrices(oracle, assets) {
+  const prices = {};
+  for (const asset of assets) {
+    prices[asset] = await oracle.getAssetPrice(asset);
+  }
+  return prices;
+}
+
+module.exports = {
+  PRICE_DECIMALS,
+  parsePrice,
+  formatPrice,
+  getPriceOracle,
+  setPrice,
+  setPrices,
+  getPrices,
+};
@@ -0,0 +1,558 @@
+const {
+  loadManifest,
+  deployContract,
+  recordExternal,
+  runStep,
+  verifyManifest,
+} = require("./deployments");
+const { parsePrice } = require("./oracle");
+const {
+  DEFAULT_RESERVE_CONFIG_FILE,
+  encodeReserveConfig,
+  loadReserveConfig,
+  normalizeReserveConfig,
+  applyReserveConfig,
+} = require("./reserveConfig");
+const { applyRiskProfile } = require("./riskProfile");
+
+const DEFAULT_OPTIONS = {
+  // Existing token addresses; tokens not listed here are deployed
+  tokens: {},
+  initialSupply: "1000000", // per token, in whole units
+  // Declarative reserve parameters and interest rate strategies: a config object or the path of a JSON file
+  reserveConfig: DEFAULT_RESERVE_CONFIG_FILE,
+  // Receives the reserve factor share of the interest; the deployer when unset
+  treasury: null,
+  // Fee on Pool flash loans in bps, earned by suppliers; the Pool default (9) when unset
+  flashLoanPremium: null,
+  seedLiquidity: "500000", // per reserve, in whole units; falsy to skip
+  flashLiquidity: "200000", // deposited in the FlashLoanProvider per token, in whole units; falsy to skip
+  // Owner's cut of the FlashLoanProvider fees in bps, the rest going to its liquidity providers; 0 when unset
+  flashProtocolFee: null,
+  // Existing price oracle; when unset a MockPriceOracle is deployed and set to `prices`
+  priceOracle: null,
+  prices: { USDC: "1", USDT: "1" }, // USD per token
+  vault: {
+    name: "Leveraged USDC Vault",
+    symbol: "lvUSDC",
+    collateral: "USDC",
+    borrow: "USDT",
+    leverageMode: "loop", // "loop" or "flash"
+    // Where the borrowed asset goes: "pool" (supplied back as collateral) or "erc4626"
+    strategy: "pool",
+    // ERC-4626 vault of the borrow asset for the "erc4626" strategy; an ERC4626Vault is deployed when unset
+    strategyTarget: null,
+    // Fees are off and go to the deployer unless set (e.g. 100 / 1500 for 1% a year and 15% of the yield)
+    managementFeeBps: null,
+    performanceFeeBps: null,
+    feeRecipient: null,
+    // Leverage limits: a profile name from config/riskProfiles.js, the path of a profile file or a profile object
+    riskProfile: "default",
+    // Account that can change the risk parameters besides the owner; none when unset
+    riskManager: null,
+    // Account that can pause deposits and looping besides the owner; none when unset
+    guardian: null,
+    // Caps on totalAssets() and on each account's position, in collateral units (e.g. "1000000"); none when unset
+    depositCap: null,
+    accountDepositCap: null,
+    // true limits deposits and share transfers to allowlisted accounts (see scripts/manageAllowlist.js), false
+    // lifts that; left as it is when unset
+    allowlistEnabled: null,
+  },
+};
+
+// LeveragedERC4626Vault.LeverageMode
+const LEVERAGE_MODES = { loop: 0n, flash: 1n };
+
+const VAULT_STRATEGIES = ["pool", "erc4626"];
+
+// Linked libraries that keep LeveragedERC4626Vault under the contract size limit, deployed under their own names
+const VAULT_LIBRARIES = [
+  "VaultRiskLogic",
+  "VaultFeeLogic",
+  "VaultAllowlistLogic",
+  "VaultRebalanceLogic",
+  "VaultLeverageLogic",
+];
+
+const RESERVES = [
+  { symbol: "USDC", contract: "USDC", aTokenName: "Aave USDC", debtTokenName: "Variable Debt USDC" },
+  { symbol: "USDT", contract: "USDT", aTokenName: "Aave USDT", debtTokenName: "Variable Debt USDT" },
+];
+
+/**
+ * Manifest id of a named interest rate strategy; "default" keeps the id of the single strategy older
+ * deployments have
+ */
+function strategyId(name) {
+  return name === "default" ? "InterestRateStrategy" : `InterestRateStrategy:${name}`;
+}
+
+/**
+ * Deploys (or resumes deploying) the full protocol: the vault's linked libraries, tokens, PoolAddressesProvider,
+ * price oracle, the interest rate strategies, Pool, PoolConfigurator and treasury, the VaultRouter, the aToken /
+ * VariableDebtToken pair of every reserve, the reserve initialization and config, the pool seeding, the
+ * FlashLoanProvider, the strategy adapters and the LeveragedERC4626Vault. Every address, constructor arg and tx hash
+ * is written to deployments/<network>.json,
+ * and anything already recorded there (and still on chain) is reused.
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre
+ * @param {object} [options] Overrides for DEFAULT_OPTIONS, plus `signer`, `persist`, `verify` and `log`
+ */
+async function deployProtocol(hre, options = {}) {
+  const { ethers } = hre;
+  const opts = {
+    ...DEFAULT_OPTIONS,
+    ...options,
+    vault: { ...DEFAULT_OPTIONS.vault, ...options.vault },
+    tokens: { ...DEFAULT_OPTIONS.tokens, ...options.tokens },
+    prices: { ...DEFAULT_OPTIONS.prices, ...options.prices },
+  };
+  const log = opts.log || (() => {});
+  const deployer = opts.signer || (await ethers.getSigners())[0];
+  const manifest = await loadManifest(hre, { persist: opts.persist });
+  const deploy = (id, contractName, args, libraries) =>
+    deployContract(hre, manifest, id, contractName, args, { signer: deployer, libraries, log });
+  const step = (id, isDone, send, args) => runStep(manifest, id, isDone, send, { args, log });
+  const reserveConfig =
+    typeof opts.reserveConfig === "string"
+      ? loadReserveConfig(opts.reserveConfig)
+      : normalizeReserveConfig(opts.reserveConfig);
+
+  // Linked libraries of the vault, which depend on nothing else
+  const vaultLibraries = {};
+  for (const library of VAULT_LIBRARIES) {
+    vaultLibraries[library] = await (await deploy(library, library, [])).getAddress();
+  }
+
+  // Tokens
+  const tokens = {};
+  for (const reserve of RESERVES) {
+    const existing = opts.tokens[reserve.symbol];
+    if (existing) {
+      recordExternal(manifest, reserve.symbol, reserve.contract, existing);
+      tokens[reserve.symbol] = await ethers.getContractAt(reserve.contract, existing, deployer);
+    } else {
+      tokens[reserve.symbol] = await deploy(reserve.symbol, reserve.contract, [
+        deployer.address,
+        ethers.parseUnits(opts.initialSupply, 6),
+      ]);
+    }
+  }
+
+  // Registry, rate strategy and pool
+  const addressesProvider = await deploy("PoolAddressesProvider", "PoolAddressesProvider", [deployer.address]);
+  const addressesProviderAddress = await addressesProvider.getAddress();
+
+  // Price oracle
+  let priceOracle;
+  if (opts.priceOracle) {
+    recordExternal(manifest, "PriceOracle", "IPriceOracleGetter", opts.priceOracle);
+    priceOracle = await ethers.getContractAt("IPriceOracleGetter", opts.priceOracle, deployer);
+  } else {
+    priceOracle = await deploy("PriceOracle", "MockPriceOracle", [deployer.address]);
+    for (const reserve of RESERVES) {
+      const assetAddress = await tokens[reserve.symbol].getAddress();
+      const price = parsePrice(opts.prices[reserve.symbol]);
+      await step(
+        `price:${reserve.symbol}`,
+        async () => (await priceOracle.getAssetPrice(assetAddress)) === price,
+        () => priceOracle.setAssetPrice(assetAddress, price),
+        [assetAddress, price]
+      );
+    }
+  }
+  const priceOracleAddress = await priceOracle.getAddress();
+
+  await step(
+    "setPriceOracle",
+    async () => (await addressesProvider.getPriceOracle()) === priceOracleAddress,
+    () => addressesProvider.setPriceOracle(priceOracleAddress),
+    [priceOracleAddress]
+  );
+
+  // Interest rate strategies (rates expressed as fractions, converted to ray)
+  const interestRateStrategies = {};
+  const strategyAddresses = {};
+  for (const [name, rateStrategy] of Object.entries(reserveConfig.interestRateStrategies)) {
+    interestRateStrategies[name] = await deploy(strategyId(name), "InterestRateStrategy", [
+      ethers.parseUnits(rateStrategy.optimalUtilizationRate, 27),
+      ethers.parseUnits(rateStrategy.baseVariableBorrowRate, 27),
+      ethers.parseUnits(rateStrategy.variableRateSlope1, 27),
+      ethers.parseUnits(rateStrategy.variableRateSlope2, 27),
+    ]);
+    strategyAddresses[name] = await interestRateStrategies[name].getAddress();
+  }
+
+  const pool = await deploy("Pool", "Pool", [addressesProviderAddress]);
+  const poolAddress = await pool.getAddress();
+
+  await step(
+    "setPoolImpl",
+    async () => (await addressesProvider.getPool()) === poolAddress,
+    () => addressesProvider.setPoolImpl(poolAddress),
+    [poolAddress]
+  );
+
+  // Reserve parameters change through the configurator; the reserve factor accrues to the treasury
+  const poolConfigurator = await deploy("PoolConfigurator", "PoolConfigurator", [addressesProviderAddress]);
+  const poolConfiguratorAddress = await poolConfigurator.getAddress();
+
+  await step(
+    "setPoolConfigurator",
+    async () => (await addressesProvider.getPoolConfigurator()) === poolConfiguratorAddress,
+    () => addressesProvider.setPoolConfigurator(poolConfiguratorAddress),
+    [poolConfiguratorAddress]
+  );
+  // Read-only reserve views (totals, rates and indexes) for reporting
+  const poolDataProvider = await deploy("PoolDataProvider", "PoolDataProvider", [poolAddress]);
+  // Permit deposits and batched calls across vaults and the Pool
+  const router = await deploy("VaultRouter", "VaultRouter", []);
+  const routerAddress = await router.getAddress();
+
+  const treasury = opts.treasury || deployer.address;
+  await step(
+    "setTreasury",
+    async () => (await addressesProvider.getTreasury()) === treasury,
+    () => addressesProvider.setTreasury(treasury),
+    [treasury]
+  );
+
+  if (opts.flashLoanPremium !== null && opts.flashLoanPremium !== undefined) {
+    const premium = BigInt(opts.flashLoanPremium);
+    await step(
+      "flashLoanPremium",
+      async () => (await pool.FLASHLOAN_PREMIUM_TOTAL()) === premium,
+      () => poolConfigurator.updateFlashloanPremiumTotal(premium),
+      [premium]
+    );
+  }
+
+  // Reserve tokens and initialization
+  const reserveTokens = {};
+  for (const reserve of RESERVES) {
+    const asset = tokens[reserve.symbol];
+    const assetAddress = await asset.getAddress();
+
+    const aToken = await deploy(`aToken${reserve.symbol}`, "AToken", [
+      poolAddress,
+      assetAddress,
+      reserve.aTokenName,
+      `a${reserve.symbol}`,
+    ]);
+    const variableDebtToken = await deploy(`variableDebtToken${reserve.symbol}`, "VariableDebtToken", [
+      poolAddress,
+      assetAddress,
+      reserve.debtTokenName,
+      `variableDebt${reserve.symbol}`,
+    ]);
+    reserveTokens[reserve.symbol] = { aToken, variableDebtToken };
+
+    const config = reserveConfig.reserves[reserve.symbol];
+    if (!config) {
+      throw new Error(`The reserve config has no entry for ${reserve.symbol}`);
+    }
+    const configuration = encodeReserveConfig({ ...config, decimals: await asset.decimals() });
+    const strategy = strategyAddresses[config.interestRateStrategy] || config.interestRateStrategy;
+    const initArgs = [
+      assetAddress,
+      await aToken.getAddress(),
+      await variableDebtToken.getAddress(),
+      strategy,
+      configuration,
+    ];
+
+    await step(
+      `initReserve:${reserve.symbol}`,
+      async () => (await pool.getReserveData(assetAddress)).aTokenAddress !== ethers.ZeroAddress,
+      () => pool.initReserve(...initArgs),
+      initArgs
+    );
+  }
+
+  // Reserves initialized by an earlier run pick up any change made to the config since
+  const assets = {};
+  for (const reserve of RESERVES) {
+    assets[reserve.symbol] = await tokens[reserve.symbol].getAddress();
+  }
+  await applyReserveConfig(hre, {
+    pool,
+    configurator: poolConfigurator,
+    config: reserveConfig,
+    assets,
+    strategies: strategyAddresses,
+    log,
+  });
+
+  // Seed the pool with liquidity
+  if (opts.seedLiquidity) {
+    const seedAmount = ethers.parseUnits(opts.seedLiquidity, 6);
+
+    for (const reserve of RESERVES) {
+      const asset = tokens[reserve.symbol];
+      const assetAddress = await asset.getAddress();
+      const { aToken } = reserveTokens[reserve.symbol];
+
+      await step(
+        `approve:${reserve.symbol}`,
+        async () => (await asset.allowance(deployer.address, poolAddress)) >= seedAmount,
+        () => asset.approve(poolAddress, ethers.MaxUint256),
+        [poolAddress]
+      );
+      await step(
+        `seed:${reserve.symbol}`,
+        async () => (await aToken.balanceOf(deployer.address)) > 0n,
+        () => pool.supply(assetAddress, seedAmount, deployer.address, 0),
+        [assetAddress, seedAmount, deployer.address, 0]
+      );
+    }
+  }
+
+  // Flash loans, used by the vault in flash leverage mode
+  const flashLoanProvider = await deploy("FlashLoanProvider", "FlashLoanProvider", [deployer.address]);
+  const flashLoanProviderAddress = await flashLoanProvider.getAddress();
+
+  if (opts.flashProtocolFee !== null && opts.flashProtocolFee !== undefined) {
+    const protocolFee = BigInt(opts.flashProtocolFee);
+    await step(
+      "flash:setProtocolFee",
+      async () => (await flashLoanProvider.protocolFeeBps()) === protocolFee,
+      () => flashLoanProvider.setProtocolFee(protocolFee),
+      [protocolFee]
+    );
+  }
+
+  for (const reserve of RESERVES) {
+    const asset = tokens[reserve.symbol];
+    const assetAddress = await asset.getAddress();
+
+    await step(
+      `flash:support:${reserve.symbol}`,
+      () => flashLoanProvider.isSupportedToken(assetAddress),
+      () => flashLoanProvider.setSupportedToken(assetAddress, true),
+      [assetAddress, true]
+    );
+
+    if (opts.flashLiquidity) {
+      const flashAmount = ethers.parseUnits(opts.flashLiquidity, 6);
+      await step(
+        `flash:approve:${reserve.symbol}`,
+        async () => (await asset.allowance(deployer.address, flashLoanProviderAddress)) >= flashAmount,
+        () => asset.approve(flashLoanProviderAddress, flashAmount),
+        [flashLoanProviderAddress, flashAmount]
+      );
+      await step(
+        `flash:seed:${reserve.symbol}`,
+        async () => (await flashLoanProvider.shares(assetAddress, deployer.address)) > 0n,
+        () => flashLoanProvider.deposit(assetAddress, flashAmount),
+        [assetAddress, flashAmount]
+      );
+    }
+  }
+
+  // Strategy adapters. The vault is always deployed on the pool strategy, and migrated to the one configured, so
+  // changing vault.strategy later migrates the live position instead of deploying a new vault.
+  if (!VAULT_STRATEGIES.includes(opts.vault.strategy)) {
+    throw new Error(`Unknown vault.strategy ${opts.vault.strategy}: use ${VAULT_STRATEGIES.join(" or ")}`);
+  }
+  const borrowAssetAddress = await tokens[opts.vault.borrow].getAddress();
+  const poolStrategy = await deploy("PoolStrategyAdapter", "PoolStrategyAdapter", [poolAddress, borrowAssetAddress]);
+  let strategyVault = null;
+  let erc4626Strategy = null;
+  if (opts.vault.strategy === "erc4626") {
+    let target = opts.vault.strategyTarget;
+    if (target) {
+      recordExternal(manifest, "StrategyVault", "IERC4626", target);
+      strategyVault = await ethers.getContractAt("IERC4626", target, deployer);
+    } else {
+      strategyVault = await deploy("StrategyVault", "ERC4626Vault", [
+        borrowAssetAddress,
+        `Yield ${opts.vault.borrow}`,
+        `y${opts.vault.borrow}`,
+      ]);
+      target = await strategyVault.getAddress();
+    }
+    erc4626Strategy = await deploy("ERC4626StrategyAdapter", "ERC4626StrategyAdapter", [target]);
+  }
+  const strategy = erc4626Strategy || poolStrategy;
+  const strategyAddress = await strategy.getAddress();
+
+  // Leveraged vault
+  const vault = await deploy(
+    "LeveragedERC4626Vault",
+    "LeveragedERC4626Vault",
+    [
+      await tokens[opts.vault.collateral].getAddress(),
+      opts.vault.name,
+      opts.vault.symbol,
+      poolAddress,
+      borrowAssetAddress,
+      await poolStrategy.getAddress(),
+    ],
+    vaultLibraries
+  );
+
+  await step(
+    "vault:setFlashLoanProvider",
+    async () => (await vault.flashLoanProvider()) === flashLoanProviderAddress,
+    () => vault.setFlashLoanProvider(flashLoanProviderAddress),
+    [flashLoanProviderAddress]
+  );
+  // Moving a live vault to another strategy is queued behind its timelock, and executed by the first run after it
+  await step(
+    "vault:migrateStrategy",
+    async () => ["unchanged", "pending"].includes((await nextStrategyMigration(hre, vault, strategyAddress)).next),
+    async () =>
+      (await nextStrategyMigration(hre, vault, strategyAddress)).next === "execute"
+        ? vault.executeStrategyMigration()
+        : vault.migrateStrategy(strategyAddress),
+    [strategyAddress]
+  );
+  const leverageMode = LEVERAGE_MODES[opts.vault.leverageMode];
+  if (leverageMode === undefined) {
+    throw new Error(`Unknown vault.leverageMode ${opts.vault.leverageMode}: use ${Object.keys(LEVERAGE_MODES).join(" or ")}`);
+  }
+  await step(
+    "vault:setLeverageMode",
+    async () => (await vault.leverageMode()) === leverageMode,
+    () => vault.setLeverageMode(leverageMode),
+    [leverageMode]
+  );
+
+  const { managementFeeBps, performanceFeeBps, feeRecipient } = opts.vault;
+  if (feeRecipient) {
+    await step(
+      "vault:setFeeRecipient",
+      async () => (await vault.feeRecipient()) === feeRecipient,
+      () => vault.setFeeRecipient(feeRecipient),
+      [feeRecipient]
+    );
+  }
+  if (managementFeeBps !== null && managementFeeBps !== undefined) {
+    await step(
+      "vault:setManagementFee",
+      async () => (await vault.managementFeeBps()) === BigInt(managementFeeBps),
+      () => vault.setManagementFee(managementFeeBps),
+      [managementFeeBps]
+    );
+  }
+  if (performanceFeeBps !== null && performanceFeeBps !== undefined) {
+    await step(
+      "vault:setPerformanceFee",
+      async () => (await vault.performanceFeeBps()) === BigInt(performanceFeeBps),
+      () => vault.setPerformanceFee(performanceFeeBps),
+      [performanceFeeBps]
+    );
+  }
+
+  // Re-runs bring the risk parameters in line with the profile: loosening a live vault's is queued behind its
+  // timelock, and executed by the first run after it
+  if (opts.vault.riskManager) {
+    await step(
+      "vault:setRiskManager",
+      async () => (await vault.riskManager()) === opts.vault.riskManager,
+      () => vault.setRiskManager(opts.vault.riskManager),
+      [opts.vault.riskManager]
+    );
+  }
+  const riskProfile = await applyRiskProfile(hre, { vault, profile: opts.vault.riskProfile, log });
+
+  const { guardian, depositCap, accountDepositCap, allowlistEnabled } = opts.vault;
+  if (guardian) {
+    await step(
+      "vault:setGuardian",
+      async () => (await vault.guardian()) === guardian,
+      () => vault.setGuardian(guardian),
+      [guardian]
+    );
+  }
+  // Unset caps are left as they are, so a re-run does not lift caps set after the deployment
+  if (depositCap || accountDepositCap) {
+    const caps = [depositCap, accountDepositCap].map((cap) => (cap ? ethers.parseUnits(cap, 6) : ethers.MaxUint256));
+    await step(
+      "vault:setDepositCaps",
+      async () => (await vault.depositCap()) === caps[0] && (await vault.accountDepositCap()) === caps[1],
+      () => vault.setDepositCaps(...caps),
+      caps
+    );
+  }
+  if (allowlistEnabled !== null && allowlistEnabled !== undefined) {
+    await step(
+      "vault:setAllowlistEnabled",
+      async () => (await vault.allowlistEnabled()) === allowlistEnabled,
+      () => vault.setAllowlistEnabled(allowlistEnabled),
+      [allowlistEnabled]
+    );
+  }
+
+  // Vault deposits through the router come from the router, so an allowlisted vault lists it too (it checks its own
+  // callers against the vault's allowlist)
+  if (allowlistEnabled) {
+    await step(
+      "vault:allowlistRouter",
+      async () => vault.isAllowlisted(routerAddress),
+      () => vault.setAllowlist([routerAddress], true),
+      [[routerAddress], true]
+    );
+  }
+
+  if (opts.verify) {
+    await verifyManifest(hre, manifest, { log });
+  }
+
+  return {
+    manifest,
+    deployer,
+    usdc: tokens.USDC,
+    usdt: tokens.USDT,
+    addressesProvider,
+    priceOracle,
+    interestRateStrategy: interestRateStrategies.default,
+    interestRateStrategies,
+    pool,
+    poolConfigurator,
+    poolDataProvider,
+    aTokenUSDC: reserveTokens.USDC.aToken,
+    variableDebtTokenUSDC: reserveTokens.USDC.variableDebtToken,
+    aTokenUSDT: reserveTokens.USDT.aToken,
+    variableDebtTokenUSDT: reserveTokens.USDT.variableDebtToken,
+    flashLoanProvider,
+    poolStrategy,
+    erc4626Strategy,
+    strategyVault,
+    strategy,
+    vault,
+    router,
+    riskProfile,
+  };
+}
+
+/**
+ * What moving a vault to `strategy` takes next: nothing (unchanged), waiting for the timelock of the migration
+ * queued for it (pending), executeStrategyMigration() once that is over (execute), or migrateStrategy() (migrate),
+ * which applies at once while the vault has no shares and queues the migration otherwise
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre
+ * @param {import("ethers").Contract} vault
+ * @param {string} strategy Strategy adapter address
+ * @returns {Promise<{ next: string, eta: bigint|null }>} `eta` of the queued migration, for pending and execute
+ */
+async function nextStrategyMigration(hre, vault, strategy) {
+  if ((await vault.strategy()) === strategy) {
+    return { next: "unchanged", eta: null };
+  }
+  const [pending, eta] = await Promise.all([vault.pendingStrategy(), vault.strategyMigrationEta()]);
+  if (eta === 0n || pending !== strategy) {
+    return { next: "migrate", eta: null };
+  }
+  const { timestamp } = await hre.ethers.provider.getBlock("latest");
+  return { next: BigInt(timestamp) < eta ? "pending" : "execute", eta };
+}
+
+module.exports = {
+  DEFAULT_OPTIONS,
+  LEVERAGE_MODES,
+  VAULT_STRATEGIES,
+  RESERVES,
+  strategyId,
+  deployProtocol,
+  nextStrategyMigration,
+};
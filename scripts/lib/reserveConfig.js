@@ -0,0 +1,187 @@
+const fs = require("fs");
+const path = require("path");
+const { FLAG_DEFAULTS, encodeReserveConfig, decodeReserveConfig } = require("../../sdk/src/reserveConfig");
+
+const DEFAULT_RESERVE_CONFIG_FILE = path.join(__dirname, "..", "..", "config", "reserves.json");
+
+/**
+ * Checks the collateral parameters the way PoolConfigurator.configureReserveAsCollateral does, so a bad file
+ * fails before any transaction is sent
+ */
+function validateReserve(symbol, reserve) {
+  for (const name of ["ltv", "liquidationThreshold", "liquidationBonus", "reserveFactor"]) {
+    if (!Number.isInteger(reserve[name]) || reserve[name] < 0 || reserve[name] > 0xffff) {
+      throw new Error(`${symbol}: ${name} must be an integer amount of bps`);
+    }
+  }
+  const { ltv, liquidationThreshold, liquidationBonus, reserveFactor } = reserve;
+  if (ltv > liquidationThreshold) {
+    throw new Error(`${symbol}: ltv ${ltv} is above the liquidation threshold ${liquidationThreshold}`);
+  }
+  if (liquidationThreshold === 0 && liquidationBonus !== 0) {
+    throw new Error(`${symbol}: a reserve with no liquidation threshold cannot have a liquidation bonus`);
+  }
+  if (liquidationThreshold * (10000 + liquidationBonus) > 10000 * 10000) {
+    throw new Error(`${symbol}: liquidation threshold plus bonus is above 100%`);
+  }
+  if (reserveFactor > 10000) {
+    throw new Error(`${symbol}: reserve factor ${reserveFactor} is above 100%`);
+  }
+}
+
+/**
+ * Fills in the defaults of a declarative reserve config and validates it. The config holds named interest rate
+ * strategies (rates as fractions, converted to ray on deploy) and one entry per reserve symbol:
+ *
+ *   {
+ *     "interestRateStrategies": { "default": { "optimalUtilizationRate": "0.8", ... } },
+ *     "reserves": { "USDC": { "ltv": 8500, ..., "interestRateStrategy": "default" } }
+ *   }
+ *
+ * A reserve's interestRateStrategy is either a strategy name or the address of a deployed strategy.
+ */
+function normalizeReserveConfig(config) {
+  const interestRateStrategies = config.interestRateStrategies || {};
+  const reserves = {};
+
+  for (const [symbol, entry] of Object.entries(config.reserves || {})) {
+    const reserve = { ...FLAG_DEFAULTS, interestRateStrategy: "default", ...entry };
+    validateReserve(symbol, reserve);
+    const strategy = reserve.interestRateStrategy;
+    if (!interestRateStrategies[strategy] && !/^0x[0-9a-fA-F]{40}$/.test(strategy)) {
+      throw new Error(`${symbol}: unknown interest rate strategy ${strategy}`);
+    }
+    reserves[symbol] = reserve;
+  }
+
+  return { interestRateStrategies, reserves };
+}
+
+/**
+ * Reads and normalizes a declarative reserve config file (defaults to config/reserves.json)
+ */
+function loadReserveConfig(file = DEFAULT_RESERVE_CONFIG_FILE) {
+  return normalizeReserveConfig(JSON.parse(fs.readFileSync(file, "utf8")));
+}
+
+/**
+ * Lists the PoolConfigurator calls that move a reserve from its `current` decoded configuration and rate
+ * strategy to the `desired` one. Activation goes first and deactivation last, so the other calls never hit an
+ * inactive reserve.
+ * @param {object} current decodeReserveConfig output plus `interestRateStrategy` (address)
+ * @param {object} desired Normalized reserve entry, with `interestRateStrategy` resolved to an address
+ * @returns {{ method: string, args: any[], from: any, to: any }[]} Calls without the leading asset argument
+ */
+function planReserveChanges(current, desired) {
+  const changes = [];
+
+  if (desired.active && !current.active) {
+    changes.push({ method: "setReserveActive", args: [true], from: false, to: true });
+  }
+  if (
+    current.ltv !== desired.ltv ||
+    current.liquidationThreshold !== desired.liquidationThreshold ||
+    current.liquidationBonus !== desired.liquidationBonus
+  ) {
+    changes.push({
+      method: "configureReserveAsCollateral",
+      args: [desired.ltv, desired.liquidationThreshold, desired.liquidationBonus],
+      from: [current.ltv, current.liquidationThreshold, current.liquidationBonus],
+      to: [desired.ltv, desired.liquidationThreshold, desired.liquidationBonus],
+    });
+  }
+  if (current.borrowingEnabled !== desired.borrowingEnabled) {
+    changes.push({
+      method: "setReserveBorrowing",
+      args: [desired.borrowingEnabled],
+      from: current.borrowingEnabled,
+      to: desired.borrowingEnabled,
+    });
+  }
+  if (current.frozen !== desired.frozen) {
+    changes.push({ method: "setReserveFreeze", args: [desired.frozen], from: current.frozen, to: desired.frozen });
+  }
+  if (current.reserveFactor !== desired.reserveFactor) {
+    changes.push({
+      method: "setReserveFactor",
+      args: [desired.reserveFactor],
+      from: current.reserveFactor,
+      to: desired.reserveFactor,
+    });
+  }
+  if (current.interestRateStrategy.toLowerCase() !== desired.interestRateStrategy.toLowerCase()) {
+    changes.push({
+      method: "setReserveInterestRateStrategyAddress",
+      args: [desired.interestRateStrategy],
+      from: current.interestRateStrategy,
+      to: desired.interestRateStrategy,
+    });
+  }
+  if (!desired.active && current.active) {
+    changes.push({ method: "setReserveActive", args: [false], from: true, to: false });
+  }
+
+  return changes;
+}
+
+/**
+ * Brings the reserves on chain in line with a declarative reserve config, sending only the PoolConfigurator
+ * calls whose parameters differ. Reserves missing from the config are left alone.
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre
+ * @param {object} params
+ * @param {import("ethers").Contract} params.pool
+ * @param {import("ethers").Contract} params.configurator PoolConfigurator, connected to the pool admin
+ * @param {object} params.config Reserve config (normalized with normalizeReserveConfig when it is not yet)
+ * @param {object} params.assets Reserve symbol => asset address
+ * @param {object} [params.strategies] Strategy name => deployed strategy address
+ * @param {boolean} [params.dryRun] Only plan the changes
+ * @param {Function} [params.log]
+ * @returns {Promise<object[]>} Every planned change, with its tx hash when it was sent
+ */
+async function applyReserveConfig(hre, { pool, configurator, config, assets, strategies = {}, dryRun = false, log }) {
+  const { reserves } = normalizeReserveConfig(config);
+  const print = log || (() => {});
+  const applied = [];
+
+  for (const [symbol, reserve] of Object.entries(reserves)) {
+    const asset = assets[symbol];
+    if (!asset) {
+      throw new Error(`No asset address for reserve ${symbol}`);
+    }
+    const strategy = hre.ethers.isAddress(reserve.interestRateStrategy)
+      ? reserve.interestRateStrategy
+      : strategies[reserve.interestRateStrategy];
+    if (!strategy) {
+      throw new Error(`${symbol}: interest rate strategy ${reserve.interestRateStrategy} is not deployed`);
+    }
+
+    const data = await pool.getReserveData(asset);
+    if (data.aTokenAddress === hre.ethers.ZeroAddress) {
+      throw new Error(`Reserve ${symbol} (${asset}) is not initialized`);
+    }
+    const current = { ...decodeReserveConfig(data.configuration.data), interestRateStrategy: data.interestRateStrategyAddress };
+
+    for (const change of planReserveChanges(current, { ...reserve, interestRateStrategy: strategy })) {
+      const entry = { symbol, asset, ...change, tx: null };
+      if (!dryRun) {
+        const tx = await configurator[change.method](asset, ...change.args);
+        await tx.wait();
+        entry.tx = tx.hash;
+      }
+      print(`${dryRun ? "[dry run] " : ""}${symbol}: ${change.method}(${change.args.join(", ")})`);
+      applied.push(entry);
+    }
+  }
+
+  return applied;
+}
+
+module.exports = {
+  DEFAULT_RESERVE_CONFIG_FILE,
+  encodeReserveConfig,
+  decodeReserveConfig,
+  normalizeReserveConfig,
+  loadReserveConfig,
+  planReserveChanges,
+  applyReserveConfig,
+};
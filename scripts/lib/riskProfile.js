@@ -0,0 +1,223 @@
+const fs = require("fs");
+const path = require("path");
+const { formatUnits, parseUnits } = require("ethers");
+const { decodeReserveConfig } = require("./reserveConfig");
+const { WAD, PERCENTAGE_FACTOR } = require("./wadRayMath");
+
+const DEFAULT_RISK_PROFILES_FILE = path.join(__dirname, "..", "..", "config", "riskProfiles.js");
+
+const LTV_FIELDS = ["targetLtvBps", "rebalanceLtvBps", "maxLtvBps"];
+
+/**
+ * Converts and validates a risk profile the way LeveragedERC4626Vault.setRiskParameters checks it against itself,
+ * so a bad profile fails before any transaction is sent. LTVs are integer bps; minHealthFactor is a decimal
+ * (string or number) or a wad bigint.
+ * @returns {{ targetLtvBps: bigint, rebalanceLtvBps: bigint, maxLtvBps: bigint, minHealthFactor: bigint }}
+ */
+function normalizeRiskProfile(profile) {
+  const normalized = {};
+  for (const name of LTV_FIELDS) {
+    const value = profile[name];
+    if (!Number.isInteger(Number(value)) || Number(value) <= 0 || BigInt(value) >= PERCENTAGE_FACTOR) {
+      throw new Error(`Risk profile ${name} must be an integer amount of bps below 10000`);
+    }
+    normalized[name] = BigInt(value);
+  }
+
+  const { minHealthFactor } = profile;
+  if (minHealthFactor === undefined || minHealthFactor === null) {
+    throw new Error("Risk profile is missing minHealthFactor");
+  }
+  normalized.minHealthFactor =
+    typeof minHealthFactor === "bigint" ? minHealthFactor : parseUnits(String(minHealthFactor), 18);
+
+  if (normalized.targetLtvBps > normalized.rebalanceLtvBps) {
+    throw new Error("Risk profile targetLtvBps is above rebalanceLtvBps");
+  }
+  if (normalized.rebalanceLtvBps > normalized.maxLtvBps) {
+    throw new Error("Risk profile rebalanceLtvBps is above maxLtvBps");
+  }
+  if (normalized.minHealthFactor < WAD) {
+    throw new Error("Risk profile minHealthFactor is below 1");
+  }
+  return normalized;
+}
+
+/**
+ * Loads a risk profile: a profile object, the name of one in config/riskProfiles.js, or the path of a JS or JSON
+ * file exporting one
+ */
+function loadRiskProfile(profile = "default") {
+  if (typeof profile !== "string") {
+    return normalizeRiskProfile(profile);
+  }
+
+  const file = path.resolve(profile);
+  if (fs.existsSync(file) && fs.statSync(file).isFile()) {
+    return normalizeRiskProfile(require(file));
+  }
+  const profiles = require(DEFAULT_RISK_PROFILES_FILE);
+  if (!profiles[profile]) {
+    throw new Error(`Unknown risk profile ${profile}: use ${Object.keys(profiles).join(", ")} or a file path`);
+  }
+  return normalizeRiskProfile(profiles[profile]);
+}
+
+/**
+ * Limits the vault validates risk parameters against: the lowest LTV and liquidation threshold of the reserves
+ * its position is collateralized by (the collateral asset, plus the borrow asset when the strategy supplies it
+ * to the pool)
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre
+ * @param {import("ethers").Contract} vault
+ * @returns {Promise<{ ltv: number, liquidationThreshold: number, maxLtvBps: bigint }>} `maxLtvBps` is the highest
+ *   maxLtvBps allowed at the vault's current minHealthFactor
+ */
+async function readReserveLimits(hre, vault) {
+  const pool = await hre.ethers.getContractAt("IPool", await vault.lendingPool());
+  const strategy = await hre.ethers.getContractAt("IStrategyAdapter", await vault.strategy());
+  const assets = [await vault.collateralAsset()];
+  if ((await strategy.collateralPool()) !== hre.ethers.ZeroAddress) {
+    assets.push(await vault.borrowAsset());
+  }
+
+  const configs = await Promise.all(
+    assets.map(async (asset) => decodeReserveConfig((await pool.getConfiguration(asset)).data))
+  );
+  const ltv = Math.min(...configs.map((config) => config.ltv));
+  const liquidationThreshold = Math.min(...configs.map((config) => config.liquidationThreshold));
+  return {
+    ltv,
+    liquidationThreshold,
+    maxLtvBps: (BigInt(liquidationThreshold) * WAD) / (await vault.minHealthFactor()),
+  };
+}
+
+/**
+ * Current and queued risk parameters of a vault
+ * @returns {Promise<{ current: object, pending: object|null, riskManager: string }>} `pending` carries its `eta`
+ */
+async function readRiskParameters(vault) {
+  const [targetLtvBps, rebalanceLtvBps, maxLtvBps, minHealthFactor, pending, eta, riskManager] = await Promise.all([
+    vault.targetLTVBps(),
+    vault.rebalanceLTVBps(),
+    vault.maxLTVBps(),
+    vault.minHealthFactor(),
+    vault.pendingRiskParameters(),
+    vault.riskParametersEta(),
+    vault.riskManager(),
+  ]);
+
+  return {
+    current: { targetLtvBps, rebalanceLtvBps, maxLtvBps, minHealthFactor },
+    pending:
+      eta > 0n
+        ? {
+            targetLtvBps: pending.targetLTVBps,
+            rebalanceLtvBps: pending.rebalanceLTVBps,
+            maxLtvBps: pending.maxLTVBps,
+            minHealthFactor: pending.minHealthFactor,
+            eta,
+          }
+        : null,
+    riskManager,
+  };
+}
+
+const sameProfile = (a, b) =>
+  a.targetLtvBps === b.targetLtvBps &&
+  a.rebalanceLtvBps === b.rebalanceLtvBps &&
+  a.maxLtvBps === b.maxLtvBps &&
+  a.minHealthFactor === b.minHealthFactor;
+
+// Same rule as setRiskParameters: a change applies now when it loosens nothing, or before the first deposit
+const loosens = (from, to) =>
+  to.targetLtvBps > from.targetLtvBps ||
+  to.rebalanceLtvBps > from.rebalanceLtvBps ||
+  to.maxLtvBps > from.maxLtvBps ||
+  to.minHealthFactor < from.minHealthFactor;
+
+/**
+ * Brings a vault's risk parameters in line with a profile. Tightening applies at once; loosening is queued behind
+ * the vault's RISK_TIMELOCK, and a later run executes it once the timelock has passed (or reports it as still
+ * queued). The profile is checked against the live reserve limits first.
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre
+ * @param {object} params
+ * @param {import("ethers").Contract} params.vault Connected to the owner or the risk manager
+ * @param {object|string} params.profile Anything loadRiskProfile accepts
+ * @param {boolean} [params.dryRun] Only work out what would happen
+ * @param {Function} [params.log]
+ * @returns {Promise<{ action: string, dryRun: boolean, from: object, to: object, eta: bigint|null, tx: string|null }>}
+ *   `action` is unchanged, applied, queued, pending (queued earlier, timelock not over) or executed
+ */
+async function applyRiskProfile(hre, { vault, profile, dryRun = false, log }) {
+  const print = log || (() => {});
+  const to = loadRiskProfile(profile);
+  const { current: from, pending } = await readRiskParameters(vault);
+  const result = (action, eta = null, tx = null) => {
+    print(`${dryRun ? "[dry run] " : ""}risk parameters ${action}${eta ? ` (eta ${eta})` : ""}`);
+    return { action, dryRun, from, to, eta, tx };
+  };
+
+  if (sameProfile(from, to)) {
+    return result("unchanged");
+  }
+
+  const limits = await readReserveLimits(hre, vault);
+  if (to.rebalanceLtvBps > BigInt(limits.ltv)) {
+    throw new Error(`rebalanceLtvBps ${to.rebalanceLtvBps} is above the reserves' LTV ${limits.ltv}`);
+  }
+  if (to.maxLtvBps * to.minHealthFactor > BigInt(limits.liquidationThreshold) * WAD) {
+    throw new Error(
+      `maxLtvBps ${to.maxLtvBps} leaves a health factor below ${formatUnits(to.minHealthFactor, 18)} ` +
+        `at the reserves' liquidation threshold ${limits.liquidationThreshold}`
+    );
+  }
+
+  if (pending && sameProfile(pending, to)) {
+    const { timestamp } = await hre.ethers.provider.getBlock("latest");
+    if (BigInt(timestamp) < pending.eta) {
+      return result("pending", pending.eta);
+    }
+    if (dryRun) {
+      return result("executed");
+    }
+    const tx = await vault.executeRiskParameters();
+    await tx.wait();
+    return result("executed", null, tx.hash);
+  }
+
+  const queue = loosens(from, to) && (await vault.totalSupply()) > 0n;
+  if (dryRun) {
+    return result(queue ? "queued" : "applied");
+  }
+  const tx = await vault.setRiskParameters(to.targetLtvBps, to.rebalanceLtvBps, to.maxLtvBps, to.minHealthFactor);
+  await tx.wait();
+  return result(queue ? "queued" : "applied", queue ? await vault.riskParametersEta() : null, tx.hash);
+}
+
+/**
+ * Converts risk parameters into human readable strings
+ */
+function formatRiskProfile(profile) {
+  const percent = (bps) => `${(Number(bps) / 100).toFixed(2)}%`;
+  const formatted = {
+    targetLtv: percent(profile.targetLtvBps),
+    rebalanceLtv: percent(profile.rebalanceLtvBps),
+    maxLtv: percent(profile.maxLtvBps),
+    minHealthFactor: formatUnits(profile.minHealthFactor, 18),
+  };
+  if (profile.eta !== undefined) {
+    formatted.eta = new Date(Number(profile.eta) * 1000).toISOString();
+  }
+  return formatted;
+}
+
+module.exports = {
+  DEFAULT_RISK_PROFILES_FILE,
+  normalizeRiskProfile,
+  loadRiskProfile,
+  readReserveLimits,
+  readRiskParameters,
+  applyRiskProfile,
+  formatRiskProfile,
+};
@@ -0,0 +1,230 @@
+const { Signature, resolveAddress } = require("ethers");
+
+// Shares or assets a deposit or redemption may come short of its preview by, in basis points
+const DEFAULT_SLIPPAGE_BPS = 50;
+// How long a permit signed without an explicit deadline stays valid
+const DEFAULT_PERMIT_TTL = 60 * 60;
+
+const PERMIT_TYPES = {
+  Permit: [
+    { name: "owner", type: "address" },
+    { name: "spender", type: "address" },
+    { name: "value", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+};
+
+/**
+ * Lower bound on `amount` after `slippageBps` of slippage
+ */
+function withSlippage(amount, slippageBps = DEFAULT_SLIPPAGE_BPS) {
+  if (slippageBps < 0 || slippageBps > 10000) {
+    throw new Error(`Invalid slippage ${slippageBps} bps: use 0 to 10000`);
+  }
+  return (amount * BigInt(10000 - slippageBps)) / 10000n;
+}
+
+/**
+ * Whether `token` takes EIP-2612 permits with an EIP-5267 domain (OpenZeppelin's ERC20Permit)
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre
+ * @param {string} token Token address
+ */
+async function supportsPermit(hre, token) {
+  const permit = await hre.ethers.getContractAt("ERC20Permit", token);
+  try {
+    await permit.eip712Domain();
+    await permit.nonces(hre.ethers.ZeroAddress);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Signs an EIP-2612 permit letting `spender` pull `value` of `token` from the signer
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre
+ * @param {import("ethers").Signer} signer Owner of the tokens
+ * @param {string} token Token address
+ * @param {string} spender Address allowed to pull the tokens, usually the VaultRouter
+ * @param {bigint} value Allowance signed for
+ * @param {object} [options]
+ * @param {bigint|number} [options.deadline] Unix time the signature expires at (default: an hour after the latest
+ *   block)
+ * @returns {Promise<{ token: string, value: bigint, deadline: bigint, v: number, r: string, s: string }>} The
+ *   arguments of VaultRouter.selfPermit
+ */
+async function signPermit(hre, signer, token, spender, value, { deadline } = {}) {
+  const permit = await hre.ethers.getContractAt("ERC20Permit", token);
+  const owner = await signer.getAddress();
+  const [, name, version, chainId, verifyingContract] = await permit.eip712Domain();
+  if (deadline === undefined) {
+    const block = await hre.ethers.provider.getBlock("latest");
+    deadline = block.timestamp + DEFAULT_PERMIT_TTL;
+  }
+
+  const message = { owner, spender, value, nonce: await permit.nonces(owner), deadline: BigInt(deadline) };
+  const signature = await signer.signTypedData({ name, version, chainId, verifyingContract }, PERMIT_TYPES, message);
+  const { v, r, s } = Signature.from(signature);
+  return { token: verifyingContract, value, deadline: message.deadline, v, r, s };
+}
+
+/**
+ * Builds a VaultRouter multicall: each method queues one router call and returns the batch, so calls chain.
+ * Contracts and addresses are both accepted wherever the router takes an address.
+ */
+class RouterBatch {
+  /**
+   * @param {import("ethers").Contract} router VaultRouter, connected to the account the batch acts for
+   */
+  constructor(router) {
+    this.router = router;
+    this.calls = [];
+  }
+
+  add(method, args) {
+    this.calls.push({ method, args });
+    return this;
+  }
+
+  /** Uses a signature from signPermit as the router's allowance */
+  permit({ token, value, deadline, v, r, s }) {
+    return this.add("selfPermit", [token, value, deadline, v, r, s]);
+  }
+
+  deposit(vault, assets, receiver, minShares = 0n) {
+    return this.add("depositWithMinShares", [vault, assets, receiver, minShares]);
+  }
+
+  /** The signer must have approved the router for the shares */
+  redeem(vault, shares, receiver, minAssets = 0n) {
+    return this.add("redeemWithMinAssets", [vault, shares, receiver, minAssets]);
+  }
+
+  loop(vault) {
+    return this.add("executeLooping", [vault]);
+  }
+
+  supply(pool, asset, amount) {
+    return this.add("supply", [pool, asset, amount]);
+  }
+
+  repay(pool, asset, amount) {
+    return this.add("repay", [pool, asset, amount]);
+  }
+
+  /** Reads the account's shares and the vault's LTV and health factor once the calls before it ran */
+  status(vault, account) {
+    return this.add("getAccountStatus", [vault, account]);
+  }
+
+  /**
+   * Calldata of every queued call, in order
+   * @returns {Promise<string[]>}
+   */
+  async encode() {
+    return Promise.all(
+      this.calls.map(async ({ method, args }) => {
+        const resolved = await Promise.all(
+          args.map((arg) => (arg && typeof arg.getAddress === "function" ? resolveAddress(arg) : arg))
+        );
+        return this.router.interface.encodeFunctionData(method, resolved);
+      })
+    );
+  }
+
+  /**
+   * Runs the batch as a call, without sending it
+   * @returns {Promise<{ method: string, result: import("ethers").Result }[]>} Each call's decoded return values
+   */
+  async simulate(overrides = {}) {
+    const results = await this.router.multicall.staticCall(await this.encode(), overrides);
+    return results.map((data, index) => {
+      const { method } = this.calls[index];
+      return { method, result: this.router.interface.decodeFunctionResult(method, data) };
+    });
+  }
+
+  /**
+   * Sends the batch as one transaction
+   * @returns {Promise<import("ethers").ContractTransactionResponse>}
+   */
+  async send(overrides = {}) {
+    return this.router.multicall(await this.encode(), overrides);
+  }
+}
+
+/**
+ * Builds a one-transaction deposit through the router: a permit for the vault's asset when the router's allowance
+ * falls short, the deposit with a share floor `slippageBps` under its preview, an optional executeLooping and a
+ * status read. Assets without permit support are approved to the router first, in a separate transaction.
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre
+ * @param {object} params
+ * @param {import("ethers").Contract} params.router VaultRouter
+ * @param {import("ethers").Contract} params.vault LeveragedERC4626Vault
+ * @param {import("ethers").Signer} params.signer Depositor
+ * @param {bigint} params.assets Assets to deposit
+ * @param {string} [params.receiver] Receiver of the shares (default: the signer)
+ * @param {number} [params.slippageBps]
+ * @param {boolean} [params.loop] Also run executeLooping, for the deposits the vault does not lever itself
+ * @returns {Promise<{ batch: RouterBatch, minShares: bigint, permit: object|null, approval: object|null }>}
+ */
+async function buildDeposit(hre, { router, vault, signer, assets, receiver, slippageBps, loop = false }) {
+  const account = await signer.getAddress();
+  const routerAddress = await router.getAddress();
+  const asset = await vault.asset();
+  const token = await hre.ethers.getContractAt("ERC20", asset, signer);
+  const batch = new RouterBatch(router.connect(signer));
+
+  let permit = null;
+  let approval = null;
+  if ((await token.allowance(account, routerAddress)) < assets) {
+    if (await supportsPermit(hre, asset)) {
+      permit = await signPermit(hre, signer, asset, routerAddress, assets);
+      batch.permit(permit);
+    } else {
+      approval = await (await token.approve(routerAddress, assets)).wait();
+    }
+  }
+
+  const minShares = withSlippage(await vault.previewDeposit(assets), slippageBps);
+  batch.deposit(vault, assets, receiver || account, minShares);
+  if (loop) {
+    batch.loop(vault);
+  }
+  batch.status(vault, receiver || account);
+  return { batch, minShares, permit, approval };
+}
+
+/**
+ * Builds a redemption through the router with an asset floor `slippageBps` under its preview, followed by a status
+ * read. The vault shares have no permit, so the router is approved for them first when needed.
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre
+ * @param {object} params See buildDeposit; `shares` replaces `assets`
+ * @returns {Promise<{ batch: RouterBatch, minAssets: bigint, approval: object|null }>}
+ */
+async function buildRedeem(hre, { router, vault, signer, shares, receiver, slippageBps }) {
+  const account = await signer.getAddress();
+  const routerAddress = await router.getAddress();
+  const batch = new RouterBatch(router.connect(signer));
+
+  let approval = null;
+  if ((await vault.allowance(account, routerAddress)) < shares) {
+    approval = await (await vault.connect(signer).approve(routerAddress, shares)).wait();
+  }
+
+  const minAssets = withSlippage(await vault.previewRedeem(shares), slippageBps);
+  batch.redeem(vault, shares, receiver || account, minAssets).status(vault, account);
+  return { batch, minAssets, approval };
+}
+
+module.exports = {
+  DEFAULT_SLIPPAGE_BPS,
+  PERMIT_TYPES,
+  withSlippage,
+  supportsPermit,
+  signPermit,
+  RouterBatch,
+  buildDeposit,
+  buildRedeem,
+};
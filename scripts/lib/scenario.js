@@ -0,0 +1,474 @@
+const fs = require("fs");
+const path = require("path");
+const { formatUnits, parseUnits, MaxUint256 } = require("ethers");
+const { deployProtocol } = require("./protocol");
+const { parsePrice, setPrice } = require("./oracle");
+const { parseWindow } = require("./analytics");
+const { Keeper } = require("./keeper");
+const { WAD, RAY, rayDiv } = require("./wadRayMath");
+
+const DEFAULT_SCENARIOS_FILE = path.join(__dirname, "..", "..", "config", "scenarios.js");
+
+const DEFAULT_INVARIANTS = { minHealthFactor: "1", noUnexpectedFailures: true };
+
+const silentLogger = { debug: () => {}, info: () => {}, warn: () => {}, error: () => {} };
+
+/**
+ * Loads scenarios: a scenario object, the name of one in config/scenarios.js, `all` of them, or the path of a JS or
+ * JSON file exporting one scenario or a `{ name: scenario }` map
+ * @returns {object[]} Scenarios with their `name` set
+ */
+function loadScenarios(scenario = "all") {
+  if (typeof scenario !== "string") {
+    return [{ name: "custom", ...scenario }];
+  }
+
+  const file = path.resolve(scenario);
+  const fromFile = fs.existsSync(file) && fs.statSync(file).isFile();
+  const scenarios = require(fromFile ? file : DEFAULT_SCENARIOS_FILE);
+  if (fromFile && Array.isArray(scenarios.steps)) {
+    return [{ name: path.basename(file, path.extname(file)), ...scenarios }];
+  }
+  if (fromFile || scenario === "all") {
+    return Object.entries(scenarios).map(([name, value]) => ({ name, ...value }));
+  }
+  if (!scenarios[scenario]) {
+    throw new Error(`Unknown scenario ${scenario}: use ${Object.keys(scenarios).join(", ")}, all or a file path`);
+  }
+  return [{ name: scenario, ...scenarios[scenario] }];
+}
+
+const revertReason = (error) => error.reason || error.shortMessage || error.message;
+
+async function send(txPromise) {
+  const tx = await txPromise;
+  return tx.wait();
+}
+
+/**
+ * Everything a step needs: contracts, tokens by symbol, actors by name and how to parse amounts
+ */
+async function createContext(hre, scenario, options) {
+  const { ethers } = hre;
+  const [deployer, ...signers] = await ethers.getSigners();
+  const deployment =
+    options.deployment ||
+    (await deployProtocol(hre, { ...scenario.deployment, signer: deployer, persist: false }));
+  const { vault, pool, poolDataProvider } = deployment;
+  const tokens = { USDC: deployment.usdc, USDT: deployment.usdt };
+  const decimals = {};
+  for (const [symbol, token] of Object.entries(tokens)) {
+    decimals[symbol] = Number(await token.decimals());
+  }
+
+  const actors = { deployer };
+  for (const [index, name] of Object.keys(scenario.actors || {}).entries()) {
+    if (name === "deployer" || !signers[index]) {
+      throw new Error(`Scenario ${scenario.name}: cannot assign a signer to actor ${name}`);
+    }
+    actors[name] = signers[index];
+  }
+
+  const context = {
+    hre,
+    deployer,
+    deployment,
+    vault,
+    pool,
+    poolDataProvider,
+    tokens,
+    decimals,
+    actors,
+    vaultDecimals: Number(await vault.decimals()),
+    keeper: new Keeper(hre, deployer, [await vault.getAddress()], {
+      ...scenario.keeper,
+      maxRetries: 1,
+      logger: silentLogger,
+    }),
+  };
+
+  // Fund and approve every actor for the vault and the pool; the deployer supplies dust in advanceTime
+  for (const token of Object.values(tokens)) {
+    await send(token.connect(deployer).approve(await pool.getAddress(), MaxUint256));
+  }
+  for (const [name, funds] of Object.entries(scenario.actors || {})) {
+    const actor = actors[name];
+    for (const [symbol, amount] of Object.entries(funds || {})) {
+      const token = getToken(context, symbol);
+      await send(token.connect(deployer).mint(actor.address, parseUnits(String(amount), decimals[symbol])));
+    }
+    for (const token of Object.values(tokens)) {
+      await send(token.connect(actor).approve(await vault.getAddress(), MaxUint256));
+      await send(token.connect(actor).approve(await pool.getAddress(), MaxUint256));
+    }
+  }
+  return context;
+}
+
+function getToken(context, symbol) {
+  if (!context.tokens[symbol]) {
+    throw new Error(`Unknown asset ${symbol}: use ${Object.keys(context.tokens).join(", ")}`);
+  }
+  return context.tokens[symbol];
+}
+
+function getActor(context, name = "deployer") {
+  if (!context.actors[name]) {
+    throw new Error(`Unknown actor ${name}`);
+  }
+  return context.actors[name];
+}
+
+/**
+ * Available liquidity and total variable debt of a reserve, and its utilization (ray) as the Pool computes it
+ */
+async function readReserve(context, symbol) {
+  const token = getToken(context, symbol);
+  const asset = await token.getAddress();
+  const available = await token.balanceOf(await context.pool.getAddress());
+  const { totalVariableDebt, liquidityRate, variableBorrowRate } = await context.poolDataProvider.getReserveData(asset);
+  const { interestRateStrategyAddress } = await context.pool.getReserveData(asset);
+  const strategy = await context.hre.ethers.getContractAt("InterestRateStrategy", interestRateStrategyAddress);
+  const total = available + totalVariableDebt;
+
+  return {
+    available,
+    totalVariableDebt,
+    utilization: total === 0n ? 0n : rayDiv(totalVariableDebt, total),
+    optimalUtilization: await strategy.OPTIMAL_UTILIZATION_RATE(),
+    liquidityRate,
+    variableBorrowRate,
+  };
+}
+
+/**
+ * Human readable amount in `symbol` units, or `max`
+ */
+function parseAmount(context, symbol, amount) {
+  return amount === "max" ? MaxUint256 : parseUnits(String(amount), context.decimals[symbol]);
+}
+
+/**
+ * Amount of `symbol` an actor has to borrow to bring the reserve to `utilization` (a fraction, at most 1)
+ */
+async function borrowForUtilization(context, symbol, utilization) {
+  const { available, totalVariableDebt } = await readReserve(context, symbol);
+  const target = (parseUnits(String(utilization), 27) * (available + totalVariableDebt)) / RAY;
+  if (target <= totalVariableDebt) {
+    return 0n;
+  }
+  return target - totalVariableDebt < available ? target - totalVariableDebt : available;
+}
+
+/**
+ * Step actions. Each returns a short description of what it did.
+ */
+const ACTIONS = {
+  async deposit(context, { actor, amount }) {
+    const signer = getActor(context, actor);
+    const assets = parseUnits(String(amount), context.vaultDecimals);
+    await send(context.vault.connect(signer).deposit(assets, signer.address));
+    return `${actor} deposits ${amount}`;
+  },
+
+  async withdraw(context, { actor, amount }) {
+    const signer = getActor(context, actor);
+    const assets =
+      amount === "max"
+        ? await context.vault.maxWithdraw(signer.address)
+        : parseUnits(String(amount), context.vaultDecimals);
+    await send(context.vault.connect(signer).withdraw(assets, signer.address, signer.address));
+    return `${actor} withdraws ${formatUnits(assets, context.vaultDecimals)}`;
+  },
+
+  async redeem(context, { actor, shares }) {
+    const signer = getActor(context, actor);
+    const amount =
+      shares === "max"
+        ? await context.vault.balanceOf(signer.address)
+        : parseUnits(String(shares), context.vaultDecimals);
+    await send(context.vault.connect(signer).redeem(amount, signer.address, signer.address));
+    return `${actor} redeems ${formatUnits(amount, context.vaultDecimals)} shares`;
+  },
+
+  async supply(context, { actor, asset, amount }) {
+    const signer = getActor(context, actor);
+    const token = getToken(context, asset);
+    const value = parseAmount(context, asset, amount);
+    await send(context.pool.connect(signer).supply(await token.getAddress(), value, signer.address, 0));
+    return `${actor} supplies ${amount} ${asset}`;
+  },
+
+  async poolWithdraw(context, { actor, asset, amount }) {
+    const signer = getActor(context, actor);
+    const token = getToken(context, asset);
+    const value = parseAmount(context, asset, amount);
+    await send(context.pool.connect(signer).withdraw(await token.getAddress(), value, signer.address));
+    return `${actor} withdraws ${amount} ${asset} from the pool`;
+  },
+
+  async borrow(context, { actor, asset, amount, utilization }) {
+    const signer = getActor(context, actor);
+    const token = getToken(context, asset);
+    const value =
+      utilization === undefined
+        ? parseAmount(context, asset, amount)
+        : await borrowForUtilization(context, asset, utilization);
+    if (value === 0n) {
+      return `${actor} borrows nothing: ${asset} utilization is already at ${utilization}`;
+    }
+    await send(context.pool.connect(signer).borrow(await token.getAddress(), value, 2, 0, signer.address));
+    return `${actor} borrows ${formatUnits(value, context.decimals[asset])} ${asset}`;
+  },
+
+  async repay(context, { actor, asset, amount }) {
+    const signer = getActor(context, actor);
+    const token = getToken(context, asset);
+    const value = parseAmount(context, asset, amount);
+    await send(context.pool.connect(signer).repay(await token.getAddress(), value, 2, signer.address));
+    return `${actor} repays ${amount} ${asset}`;
+  },
+
+  async setPrice(context, { asset, price }) {
+    const oracle = context.deployment.priceOracle.connect(context.deployer);
+    await setPrice(oracle, await getToken(context, asset).getAddress(), parsePrice(price));
+    return `${asset} price set to ${price}`;
+  },
+
+  async loop(context, { actor }) {
+    await send(context.vault.connect(getActor(context, actor)).executeLooping());
+    return "executeLooping";
+  },
+
+  async rebalance(context, { actor }) {
+    await send(context.vault.connect(getActor(context, actor)).rebalance());
+    return "rebalance";
+  },
+
+  // What the keeper would do now: rebalance, re-lever or nothing
+  async keeper(context) {
+    const [result] = await context.keeper.tick();
+    if (result.error) {
+      throw result.error;
+    }
+    return `keeper: ${result.action || "no action"}`;
+  },
+
+  // The Pool only accrues interest when a reserve is touched, as other users of a live pool would. `accrue`
+  // (default true) touches every reserve afterwards by supplying one unit of it from the deployer.
+  async advanceTime(context, { duration, accrue = true }) {
+    const { seconds } = parseWindow(duration);
+    if (seconds === null) {
+      throw new Error("advanceTime needs a duration such as 1h or 30d");
+    }
+    await context.hre.network.provider.send("evm_increaseTime", [seconds]);
+    await context.hre.network.provider.send("evm_mine", []);
+    if (accrue) {
+      const pool = context.pool.connect(context.deployer);
+      for (const token of Object.values(context.tokens)) {
+        await send(pool.supply(await token.getAddress(), 1n, context.deployer.address, 0));
+      }
+    }
+    return `${duration} later`;
+  },
+};
+
+/**
+ * Vault position and reserve state after a step
+ */
+async function readState(context) {
+  const { vault } = context;
+  const oneShare = 10n ** BigInt(context.vaultDecimals);
+  const [position, totalAssets, totalSupply, sharePrice] = await Promise.all([
+    vault.getPositionDetails(),
+    vault.totalAssets(),
+    vault.totalSupply(),
+    vault.convertToAssets(oneShare),
+  ]);
+
+  const reserves = {};
+  for (const symbol of Object.keys(context.tokens)) {
+    reserves[symbol] = await readReserve(context, symbol);
+  }
+
+  return {
+    ltvBps: position.currentLTV,
+    // No debt means no liquidation risk: the Pool reports the largest health factor
+    healthFactor: position.debtBorrowed === 0n ? null : position.healthFactor,
+    collateral: position.collateralSupplied,
+    debt: position.debtBorrowed,
+    totalAssets,
+    totalSupply,
+    sharePrice,
+    reserves,
+  };
+}
+
+/**
+ * Invariant checks over the recorded steps. Each returns the worst value seen, the step it was seen at and whether
+ * it held.
+ */
+const INVARIANTS = {
+  // The vault's health factor never went below `threshold` while it had debt
+  minHealthFactor(steps, threshold) {
+    const limit = parseUnits(String(threshold), 18);
+    const withDebt = steps.filter((step) => step.state.healthFactor !== null);
+    const worst = withDebt.reduce(
+      (min, step) => (min && min.state.healthFactor <= step.state.healthFactor ? min : step),
+      null
+    );
+    return {
+      passed: !worst || worst.state.healthFactor >= limit,
+      worst: worst ? formatUnits(worst.state.healthFactor, 18) : null,
+      step: worst ? worst.index : null,
+    };
+  },
+
+  // The vault's LTV never went above `threshold` bps
+  maxLtvBps(steps, threshold) {
+    const worst = steps.reduce((max, step) => (max && max.state.ltvBps >= step.state.ltvBps ? max : step), null);
+    return { passed: worst.state.ltvBps <= BigInt(threshold), worst: Number(worst.state.ltvBps), step: worst.index };
+  },
+
+  // The share price never fell more than `threshold` (a fraction) below an earlier peak
+  maxSharePriceDrawdown(steps, threshold) {
+    let peak = 0n;
+    let worst = { drawdown: 0, step: null };
+    for (const step of steps) {
+      const price = step.state.sharePrice;
+      peak = price > peak ? price : peak;
+      const drawdown = peak === 0n ? 0 : Number(((peak - price) * WAD) / peak) / Number(WAD);
+      if (drawdown > worst.drawdown) {
+        worst = { drawdown, step: step.index };
+      }
+    }
+    return { passed: worst.drawdown <= Number(threshold), worst: worst.drawdown, step: worst.step };
+  },
+
+  // Every step failed or succeeded as declared by its `expectRevert`
+  noUnexpectedFailures(steps, enabled) {
+    const unexpected = steps.filter((step) => !step.asExpected);
+    return {
+      passed: !enabled || unexpected.length === 0,
+      worst: unexpected.length,
+      step: unexpected.length > 0 ? unexpected[0].index : null,
+    };
+  },
+};
+
+function checkInvariants(steps, invariants) {
+  return Object.entries(invariants).map(([name, threshold]) => {
+    if (!INVARIANTS[name]) {
+      throw new Error(`Unknown invariant ${name}: use ${Object.keys(INVARIANTS).join(", ")}`);
+    }
+    return { name, threshold, ...INVARIANTS[name](steps, threshold) };
+  });
+}
+
+/**
+ * Runs a declarative scenario on the in-process Hardhat network and checks its invariants. The scenario declares:
+ * - `actors`: `{ name: { SYMBOL: amount } }`, each given a signer (after the deployer) funded with the amounts and
+ *   approved for the vault and the pool
+ * - `steps`: `{ action, ...params }` entries run in order (see ACTIONS); a step with `expectRevert` (true or the
+ *   revert reason) is expected to fail. Failures never stop the run.
+ * - `invariants`: thresholds for INVARIANTS, by default a health factor of at least 1 and no unexpected failures
+ * - `deployment` (options for deployProtocol) and `keeper` (Keeper config)
+ * The vault LTV, health factor, share price and reserve utilization are recorded before the first step and after
+ * every step.
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre
+ * @param {object} scenario
+ * @param {{ deployment?: object, log?: Function }} [options] `deployment` reuses a deployProtocol result instead
+ *   of deploying
+ */
+async function runScenario(hre, scenario, options = {}) {
+  if (hre.network.name !== "hardhat") {
+    throw new Error("Scenarios mint tokens and move time, so they only run on the in-process hardhat network");
+  }
+  const print = options.log || (() => {});
+  const context = await createContext(hre, scenario, options);
+
+  const steps = [{ index: 0, action: "start", description: "initial state", ok: true, asExpected: true, error: null }];
+  steps[0].state = await readState(context);
+
+  for (const [i, params] of (scenario.steps || []).entries()) {
+    const { action, expectRevert, ...args } = params;
+    if (!ACTIONS[action]) {
+      throw new Error(`Scenario ${scenario.name} step ${i + 1}: unknown action ${action}`);
+    }
+
+    const step = { index: i + 1, action, description: action, ok: true, error: null };
+    try {
+      step.description = await ACTIONS[action](context, args);
+    } catch (error) {
+      step.ok = false;
+      step.error = revertReason(error);
+    }
+    step.asExpected = expectRevert
+      ? !step.ok && (expectRevert === true || step.error.includes(expectRevert))
+      : step.ok;
+    step.state = await readState(context);
+    print(`${step.index}. ${step.description}${step.ok ? "" : ` failed: ${step.error}`}`);
+    steps.push(step);
+  }
+
+  const invariants = checkInvariants(steps, { ...DEFAULT_INVARIANTS, ...scenario.invariants });
+  return {
+    name: scenario.name,
+    description: scenario.description || "",
+    vault: await context.vault.getAddress(),
+    decimals: context.vaultDecimals,
+    actors: Object.fromEntries(Object.entries(context.actors).map(([name, signer]) => [name, signer.address])),
+    steps,
+    invariants,
+    passed: invariants.every((invariant) => invariant.passed),
+  };
+}
+
+const percent = (ray) => `${(Number(formatUnits(ray, 27)) * 100).toFixed(2)}%`;
+
+/**
+ * Converts a scenario report into JSON friendly values
+ */
+function formatScenarioReport(report) {
+  return {
+    name: report.name,
+    description: report.description,
+    vault: report.vault,
+    passed: report.passed,
+    invariants: report.invariants.map((invariant) => ({ ...invariant, threshold: String(invariant.threshold) })),
+    steps: report.steps.map((step) => ({
+      step: step.index,
+      action: step.action,
+      description: step.description,
+      ok: step.ok,
+      asExpected: step.asExpected,
+      error: step.error,
+      ltv: `${(Number(step.state.ltvBps) / 100).toFixed(2)}%`,
+      healthFactor:
+        step.state.healthFactor === null ? null : Number(formatUnits(step.state.healthFactor, 18)).toFixed(4),
+      sharePrice: formatUnits(step.state.sharePrice, report.decimals),
+      totalAssets: formatUnits(step.state.totalAssets, report.decimals),
+      reserves: Object.fromEntries(
+        Object.entries(step.state.reserves).map(([symbol, reserve]) => [
+          symbol,
+          {
+            utilization: percent(reserve.utilization),
+            aboveOptimal: reserve.utilization > reserve.optimalUtilization,
+            borrowRate: percent(reserve.variableBorrowRate),
+            supplyRate: percent(reserve.liquidityRate),
+          },
+        ])
+      ),
+    })),
+  };
+}
+
+module.exports = {
+  DEFAULT_INVARIANTS,
+  ACTIONS,
+  INVARIANTS,
+  loadScenarios,
+  runScenario,
+  checkInvariants,
+  formatScenarioReport,
+};
@@ -0,0 +1,650 @@
+const { formatUnits } = require("ethers");
+const { LEVERAGE_MODES } = require("./protocol");
+const { decodeReserveConfig } = require("./reserveConfig");
+const { calculateAccruedFees } = require("./fees");
+const {
+  WAD,
+  RAY,
+  PERCENTAGE_FACTOR,
+  SECONDS_PER_YEAR,
+  rayMul,
+  rayDiv,
+  wadDiv,
+  percentMul,
+} = require("./wadRayMath");
+
+/**
+ * A require() in the Pool that the simulation hit. The vault catches these around borrow/supply,
+ * so the loop treats them exactly like the on-chain try/catch does.
+ */
+class PoolRevert extends Error {}
+
+/**
+ * Reads everything the loop depends on for `vaultAddress` at a single block: vault parameters,
+ * the state, configuration and rate strategy of its two reserves, and the vault's balances in them.
+ * @returns {Promise<object>} A plain state object, safe to clone and mutate
+ */
+async function readVaultState(hre, vaultAddress, { blockTag = "latest" } = {}) {
+  const { ethers } = hre;
+  const block = await ethers.provider.getBlock(blockTag);
+  const overrides = { blockTag: block.number };
+
+  const vault = await ethers.getContractAt("LeveragedERC4626Vault", vaultAddress);
+  const pool = await ethers.getContractAt("Pool", await vault.lendingPool(overrides));
+  const collateralAsset = await vault.collateralAsset(overrides);
+  const borrowAsset = await vault.borrowAsset(overrides);
+  // Only the loop into the pool is modeled: borrowing into another strategy follows different rules
+  const strategyAdapter = await ethers.getContractAt("IStrategyAdapter", await vault.strategy(overrides));
+  if ((await strategyAdapter.collateralPool(overrides)) === ethers.ZeroAddress) {
+    throw new Error(`Vault ${vaultAddress} uses a strategy the simulator does not model: only the pool strategy is supported`);
+  }
+  const addressesProvider = await ethers.getContractAt("PoolAddressesProvider", await pool.ADDRESSES_PROVIDER(overrides));
+  const oracle = await ethers.getContractAt("IPriceOracleGetter", await addressesProvider.getPriceOracle(overrides));
+  const flashLoanProviderAddress = await vault.flashLoanProvider(overrides);
+  const flashLoanProvider =
+    flashLoanProviderAddress === ethers.ZeroAddress
+      ? null
+      : await ethers.getContractAt("FlashLoanProvider", flashLoanProviderAddress);
+
+  const reserves = {};
+  for (const asset of [collateralAsset, borrowAsset]) {
+    if (reserves[asset]) {
+      continue;
+    }
+    const data = await pool.getReserveData(asset, overrides);
+    const token = await ethers.getContractAt("ERC20", asset);
+    const aToken = await ethers.getContractAt("ERC20", data.aTokenAddress);
+    const debtToken = await ethers.getContractAt("VariableDebtToken", data.variableDebtTokenAddress);
+    const strategy = await ethers.getContractAt("InterestRateStrategy", data.interestRateStrategyAddress);
+
+    const config = decodeReserveConfig(data.configuration.data);
+
+    reserves[asset] = {
+      asset,
+      symbol: await token.symbol(overrides),
+      config,
+      // Oracle price in the base currency, and 10 ** decimals to normalize amounts with
+      price: await oracle.getAssetPrice(asset, overrides),
+      unit: 10n ** BigInt(config.decimals),
+      liquidityIndex: data.liquidityIndex,
+      variableBorrowIndex: data.variableBorrowIndex,
+      lastUpdateTimestamp: data.lastUpdateTimestamp,
+      availableLiquidity: await token.balanceOf(await pool.getAddress(), overrides),
+      scaledTotalDebt: await debtToken.scaledTotalSupply(overrides),
+      strategy: {
+        optimalUtilizationRate: await strategy.OPTIMAL_UTILIZATION_RATE(overrides),
+        baseVariableBorrowRate: await strategy.BASE_VARIABLE_BORROW_RATE(overrides),
+        variableRateSlope1: await strategy.VARIABLE_RATE_SLOPE_1(overrides),
+        variableRateSlope2: await strategy.VARIABLE_RATE_SLOPE_2(overrides),
+      },
+      // The vault's own position in the reserve
+      scaledSupply: await aToken.balanceOf(vaultAddress, overrides),
+      scaledDebt: await debtToken.scaledBalanceOf(vaultAddress, overrides),
+      idle: await token.balanceOf(vaultAddress, overrides),
+    };
+  }
+
+  return {
+    blockNumber: block.number,
+    // The simulated transaction lands in the next block
+    timestamp: BigInt(block.timestamp) + 1n,
+    vault: {
+      address: vaultAddress,
+      decimals: Number(await vault.decimals(overrides)),
+      collateralAsset,
+      borrowAsset,
+      maxLtvBps: await vault.maxLTVBps(overrides),
+      maxLoopIterations: await vault.maxLoopIterations(overrides),
+      loopingEnabled: await vault.loopingEnabled(overrides),
+      loopingPaused: await vault.loopingPaused(overrides),
+      leverageMode: await vault.leverageMode(overrides),
+      targetLtvBps: await vault.targetLTVBps(overrides),
+      minHealthFactor: await vault.minHealthFactor(overrides),
+      flashLoanFeeBps: flashLoanProvider ? await flashLoanProvider.FLASH_LOAN_FEE_BPS(overrides) : 0n,
+      flashLoanAvailable: flashLoanProvider ? await flashLoanProvider.maxFlashLoan(borrowAsset, overrides) : 0n,
+      totalSupply: await vault.totalSupply(overrides),
+      managementFeeBps: await vault.managementFeeBps(overrides),
+      performanceFeeBps: await vault.performanceFeeBps(overrides),
+      highWaterMark: await vault.highWaterMark(overrides),
+      lastFeeAccrual: await vault.lastFeeAccrual(overrides),
+    },
+    reserves,
+  };
+}
+
+/**
+ * Port of InterestRateStrategy.calculateInterestRates
+ */
+function calculateInterestRates(strategy, utilizationRate) {
+  const { optimalUtilizationRate, baseVariableBorrowRate, variableRateSlope1, variableRateSlope2 } = strategy;
+  let variableBorrowRate;
+
+  if (utilizationRate > optimalUtilizationRate) {
+    const excessUtilizationRateRatio = rayDiv(utilizationRate - optimalUtilizationRate, RAY - optimalUtilizationRate);
+    variableBorrowRate =
+      baseVariableBorrowRate + variableRateSlope1 + rayMul(variableRateSlope2, excessUtilizationRateRatio);
+  } else {
+    variableBorrowRate =
+      baseVariableBorrowRate + rayDiv(rayMul(variableRateSlope1, utilizationRate), optimalUtilizationRate);
+  }
+
+  return { liquidityRate: rayMul(variableBorrowRate, utilizationRate), variableBorrowRate };
+}
+
+function getUtilization(reserve) {
+  const totalDebt = rayMul(reserve.scaledTotalDebt, reserve.variableBorrowIndex);
+  const total = reserve.availableLiquidity + totalDebt;
+  return total > 0n ? rayDiv(totalDebt, total) : 0n;
+}
+
+/**
+ * The rates Pool._updateInterestRates sets: the strategy's, with suppliers earning net of the reserve factor
+ */
+function getReserveRates(reserve, utilizationRate) {
+  const { liquidityRate, variableBorrowRate } = calculateInterestRates(reserve.strategy, utilizationRate);
+  return {
+    liquidityRate: percentMul(liquidityRate, PERCENTAGE_FACTOR - BigInt(reserve.config.reserveFactor)),
+    variableBorrowRate,
+  };
+}
+
+/**
+ * Port of Pool._accruedIndexes: the reserve's indexes accrued up to `timestamp` at the rates of its utilization
+ */
+function accruedIndexes(reserve, timestamp) {
+  const { liquidityRate, variableBorrowRate } = getReserveRates(reserve, getUtilization(reserve));
+  const timeDelta = timestamp - BigInt(reserve.lastUpdateTimestamp);
+
+  if (timeDelta <= 0n) {
+    return { liquidityIndex: reserve.liquidityIndex, variableBorrowIndex: reserve.variableBorrowIndex };
+  }
+  return {
+    liquidityIndex: rayMul(reserve.liquidityIndex, RAY + (liquidityRate * timeDelta) / SECONDS_PER_YEAR),
+    variableBorrowIndex: rayMul(
+      reserve.variableBorrowIndex,
+      RAY + (variableBorrowRate * timeDelta) / SECONDS_PER_YEAR
+    ),
+  };
+}
+
+/**
+ * Port of Pool._updateInterestRates: refreshes the rates, then accrues them since the last update
+ */
+function updateInterestRates(reserve, timestamp) {
+  Object.assign(reserve, accruedIndexes(reserve, timestamp));
+  reserve.lastUpdateTimestamp = timestamp;
+}
+
+/**
+ * Vault._baseToAmount / _amountToBase: conversions between the base currency and `reserve` units
+ */
+const baseToAmount = (reserve, baseAmount) => (baseAmount * reserve.unit) / reserve.price;
+const amountToBase = (reserve, amount) => (amount * reserve.price) / reserve.unit;
+
+/**
+ * Port of Pool.getUserAccountData for the vault, in the base currency, with the interest accrued up to the
+ * simulated block
+ */
+function getAccountData(state) {
+  let totalCollateralBase = 0n;
+  let totalDebtBase = 0n;
+  let weightedLtv = 0n;
+  let weightedThreshold = 0n;
+
+  for (const reserve of Object.values(state.reserves)) {
+    const { liquidityIndex, variableBorrowIndex } = accruedIndexes(reserve, state.timestamp);
+    if (reserve.scaledSupply > 0n) {
+      const collateral = amountToBase(reserve, rayMul(reserve.scaledSupply, liquidityIndex));
+      totalCollateralBase += collateral;
+      weightedLtv += collateral * BigInt(reserve.config.ltv);
+      weightedThreshold += collateral * BigInt(reserve.config.liquidationThreshold);
+    }
+    if (reserve.scaledDebt > 0n) {
+      totalDebtBase += amountToBase(reserve, rayMul(reserve.scaledDebt, variableBorrowIndex));
+    }
+  }
+
+  let ltv = 0n;
+  let liquidationThreshold = 0n;
+  if (totalCollateralBase > 0n) {
+    ltv = weightedLtv / totalCollateralBase;
+    liquidationThreshold = weightedThreshold / totalCollateralBase;
+  }
+
+  const healthFactor =
+    totalDebtBase > 0n ? wadDiv(percentMul(totalCollateralBase, liquidationThreshold), totalDebtBase) : null;
+
+  return { totalCollateralBase, totalDebtBase, ltv, liquidationThreshold, healthFactor };
+}
+
+/**
+ * Vault.getCurrentLTV: debt / collateral in bps
+ */
+function getCurrentLtv(state) {
+  const { totalCollateralBase, totalDebtBase } = getAccountData(state);
+  return totalCollateralBase > 0n ? (totalDebtBase * PERCENTAGE_FACTOR) / totalCollateralBase : 0n;
+}
+
+/**
+ * Vault.totalAssets: idle collateral plus the net pool position, in collateral asset units
+ */
+function getTotalAssets(state) {
+  const { totalCollateralBase, totalDebtBase } = getAccountData(state);
+  const collateralReserve = state.reserves[state.vault.collateralAsset];
+  const net = totalCollateralBase > totalDebtBase ? baseToAmount(collateralReserve, totalCollateralBase - totalDebtBase) : 0n;
+  return collateralReserve.idle + net;
+}
+
+function supply(state, asset, amount) {
+  const reserve = state.reserves[asset];
+  if (!reserve.config.active) throw new PoolRevert("RESERVE_NOT_ACTIVE");
+  if (reserve.config.frozen) throw new PoolRevert("RESERVE_FROZEN");
+
+  updateInterestRates(reserve, state.timestamp);
+
+  reserve.idle -= amount;
+  reserve.availableLiquidity += amount;
+  reserve.scaledSupply += rayDiv(amount, reserve.liquidityIndex);
+}
+
+function borrow(state, asset, amount) {
+  const reserve = state.reserves[asset];
+  if (!reserve.config.active) throw new PoolRevert("RESERVE_NOT_ACTIVE");
+  if (reserve.config.frozen) throw new PoolRevert("RESERVE_FROZEN");
+  if (!reserve.config.borrowingEnabled) throw new PoolRevert("BORROWING_NOT_ENABLED");
+
+  updateInterestRates(reserve, state.timestamp);
+
+  if (reserve.availableLiquidity < amount) throw new PoolRevert("NOT_ENOUGH_AVAILABLE_USER_BALANCE");
+
+  const amountScaled = rayDiv(amount, reserve.variableBorrowIndex);
+  if (amountScaled === 0n) throw new PoolRevert("VDT_INVALID_MINT_AMOUNT");
+
+  // Pool._validateNewDebt checks the position with the new debt included
+  const scaledDebt = reserve.scaledDebt;
+  reserve.scaledDebt += amountScaled;
+  const { totalCollateralBase, totalDebtBase, ltv, healthFactor } = getAccountData(state);
+  reserve.scaledDebt = scaledDebt;
+  if (totalCollateralBase === 0n) throw new PoolRevert("COLLATERAL_BALANCE_IS_ZERO");
+  if (healthFactor !== null && healthFactor <= WAD) {
+    throw new PoolRevert("HEALTH_FACTOR_LOWER_THAN_LIQUIDATION_THRESHOLD");
+  }
+  if (totalDebtBase > percentMul(totalCollateralBase, ltv)) throw new PoolRevert("COLLATERAL_CANNOT_COVER_NEW_BORROW");
+
+  reserve.scaledDebt += amountScaled;
+  reserve.scaledTotalDebt += amountScaled;
+  reserve.availableLiquidity -= amount;
+  reserve.idle += amount;
+}
+
+// Like Vault.getPositionDetails, collateral and debt are expressed in collateral asset units
+function snapshot(state) {
+  const { totalCollateralBase, totalDebtBase, healthFactor } = getAccountData(state);
+  const collateralReserve = state.reserves[state.vault.collateralAsset];
+  return {
+    collateral: baseToAmount(collateralReserve, totalCollateralBase),
+    debt: baseToAmount(collateralReserve, totalDebtBase),
+    ltvBps: getCurrentLtv(state),
+    healthFactor,
+  };
+}
+
+const minBigInt = (a, b) => (a < b ? a : b);
+
+/**
+ * Port of LeveragedERC4626Vault._healthyLTV: the highest LTV that keeps the vault's minHealthFactor under a
+ * liquidation threshold
+ */
+function healthyLtv(vault, liquidationThreshold) {
+  return (liquidationThreshold * WAD) / vault.minHealthFactor;
+}
+
+/**
+ * Port of LeveragedERC4626Vault._executeLooping. Mutates `state`.
+ * @returns {{ steps: object[], iterations: number, totalBorrowed: bigint, stopReason: string }}
+ */
+function executeLooping(state) {
+  const { vault } = state;
+  const collateralReserve = state.reserves[vault.collateralAsset];
+  const borrowReserve = state.reserves[vault.borrowAsset];
+  const steps = [];
+
+  if (collateralReserve.idle > 0n) {
+    // Not wrapped in try/catch on-chain: a failure here reverts the whole transaction
+    supply(state, vault.collateralAsset, collateralReserve.idle);
+  }
+  steps.push({ iteration: 0, borrowed: 0n, ...snapshot(state) });
+
+  if (getTotalAssets(state) === 0n) {
+    return { steps, iterations: 0, totalBorrowed: 0n, stopReason: "emptyVault" };
+  }
+
+  if (getCurrentLtv(state) < vault.maxLtvBps) {
+    // The vault's zero supplies, accruing the reserves before the borrows are sized
+    supply(state, vault.collateralAsset, 0n);
+    supply(state, vault.borrowAsset, 0n);
+  }
+
+  let iterations = 0;
+  let totalBorrowed = 0n;
+  let stopReason = "maxIterations";
+
+  while (iterations < Number(vault.maxLoopIterations)) {
+    if (getCurrentLtv(state) >= vault.maxLtvBps) {
+      stopReason = "maxLtv";
+      break;
+    }
+
+    const { totalCollateralBase, totalDebtBase, ltv, liquidationThreshold } = getAccountData(state);
+    const maxLtv = minBigInt(vault.maxLtvBps, healthyLtv(vault, liquidationThreshold));
+    const maxDebtBase = (totalCollateralBase * maxLtv) / PERCENTAGE_FACTOR;
+    if (maxDebtBase <= totalDebtBase) {
+      stopReason = "nothingToBorrow";
+      break;
+    }
+    // Pool.getUserAccountData's availableBorrowsBase: the pool lends no further than the collateral's LTV
+    const borrowingPower = percentMul(totalCollateralBase, ltv);
+    const availableBorrowsBase = borrowingPower > totalDebtBase ? borrowingPower - totalDebtBase : 0n;
+    const maxBorrowableValue = minBigInt(maxDebtBase - totalDebtBase, availableBorrowsBase);
+    let borrowAmount = baseToAmount(borrowReserve, maxBorrowableValue);
+    if (maxBorrowableValue === availableBorrowsBase && borrowAmount > 0n) {
+      // The unit the vault leaves for the pool's index rounding
+      borrowAmount -= 1n;
+    }
+    if (borrowReserve.availableLiquidity < borrowAmount) {
+      borrowAmount = borrowReserve.availableLiquidity;
+    }
+    if (borrowAmount === 0n) {
+      stopReason = "noLiquidity";
+      break;
+    }
+
+    try {
+      borrow(state, vault.borrowAsset, borrowAmount);
+    } catch (error) {
+      if (!(error instanceof PoolRevert)) throw error;
+      stopReason = `borrowReverted: ${error.message}`;
+      break;
+    }
+    totalBorrowed += borrowAmount;
+
+    try {
+      if (borrowReserve.idle > 0n) {
+        supply(state, vault.borrowAsset, borrowReserve.idle);
+      }
+    } catch (error) {
+      if (!(error instanceof PoolRevert)) throw error;
+      stopReason = `supplyReverted: ${error.message}`;
+      steps.push({ iteration: iterations + 1, borrowed: borrowAmount, ...snapshot(state) });
+      break;
+    }
+
+    iterations++;
+    steps.push({ iteration: iterations, borrowed: borrowAmount, ...snapshot(state) });
+  }
+
+  return { steps, iterations, totalBorrowed, stopReason };
+}
+
+/**
+ * Port of LeveragedERC4626Vault._flashLeverageAmount: the flash loan reaching the target LTV once
+ * `addedCollateralBase` more collateral is supplied, capped by the provider's liquidity. Null when the position is
+ * already at the target.
+ */
+function flashLeverageAmount(state, addedCollateralBase = 0n) {
+  const { vault } = state;
+  const { totalCollateralBase, totalDebtBase, liquidationThreshold } = getAccountData(state);
+  const targetLtv = minBigInt(vault.targetLtvBps, healthyLtv(vault, liquidationThreshold));
+  const targetDebtBase = ((totalCollateralBase + addedCollateralBase) * targetLtv) / PERCENTAGE_FACTOR;
+  if (totalDebtBase >= targetDebtBase) {
+    return null;
+  }
+
+  const flashAmount = baseToAmount(
+    state.reserves[vault.borrowAsset],
+    ((targetDebtBase - totalDebtBase) * PERCENTAGE_FACTOR) / (PERCENTAGE_FACTOR + vault.flashLoanFeeBps - targetLtv)
+  );
+  return minBigInt(flashAmount, vault.flashLoanAvailable);
+}
+
+/**
+ * Port of LeveragedERC4626Vault._leverCost: in flash mode, the flash loan fee on the part of the flash loan a
+ * deposit of `assets` adds when it levers a vault with shares, in collateral asset units
+ */
+function leverCost(state, assets) {
+  const { vault } = state;
+  if (vault.leverageMode !== LEVERAGE_MODES.flash || !vault.loopingEnabled || vault.loopingPaused || !vault.totalSupply) {
+    return 0n;
+  }
+  const collateralReserve = state.reserves[vault.collateralAsset];
+  const added =
+    (flashLeverageAmount(state, amountToBase(collateralReserve, assets)) ?? 0n) - (flashLeverageAmount(state) ?? 0n);
+  // FlashLoanProvider.flashFee
+  const fee = (added * vault.flashLoanFeeBps) / PERCENTAGE_FACTOR;
+  return baseToAmount(collateralReserve, amountToBase(state.reserves[vault.borrowAsset], fee));
+}
+
+/**
+ * Port of LeveragedERC4626Vault._flashLeverage: one flash loan of the borrow asset, supplied and borrowed back
+ * with its fee, to reach the target LTV. Unlike the loop, pool reverts are not caught on-chain. Mutates `state`.
+ * @returns {{ steps: object[], iterations: number, totalBorrowed: bigint, stopReason: string, flashFee: bigint }}
+ */
+function executeFlashLeverage(state) {
+  const { vault } = state;
+  const collateralReserve = state.reserves[vault.collateralAsset];
+  const borrowReserve = state.reserves[vault.borrowAsset];
+  const steps = [];
+  const result = (stopReason, flashFee = 0n) => ({
+    steps,
+    iterations: flashFee > 0n || stopReason === "targetLtv" ? 1 : 0,
+    totalBorrowed: steps.reduce((total, step) => total + step.borrowed, 0n),
+    stopReason,
+    flashFee,
+  });
+
+  if (collateralReserve.idle > 0n) {
+    supply(state, vault.collateralAsset, collateralReserve.idle);
+  }
+  steps.push({ iteration: 0, borrowed: 0n, ...snapshot(state) });
+
+  const flashAmount = flashLeverageAmount(state);
+  if (flashAmount === null) {
+    return result(getTotalAssets(state) === 0n ? "emptyVault" : "atTarget");
+  }
+  if (flashAmount === 0n) {
+    return result("noFlashLiquidity");
+  }
+
+  // FlashLoanProvider.flashFee
+  const fee = (flashAmount * vault.flashLoanFeeBps) / PERCENTAGE_FACTOR;
+  borrowReserve.idle += flashAmount;
+  supply(state, vault.borrowAsset, flashAmount);
+  borrow(state, vault.borrowAsset, flashAmount + fee);
+  borrowReserve.idle -= flashAmount + fee;
+
+  steps.push({ iteration: 1, borrowed: flashAmount + fee, ...snapshot(state) });
+  return result("targetLtv", fee);
+}
+
+/**
+ * Annualized rates earned and paid by the vault position, using the rates the strategy
+ * would set for each reserve's current utilization
+ */
+function projectRates(state) {
+  const { totalCollateralBase, totalDebtBase } = getAccountData(state);
+  const equity = amountToBase(state.reserves[state.vault.collateralAsset], getTotalAssets(state));
+  const reserves = [];
+  let supplyIncome = 0n;
+  let borrowCost = 0n;
+
+  for (const reserve of Object.values(state.reserves)) {
+    const utilization = getUtilization(reserve);
+    const { liquidityRate, variableBorrowRate } = getReserveRates(reserve, utilization);
+    reserves.push({ symbol: reserve.symbol, utilization, liquidityRate, variableBorrowRate });
+
+    const { liquidityIndex, variableBorrowIndex } = accruedIndexes(reserve, state.timestamp);
+    supplyIncome += rayMul(amountToBase(reserve, rayMul(reserve.scaledSupply, liquidityIndex)), liquidityRate);
+    borrowCost += rayMul(amountToBase(reserve, rayMul(reserve.scaledDebt, variableBorrowIndex)), variableBorrowRate);
+  }
+
+  const supplyApr = totalCollateralBase > 0n ? rayDiv(supplyIncome, totalCollateralBase) : 0n;
+  const borrowApr = totalDebtBase > 0n ? rayDiv(borrowCost, totalDebtBase) : 0n;
+  // Return on the depositors' equity, which is what the share price tracks
+  const netApr = equity > 0n ? rayDiv(supplyIncome - borrowCost, equity) : 0n;
+
+  return { reserves, supplyApr, borrowApr, netApr, netApy: aprToApy(netApr) };
+}
+
+/**
+ * Compounds a ray APR per second, as continuously refreshed indexes would. Returns a plain number.
+ */
+function aprToApy(apr) {
+  const rate = Number(apr) / Number(RAY);
+  const periods = Number(SECONDS_PER_YEAR);
+  return Math.expm1(periods * Math.log1p(rate / periods));
+}
+
+/**
+ * Simulates `vault.deposit(assets)` (assets = 0 simulates a plain executeLooping()) against `state`
+ * without touching it.
+ * @param {object} state As returned by readVaultState
+ * @param {bigint} assets Deposit size in asset base units
+ * @param {{ maxLoopIterations?: number, leverageMode?: "loop" | "flash" }} [overrides] What-if overrides for
+ *   vault parameters
+ */
+function simulateDeposit(state, assets, overrides = {}) {
+  const sim = structuredClone(state);
+  if (overrides.maxLoopIterations !== undefined) {
+    sim.vault.maxLoopIterations = BigInt(overrides.maxLoopIterations);
+  }
+  if (overrides.leverageMode !== undefined) {
+    if (LEVERAGE_MODES[overrides.leverageMode] === undefined) {
+      throw new Error(`Unknown leverage mode ${overrides.leverageMode}`);
+    }
+    sim.vault.leverageMode = LEVERAGE_MODES[overrides.leverageMode];
+  }
+  const flashMode = sim.vault.leverageMode === LEVERAGE_MODES.flash;
+
+  const before = { ...snapshot(sim), totalAssets: getTotalAssets(sim), rates: projectRates(sim) };
+
+  // deposit() mints the accrued fees before pricing the new shares
+  const fees =
+    assets > 0n
+      ? calculateAccruedFees({ ...sim.vault, totalAssets: before.totalAssets }, sim.timestamp)
+      : { managementFeeAssets: 0n, performanceFeeAssets: 0n, feeShares: 0n, highWaterMark: sim.vault.highWaterMark };
+  sim.vault.totalSupply += fees.feeShares;
+
+  // ERC4626 share math with a zero decimals offset, rounding down, net of the flash loan fee levering the deposit
+  const supplyBefore = sim.vault.totalSupply;
+  const shares = ((assets - leverCost(sim, assets)) * (supplyBefore + 1n)) / (before.totalAssets + 1n);
+  sim.vault.totalSupply += shares;
+  sim.reserves[sim.vault.collateralAsset].idle += assets;
+
+  // deposit() only loops when looping is on (and not paused) and the vault already had shares; otherwise
+  // the projection shows what the next executeLooping() call would do
+  const triggersLoop =
+    !sim.vault.loopingPaused && (assets === 0n || (sim.vault.loopingEnabled && assets > 0n && supplyBefore > 0n));
+  const loop = flashMode ? executeFlashLeverage(sim) : executeLooping(sim);
+
+  const after = snapshot(sim);
+  const totalAssets = getTotalAssets(sim);
+
+  return {
+    blockNumber: state.blockNumber,
+    assets,
+    shares,
+    triggersLoop,
+    leverageMode: flashMode ? "flash" : "loop",
+    fees,
+    maxLtvBps: sim.vault.maxLtvBps,
+    maxLoopIterations: sim.vault.maxLoopIterations,
+    before,
+    steps: loop.steps,
+    final: {
+      ...after,
+      iterations: loop.iterations,
+      totalBorrowed: loop.totalBorrowed,
+      stopReason: loop.stopReason,
+      flashFee: loop.flashFee || 0n,
+      totalAssets,
+      totalSupply: sim.vault.totalSupply,
+      // collateral / equity, in wad
+      leverage: totalAssets > 0n ? wadDiv(after.collateral, totalAssets) : 0n,
+      ltvHeadroomBps: sim.vault.maxLtvBps - after.ltvBps,
+    },
+    rates: projectRates(sim),
+  };
+}
+
+const formatPercent = (ray) => `${(Number(ray) / 1e25).toFixed(2)}%`;
+const formatBps = (bps) => `${(Number(bps) / 100).toFixed(2)}%`;
+const formatHealthFactor = (hf) => (hf === null ? "∞" : formatUnits(hf, 18));
+
+/**
+ * Converts a simulateDeposit result into human readable strings
+ * @param {object} result As returned by simulateDeposit
+ * @param {number} decimals Decimals of the vault asset
+ */
+function formatSimulation(result, decimals) {
+  const amount = (value) => formatUnits(value, decimals);
+  const position = (p) => ({
+    collateral: amount(p.collateral),
+    debt: amount(p.debt),
+    ltv: formatBps(p.ltvBps),
+    healthFactor: formatHealthFactor(p.healthFactor),
+  });
+  const rates = (r) => ({
+    supplyApr: formatPercent(r.supplyApr),
+    borrowApr: formatPercent(r.borrowApr),
+    netApr: formatPercent(r.netApr),
+    netApy: `${(r.netApy * 100).toFixed(2)}%`,
+  });
+
+  return {
+    blockNumber: result.blockNumber,
+    deposit: amount(result.assets),
+    shares: amount(result.shares),
+    triggersLoop: result.triggersLoop,
+    leverageMode: result.leverageMode,
+    feeShares: amount(result.fees.feeShares),
+    maxLtv: formatBps(result.maxLtvBps),
+    maxLoopIterations: Number(result.maxLoopIterations),
+    before: { ...position(result.before), totalAssets: amount(result.before.totalAssets), ...rates(result.before.rates) },
+    steps: result.steps.map((step) => ({ iteration: step.iteration, borrowed: amount(step.borrowed), ...position(step) })),
+    final: {
+      ...position(result.final),
+      iterations: result.final.iterations,
+      stopReason: result.final.stopReason,
+      totalBorrowed: amount(result.final.totalBorrowed),
+      flashFee: amount(result.final.flashFee),
+      ltvHeadroom: formatBps(result.final.ltvHeadroomBps),
+      leverage: `${Number(formatUnits(result.final.leverage, 18)).toFixed(2)}x`,
+      totalAssets: amount(result.final.totalAssets),
+      totalSupply: amount(result.final.totalSupply),
+    },
+    rates: rates(result.rates),
+    reserves: result.rates.reserves.map((reserve) => ({
+      symbol: reserve.symbol,
+      utilization: formatPercent(reserve.utilization),
+      liquidityRate: formatPercent(reserve.liquidityRate),
+      variableBorrowRate: formatPercent(reserve.variableBorrowRate),
+    })),
+  };
+}
+
+module.exports = {
+  PoolRevert,
+  readVaultState,
+  calculateInterestRates,
+  getReserveRates,
+  getUtilization,
+  updateInterestRates,
+  getAccountData,
+  getTotalAssets,
+  executeLooping,
+  executeFlashLeverage,
+  projectRates,
+  aprToApy,
+  simulateDeposit,
+  formatSimulation,
+};
@@ -0,0 +1,2 @@
+// Lives in the SDK package; re-exported so scripts keep their import path
+module.exports = require("../../sdk/src/wadRayMath");
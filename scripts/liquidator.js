@@ -0,0 +1,44 @@
+const hre = require("hardhat");
+const { Liquidator } = require("./lib/liquidator");
+const { createJsonLogger } = require("./lib/keeper");
+const { loadManifest, getAddress } = require("./lib/deployments");
+
+async function main() {
+  const [signer] = await hre.ethers.getSigners();
+
+  // Pool to watch: LIQUIDATOR_POOL or the pool in deployments/<network>.json
+  let pool = process.env.LIQUIDATOR_POOL;
+  if (!pool) {
+    pool = getAddress(await loadManifest(hre, { persist: true }), "Pool");
+    if (!pool) {
+      throw new Error("No pool to watch. Set LIQUIDATOR_POOL or deploy with scripts/deployProtocol.js");
+    }
+  }
+
+  const liquidator = new Liquidator(hre, signer, pool, {
+    logger: createJsonLogger(),
+    startBlock: Number(process.env.LIQUIDATOR_START_BLOCK || 0),
+    pollIntervalMs: Number(process.env.LIQUIDATOR_POLL_INTERVAL_MS || 15000),
+    minProfit: BigInt(process.env.LIQUIDATOR_MIN_PROFIT || 0),
+    receiveAToken: process.env.LIQUIDATOR_RECEIVE_ATOKEN === "true",
+    confirmations: Number(process.env.LIQUIDATOR_CONFIRMATIONS || 1),
+    dryRun: process.env.LIQUIDATOR_DRY_RUN === "true",
+  });
+
+  if (process.env.LIQUIDATOR_ONCE === "true") {
+    await liquidator.run();
+    return;
+  }
+
+  process.on("SIGINT", () => liquidator.stop());
+  process.on("SIGTERM", () => liquidator.stop());
+
+  await liquidator.start();
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -0,0 +1,61 @@
+const fs = require("fs");
+const hre = require("hardhat");
+const { loadAllowlistCsv, formatAllowlistCsv, readAllowlist, applyAllowlist } = require("./lib/allowlist");
+const { loadManifest, getAddress } = require("./lib/deployments");
+
+async function main() {
+  const [signer] = await hre.ethers.getSigners();
+
+  // Vault to manage: VAULT_ADDRESS or the vault in deployments/<network>.json
+  const manifest = await loadManifest(hre, { persist: true });
+  const vaultAddress = process.env.VAULT_ADDRESS || getAddress(manifest, "LeveragedERC4626Vault");
+  if (!vaultAddress) {
+    throw new Error("No vault to manage. Set VAULT_ADDRESS or deploy with scripts/deployProtocol.js");
+  }
+  const vault = await hre.ethers.getContractAt("LeveragedERC4626Vault", vaultAddress, signer);
+
+  // The allowlist is replayed from events, by default from the vault deployment block
+  const vaultEntry = manifest.data.contracts.LeveragedERC4626Vault;
+  const fromBlock = Number(process.env.FROM_BLOCK || (vaultEntry && vaultEntry.blockNumber) || 0);
+
+  if (process.env.ALLOWLIST_EXPORT) {
+    const allowlist = await readAllowlist(hre, vault, { fromBlock });
+    fs.writeFileSync(process.env.ALLOWLIST_EXPORT, formatAllowlistCsv(allowlist));
+    console.log(`Exported ${allowlist.length} allowlisted accounts to ${process.env.ALLOWLIST_EXPORT}`);
+  }
+
+  if (process.env.ALLOWLIST_CSV) {
+    const entries = loadAllowlistCsv(process.env.ALLOWLIST_CSV);
+    console.log(`Vault ${vaultAddress}: ${entries.length} accounts in ${process.env.ALLOWLIST_CSV}`);
+    const result = await applyAllowlist(hre, {
+      vault,
+      entries,
+      sync: process.env.ALLOWLIST_SYNC === "true",
+      fromBlock,
+      batchSize: Number(process.env.ALLOWLIST_BATCH_SIZE || 200),
+      dryRun: process.env.DRY_RUN === "true",
+      log: (message) => console.log(message),
+    });
+    for (const address of result.allow) console.log(`+ ${address}`);
+    for (const address of result.deny) console.log(`- ${address}`);
+  }
+
+  if (process.env.ALLOWLIST_ENABLED) {
+    const enabled = process.env.ALLOWLIST_ENABLED === "true";
+    if ((await vault.allowlistEnabled()) !== enabled) {
+      await (await vault.setAllowlistEnabled(enabled)).wait();
+    }
+    console.log(`Allowlist ${enabled ? "enabled" : "disabled"}`);
+  }
+
+  if (!process.env.ALLOWLIST_EXPORT && !process.env.ALLOWLIST_CSV && !process.env.ALLOWLIST_ENABLED) {
+    throw new Error("Nothing to do: set ALLOWLIST_CSV, ALLOWLIST_EXPORT or ALLOWLIST_ENABLED");
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
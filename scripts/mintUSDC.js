@@ -1,4 +1,5 @@
 const hre = require("hardhat");
+const { loadManifest, getAddress } = require("./lib/deployments");
 
 async function main() {
   const [deployer] = await hre.ethers.getSigners();
@@ -6,10 +7,15 @@ async function main() {
   console.log("Minting USDC with the account:", deployer.address);
   console.log("Account balance:", (await hre.ethers.provider.getBalance(deployer.address)).toString());
 
-  // Get USDC contract address and recipient from environment variables or command line arguments
-  const usdcAddress = process.env.USDC_ADDRESS || process.argv[2] || "0x5f8EBb3Fb1AD9E4E1E59773187eAcD1F708A440b";
-  const recipient = process.env.RECIPIENT || process.argv[3] || deployer.address;
-  const amount = process.env.AMOUNT || process.argv[4] || "100000000000"; // 100,000 USDC (6 decimals)
+  // `hardhat run` does not forward arguments, so parameters come from the environment.
+  // Without USDC_ADDRESS the address recorded by scripts/deployProtocol.js is used.
+  // For a friendlier interface see `npx hardhat token mint`.
+  const usdcAddress = process.env.USDC_ADDRESS || getAddress(await loadManifest(hre, { persist: true }), "USDC");
+  if (!usdcAddress) {
+    throw new Error(`Set USDC_ADDRESS or deploy the protocol to ${hre.network.name} first`);
+  }
+  const recipient = process.env.RECIPIENT || deployer.address;
+  const amount = process.env.AMOUNT || "100000000000"; // 100,000 USDC (6 decimals)
 
   console.log("\nMinting parameters:");
   console.log("USDC contract address:", usdcAddress);
@@ -0,0 +1,42 @@
+// Queries the JSON store written by scripts/indexer.js. Runs with plain node, no RPC needed:
+//   node scripts/queryIndex.js <network> deposits <user>
+//   node scripts/queryIndex.js <network> utilization <asset> [fromBlock] [toBlock]
+//   node scripts/queryIndex.js <network> vault <vault> [fromBlock] [toBlock]
+const { IndexStore } = require("./lib/indexStore");
+
+function main() {
+  const [network, query, address, fromBlock, toBlock] = process.argv.slice(2);
+  if (!network || !query || !address) {
+    throw new Error("Usage: node scripts/queryIndex.js <network> <deposits|utilization|vault> <address> [from] [to]");
+  }
+
+  const store = new IndexStore(process.env.INDEXER_FILE || IndexStore.pathFor(network));
+  const range = {
+    fromBlock: fromBlock !== undefined ? Number(fromBlock) : undefined,
+    toBlock: toBlock !== undefined ? Number(toBlock) : undefined,
+  };
+
+  let result;
+  switch (query) {
+    case "deposits":
+      result = store.getDepositHistory(address);
+      break;
+    case "utilization":
+      result = store.getReserveUtilization(address, range);
+      break;
+    case "vault":
+      result = store.getVaultTimeline(address, range);
+      break;
+    default:
+      throw new Error(`Unknown query: ${query}`);
+  }
+
+  console.log(JSON.stringify(result, null, 2));
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
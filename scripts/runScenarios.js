@@ -0,0 +1,62 @@
+const fs = require("fs");
+const hre = require("hardhat");
+const { loadScenarios, runScenario, formatScenarioReport } = require("./lib/scenario");
+
+/**
+ * Runs stress scenarios against a fresh deployment on the in-process network and reports, for each, the vault
+ * LTV, health factor, share price and USDT utilization after every step, the operations that failed and whether
+ * the invariants held. Exits with an error when any scenario fails.
+ */
+async function main() {
+  // SCENARIO: a name in config/scenarios.js, all of them (default) or a scenario file
+  const scenarios = loadScenarios(process.env.SCENARIO || "all");
+  const reports = [];
+
+  for (const scenario of scenarios) {
+    const log = process.env.SCENARIO_JSON === "true" ? undefined : (message) => console.log(`  ${message}`);
+    if (log) {
+      console.log(`\n▶ ${scenario.name}${scenario.description ? `: ${scenario.description}` : ""}`);
+    }
+    reports.push(formatScenarioReport(await runScenario(hre, scenario, { log })));
+  }
+
+  if (process.env.SCENARIO_REPORT) {
+    fs.writeFileSync(process.env.SCENARIO_REPORT, JSON.stringify(reports, null, 2) + "\n");
+  }
+
+  if (process.env.SCENARIO_JSON === "true") {
+    console.log(JSON.stringify(reports, null, 2));
+  } else {
+    for (const report of reports) {
+      console.log(`\n${report.passed ? "✅" : "❌"} ${report.name}`);
+      console.table(
+        report.steps.map((step) => ({
+          step: step.description,
+          ok: step.ok ? "yes" : step.asExpected ? "reverted (expected)" : `reverted: ${step.error}`,
+          ltv: step.ltv,
+          healthFactor: step.healthFactor ?? "∞",
+          sharePrice: step.sharePrice,
+          "USDT utilization": step.reserves.USDT.utilization,
+          "USDT borrow rate": step.reserves.USDT.borrowRate,
+        }))
+      );
+      for (const invariant of report.invariants) {
+        const at = invariant.step === null ? "" : ` at step ${invariant.step}`;
+        const result = invariant.passed ? "pass" : "FAIL";
+        console.log(`  ${result} ${invariant.name} ${invariant.threshold} (worst ${invariant.worst}${at})`);
+      }
+    }
+  }
+
+  const failed = reports.filter((report) => !report.passed).map((report) => report.name);
+  if (failed.length > 0) {
+    throw new Error(`Scenarios failed: ${failed.join(", ")}`);
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
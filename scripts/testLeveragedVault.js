@@ -1,4 +1,16 @@
 const hre = require("hardhat");
+const { deployProtocol } = require("./lib/protocol");
+const { createClient } = require("../sdk");
+
+async function printPosition(vaultClient, title) {
+  const position = await vaultClient.getPosition();
+  console.log(`\n📊 ${title}:`);
+  console.log("  LTV:", position.currentLTV.toString(), "bps (", position.formatted.currentLTV, ")");
+  console.log("  Collateral:", position.formatted.collateralSupplied, position.symbol);
+  console.log("  Debt:", position.formatted.debtBorrowed, position.symbol);
+  console.log("  Health Factor:", position.formatted.healthFactor);
+  return position;
+}
 
 async function main() {
   console.log("=".repeat(80));
@@ -18,241 +30,29 @@ async function main() {
     console.log("  ⚠️  Using deployer as user (only one signer available)");
   }
 
-  // Step 1: Deploy USDC and USDT
+  // Steps 1-9: Deploy tokens, pool, reserves and vault (resumes from deployments/<network>.json)
   console.log("\n" + "=".repeat(80));
-  console.log("Step 1: Deploying USDC and USDT tokens");
+  console.log("Steps 1-9: Deploying protocol and LeveragedERC4626Vault");
   console.log("=".repeat(80));
 
-  const USDC = await hre.ethers.getContractFactory("USDC");
-  const usdc = await USDC.deploy(deployer.address, hre.ethers.parseUnits("1000000", 6)); // 1M USDC
-  await usdc.waitForDeployment();
-  const usdcAddress = await usdc.getAddress();
-  console.log("✅ USDC deployed to:", usdcAddress);
-
-  const USDT = await hre.ethers.getContractFactory("USDT");
-  const usdt = await USDT.deploy(deployer.address, hre.ethers.parseUnits("1000000", 6)); // 1M USDT
-  await usdt.waitForDeployment();
-  const usdtAddress = await usdt.getAddress();
-  console.log("✅ USDT deployed to:", usdtAddress);
-
-  // Step 2: Deploy PoolAddressesProvider
-  console.log("\n" + "=".repeat(80));
-  console.log("Step 2: Deploying PoolAddressesProvider");
-  console.log("=".repeat(80));
-
-  const PoolAddressesProvider = await hre.ethers.getContractFactory("PoolAddressesProvider");
-  const addressesProvider = await PoolAddressesProvider.deploy(deployer.address);
-  await addressesProvider.waitForDeployment();
-  const addressesProviderAddress = await addressesProvider.getAddress();
-  console.log("✅ PoolAddressesProvider deployed to:", addressesProviderAddress);
-
-  // Step 3: Deploy InterestRateStrategy
-  console.log("\n" + "=".repeat(80));
-  console.log("Step 3: Deploying InterestRateStrategy");
-  console.log("=".repeat(80));
-
-  const InterestRateStrategy = await hre.ethers.getContractFactory("InterestRateStrategy");
-  // Parameters: optimalUtilizationRate, baseVariableBorrowRate, variableRateSlope1, variableRateSlope2
-  // Using Ray format (1e27)
-  const optimalUtilizationRate = hre.ethers.parseUnits("0.8", 27); // 80%
-  const baseVariableBorrowRate = hre.ethers.parseUnits("0.01", 27); // 1%
-  const variableRateSlope1 = hre.ethers.parseUnits("0.04", 27); // 4%
-  const variableRateSlope2 = hre.ethers.parseUnits("0.75", 27); // 75%
-
-  const interestRateStrategy = await InterestRateStrategy.deploy(
-    optimalUtilizationRate,
-    baseVariableBorrowRate,
-    variableRateSlope1,
-    variableRateSlope2
-  );
-  await interestRateStrategy.waitForDeployment();
-  const interestRateStrategyAddress = await interestRateStrategy.getAddress();
-  console.log("✅ InterestRateStrategy deployed to:", interestRateStrategyAddress);
-
-  // Step 4: Deploy Pool
-  console.log("\n" + "=".repeat(80));
-  console.log("Step 4: Deploying Pool");
-  console.log("=".repeat(80));
-
-  const Pool = await hre.ethers.getContractFactory("Pool");
-  const pool = await Pool.deploy(addressesProviderAddress);
-  await pool.waitForDeployment();
-  const poolAddress = await pool.getAddress();
-  console.log("✅ Pool deployed to:", poolAddress);
-
-  // Set pool in addresses provider
-  await addressesProvider.setPoolImpl(poolAddress);
-  console.log("✅ Pool set in AddressesProvider");
-
-  // Step 5: Deploy AToken and VariableDebtToken for USDC
-  console.log("\n" + "=".repeat(80));
-  console.log("Step 5: Deploying AToken and VariableDebtToken for USDC");
-  console.log("=".repeat(80));
-
-  const AToken = await hre.ethers.getContractFactory("AToken");
-  const aTokenUSDC = await AToken.deploy(
-    poolAddress,
-    usdcAddress,
-    "Aave USDC",
-    "aUSDC"
-  );
-  await aTokenUSDC.waitForDeployment();
-  const aTokenUSDCAddress = await aTokenUSDC.getAddress();
-  console.log("✅ aTokenUSDC deployed to:", aTokenUSDCAddress);
-
-  const VariableDebtToken = await hre.ethers.getContractFactory("VariableDebtToken");
-  const variableDebtTokenUSDC = await VariableDebtToken.deploy(
-    poolAddress,
-    usdcAddress,
-    "Variable Debt USDC",
-    "variableDebtUSDC"
-  );
-  await variableDebtTokenUSDC.waitForDeployment();
-  const variableDebtTokenUSDCAddress = await variableDebtTokenUSDC.getAddress();
-  console.log("✅ variableDebtTokenUSDC deployed to:", variableDebtTokenUSDCAddress);
-
-  // Step 6: Deploy AToken and VariableDebtToken for USDT
-  console.log("\n" + "=".repeat(80));
-  console.log("Step 6: Deploying AToken and VariableDebtToken for USDT");
-  console.log("=".repeat(80));
-
-  const aTokenUSDT = await AToken.deploy(
-    poolAddress,
-    usdtAddress,
-    "Aave USDT",
-    "aUSDT"
-  );
-  await aTokenUSDT.waitForDeployment();
-  const aTokenUSDTAddress = await aTokenUSDT.getAddress();
-  console.log("✅ aTokenUSDT deployed to:", aTokenUSDTAddress);
-
-  const variableDebtTokenUSDT = await VariableDebtToken.deploy(
-    poolAddress,
-    usdtAddress,
-    "Variable Debt USDT",
-    "variableDebtUSDT"
-  );
-  await variableDebtTokenUSDT.waitForDeployment();
-  const variableDebtTokenUSDTAddress = await variableDebtTokenUSDT.getAddress();
-  console.log("✅ variableDebtTokenUSDT deployed to:", variableDebtTokenUSDTAddress);
-
-  // Step 7: Initialize reserves in Pool
-  console.log("\n" + "=".repeat(80));
-  console.log("Step 7: Initializing reserves in Pool");
-  console.log("=".repeat(80));
-
-  // Helper function to build reserve configuration
-  function buildReserveConfig(ltv, liquidationThreshold, liquidationBonus, decimals, reserveFactor) {
-    let data = 0n;
-    
-    // LTV (bits 0-15): 8500 = 0x2134
-    data = data | BigInt(ltv);
-    
-    // Liquidation threshold (bits 16-31): 9000 = 0x2328
-    data = data | (BigInt(liquidationThreshold) << 16n);
-    
-    // Liquidation bonus (bits 32-47): 500 = 0x01F4
-    data = data | (BigInt(liquidationBonus) << 32n);
-    
-    // Decimals (bits 48-55): 6
-    data = data | (BigInt(decimals) << 48n);
-    
-    // Active flag (bit 56): 1
-    data = data | (1n << 56n);
-    
-    // Borrowing enabled (bit 58): 1
-    data = data | (1n << 58n);
-    
-    // Reserve factor (bits 64-79): 1000 = 0x03E8
-    data = data | (BigInt(reserveFactor) << 64n);
-    
-    return { data: "0x" + data.toString(16).padStart(64, '0') };
-  }
-
-  // Create reserve configuration for USDC
-  // LTV: 85% (8500), Liquidation threshold: 90% (9000), Liquidation bonus: 5% (500)
-  // Reserve factor: 10% (1000), Decimals: 6
-  const reserveConfigUSDC = buildReserveConfig(8500, 9000, 500, 6, 1000);
-
-  await pool.initReserve(
-    usdcAddress,
-    aTokenUSDCAddress,
-    variableDebtTokenUSDCAddress,
-    interestRateStrategyAddress,
-    reserveConfigUSDC
-  );
-  console.log("✅ USDC reserve initialized");
-
-  // Create reserve configuration for USDT (same as USDC)
-  const reserveConfigUSDT = buildReserveConfig(8500, 9000, 500, 6, 1000);
-
-  await pool.initReserve(
-    usdtAddress,
-    aTokenUSDTAddress,
-    variableDebtTokenUSDTAddress,
-    interestRateStrategyAddress,
-    reserveConfigUSDT
-  );
-  console.log("✅ USDT reserve initialized");
-
-  // Step 8: Seed the pool with liquidity
-  console.log("\n" + "=".repeat(80));
-  console.log("Step 8: Seeding Pool with liquidity");
-  console.log("=".repeat(80));
-
-  const seedAmountUSDC = hre.ethers.parseUnits("500000", 6); // 500k USDC
-  const seedAmountUSDT = hre.ethers.parseUnits("500000", 6); // 500k USDT
-
-  // Approve with max amount
-  const approveTx1 = await usdc.approve(poolAddress, hre.ethers.MaxUint256);
-  await approveTx1.wait();
-  console.log("✅ Approved USDC for pool");
-  
-  try {
-    const supplyTx1 = await pool.supply(usdcAddress, seedAmountUSDC, deployer.address, 0);
-    await supplyTx1.wait();
-    console.log("✅ Supplied", hre.ethers.formatUnits(seedAmountUSDC, 6), "USDC to pool");
-  } catch (error) {
-    console.log("❌ Error supplying USDC:", error.message);
-    // Try to get more details
-    try {
-      const reserveData = await pool.getReserveData(usdcAddress);
-      console.log("  Reserve active:", reserveData.configuration.data.toString());
-    } catch (e) {
-      console.log("  Could not fetch reserve data");
-    }
-    throw error;
-  }
-
-  const approveTx2 = await usdt.approve(poolAddress, hre.ethers.MaxUint256);
-  await approveTx2.wait();
-  console.log("✅ Approved USDT for pool");
-  
-  try {
-    const supplyTx2 = await pool.supply(usdtAddress, seedAmountUSDT, deployer.address, 0);
-    await supplyTx2.wait();
-    console.log("✅ Supplied", hre.ethers.formatUnits(seedAmountUSDT, 6), "USDT to pool");
-  } catch (error) {
-    console.log("❌ Error supplying USDT:", error.message);
-    throw error;
-  }
-
-  // Step 9: Deploy LeveragedERC4626Vault
-  console.log("\n" + "=".repeat(80));
-  console.log("Step 9: Deploying LeveragedERC4626Vault");
-  console.log("=".repeat(80));
+  const deployment = await deployProtocol(hre, {
+    signer: deployer,
+    log: (message) => console.log(message),
+  });
 
-  const LeveragedERC4626Vault = await hre.ethers.getContractFactory("LeveragedERC4626Vault");
-  const vault = await LeveragedERC4626Vault.deploy(
-    usdcAddress,
-    "Leveraged USDC Vault",
-    "lvUSDC",
-    poolAddress,
-    usdtAddress
-  );
-  await vault.waitForDeployment();
+  const { usdc, vault } = deployment;
+  const usdcAddress = await usdc.getAddress();
+  const usdtAddress = await deployment.usdt.getAddress();
+  const addressesProviderAddress = await deployment.addressesProvider.getAddress();
+  const poolAddress = await deployment.pool.getAddress();
+  const interestRateStrategyAddress = await deployment.interestRateStrategy.getAddress();
+  const aTokenUSDCAddress = await deployment.aTokenUSDC.getAddress();
+  const variableDebtTokenUSDCAddress = await deployment.variableDebtTokenUSDC.getAddress();
+  const aTokenUSDTAddress = await deployment.aTokenUSDT.getAddress();
+  const variableDebtTokenUSDTAddress = await deployment.variableDebtTokenUSDT.getAddress();
   const vaultAddress = await vault.getAddress();
-  console.log("✅ LeveragedERC4626Vault deployed to:", vaultAddress);
+  const client = createClient(user, deployment.manifest);
+  const asset = await client.vault.asset();
 
   // Step 10: Test deposit and looping
   console.log("\n" + "=".repeat(80));
@@ -260,50 +60,32 @@ async function main() {
   console.log("=".repeat(80));
 
   // Give user some USDC
-  const userDepositAmount = hre.ethers.parseUnits("10000", 6); // 10k USDC
+  const userDepositAmount = hre.ethers.parseUnits("10000", asset.decimals); // 10k USDC
   await usdc.mint(user.address, userDepositAmount);
-  console.log("✅ Minted", hre.ethers.formatUnits(userDepositAmount, 6), "USDC to user");
+  console.log("✅ Minted", hre.ethers.formatUnits(userDepositAmount, asset.decimals), asset.symbol, "to user");
 
-  // Check initial position
-  console.log("\n📊 Initial Position:");
-  const initialLTV = await vault.getCurrentLTV();
-  const [initialCollateral, initialDebt, initialLTV2, initialHF] = await vault.getPositionDetails();
-  console.log("  LTV:", initialLTV.toString(), "bps (", (Number(initialLTV) / 100).toFixed(2), "%)");
-  console.log("  Collateral:", hre.ethers.formatUnits(initialCollateral, 6), "USDC");
-  console.log("  Debt:", hre.ethers.formatUnits(initialDebt, 6), "USDT");
-  console.log("  Health Factor:", hre.ethers.formatEther(initialHF));
+  await printPosition(client.vault, "Initial Position");
 
   // User approves and deposits
   console.log("\n💰 User depositing...");
-  await usdc.connect(user).approve(vaultAddress, userDepositAmount);
-  const depositTx = await vault.connect(user).deposit(userDepositAmount, user.address);
-  console.log("  Deposit transaction sent, waiting for confirmation...");
-  const receipt = await depositTx.wait();
-  console.log("  ✅ Deposit confirmed in block:", receipt.blockNumber);
+  await client.vault.approveAsset(userDepositAmount);
+  const deposit = await client.vault.deposit(userDepositAmount);
+  console.log("  ✅ Deposit confirmed in block:", deposit.blockNumber);
 
-  // Check position after deposit
-  console.log("\n📊 Position After Deposit:");
-  const afterDepositLTV = await vault.getCurrentLTV();
-  const [afterDepositCollateral, afterDepositDebt, afterDepositLTV2, afterDepositHF] = await vault.getPositionDetails();
-  console.log("  LTV:", afterDepositLTV.toString(), "bps (", (Number(afterDepositLTV) / 100).toFixed(2), "%)");
-  console.log("  Collateral:", hre.ethers.formatUnits(afterDepositCollateral, 6));
-  console.log("  Debt:", hre.ethers.formatUnits(afterDepositDebt, 6));
-  console.log("  Health Factor:", hre.ethers.formatEther(afterDepositHF));
+  await printPosition(client.vault, "Position After Deposit");
 
   // Check vault shares
-  const userShares = await vault.balanceOf(user.address);
-  const totalShares = await vault.totalSupply();
-  const totalAssets = await vault.totalAssets();
+  const account = await client.vault.getAccount(user.address);
+  const state = await client.vault.getState();
   console.log("\n📈 Vault State:");
-  console.log("  User shares:", hre.ethers.formatEther(userShares));
-  console.log("  Total shares:", hre.ethers.formatEther(totalShares));
-  console.log("  Total assets:", hre.ethers.formatUnits(totalAssets, 6));
+  console.log("  User shares:", account.formatted.shares);
+  console.log("  Total shares:", state.formatted.totalSupply);
+  console.log("  Total assets:", state.formatted.totalAssets);
 
   // Manually trigger looping to see it in action
   console.log("\n🔄 Manually triggering looping...");
   try {
-    const loopTx = await vault.connect(user).executeLooping();
-    const loopReceipt = await loopTx.wait();
+    const { receipt: loopReceipt } = await client.vault.executeLooping();
     console.log("  ✅ Looping transaction confirmed in block:", loopReceipt.blockNumber);
     
     // Check for LoopExecuted event
@@ -319,22 +101,15 @@ async function main() {
     if (loopEvent) {
       const parsed = vault.interface.parseLog(loopEvent);
       console.log("  📊 LoopExecuted Event:");
-      console.log("    Collateral Supplied:", hre.ethers.formatUnits(parsed.args.collateralSupplied, 6));
-      console.log("    Borrowed:", hre.ethers.formatUnits(parsed.args.borrowed, 6));
+      console.log("    Collateral Supplied:", hre.ethers.formatUnits(parsed.args.collateralSupplied, asset.decimals));
+      console.log("    Borrowed:", hre.ethers.formatUnits(parsed.args.borrowed, asset.decimals));
       console.log("    Iterations:", parsed.args.iterations.toString());
     }
   } catch (error) {
     console.log("  ⚠️  Looping failed (might already be at max LTV):", error.message);
   }
 
-  // Final position check
-  console.log("\n📊 Final Position:");
-  const finalLTV = await vault.getCurrentLTV();
-  const [finalCollateral, finalDebt, finalLTV2, finalHF] = await vault.getPositionDetails();
-  console.log("  LTV:", finalLTV.toString(), "bps (", (Number(finalLTV) / 100).toFixed(2), "%)");
-  console.log("  Collateral:", hre.ethers.formatUnits(finalCollateral, 6));
-  console.log("  Debt:", hre.ethers.formatUnits(finalDebt, 6));
-  console.log("  Health Factor:", hre.ethers.formatEther(finalHF));
+  const { currentLTV: finalLTV } = await printPosition(client.vault, "Final Position");
 
   // Test rebalance
   console.log("\n" + "=".repeat(80));
@@ -344,8 +119,7 @@ async function main() {
   if (Number(finalLTV) > 8000) {
     console.log("  LTV is above 80%, triggering rebalance...");
     try {
-      const rebalanceTx = await vault.connect(user).rebalance();
-      const rebalanceReceipt = await rebalanceTx.wait();
+      const { receipt: rebalanceReceipt } = await client.vault.rebalance();
       console.log("  ✅ Rebalance transaction confirmed in block:", rebalanceReceipt.blockNumber);
       
       const rebalanceEvent = rebalanceReceipt.logs.find(log => {
@@ -360,7 +134,7 @@ async function main() {
       if (rebalanceEvent) {
         const parsed = vault.interface.parseLog(rebalanceEvent);
         console.log("  📊 Rebalanced Event:");
-        console.log("    Repaid:", hre.ethers.formatUnits(parsed.args.repaid, 6));
+        console.log("    Repaid:", hre.ethers.formatUnits(parsed.args.repaid, asset.decimals));
       }
     } catch (error) {
       console.log("  ⚠️  Rebalance failed:", error.message);
@@ -0,0 +1,19 @@
+/**
+ * JavaScript SDK for the Pool, PoolDataProvider and LeveragedERC4626Vault: address books, typed wrappers, WadRayMath,
+ * reserve configuration decoding, revert decoding and a transaction helper. Only depends on ethers v6.
+ */
+module.exports = {
+  ...require("./src/abis"),
+  ...require("./src/addressBook"),
+  ...require("./src/base"),
+  ...require("./src/client"),
+  ...require("./src/errors"),
+  ...require("./src/format"),
+  ...require("./src/pool"),
+  ...require("./src/poolDataProvider"),
+  ...require("./src/reserveConfig"),
+  ...require("./src/tokens"),
+  ...require("./src/tx"),
+  ...require("./src/vault"),
+  ...require("./src/wadRayMath"),
+};
@@ -0,0 +1,89 @@
+/**
+ * Human-readable ABIs of the calls the SDK wraps, so the package does not need the Hardhat artifacts.
+ * test/sdk.test.js checks every fragment against the compiled contracts.
+ */
+
+const ERC20_ABI = [
+  "function name() view returns (string)",
+  "function symbol() view returns (string)",
+  "function decimals() view returns (uint8)",
+  "function totalSupply() view returns (uint256)",
+  "function balanceOf(address account) view returns (uint256)",
+  "function allowance(address owner, address spender) view returns (uint256)",
+  "function approve(address spender, uint256 value) returns (bool)",
+  "function transfer(address to, uint256 value) returns (bool)",
+  "error ERC20InsufficientBalance(address sender, uint256 balance, uint256 needed)",
+  "error ERC20InsufficientAllowance(address spender, uint256 allowance, uint256 needed)",
+];
+
+const RESERVE_DATA =
+  "tuple(tuple(uint256 data) configuration, uint128 liquidityIndex, uint128 currentLiquidityRate, " +
+  "uint128 variableBorrowIndex, uint128 currentVariableBorrowRate, uint40 lastUpdateTimestamp, uint16 id, " +
+  "address aTokenAddress, address variableDebtTokenAddress, address interestRateStrategyAddress, " +
+  "uint128 accruedToTreasury, uint128 unbacked)";
+
+const POOL_ABI = [
+  "function supply(address asset, uint256 amount, address onBehalfOf, uint16 referralCode)",
+  "function withdraw(address asset, uint256 amount, address to) returns (uint256)",
+  "function borrow(address asset, uint256 amount, uint256 interestRateMode, uint16 referralCode, address onBehalfOf)",
+  "function repay(address asset, uint256 amount, uint256 rateMode, address onBehalfOf) returns (uint256)",
+  "function getReservesList() view returns (address[])",
+  `function getReserveData(address asset) view returns (${RESERVE_DATA})`,
+  "function getConfiguration(address asset) view returns (tuple(uint256 data))",
+  "function getUserAccountData(address user) view returns (uint256 totalCollateralBase, uint256 totalDebtBase, " +
+    "uint256 availableBorrowsBase, uint256 currentLiquidationThreshold, uint256 ltv, uint256 healthFactor)",
+];
+
+const POOL_DATA_PROVIDER_ABI = [
+  "function POOL() view returns (address)",
+  "function getReserveData(address asset) view returns (uint256 totalATokenSupply, uint256 totalVariableDebt, " +
+    "uint256 liquidityRate, uint256 variableBorrowRate, uint256 liquidityIndex, uint256 variableBorrowIndex, " +
+    "uint40 lastUpdateTimestamp)",
+  "function getUserReserveData(address asset, address user) view returns (uint256 currentATokenBalance, " +
+    "uint256 currentVariableDebt, uint256 principalVariableDebt, uint256 liquidityRate, uint256 variableBorrowRate)",
+];
+
+const VAULT_ABI = [
+  ...ERC20_ABI,
+  "function asset() view returns (address)",
+  "function totalAssets() view returns (uint256)",
+  "function convertToAssets(uint256 shares) view returns (uint256)",
+  "function previewDeposit(uint256 assets) view returns (uint256)",
+  "function previewRedeem(uint256 shares) view returns (uint256)",
+  "function maxDeposit(address receiver) view returns (uint256)",
+  "function maxWithdraw(address owner) view returns (uint256)",
+  "function maxRedeem(address owner) view returns (uint256)",
+  "function deposit(uint256 assets, address receiver) returns (uint256)",
+  "function withdraw(uint256 assets, address receiver, address owner) returns (uint256)",
+  "function redeem(uint256 shares, address receiver, address owner) returns (uint256)",
+  "function executeLooping()",
+  "function rebalance()",
+  "function lendingPool() view returns (address)",
+  "function collateralAsset() view returns (address)",
+  "function borrowAsset() view returns (address)",
+  "function loopingEnabled() view returns (bool)",
+  "function leverageMode() view returns (uint8)",
+  "function targetLTVBps() view returns (uint256)",
+  "function rebalanceLTVBps() view returns (uint256)",
+  "function maxLTVBps() view returns (uint256)",
+  "function minHealthFactor() view returns (uint256)",
+  "function maxLoopIterations() view returns (uint256)",
+  "function getCurrentLTV() view returns (uint256)",
+  "function getPositionDetails() view returns (uint256 collateralSupplied, uint256 debtBorrowed, " +
+    "uint256 currentLTV, uint256 healthFactor)",
+  "error ERC4626ExceededMaxDeposit(address receiver, uint256 assets, uint256 max)",
+  "error ERC4626ExceededMaxMint(address receiver, uint256 shares, uint256 max)",
+  "error ERC4626ExceededMaxWithdraw(address owner, uint256 assets, uint256 max)",
+  "error ERC4626ExceededMaxRedeem(address owner, uint256 shares, uint256 max)",
+  "error OwnableUnauthorizedAccount(address account)",
+  "error SafeERC20FailedOperation(address token)",
+  "event LoopExecuted(uint256 collateralSupplied, uint256 borrowed, uint256 iterations)",
+  "event Rebalanced(uint256 repaid, uint256 withdrawn)",
+];
+
+module.exports = {
+  ERC20_ABI,
+  POOL_ABI,
+  POOL_DATA_PROVIDER_ABI,
+  VAULT_ABI,
+};
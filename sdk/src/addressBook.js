@@ -0,0 +1,78 @@
+const fs = require("fs");
+const path = require("path");
+const { getAddress } = require("ethers");
+
+/**
+ * Contract addresses of one network, read from a deployment manifest (deployments/<network>.json, written by
+ * scripts/lib/deployments.js): `contracts` maps each id (USDC, Pool, LeveragedERC4626Vault, ...) to its
+ * `address` and `contract` name
+ */
+class AddressBook {
+  constructor({ network, chainId, contracts = {} }) {
+    this.network = network;
+    this.chainId = chainId === undefined ? undefined : Number(chainId);
+    this.contracts = {};
+    for (const [id, entry] of Object.entries(contracts)) {
+      const address = typeof entry === "string" ? entry : entry.address;
+      this.contracts[id] = { address: getAddress(address), contract: entry.contract || id };
+    }
+  }
+
+  has(id) {
+    return this.contracts[id] !== undefined;
+  }
+
+  /**
+   * Address recorded for `id`; throws when there is none
+   */
+  get(id) {
+    if (!this.has(id)) {
+      throw new Error(`No ${id} in the ${this.network || "unnamed"} address book`);
+    }
+    return this.contracts[id].address;
+  }
+
+  ids() {
+    return Object.keys(this.contracts);
+  }
+
+  /**
+   * Throws unless `provider` is on the chain the addresses were recorded on
+   * @param {import("ethers").Provider} provider
+   */
+  async assertNetwork(provider) {
+    const { chainId } = await provider.getNetwork();
+    if (this.chainId !== undefined && BigInt(this.chainId) !== chainId) {
+      throw new Error(`Address book ${this.network} is for chainId ${this.chainId}, connected to chainId ${chainId}`);
+    }
+  }
+}
+
+/**
+ * Loads an address book from a manifest object, a manifest file, or a network name looked up in `dir`
+ * @param {object|string} source Manifest (or `{ network, chainId, contracts }` with plain addresses), path to a
+ *   .json manifest, or a network name
+ * @param {object} [options]
+ * @param {string} [options.dir] Directory of the per-network manifests (default: ./deployments)
+ * @returns {AddressBook}
+ */
+function loadAddressBook(source, { dir = path.join(process.cwd(), "deployments") } = {}) {
+  if (source instanceof AddressBook) {
+    return source;
+  }
+  if (typeof source === "object" && source !== null) {
+    return new AddressBook(source.data || source);
+  }
+
+  const file = source.endsWith(".json") ? source : path.join(dir, `${source}.json`);
+  if (!fs.existsSync(file)) {
+    throw new Error(`No deployment manifest at ${file}`);
+  }
+  const manifest = JSON.parse(fs.readFileSync(file, "utf8"));
+  return new AddressBook({ network: path.basename(file, ".json"), ...manifest });
+}
+
+module.exports = {
+  AddressBook,
+  loadAddressBook,
+};
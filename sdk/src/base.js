@@ -0,0 +1,56 @@
+const { Contract } = require("ethers");
+const { decodeError } = require("./errors");
+const { sendTransaction } = require("./tx");
+const { TokenRegistry } = require("./tokens");
+
+/**
+ * Shared plumbing of the contract wrappers: reads and sends through one contract, with reverts decoded
+ */
+class BaseClient {
+  /**
+   * @param {string} address
+   * @param {Array<string>} abi
+   * @param {import("ethers").ContractRunner} runner A signer to send transactions, or a provider to only read
+   * @param {object} [options]
+   * @param {TokenRegistry} [options.tokens] Token metadata cache to share with other wrappers
+   */
+  constructor(address, abi, runner, { tokens } = {}) {
+    this.contract = new Contract(address, abi, runner);
+    this.runner = runner;
+    this.tokens = tokens || new TokenRegistry(runner);
+  }
+
+  get address() {
+    return this.contract.target;
+  }
+
+  async read(method, ...args) {
+    try {
+      return await this.contract[method](...args);
+    } catch (error) {
+      throw decodeError(error, [this.contract.interface]);
+    }
+  }
+
+  /**
+   * Sends `method` with sendTransaction
+   * @param {object} [options] `confirmations`, `timeoutMs` and transaction `overrides`
+   */
+  async send(method, args, { overrides = {}, ...options } = {}) {
+    return sendTransaction(() => this.contract[method](...args, overrides), {
+      interfaces: [this.contract.interface],
+      ...options,
+    });
+  }
+
+  async account() {
+    if (!this.runner || typeof this.runner.getAddress !== "function") {
+      throw new Error("Sending transactions needs a signer");
+    }
+    return this.runner.getAddress();
+  }
+}
+
+module.exports = {
+  BaseClient,
+};
@@ -0,0 +1,34 @@
+const { loadAddressBook } = require("./addressBook");
+const { TokenRegistry } = require("./tokens");
+const { PoolClient } = require("./pool");
+const { PoolDataProviderClient } = require("./poolDataProvider");
+const { VaultClient } = require("./vault");
+
+/**
+ * Connects the wrappers to the contracts of an address book, sharing one token metadata cache
+ * @param {import("ethers").ContractRunner} runner A signer to send transactions, or a provider to only read
+ * @param {object|string} addresses Anything loadAddressBook takes: a manifest, its path or a network name
+ * @param {object} [options]
+ * @param {string} [options.vault] Address book id of the vault (default LeveragedERC4626Vault)
+ * @param {string} [options.dir] Directory of the per-network manifests
+ * @returns {{ addressBook: import("./addressBook").AddressBook, tokens: TokenRegistry, pool: PoolClient,
+ *   dataProvider: PoolDataProviderClient|null, vault: VaultClient|null }} The data provider and vault are null
+ *   when the address book has none
+ */
+function createClient(runner, addresses, { vault = "LeveragedERC4626Vault", dir } = {}) {
+  const addressBook = loadAddressBook(addresses, dir ? { dir } : undefined);
+  const tokens = new TokenRegistry(runner);
+  const connect = (Client, id) => (addressBook.has(id) ? new Client(addressBook.get(id), runner, { tokens }) : null);
+
+  return {
+    addressBook,
+    tokens,
+    pool: new PoolClient(addressBook.get("Pool"), runner, { tokens }),
+    dataProvider: connect(PoolDataProviderClient, "PoolDataProvider"),
+    vault: connect(VaultClient, vault),
+  };
+}
+
+module.exports = {
+  createClient,
+};
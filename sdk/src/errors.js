@@ -0,0 +1,196 @@
+const { Interface } = require("ethers");
+const { VAULT_ABI } = require("./abis");
+
+// Revert strings of Pool, PoolConfigurator, the aToken / debt tokens and the libraries they use
+const POOL_ERRORS = {
+  RESERVE_NOT_ACTIVE: "The reserve is not active",
+  RESERVE_FROZEN: "The reserve is frozen: no new supplies or borrows",
+  RESERVE_NOT_INITIALIZED: "The asset is not a reserve of the pool",
+  RESERVE_ALREADY_INITIALIZED: "The reserve is already initialized",
+  RESERVE_LIQUIDITY_NOT_ZERO: "The reserve still has liquidity",
+  NO_MORE_RESERVES_ALLOWED: "The pool has the maximum number of reserves",
+  INVALID_AMOUNT: "The amount must be greater than 0",
+  INVALID_INTEREST_RATE_MODE_SELECTED: "Only variable rate (mode 2) is supported",
+  INVALID_INTEREST_RATE_STRATEGY_ADDRESS: "The interest rate strategy address is invalid",
+  INVALID_ATOKEN_ADDRESS: "The aToken address is invalid",
+  INVALID_DEBT_TOKEN_ADDRESS: "The variable debt token address is invalid",
+  INVALID_ASSET_PRICE: "The oracle has no price for the asset",
+  INVALID_TREASURY: "The treasury address is invalid",
+  INVALID_RESERVE_FACTOR: "The reserve factor is out of range",
+  INVALID_RESERVE_PARAMS: "The reserve's LTV, liquidation threshold or bonus are inconsistent",
+  NOT_ENOUGH_AVAILABLE_USER_BALANCE: "The reserve does not have that much liquidity available",
+  INSUFFICIENT_BALANCE: "The balance is too low",
+  INSUFFICIENT_DEBT: "The amount is more than the account's debt",
+  BORROWING_NOT_ENABLED: "Borrowing is not enabled on the reserve",
+  COLLATERAL_BALANCE_IS_ZERO: "The account has no collateral",
+  COLLATERAL_CANNOT_COVER_NEW_BORROW: "The debt would exceed the collateral's LTV",
+  CREDIT_DELEGATION_NOT_SUPPORTED: "Accounts can only borrow for themselves",
+  HEALTH_FACTOR_LOWER_THAN_LIQUIDATION_THRESHOLD: "The health factor would drop below 1",
+  HEALTH_FACTOR_NOT_BELOW_THRESHOLD: "The position is healthy and cannot be liquidated",
+  COLLATERAL_CANNOT_BE_LIQUIDATED: "The collateral cannot be liquidated",
+  SPECIFIED_CURRENCY_NOT_BORROWED_BY_USER: "The account has no debt in that asset",
+  INCONSISTENT_FLASHLOAN_PARAMS: "The flash loan assets and amounts do not line up",
+  INVALID_FLASHLOAN_EXECUTOR_RETURN: "The flash loan receiver returned false",
+  FLASHLOAN_PREMIUM_INVALID: "The flash loan premium is out of range",
+  CALLER_NOT_POOL_ADMIN: "Only the pool admin can do this",
+  CALLER_NOT_POOL_CONFIGURATOR: "Only the PoolConfigurator can do this",
+  AT_CALLER_MUST_BE_POOL: "Only the pool can mint or burn aTokens",
+  VDT_CALLER_MUST_BE_POOL: "Only the pool can mint or burn debt tokens",
+  VDT_INVALID_MINT_AMOUNT: "The debt token mint amount is invalid",
+  VDT_INVALID_BURN_AMOUNT: "The debt token burn amount is invalid",
+  RC_INVALID_LTV: "The LTV does not fit the reserve configuration",
+  RC_INVALID_LIQ_THRESHOLD: "The liquidation threshold does not fit the reserve configuration",
+  RC_INVALID_LIQ_BONUS: "The liquidation bonus does not fit the reserve configuration",
+  RC_INVALID_DECIMALS: "The decimals do not fit the reserve configuration",
+  RC_INVALID_RESERVE_FACTOR: "The reserve factor does not fit the reserve configuration",
+  WR_OVERFLOW: "Wad/ray math overflow",
+  WR_DIV_ZERO: "Wad/ray division by zero",
+  PM_DIV_ZERO: "Percentage math division by zero",
+};
+
+// FlashLoanProvider revert reasons, without their "FlashLoanProvider: " prefix
+const FLASH_LOAN_PROVIDER_ERRORS = {
+  "amount must be greater than 0": "The amount must be greater than 0",
+  "flash loan callback failed": "The flash loan receiver's callback failed",
+  "insufficient liquidity": "The provider does not hold enough of the token",
+  "insufficient protocol fees": "More than the accrued protocol fees was requested",
+  "insufficient repayment": "The receiver did not pay back the loan and its fee",
+  "insufficient shares": "The liquidity provider does not have that many shares",
+  "protocol fee too high": "The protocol fee is above the maximum",
+  "token not supported": "The provider does not lend that token",
+  "zero shares": "The deposit is too small to mint a share",
+};
+
+// Revert strings of LeveragedERC4626Vault, its strategy adapters and VaultRouter
+const VAULT_ERRORS = {
+  NOT_ALLOWLISTED: "The account is not on the vault's allowlist",
+  LOOPING_PAUSED: "The guardian paused looping",
+  INVALID_ITERATIONS: "The loop iteration cap is out of range",
+  INVALID_STRATEGY: "The strategy adapter does not fit the vault",
+  STRATEGY_NOT_EMPTY: "The old strategy still holds assets",
+  STRATEGY_TIMELOCK_NOT_EXPIRED: "The queued strategy migration is still timelocked",
+  NO_PENDING_STRATEGY: "No strategy migration is queued",
+  "StrategyAdapter: supplied by the vault": "The vault supplies to the strategy's pool itself, not through the adapter",
+  UNWIND_INCOMPLETE: "The strategy's holdings could not repay the debt the withdrawal unwinds",
+  INVALID_FLASH_LOAN: "The flash loan was not started by the vault",
+  FLASH_LOAN_MODE_ACTIVE: "The vault is in flash loan mode",
+  FLASH_LOAN_PROVIDER_NOT_SET: "The vault has no flash loan provider",
+  FEE_TOO_HIGH: "The fee is above the maximum",
+  INVALID_FEE_RECIPIENT: "The fee recipient is invalid",
+  INVALID_RISK_PARAMETERS: "The risk parameters are inconsistent or above the reserve's limits",
+  NO_PENDING_RISK_PARAMETERS: "No risk parameter change is queued",
+  RISK_TIMELOCK_NOT_EXPIRED: "The queued risk parameters are still timelocked",
+  NOT_RISK_ADMIN: "Only the owner or the risk manager can do this",
+  NOT_GUARDIAN: "Only the owner or the guardian can do this",
+  PERMIT_FAILED: "The permit signature was rejected and the router has no allowance",
+  INSUFFICIENT_SHARES: "The deposit minted fewer shares than the minimum",
+  INSUFFICIENT_ASSETS: "The redemption returned fewer assets than the minimum",
+};
+
+// Panic codes of Solidity 0.8 (assert, overflow, ...)
+const PANIC_CODES = {
+  0x01: "Assertion failed",
+  0x11: "Arithmetic overflow or underflow",
+  0x12: "Division by zero",
+  0x21: "Invalid enum value",
+  0x32: "Array index out of bounds",
+  0x41: "Out of memory",
+};
+
+// Custom errors any wrapped contract may bubble up (the vault's include the ERC20 ones)
+const CUSTOM_ERRORS = new Interface(VAULT_ABI.filter((fragment) => fragment.startsWith("error ")));
+
+/**
+ * A decoded revert: `code` is the revert string or custom error name, `source` the contract the code belongs to
+ * (Pool, FlashLoanProvider or Vault, which covers VaultRouter), `description` a readable explanation when the code
+ * is known, and `args` the custom error's arguments
+ */
+class ContractError extends Error {
+  constructor({ code, source, description, args = [], panic = null, cause }) {
+    super(description ? `${code}: ${description}` : code, { cause });
+    this.name = "ContractError";
+    this.code = code;
+    this.source = source;
+    this.description = description;
+    this.args = args;
+    this.panic = panic;
+  }
+}
+
+/**
+ * Finds the revert data in an ethers error, including the nested errors of providers and Hardhat
+ */
+function revertData(error) {
+  for (let current = error; current; current = current.error || current.info?.error || current.cause) {
+    if (typeof current.data === "string" && current.data.startsWith("0x")) {
+      return current.data;
+    }
+    if (typeof current.data?.data === "string") {
+      return current.data.data;
+    }
+  }
+  return null;
+}
+
+/**
+ * Looks up a revert string in the pool, FlashLoanProvider and vault tables
+ */
+function describeReason(reason) {
+  if (reason.startsWith("FlashLoanProvider: ")) {
+    const code = reason.slice("FlashLoanProvider: ".length);
+    return { code, source: "FlashLoanProvider", description: FLASH_LOAN_PROVIDER_ERRORS[code] || null };
+  }
+  if (POOL_ERRORS[reason]) {
+    return { code: reason, source: "Pool", description: POOL_ERRORS[reason] };
+  }
+  if (VAULT_ERRORS[reason]) {
+    return { code: reason, source: "Vault", description: VAULT_ERRORS[reason] };
+  }
+  return { code: reason, source: null, description: null };
+}
+
+/**
+ * Decodes a failed call or transaction into a ContractError: revert strings are looked up in POOL_ERRORS,
+ * FLASH_LOAN_PROVIDER_ERRORS and VAULT_ERRORS, custom errors are decoded with the vault and ERC20 ABIs (plus
+ * `interfaces`), and panics get their meaning. Errors that are not reverts are returned as they are.
+ * @param {Error} error An ethers error
+ * @param {import("ethers").Interface[]} [interfaces] Contracts whose custom errors may also appear
+ * @returns {ContractError|Error}
+ */
+function decodeError(error, interfaces = []) {
+  if (error instanceof ContractError) {
+    return error;
+  }
+
+  const data = revertData(error);
+  if (data && data.length >= 10) {
+    for (const iface of [...interfaces, CUSTOM_ERRORS]) {
+      const parsed = iface.parseError(data);
+      if (!parsed) {
+        continue;
+      }
+      if (parsed.name === "Error") {
+        return new ContractError({ ...describeReason(parsed.args[0]), cause: error });
+      }
+      if (parsed.name === "Panic") {
+        const panic = Number(parsed.args[0]);
+        return new ContractError({ code: "Panic", description: PANIC_CODES[panic] || null, panic, cause: error });
+      }
+      return new ContractError({ code: parsed.name, source: null, args: [...parsed.args], cause: error });
+    }
+  }
+
+  if (typeof error.reason === "string" && error.reason) {
+    return new ContractError({ ...describeReason(error.reason), cause: error });
+  }
+  return error;
+}
+
+module.exports = {
+  POOL_ERRORS,
+  FLASH_LOAN_PROVIDER_ERRORS,
+  VAULT_ERRORS,
+  PANIC_CODES,
+  ContractError,
+  decodeError,
+};
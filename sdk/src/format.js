@@ -0,0 +1,60 @@
+const { MaxUint256, formatUnits, parseUnits } = require("ethers");
+const { RAY } = require("./wadRayMath");
+
+// Pool account data is valued in the oracle's base currency, with BASE_CURRENCY_UNIT = 1e8
+const BASE_CURRENCY_DECIMALS = 8;
+
+/**
+ * Formats an amount with its token's decimals ("1234.5")
+ */
+function formatAmount(amount, decimals) {
+  return formatUnits(amount, decimals);
+}
+
+/**
+ * Parses a decimal string into token units; bigints pass through as they are and "max" is type(uint256).max
+ */
+function parseAmount(amount, decimals) {
+  if (amount === "max") {
+    return MaxUint256;
+  }
+  return typeof amount === "bigint" ? amount : parseUnits(String(amount), decimals);
+}
+
+/**
+ * Basis points as a percentage ("78.00%")
+ */
+function formatBps(bps) {
+  return `${(Number(bps) / 100).toFixed(2)}%`;
+}
+
+/**
+ * A health factor (wad); type(uint256).max, returned without debt, is "∞"
+ */
+function formatHealthFactor(healthFactor) {
+  return healthFactor === MaxUint256 ? "∞" : formatUnits(healthFactor, 18);
+}
+
+/**
+ * An annual rate in ray as a percentage ("3.25%")
+ */
+function formatRate(rate) {
+  return `${(Number((rate * 10n ** 6n) / RAY) / 10 ** 4).toFixed(2)}%`;
+}
+
+/**
+ * A value in the oracle's base currency ("$1234.56")
+ */
+function formatBase(value) {
+  return `$${Number(formatUnits(value, BASE_CURRENCY_DECIMALS)).toFixed(2)}`;
+}
+
+module.exports = {
+  BASE_CURRENCY_DECIMALS,
+  formatAmount,
+  parseAmount,
+  formatBps,
+  formatHealthFactor,
+  formatRate,
+  formatBase,
+};
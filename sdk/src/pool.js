@@ -0,0 +1,176 @@
+const { POOL_ABI } = require("./abis");
+const { BaseClient } = require("./base");
+const { decodeReserveConfig } = require("./reserveConfig");
+const { formatAmount, parseAmount, formatBps, formatHealthFactor, formatRate, formatBase } = require("./format");
+
+// The pool only has variable rate debt
+const VARIABLE_RATE_MODE = 2;
+
+/**
+ * @typedef {object} ReserveConfig
+ * @property {number} ltv Basis points
+ * @property {number} liquidationThreshold Basis points
+ * @property {number} liquidationBonus Basis points, above 10000
+ * @property {number} decimals
+ * @property {boolean} active
+ * @property {boolean} frozen
+ * @property {boolean} borrowingEnabled
+ * @property {number} reserveFactor Basis points
+ */
+
+/**
+ * @typedef {object} Reserve
+ * @property {string} asset
+ * @property {string} symbol
+ * @property {number} decimals
+ * @property {ReserveConfig} config
+ * @property {bigint} liquidityIndex Ray
+ * @property {bigint} variableBorrowIndex Ray
+ * @property {bigint} liquidityRate Annual supply rate, ray
+ * @property {bigint} variableBorrowRate Annual borrow rate, ray
+ * @property {number} lastUpdateTimestamp
+ * @property {string} aTokenAddress
+ * @property {string} variableDebtTokenAddress
+ * @property {string} interestRateStrategyAddress
+ * @property {bigint} accruedToTreasury Scaled aTokens owed to the treasury
+ * @property {{ liquidityRate: string, variableBorrowRate: string, ltv: string, liquidationThreshold: string }}
+ *   formatted
+ */
+
+/**
+ * @typedef {object} UserAccountData
+ * @property {bigint} totalCollateralBase In the oracle's base currency (8 decimals)
+ * @property {bigint} totalDebtBase
+ * @property {bigint} availableBorrowsBase
+ * @property {bigint} currentLiquidationThreshold Basis points
+ * @property {bigint} ltv Basis points
+ * @property {bigint} healthFactor Wad; type(uint256).max without debt
+ * @property {Record<string, string>} formatted The same fields as "$1234.56", "80.00%" and "1.0523" (or "∞")
+ */
+
+/**
+ * Pool wrapper: reserve data with its configuration decoded, account data with named fields, and supply, withdraw,
+ * borrow and repay taking amounts in token units ("1000.5") or base units (bigint)
+ */
+class PoolClient extends BaseClient {
+  constructor(address, runner, options) {
+    super(address, POOL_ABI, runner, options);
+  }
+
+  async getReservesList() {
+    return [...(await this.read("getReservesList"))];
+  }
+
+  /**
+   * @param {string} asset
+   * @returns {Promise<ReserveConfig>}
+   */
+  async getConfiguration(asset) {
+    return decodeReserveConfig((await this.read("getConfiguration", asset)).data);
+  }
+
+  /**
+   * @param {string} asset
+   * @returns {Promise<Reserve>}
+   */
+  async getReserve(asset) {
+    const [data, token] = await Promise.all([this.read("getReserveData", asset), this.tokens.get(asset)]);
+    const config = decodeReserveConfig(data.configuration.data);
+    return {
+      asset: token.address,
+      symbol: token.symbol,
+      decimals: token.decimals,
+      config,
+      liquidityIndex: data.liquidityIndex,
+      variableBorrowIndex: data.variableBorrowIndex,
+      liquidityRate: data.currentLiquidityRate,
+      variableBorrowRate: data.currentVariableBorrowRate,
+      lastUpdateTimestamp: Number(data.lastUpdateTimestamp),
+      aTokenAddress: data.aTokenAddress,
+      variableDebtTokenAddress: data.variableDebtTokenAddress,
+      interestRateStrategyAddress: data.interestRateStrategyAddress,
+      accruedToTreasury: data.accruedToTreasury,
+      formatted: {
+        liquidityRate: formatRate(data.currentLiquidityRate),
+        variableBorrowRate: formatRate(data.currentVariableBorrowRate),
+        ltv: formatBps(config.ltv),
+        liquidationThreshold: formatBps(config.liquidationThreshold),
+      },
+    };
+  }
+
+  /**
+   * @param {string} user
+   * @returns {Promise<UserAccountData>}
+   */
+  async getUserAccountData(user) {
+    const data = await this.read("getUserAccountData", user);
+    const fields = {
+      totalCollateralBase: data.totalCollateralBase,
+      totalDebtBase: data.totalDebtBase,
+      availableBorrowsBase: data.availableBorrowsBase,
+      currentLiquidationThreshold: data.currentLiquidationThreshold,
+      ltv: data.ltv,
+      healthFactor: data.healthFactor,
+    };
+    return {
+      ...fields,
+      formatted: {
+        totalCollateralBase: formatBase(fields.totalCollateralBase),
+        totalDebtBase: formatBase(fields.totalDebtBase),
+        availableBorrowsBase: formatBase(fields.availableBorrowsBase),
+        currentLiquidationThreshold: formatBps(fields.currentLiquidationThreshold),
+        ltv: formatBps(fields.ltv),
+        healthFactor: formatHealthFactor(fields.healthFactor),
+      },
+    };
+  }
+
+  /**
+   * Supplies `amount` of `asset`, already approved to the pool
+   * @param {object} [options] `onBehalfOf` (default: the signer) plus the sendTransaction options
+   */
+  async supply(asset, amount, { onBehalfOf, ...options } = {}) {
+    const value = await this.amount(asset, amount);
+    return this.send("supply", [asset, value, onBehalfOf || (await this.account()), 0], options);
+  }
+
+  /**
+   * Withdraws `amount` of `asset` ("max" for everything supplied)
+   * @param {object} [options] `to` (default: the signer) plus the sendTransaction options
+   */
+  async withdraw(asset, amount, { to, ...options } = {}) {
+    const value = await this.amount(asset, amount);
+    return this.send("withdraw", [asset, value, to || (await this.account())], options);
+  }
+
+  async borrow(asset, amount, options = {}) {
+    const value = await this.amount(asset, amount);
+    return this.send("borrow", [asset, value, VARIABLE_RATE_MODE, 0, await this.account()], options);
+  }
+
+  /**
+   * Repays `amount` of `asset` debt ("max" for all of it), already approved to the pool
+   * @param {object} [options] `onBehalfOf` (default: the signer) plus the sendTransaction options
+   */
+  async repay(asset, amount, { onBehalfOf, ...options } = {}) {
+    const value = await this.amount(asset, amount);
+    return this.send("repay", [asset, value, VARIABLE_RATE_MODE, onBehalfOf || (await this.account())], options);
+  }
+
+  /**
+   * Formats `value` base units of `asset`
+   */
+  async format(asset, value) {
+    return formatAmount(value, (await this.tokens.get(asset)).decimals);
+  }
+
+  async amount(asset, amount) {
+    return parseAmount(amount, (await this.tokens.get(asset)).decimals);
+  }
+}
+
+module.exports = {
+  VARIABLE_RATE_MODE,
+  PoolClient,
+};
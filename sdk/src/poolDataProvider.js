@@ -0,0 +1,91 @@
+const { POOL_DATA_PROVIDER_ABI } = require("./abis");
+const { BaseClient } = require("./base");
+const { formatAmount, formatRate } = require("./format");
+
+/**
+ * @typedef {object} ReserveTotals
+ * @property {string} asset
+ * @property {string} symbol
+ * @property {number} decimals
+ * @property {bigint} totalATokenSupply Scaled aToken supply
+ * @property {bigint} totalVariableDebt In asset units, at the stored borrow index
+ * @property {bigint} liquidityRate Annual supply rate, ray
+ * @property {bigint} variableBorrowRate Annual borrow rate, ray
+ * @property {bigint} liquidityIndex Ray
+ * @property {bigint} variableBorrowIndex Ray
+ * @property {number} lastUpdateTimestamp
+ * @property {{ totalATokenSupply: string, totalVariableDebt: string, liquidityRate: string,
+ *   variableBorrowRate: string }} formatted Amounts with the asset's decimals, rates as percentages
+ */
+
+/**
+ * @typedef {object} UserReserve
+ * @property {bigint} currentATokenBalance Scaled aToken balance
+ * @property {bigint} currentVariableDebt
+ * @property {bigint} principalVariableDebt
+ * @property {bigint} liquidityRate
+ * @property {bigint} variableBorrowRate
+ * @property {Record<string, string>} formatted
+ */
+
+/**
+ * PoolDataProvider wrapper: reserve totals and a user's reserve balances as named fields
+ */
+class PoolDataProviderClient extends BaseClient {
+  constructor(address, runner, options) {
+    super(address, POOL_DATA_PROVIDER_ABI, runner, options);
+  }
+
+  /**
+   * @param {string} asset
+   * @returns {Promise<ReserveTotals>}
+   */
+  async getReserveData(asset) {
+    const [data, token] = await Promise.all([this.read("getReserveData", asset), this.tokens.get(asset)]);
+    return {
+      asset: token.address,
+      symbol: token.symbol,
+      decimals: token.decimals,
+      totalATokenSupply: data.totalATokenSupply,
+      totalVariableDebt: data.totalVariableDebt,
+      liquidityRate: data.liquidityRate,
+      variableBorrowRate: data.variableBorrowRate,
+      liquidityIndex: data.liquidityIndex,
+      variableBorrowIndex: data.variableBorrowIndex,
+      lastUpdateTimestamp: Number(data.lastUpdateTimestamp),
+      formatted: {
+        totalATokenSupply: formatAmount(data.totalATokenSupply, token.decimals),
+        totalVariableDebt: formatAmount(data.totalVariableDebt, token.decimals),
+        liquidityRate: formatRate(data.liquidityRate),
+        variableBorrowRate: formatRate(data.variableBorrowRate),
+      },
+    };
+  }
+
+  /**
+   * @param {string} asset
+   * @param {string} user
+   * @returns {Promise<UserReserve>}
+   */
+  async getUserReserveData(asset, user) {
+    const [data, token] = await Promise.all([this.read("getUserReserveData", asset, user), this.tokens.get(asset)]);
+    return {
+      currentATokenBalance: data.currentATokenBalance,
+      currentVariableDebt: data.currentVariableDebt,
+      principalVariableDebt: data.principalVariableDebt,
+      liquidityRate: data.liquidityRate,
+      variableBorrowRate: data.variableBorrowRate,
+      formatted: {
+        currentATokenBalance: formatAmount(data.currentATokenBalance, token.decimals),
+        currentVariableDebt: formatAmount(data.currentVariableDebt, token.decimals),
+        principalVariableDebt: formatAmount(data.principalVariableDebt, token.decimals),
+        liquidityRate: formatRate(data.liquidityRate),
+        variableBorrowRate: formatRate(data.variableBorrowRate),
+      },
+    };
+  }
+}
+
+module.exports = {
+  PoolDataProviderClient,
+};
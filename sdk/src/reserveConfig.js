@@ -0,0 +1,72 @@
+/**
+ * ReserveConfiguration bitmaps (contracts/libraries/ReserveConfiguration.sol) to and from named fields
+ */
+
+// ReserveConfiguration bit layout: [start bit, size in bits]
+const LAYOUT = {
+  ltv: [0, 16],
+  liquidationThreshold: [16, 16],
+  liquidationBonus: [32, 16],
+  decimals: [48, 8],
+  active: [56, 1],
+  frozen: [57, 1],
+  borrowingEnabled: [58, 1],
+  reserveFactor: [64, 16],
+};
+
+const FLAGS = ["active", "frozen", "borrowingEnabled"];
+
+// Flags a reserve config entry may omit
+const FLAG_DEFAULTS = { active: true, frozen: false, borrowingEnabled: true };
+
+/**
+ * Encodes reserve fields into the configuration bitmap expected by Pool.initReserve / Pool.setConfiguration.
+ * Flags left out take FLAG_DEFAULTS; every numeric field has to fit its bits.
+ * @param {object} fields ltv, liquidationThreshold, liquidationBonus, decimals, reserveFactor (bps / units) and
+ *   the active, frozen and borrowingEnabled flags
+ * @returns {{ data: string }}
+ */
+function encodeReserveConfig(fields) {
+  const values = { ...FLAG_DEFAULTS, ...fields };
+  let data = 0n;
+
+  for (const [name, [start, size]] of Object.entries(LAYOUT)) {
+    let value = values[name];
+    if (FLAGS.includes(name)) {
+      value = value ? 1n : 0n;
+    } else {
+      if (value === undefined || value === null) {
+        throw new Error(`Reserve config is missing ${name}`);
+      }
+      value = BigInt(value);
+    }
+    if (value < 0n || value >= 1n << BigInt(size)) {
+      throw new Error(`Reserve config ${name} ${value} does not fit in ${size} bits`);
+    }
+    data = data | (value << BigInt(start));
+  }
+
+  return { data: "0x" + data.toString(16).padStart(64, "0") };
+}
+
+/**
+ * Decodes a reserve configuration bitmap (as returned by Pool.getConfiguration) into its fields
+ */
+function decodeReserveConfig(configuration) {
+  const data = BigInt(configuration.data !== undefined ? configuration.data : configuration);
+  const fields = {};
+
+  for (const [name, [start, size]] of Object.entries(LAYOUT)) {
+    const value = Number((data >> BigInt(start)) & ((1n << BigInt(size)) - 1n));
+    fields[name] = FLAGS.includes(name) ? value === 1 : value;
+  }
+  return fields;
+}
+
+module.exports = {
+  LAYOUT,
+  FLAGS,
+  FLAG_DEFAULTS,
+  encodeReserveConfig,
+  decodeReserveConfig,
+};
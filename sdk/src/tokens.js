@@ -0,0 +1,44 @@
+const { Contract, getAddress } = require("ethers");
+const { ERC20_ABI } = require("./abis");
+
+/**
+ * Symbols and decimals of the tokens the wrappers format amounts in, read once per token
+ */
+class TokenRegistry {
+  /**
+   * @param {import("ethers").ContractRunner} runner
+   */
+  constructor(runner) {
+    this.runner = runner;
+    this.tokens = new Map();
+  }
+
+  /**
+   * @param {string} address
+   * @returns {Promise<{ address: string, symbol: string, decimals: number }>}
+   */
+  async get(address) {
+    const key = getAddress(address);
+    if (!this.tokens.has(key)) {
+      const token = new Contract(key, ERC20_ABI, this.runner);
+      // Cache the promise, so concurrent lookups of one token share the calls; a failed lookup is retried
+      const info = Promise.all([token.symbol(), token.decimals()]).then(
+        ([symbol, decimals]) => ({ address: key, symbol, decimals: Number(decimals) }),
+        (error) => {
+          this.tokens.delete(key);
+          throw error;
+        }
+      );
+      this.tokens.set(key, info);
+    }
+    return this.tokens.get(key);
+  }
+
+  contract(address) {
+    return new Contract(address, ERC20_ABI, this.runner);
+  }
+}
+
+module.exports = {
+  TokenRegistry,
+};
@@ -0,0 +1,37 @@
+const { decodeError } = require("./errors");
+
+const DEFAULT_CONFIRMATIONS = 1;
+
+/**
+ * Sends a transaction and waits for its confirmations. Reverts, whether at estimation or on chain, are thrown as
+ * decoded ContractErrors.
+ * @param {Promise<import("ethers").ContractTransactionResponse>|(() => Promise<any>)} send The pending send, or a
+ *   function starting it
+ * @param {object} [options]
+ * @param {number} [options.confirmations] Blocks to wait for (default 1)
+ * @param {number} [options.timeoutMs] Give up waiting after this long
+ * @param {import("ethers").Interface[]} [options.interfaces] Extra ABIs to decode custom errors with
+ * @returns {Promise<{ hash: string, blockNumber: number, gasUsed: bigint, status: number,
+ *   receipt: import("ethers").TransactionReceipt }>}
+ */
+async function sendTransaction(send, options = {}) {
+  const { confirmations = DEFAULT_CONFIRMATIONS, timeoutMs, interfaces } = options;
+  try {
+    const tx = await (typeof send === "function" ? send() : send);
+    const receipt = await tx.wait(confirmations, timeoutMs);
+    return {
+      hash: tx.hash,
+      blockNumber: receipt.blockNumber,
+      gasUsed: receipt.gasUsed,
+      status: receipt.status,
+      receipt,
+    };
+  } catch (error) {
+    throw decodeError(error, interfaces);
+  }
+}
+
+module.exports = {
+  DEFAULT_CONFIRMATIONS,
+  sendTransaction,
+};
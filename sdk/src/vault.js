@@ -0,0 +1,231 @@
+const { VAULT_ABI } = require("./abis");
+const { BaseClient } = require("./base");
+const { formatAmount, parseAmount, formatBps, formatHealthFactor } = require("./format");
+const { sendTransaction } = require("./tx");
+
+// LeveragedERC4626Vault.LeverageMode, by value
+const LEVERAGE_MODE_NAMES = ["Loop", "FlashLoan"];
+
+/**
+ * @typedef {object} VaultPosition
+ * @property {bigint} collateralSupplied Collateral across both reserves, in collateral asset units
+ * @property {bigint} debtBorrowed Debt across both reserves, in collateral asset units
+ * @property {bigint} currentLTV Basis points
+ * @property {bigint} healthFactor Wad; type(uint256).max without debt
+ * @property {string} symbol Collateral asset symbol, the unit of collateralSupplied and debtBorrowed
+ * @property {{ collateralSupplied: string, debtBorrowed: string, currentLTV: string, healthFactor: string }}
+ *   formatted
+ */
+
+/**
+ * @typedef {object} VaultState
+ * @property {bigint} totalAssets
+ * @property {bigint} totalSupply
+ * @property {bigint} sharePrice Assets one whole share redeems for
+ * @property {boolean} loopingEnabled
+ * @property {string} leverageMode "Loop" or "FlashLoan"
+ * @property {{ totalAssets: string, totalSupply: string, sharePrice: string }} formatted
+ */
+
+/**
+ * @typedef {object} VaultAccount
+ * @property {bigint} shares
+ * @property {bigint} assets What the shares redeem for now
+ * @property {bigint} maxDeposit
+ * @property {bigint} maxWithdraw
+ * @property {bigint} maxRedeem
+ * @property {Record<string, string>} formatted Assets with the asset's decimals, shares with the vault's
+ */
+
+/**
+ * @typedef {object} VaultRiskParameters
+ * @property {bigint} targetLTVBps
+ * @property {bigint} rebalanceLTVBps
+ * @property {bigint} maxLTVBps
+ * @property {bigint} minHealthFactor Wad
+ * @property {bigint} maxLoopIterations
+ * @property {Record<string, string>} formatted
+ */
+
+/**
+ * LeveragedERC4626Vault wrapper: the position, vault state, an account's balances and the risk parameters as named
+ * objects, and deposits and withdrawals taking amounts in asset or share units
+ */
+class VaultClient extends BaseClient {
+  constructor(address, runner, options) {
+    super(address, VAULT_ABI, runner, options);
+  }
+
+  /**
+   * The vault's asset (the collateral asset)
+   * @returns {Promise<{ address: string, symbol: string, decimals: number }>}
+   */
+  async asset() {
+    return this.tokens.get(await this.read("asset"));
+  }
+
+  async borrowAsset() {
+    return this.tokens.get(await this.read("borrowAsset"));
+  }
+
+  /**
+   * The vault's own share token
+   */
+  async share() {
+    return this.tokens.get(this.address);
+  }
+
+  /**
+   * @returns {Promise<VaultPosition>}
+   */
+  async getPosition() {
+    const [details, asset] = await Promise.all([this.read("getPositionDetails"), this.asset()]);
+    return {
+      collateralSupplied: details.collateralSupplied,
+      debtBorrowed: details.debtBorrowed,
+      currentLTV: details.currentLTV,
+      healthFactor: details.healthFactor,
+      symbol: asset.symbol,
+      formatted: {
+        collateralSupplied: formatAmount(details.collateralSupplied, asset.decimals),
+        debtBorrowed: formatAmount(details.debtBorrowed, asset.decimals),
+        currentLTV: formatBps(details.currentLTV),
+        healthFactor: formatHealthFactor(details.healthFactor),
+      },
+    };
+  }
+
+  /**
+   * @returns {Promise<VaultState>}
+   */
+  async getState() {
+    const [asset, share] = await Promise.all([this.asset(), this.share()]);
+    const [totalAssets, totalSupply, sharePrice, loopingEnabled, leverageMode] = await Promise.all([
+      this.read("totalAssets"),
+      this.read("totalSupply"),
+      this.read("convertToAssets", 10n ** BigInt(share.decimals)),
+      this.read("loopingEnabled"),
+      this.read("leverageMode"),
+    ]);
+    return {
+      totalAssets,
+      totalSupply,
+      sharePrice,
+      loopingEnabled,
+      leverageMode: LEVERAGE_MODE_NAMES[Number(leverageMode)],
+      formatted: {
+        totalAssets: formatAmount(totalAssets, asset.decimals),
+        totalSupply: formatAmount(totalSupply, share.decimals),
+        sharePrice: formatAmount(sharePrice, asset.decimals),
+      },
+    };
+  }
+
+  /**
+   * @param {string} account
+   * @returns {Promise<VaultAccount>}
+   */
+  async getAccount(account) {
+    const [asset, share, shares] = await Promise.all([this.asset(), this.share(), this.read("balanceOf", account)]);
+    const [assets, maxDeposit, maxWithdraw, maxRedeem] = await Promise.all([
+      this.read("previewRedeem", shares),
+      this.read("maxDeposit", account),
+      this.read("maxWithdraw", account),
+      this.read("maxRedeem", account),
+    ]);
+    return {
+      shares,
+      assets,
+      maxDeposit,
+      maxWithdraw,
+      maxRedeem,
+      formatted: {
+        shares: formatAmount(shares, share.decimals),
+        assets: formatAmount(assets, asset.decimals),
+        maxDeposit: formatAmount(maxDeposit, asset.decimals),
+        maxWithdraw: formatAmount(maxWithdraw, asset.decimals),
+        maxRedeem: formatAmount(maxRedeem, share.decimals),
+      },
+    };
+  }
+
+  /**
+   * @returns {Promise<VaultRiskParameters>}
+   */
+  async getRiskParameters() {
+    const [targetLTVBps, rebalanceLTVBps, maxLTVBps, minHealthFactor, maxLoopIterations] = await Promise.all([
+      this.read("targetLTVBps"),
+      this.read("rebalanceLTVBps"),
+      this.read("maxLTVBps"),
+      this.read("minHealthFactor"),
+      this.read("maxLoopIterations"),
+    ]);
+    return {
+      targetLTVBps,
+      rebalanceLTVBps,
+      maxLTVBps,
+      minHealthFactor,
+      maxLoopIterations,
+      formatted: {
+        targetLTVBps: formatBps(targetLTVBps),
+        rebalanceLTVBps: formatBps(rebalanceLTVBps),
+        maxLTVBps: formatBps(maxLTVBps),
+        minHealthFactor: formatHealthFactor(minHealthFactor),
+        maxLoopIterations: maxLoopIterations.toString(),
+      },
+    };
+  }
+
+  /**
+   * Approves the vault to pull `amount` of its asset from the signer
+   */
+  async approveAsset(amount, { overrides = {}, ...options } = {}) {
+    const asset = await this.asset();
+    const token = this.tokens.contract(asset.address);
+    return sendTransaction(() => token.approve(this.address, parseAmount(amount, asset.decimals), overrides), options);
+  }
+
+  /**
+   * Deposits `amount` of the asset, already approved to the vault
+   * @param {object} [options] `receiver` (default: the signer) plus the sendTransaction options
+   */
+  async deposit(amount, { receiver, ...options } = {}) {
+    const assets = parseAmount(amount, (await this.asset()).decimals);
+    return this.send("deposit", [assets, receiver || (await this.account())], options);
+  }
+
+  /**
+   * Withdraws `amount` of the asset
+   * @param {object} [options] `receiver` and `owner` (default: the signer) plus the sendTransaction options
+   */
+  async withdraw(amount, { receiver, owner, ...options } = {}) {
+    const assets = parseAmount(amount, (await this.asset()).decimals);
+    const account = await this.account();
+    return this.send("withdraw", [assets, receiver || account, owner || account], options);
+  }
+
+  /**
+   * Redeems `shares` ("max" for the owner's whole balance)
+   * @param {object} [options] `receiver` and `owner` (default: the signer) plus the sendTransaction options
+   */
+  async redeem(shares, { receiver, owner, ...options } = {}) {
+    const account = await this.account();
+    owner = owner || account;
+    const amount =
+      shares === "max" ? await this.read("balanceOf", owner) : parseAmount(shares, (await this.share()).decimals);
+    return this.send("redeem", [amount, receiver || account, owner], options);
+  }
+
+  async executeLooping(options = {}) {
+    return this.send("executeLooping", [], options);
+  }
+
+  async rebalance(options = {}) {
+    return this.send("rebalance", [], options);
+  }
+}
+
+module.exports = {
+  LEVERAGE_MODE_NAMES,
+  VaultClient,
+};
@@ -0,0 +1,84 @@
+/**
+ * BigInt ports of contracts/libraries/WadRayMath.sol and PercentageMath.sol.
+ * Rounding matches the Solidity libraries (half up), so off-chain results are bit-for-bit identical.
+ */
+
+const WAD = 10n ** 18n;
+const HALF_WAD = WAD / 2n;
+const RAY = 10n ** 27n;
+const HALF_RAY = RAY / 2n;
+const WAD_RAY_RATIO = 10n ** 9n;
+
+const PERCENTAGE_FACTOR = 10000n;
+const HALF_PERCENTAGE_FACTOR = PERCENTAGE_FACTOR / 2n;
+
+// Rates are annual and accrue linearly per second (see Pool._updateInterestRates)
+const SECONDS_PER_YEAR = 365n * 24n * 60n * 60n;
+
+function wadMul(a, b) {
+  if (a === 0n || b === 0n) {
+    return 0n;
+  }
+  return (a * b + HALF_WAD) / WAD;
+}
+
+function wadDiv(a, b) {
+  if (b === 0n) {
+    throw new Error("WR_DIV_ZERO");
+  }
+  return (a * WAD + b / 2n) / b;
+}
+
+function rayMul(a, b) {
+  if (a === 0n || b === 0n) {
+    return 0n;
+  }
+  return (a * b + HALF_RAY) / RAY;
+}
+
+function rayDiv(a, b) {
+  if (b === 0n) {
+    throw new Error("WR_DIV_ZERO");
+  }
+  return (a * RAY + b / 2n) / b;
+}
+
+function rayToWad(a) {
+  return (a + WAD_RAY_RATIO / 2n) / WAD_RAY_RATIO;
+}
+
+function wadToRay(a) {
+  return a * WAD_RAY_RATIO;
+}
+
+function percentMul(value, percentage) {
+  if (value === 0n || percentage === 0n) {
+    return 0n;
+  }
+  return (value * percentage + HALF_PERCENTAGE_FACTOR) / PERCENTAGE_FACTOR;
+}
+
+function percentDiv(value, percentage) {
+  if (percentage === 0n) {
+    throw new Error("PM_DIV_ZERO");
+  }
+  return (value * PERCENTAGE_FACTOR + percentage / 2n) / percentage;
+}
+
+module.exports = {
+  WAD,
+  HALF_WAD,
+  RAY,
+  HALF_RAY,
+  WAD_RAY_RATIO,
+  PERCENTAGE_FACTOR,
+  SECONDS_PER_YEAR,
+  wadMul,
+  wadDiv,
+  rayMul,
+  rayDiv,
+  rayToWad,
+  wadToRay,
+  percentMul,
+  percentDiv,
+};
@@ -0,0 +1,46 @@
+const { task, types } = require("hardhat/config");
+const { TASK_NODE_CREATE_SERVER, TASK_NODE_SERVER_READY } = require("hardhat/builtin-tasks/task-names");
+const { DEFAULT_DEVNET_FILE, loadDevnetConfig, bootstrapDevnet, createFaucet } = require("../scripts/lib/devnet");
+
+task("devnet", "Starts a local node with the protocol deployed and seeded, plus a faucet and status endpoint")
+  .addOptionalParam("hostname", "Host the node and the faucet listen on (default from the config)")
+  .addOptionalParam("port", "JSON-RPC port (default from the config)", undefined, types.int)
+  .addOptionalParam("faucetPort", "Faucet and status port (default from the config)", undefined, types.int)
+  .addOptionalParam("devnetConfig", "Devnet config file", DEFAULT_DEVNET_FILE)
+  .addFlag("skipSeed", "Only deploy: no funded accounts, positions or interest")
+  .setAction(async (args, hre) => {
+    if (hre.network.name !== "hardhat") {
+      throw new Error("devnet starts its own node: run it without --network");
+    }
+    const config = loadDevnetConfig(args.devnetConfig);
+    const hostname = args.hostname || config.rpc.hostname;
+    const provider = hre.network.provider;
+
+    // Deployed and seeded before the node listens, so clients never see a half-deployed chain
+    const devnet = await bootstrapDevnet(hre, { config, seed: !args.skipSeed, log: console.log });
+
+    const server = await hre.run(TASK_NODE_CREATE_SERVER, {
+      hostname,
+      port: args.port === undefined ? config.rpc.port : args.port,
+      provider,
+    });
+    const { address, port } = await server.listen();
+    const rpcUrl = `http://${address}:${port}`;
+
+    const faucet = createFaucet(hre, devnet, { ...config.faucet, rpcUrl });
+    const faucetPort = args.faucetPort === undefined ? config.faucet.port : args.faucetPort;
+    await new Promise((resolve, reject) => faucet.once("error", reject).listen(faucetPort, hostname, resolve));
+    const faucetUrl = `http://${hostname}:${faucet.address().port}`;
+
+    console.log();
+    await hre.run(TASK_NODE_SERVER_READY, { address, port, provider, server });
+    console.log(`Faucet and status at ${faucetUrl}: GET /status, POST /faucet { "address": "0x..." }`);
+    console.log("Seeded accounts:");
+    for (const [name, account] of Object.entries(devnet.accounts)) {
+      console.log(`  ${name}: ${account}`);
+    }
+    console.log(`Scripts and tasks find the contracts with --network localhost (${devnet.manifest.file})`);
+
+    await server.waitUntilClosed();
+    faucet.close();
+  });
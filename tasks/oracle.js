@@ -0,0 +1,52 @@
+const { scope } = require("hardhat/config");
+const { getPriceOracle, parsePrice, formatPrice } = require("../scripts/lib/oracle");
+const { getPool, resolveAddress, sendTx, printResult } = require("./utils");
+
+const oracleScope = scope("oracle", "Read and set prices on the pool's price oracle");
+
+async function context(hre, args) {
+  const [signer] = await hre.ethers.getSigners();
+  const pool = await getPool(hre, args.pool);
+  return { signer, pool, oracle: await getPriceOracle(hre, pool, signer) };
+}
+
+oracleScope
+  .task("prices", "Shows the oracle price of every reserve")
+  .addOptionalParam("pool", "Pool address (defaults to deployments/<network>.json)")
+  .addFlag("json", "Print the result as JSON")
+  .setAction(async (args, hre) => {
+    const { pool, oracle } = await context(hre, args);
+    const prices = {};
+
+    for (const asset of await pool.getReservesList()) {
+      const token = await hre.ethers.getContractAt("ERC20", asset);
+      prices[await token.symbol()] = { asset, price: formatPrice(await oracle.getAssetPrice(asset)) };
+    }
+
+    return printResult({ oracle: await oracle.getAddress(), prices }, args.json);
+  });
+
+oracleScope
+  .task("set-price", "Sets an asset price on a MockPriceOracle (oracle owner only)")
+  .addParam("asset", "USDC, USDT or an asset address")
+  .addParam("price", "USD price (e.g. 0.98)")
+  .addOptionalParam("pool", "Pool address (defaults to deployments/<network>.json)")
+  .addFlag("json", "Print the result as JSON")
+  .setAction(async (args, hre) => {
+    const { oracle } = await context(hre, args);
+    const asset = await resolveAddress(hre, args.asset, args.asset);
+    const previous = await oracle.getAssetPrice(asset);
+
+    const tx = await sendTx(oracle.setAssetPrice(asset, parsePrice(args.price)));
+
+    return printResult(
+      {
+        action: "set-price",
+        asset,
+        previous: formatPrice(previous),
+        price: formatPrice(await oracle.getAssetPrice(asset)),
+        tx,
+      },
+      args.json
+    );
+  });
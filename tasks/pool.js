@@ -0,0 +1,237 @@
+const { scope } = require("hardhat/config");
+const { formatPrice } = require("../scripts/lib/oracle");
+const { strategyId } = require("../scripts/lib/protocol");
+const {
+  DEFAULT_RESERVE_CONFIG_FILE,
+  decodeReserveConfig,
+  loadReserveConfig,
+  applyReserveConfig,
+} = require("../scripts/lib/reserveConfig");
+const { rayMul } = require("../scripts/lib/wadRayMath");
+const {
+  resolveAddress,
+  getPool,
+  getToken,
+  parseAmount,
+  ensureAllowance,
+  sendTx,
+  printResult,
+} = require("./utils");
+
+// Only variable rate debt is supported by the Pool
+const VARIABLE_RATE_MODE = 2;
+
+const poolScope = scope("pool", "Interact with the lending Pool");
+
+/**
+ * Registers a pool task with the options every pool subcommand shares
+ */
+function poolTask(name, description) {
+  return poolScope
+    .task(name, description)
+    .addParam("asset", "USDC, USDT or a reserve address")
+    .addParam("amount", "Amount in asset units (e.g. 1000)")
+    .addOptionalParam("onBehalfOf", "Account the position belongs to (defaults to the signer)")
+    .addOptionalParam("pool", "Pool address (defaults to deployments/<network>.json)")
+    .addFlag("json", "Print the result as JSON");
+}
+
+async function context(hre, args) {
+  const [signer] = await hre.ethers.getSigners();
+  const pool = (await getPool(hre, args.pool)).connect(signer);
+  const { token, decimals } = await getToken(hre, args.asset);
+  return {
+    signer,
+    pool,
+    poolAddress: await pool.getAddress(),
+    token,
+    asset: await token.getAddress(),
+    decimals,
+    onBehalfOf: args.onBehalfOf || signer.address,
+  };
+}
+
+// Collateral and debt are valued in the oracle base currency (USD)
+async function accountSummary(hre, pool, account) {
+  const data = await pool.getUserAccountData(account);
+  return {
+    totalCollateralBase: formatPrice(data.totalCollateralBase),
+    totalDebtBase: formatPrice(data.totalDebtBase),
+    ltvBps: data.ltv.toString(),
+    healthFactor: data.healthFactor === hre.ethers.MaxUint256 ? "∞" : hre.ethers.formatEther(data.healthFactor),
+  };
+}
+
+poolTask("supply", "Supplies an asset to the pool").setAction(async (args, hre) => {
+  const { signer, pool, poolAddress, token, asset, decimals, onBehalfOf } = await context(hre, args);
+  const amount = parseAmount(hre, args.amount, decimals);
+
+  const approval = await ensureAllowance(token, signer.address, poolAddress, amount);
+  const tx = await sendTx(pool.supply(asset, amount, onBehalfOf, 0));
+
+  return printResult(
+    {
+      action: "supply",
+      asset,
+      amount: hre.ethers.formatUnits(amount, decimals),
+      onBehalfOf,
+      approval,
+      tx,
+      account: await accountSummary(hre, pool, onBehalfOf),
+    },
+    args.json
+  );
+});
+
+poolTask("borrow", "Borrows an asset at the variable rate").setAction(async (args, hre) => {
+  const { pool, asset, decimals, onBehalfOf } = await context(hre, args);
+  const amount = parseAmount(hre, args.amount, decimals);
+
+  const tx = await sendTx(pool.borrow(asset, amount, VARIABLE_RATE_MODE, 0, onBehalfOf));
+
+  return printResult(
+    {
+      action: "borrow",
+      asset,
+      amount: hre.ethers.formatUnits(amount, decimals),
+      onBehalfOf,
+      tx,
+      account: await accountSummary(hre, pool, onBehalfOf),
+    },
+    args.json
+  );
+});
+
+poolTask("repay", "Repays variable debt; pass max as the amount to repay everything").setAction(async (args, hre) => {
+  const { signer, pool, poolAddress, token, asset, decimals, onBehalfOf } = await context(hre, args);
+  const amount = parseAmount(hre, args.amount, decimals);
+
+  const approval = await ensureAllowance(token, signer.address, poolAddress, amount);
+  const repaid = await pool.repay.staticCall(asset, amount, VARIABLE_RATE_MODE, onBehalfOf);
+  const tx = await sendTx(pool.repay(asset, amount, VARIABLE_RATE_MODE, onBehalfOf));
+
+  return printResult(
+    {
+      action: "repay",
+      asset,
+      repaid: hre.ethers.formatUnits(repaid, decimals),
+      onBehalfOf,
+      approval,
+      tx,
+      account: await accountSummary(hre, pool, onBehalfOf),
+    },
+    args.json
+  );
+});
+
+/**
+ * Registers a pool admin task, which acts on every reserve rather than on one asset
+ */
+function poolAdminTask(name, description) {
+  return poolScope
+    .task(name, description)
+    .addOptionalParam("pool", "Pool address (defaults to deployments/<network>.json)")
+    .addFlag("json", "Print the result as JSON");
+}
+
+async function adminContext(hre, args) {
+  const [signer] = await hre.ethers.getSigners();
+  const pool = (await getPool(hre, args.pool)).connect(signer);
+  const addressesProvider = await hre.ethers.getContractAt("PoolAddressesProvider", await pool.ADDRESSES_PROVIDER());
+  const configurator = await hre.ethers.getContractAt(
+    "PoolConfigurator",
+    await addressesProvider.getPoolConfigurator(),
+    signer
+  );
+  return { signer, pool, addressesProvider, configurator };
+}
+
+poolAdminTask("config", "Prints the configuration, rate strategy and treasury accrual of every reserve").setAction(
+  async (args, hre) => {
+    const { pool, addressesProvider, configurator } = await adminContext(hre, args);
+
+    const reserves = {};
+    for (const asset of await pool.getReservesList()) {
+      const token = await hre.ethers.getContractAt("ERC20", asset);
+      const data = await pool.getReserveData(asset);
+      const config = decodeReserveConfig(data.configuration.data);
+      reserves[await token.symbol()] = {
+        asset,
+        ...config,
+        interestRateStrategy: data.interestRateStrategyAddress,
+        accruedToTreasury: hre.ethers.formatUnits(rayMul(data.accruedToTreasury, data.liquidityIndex), config.decimals),
+      };
+    }
+
+    return printResult(
+      {
+        poolConfigurator: await configurator.getAddress(),
+        treasury: await addressesProvider.getTreasury(),
+        flashLoanPremiumBps: (await pool.FLASHLOAN_PREMIUM_TOTAL()).toString(),
+        reserves,
+      },
+      args.json
+    );
+  }
+);
+
+poolAdminTask("configure", "Applies a declarative reserve config file through the PoolConfigurator")
+  .addOptionalParam("file", "Reserve config JSON file", DEFAULT_RESERVE_CONFIG_FILE)
+  .addFlag("dryRun", "Only print the changes")
+  .setAction(async (args, hre) => {
+    const { pool, configurator } = await adminContext(hre, args);
+    const config = loadReserveConfig(args.file);
+
+    // Reserves and named strategies are looked up in deployments/<network>.json
+    const assets = {};
+    for (const symbol of Object.keys(config.reserves)) {
+      assets[symbol] = await resolveAddress(hre, symbol, symbol);
+    }
+    const strategies = {};
+    for (const name of Object.keys(config.interestRateStrategies)) {
+      strategies[name] = await resolveAddress(hre, null, strategyId(name));
+    }
+
+    const changes = await applyReserveConfig(hre, { pool, configurator, config, assets, strategies, dryRun: args.dryRun });
+
+    return printResult(
+      {
+        action: "configure",
+        file: args.file,
+        dryRun: args.dryRun,
+        changes: changes.map((change) => ({
+          reserve: change.symbol,
+          method: change.method,
+          from: String(change.from),
+          to: String(change.to),
+          tx: change.tx,
+        })),
+      },
+      args.json
+    );
+  });
+
+poolAdminTask("mint-to-treasury", "Mints the reserve factor accrued by every reserve to the treasury").setAction(
+  async (args, hre) => {
+    const { pool, addressesProvider } = await adminContext(hre, args);
+    const assets = [...(await pool.getReservesList())];
+
+    const tx = await sendTx(pool.mintToTreasury(assets));
+
+    const minted = {};
+    for (const event of await pool.queryFilter(pool.filters.MintedToTreasury(), tx.blockNumber, tx.blockNumber)) {
+      const { token, decimals } = await getToken(hre, event.args.reserve);
+      minted[await token.symbol()] = hre.ethers.formatUnits(event.args.amountMinted, decimals);
+    }
+
+    return printResult(
+      {
+        action: "mint-to-treasury",
+        treasury: await addressesProvider.getTreasury(),
+        minted,
+        tx,
+      },
+      args.json
+    );
+  }
+);
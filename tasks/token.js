@@ -0,0 +1,35 @@
+const { scope } = require("hardhat/config");
+const { resolveAddress, parseAmount, sendTx, printResult } = require("./utils");
+
+const tokenScope = scope("token", "Interact with the USDC / USDT test tokens");
+
+tokenScope
+  .task("mint", "Mints test tokens (token owner only)")
+  .addParam("token", "USDC, USDT or a token address")
+  .addParam("amount", "Amount to mint, in token units (e.g. 1000)")
+  .addOptionalParam("to", "Recipient (defaults to the signer)")
+  .addFlag("json", "Print the result as JSON")
+  .setAction(async (args, hre) => {
+    const [signer] = await hre.ethers.getSigners();
+    const address = await resolveAddress(hre, args.token, args.token);
+    // USDC and USDT share the same mint(address,uint256) interface
+    const token = await hre.ethers.getContractAt("USDC", address, signer);
+    const decimals = Number(await token.decimals());
+    const amount = parseAmount(hre, args.amount, decimals);
+    const to = args.to || signer.address;
+
+    const tx = await sendTx(token.mint(to, amount));
+
+    return printResult(
+      {
+        action: "mint",
+        token: address,
+        symbol: await token.symbol(),
+        to,
+        amount: hre.ethers.formatUnits(amount, decimals),
+        balance: hre.ethers.formatUnits(await token.balanceOf(to), decimals),
+        tx,
+      },
+      args.json
+    );
+  });
@@ -0,0 +1,105 @@
+const { loadManifest, getAddress } = require("../scripts/lib/deployments");
+
+/**
+ * Resolves a contract address: explicit value first, then the id in deployments/<network>.json
+ */
+async function resolveAddress(hre, value, manifestId) {
+  if (value) {
+    if (hre.ethers.isAddress(value)) {
+      return value;
+    }
+    // Anything else is looked up as a manifest id (e.g. "USDC")
+    manifestId = value;
+  }
+
+  const manifest = await loadManifest(hre, { persist: true });
+  const address = getAddress(manifest, manifestId);
+  if (!address) {
+    throw new Error(`No address for ${manifestId}: pass it explicitly or deploy with scripts/deployProtocol.js`);
+  }
+  return address;
+}
+
+async function getVault(hre, vault) {
+  return hre.ethers.getContractAt("LeveragedERC4626Vault", await resolveAddress(hre, vault, "LeveragedERC4626Vault"));
+}
+
+async function getPool(hre, pool) {
+  return hre.ethers.getContractAt("Pool", await resolveAddress(hre, pool, "Pool"));
+}
+
+/**
+ * Returns the token and its decimals. `token` is an address or a manifest id such as USDC / USDT.
+ */
+async function getToken(hre, token, contractName = "ERC20") {
+  const contract = await hre.ethers.getContractAt(contractName, await resolveAddress(hre, token, token));
+  return { token: contract, decimals: Number(await contract.decimals()) };
+}
+
+/**
+ * Parses a human readable amount ("1500.25") into base units; "max" maps to MaxUint256
+ */
+function parseAmount(hre, amount, decimals) {
+  if (amount === "max") {
+    return hre.ethers.MaxUint256;
+  }
+  return hre.ethers.parseUnits(amount, decimals);
+}
+
+/**
+ * Approves `spender` for `amount` if the current allowance is lower
+ */
+async function ensureAllowance(token, owner, spender, amount) {
+  if ((await token.allowance(owner, spender)) >= amount) {
+    return null;
+  }
+  return sendTx(token.approve(spender, amount));
+}
+
+/**
+ * Sends a transaction and waits for it, returning a JSON friendly summary
+ */
+async function sendTx(txPromise, confirmations = 1) {
+  const tx = await txPromise;
+  const receipt = await tx.wait(confirmations);
+  return {
+    hash: tx.hash,
+    blockNumber: receipt.blockNumber,
+    gasUsed: receipt.gasUsed.toString(),
+    status: receipt.status,
+  };
+}
+
+/**
+ * Prints a task result, either as JSON (for scripting) or as aligned `key: value` lines
+ */
+function printResult(result, json) {
+  if (json) {
+    console.log(JSON.stringify(result, (_, value) => (typeof value === "bigint" ? value.toString() : value), 2));
+    return result;
+  }
+
+  const print = (object, indent) => {
+    for (const [key, value] of Object.entries(object)) {
+      if (value && typeof value === "object") {
+        console.log(`${indent}${key}:`);
+        print(value, indent + "  ");
+      } else {
+        console.log(`${indent}${key}: ${value}`);
+      }
+    }
+  };
+  print(result, "");
+  return result;
+}
+
+module.exports = {
+  resolveAddress,
+  getVault,
+  getPool,
+  getToken,
+  parseAmount,
+  ensureAllowance,
+  sendTx,
+  printResult,
+};
@@ -0,0 +1,549 @@
+const { scope, types } = require("hardhat/config");
+const { readVaultState, simulateDeposit, formatSimulation } = require("../scripts/lib/simulator");
+const { buildFeeReport, formatFeeReport } = require("../scripts/lib/fees");
+const { LEVERAGE_MODES, nextStrategyMigration } = require("../scripts/lib/protocol");
+const {
+  readRiskParameters,
+  readReserveLimits,
+  applyRiskProfile,
+  formatRiskProfile,
+} = require("../scripts/lib/riskProfile");
+const { DEFAULT_SLIPPAGE_BPS, buildDeposit } = require("../scripts/lib/router");
+const { resolveAddress, getVault, getToken, parseAmount, ensureAllowance, sendTx, printResult } = require("./utils");
+
+const vaultScope = scope("vault", "Interact with a LeveragedERC4626Vault");
+
+/**
+ * Registers a vault task with the options every vault subcommand shares
+ */
+function vaultTask(name, description) {
+  return vaultScope
+    .task(name, description)
+    .addOptionalParam("vault", "Vault address (defaults to deployments/<network>.json)")
+    .addFlag("json", "Print the result as JSON");
+}
+
+async function context(hre, args) {
+  const [signer] = await hre.ethers.getSigners();
+  const vault = (await getVault(hre, args.vault)).connect(signer);
+  const { token: asset, decimals: assetDecimals } = await getToken(hre, await vault.asset());
+  const shareDecimals = Number(await vault.decimals());
+  return { signer, vault, vaultAddress: await vault.getAddress(), asset, assetDecimals, shareDecimals };
+}
+
+vaultTask("deposit", "Deposits assets into the vault")
+  .addParam("amount", "Assets to deposit, in asset units (e.g. 1000.5)")
+  .addOptionalParam("receiver", "Receiver of the shares (defaults to the signer)")
+  .setAction(async (args, hre) => {
+    const { signer, vault, vaultAddress, asset, assetDecimals, shareDecimals } = await context(hre, args);
+    const assets = parseAmount(hre, args.amount, assetDecimals);
+    const receiver = args.receiver || signer.address;
+
+    const approval = await ensureAllowance(asset, signer.address, vaultAddress, assets);
+    const shares = await vault.deposit.staticCall(assets, receiver);
+    const tx = await sendTx(vault.deposit(assets, receiver));
+
+    return printResult(
+      {
+        action: "deposit",
+        assets: hre.ethers.formatUnits(assets, assetDecimals),
+        shares: hre.ethers.formatUnits(shares, shareDecimals),
+        receiver,
+        approval,
+        tx,
+      },
+      args.json
+    );
+  });
+
+vaultTask("mint", "Mints an exact amount of vault shares")
+  .addParam("shares", "Shares to mint, in share units")
+  .addOptionalParam("receiver", "Receiver of the shares (defaults to the signer)")
+  .setAction(async (args, hre) => {
+    const { signer, vault, vaultAddress, asset, assetDecimals, shareDecimals } = await context(hre, args);
+    const shares = parseAmount(hre, args.shares, shareDecimals);
+    const receiver = args.receiver || signer.address;
+
+    const approval = await ensureAllowance(asset, signer.address, vaultAddress, await vault.previewMint(shares));
+    const assets = await vault.mint.staticCall(shares, receiver);
+    const tx = await sendTx(vault.mint(shares, receiver));
+
+    return printResult(
+      {
+        action: "mint",
+        shares: hre.ethers.formatUnits(shares, shareDecimals),
+        assets: hre.ethers.formatUnits(assets, assetDecimals),
+        receiver,
+        approval,
+        tx,
+      },
+      args.json
+    );
+  });
+
+vaultTask("withdraw", "Withdraws an exact amount of assets from the vault")
+  .addParam("amount", "Assets to withdraw, in asset units")
+  .addOptionalParam("receiver", "Receiver of the assets (defaults to the signer)")
+  .addOptionalParam("owner", "Owner of the shares (defaults to the signer)")
+  .setAction(async (args, hre) => {
+    const { signer, vault, assetDecimals, shareDecimals } = await context(hre, args);
+    const assets = parseAmount(hre, args.amount, assetDecimals);
+    const receiver = args.receiver || signer.address;
+    const owner = args.owner || signer.address;
+
+    const shares = await vault.withdraw.staticCall(assets, receiver, owner);
+    const tx = await sendTx(vault.withdraw(assets, receiver, owner));
+
+    return printResult(
+      {
+        action: "withdraw",
+        assets: hre.ethers.formatUnits(assets, assetDecimals),
+        shares: hre.ethers.formatUnits(shares, shareDecimals),
+        receiver,
+        owner,
+        tx,
+      },
+      args.json
+    );
+  });
+
+vaultTask("redeem", "Redeems vault shares for assets")
+  .addParam("shares", "Shares to redeem, in share units, or max")
+  .addOptionalParam("receiver", "Receiver of the assets (defaults to the signer)")
+  .addOptionalParam("owner", "Owner of the shares (defaults to the signer)")
+  .setAction(async (args, hre) => {
+    const { signer, vault, assetDecimals, shareDecimals } = await context(hre, args);
+    const receiver = args.receiver || signer.address;
+    const owner = args.owner || signer.address;
+    const shares =
+      args.shares === "max" ? await vault.balanceOf(owner) : parseAmount(hre, args.shares, shareDecimals);
+
+    const assets = await vault.redeem.staticCall(shares, receiver, owner);
+    const tx = await sendTx(vault.redeem(shares, receiver, owner));
+
+    return printResult(
+      {
+        action: "redeem",
+        shares: hre.ethers.formatUnits(shares, shareDecimals),
+        assets: hre.ethers.formatUnits(assets, assetDecimals),
+        receiver,
+        owner,
+        tx,
+      },
+      args.json
+    );
+  });
+
+vaultTask("router-deposit", "Deposits through the VaultRouter with a permit, looping and reading status in one tx")
+  .addParam("amount", "Assets to deposit, in asset units")
+  .addOptionalParam("receiver", "Receiver of the shares (defaults to the signer)")
+  .addOptionalParam("router", "VaultRouter (address or manifest id)")
+  .addOptionalParam(
+    "slippage",
+    "Shares the deposit may come short of its preview by, in bps",
+    DEFAULT_SLIPPAGE_BPS,
+    types.int
+  )
+  .addFlag("loop", "Also run executeLooping() (the vault does not lever its first deposit itself)")
+  .setAction(async (args, hre) => {
+    const { signer, vault, assetDecimals, shareDecimals } = await context(hre, args);
+    const router = await hre.ethers.getContractAt("VaultRouter", await resolveAddress(hre, args.router, "VaultRouter"));
+    const assets = parseAmount(hre, args.amount, assetDecimals);
+
+    const { batch, minShares, permit, approval } = await buildDeposit(hre, {
+      router,
+      vault,
+      signer,
+      assets,
+      receiver: args.receiver,
+      slippageBps: args.slippage,
+      loop: args.loop,
+    });
+    const results = await batch.simulate();
+    const [shares] = results.find((call) => call.method === "depositWithMinShares").result;
+    const status = results[results.length - 1].result;
+    const tx = await sendTx(batch.send());
+
+    return printResult(
+      {
+        action: "router-deposit",
+        assets: hre.ethers.formatUnits(assets, assetDecimals),
+        shares: hre.ethers.formatUnits(shares, shareDecimals),
+        minShares: hre.ethers.formatUnits(minShares, shareDecimals),
+        receiver: args.receiver || signer.address,
+        permit: permit !== null,
+        approval: approval && approval.hash,
+        ltvBps: status.currentLTV.toString(),
+        healthFactor: hre.ethers.formatEther(status.healthFactor),
+        tx,
+      },
+      args.json
+    );
+  });
+
+vaultTask("status", "Shows the vault position, share price and an account's balances")
+  .addOptionalParam("account", "Account to report balances for (defaults to the signer)")
+  .setAction(async (args, hre) => {
+    const { signer, vault, vaultAddress, assetDecimals, shareDecimals } = await context(hre, args);
+    const account = args.account || signer.address;
+    const { formatUnits, formatEther, MaxUint256 } = hre.ethers;
+
+    const [
+      position,
+      totalAssets,
+      totalSupply,
+      sharePrice,
+      shares,
+      maxWithdraw,
+      maxRedeem,
+      loopingEnabled,
+      maxIterations,
+      leverageMode,
+      strategy,
+    ] = await Promise.all([
+      vault.getPositionDetails(),
+      vault.totalAssets(),
+      vault.totalSupply(),
+      vault.convertToAssets(10n ** BigInt(shareDecimals)),
+      vault.balanceOf(account),
+      vault.maxWithdraw(account),
+      vault.maxRedeem(account),
+      vault.loopingEnabled(),
+      vault.maxLoopIterations(),
+      vault.leverageMode(),
+      vault.strategy(),
+    ]);
+
+    return printResult(
+      {
+        vault: vaultAddress,
+        position: {
+          collateralSupplied: formatUnits(position.collateralSupplied, assetDecimals),
+          debtBorrowed: formatUnits(position.debtBorrowed, assetDecimals),
+          currentLTVBps: position.currentLTV.toString(),
+          healthFactor: position.healthFactor === MaxUint256 ? "∞" : formatEther(position.healthFactor),
+        },
+        totalAssets: formatUnits(totalAssets, assetDecimals),
+        totalSupply: formatUnits(totalSupply, shareDecimals),
+        sharePrice: formatUnits(sharePrice, assetDecimals),
+        loopingEnabled,
+        maxLoopIterations: maxIterations.toString(),
+        leverageMode: leverageMode === LEVERAGE_MODES.flash ? "flash" : "loop",
+        strategy,
+        account: {
+          address: account,
+          shares: formatUnits(shares, shareDecimals),
+          assets: formatUnits(await vault.convertToAssets(shares), assetDecimals),
+          maxWithdraw: formatUnits(maxWithdraw, assetDecimals),
+          maxRedeem: formatUnits(maxRedeem, shareDecimals),
+        },
+      },
+      args.json
+    );
+  });
+
+vaultTask("loop", "Runs executeLooping()").setAction(async (args, hre) => {
+  const { vault } = await context(hre, args);
+  const tx = await sendTx(vault.executeLooping());
+  return printResult({ action: "loop", currentLTVBps: (await vault.getCurrentLTV()).toString(), tx }, args.json);
+});
+
+vaultTask("rebalance", "Runs rebalance()").setAction(async (args, hre) => {
+  const { vault } = await context(hre, args);
+  const tx = await sendTx(vault.rebalance());
+  return printResult({ action: "rebalance", currentLTVBps: (await vault.getCurrentLTV()).toString(), tx }, args.json);
+});
+
+vaultTask("set-looping", "Enables or disables looping (owner only)")
+  .addParam("enabled", "true or false", undefined, types.boolean)
+  .setAction(async (args, hre) => {
+    const { vault } = await context(hre, args);
+    const tx = await sendTx(vault.setLoopingEnabled(args.enabled));
+    return printResult({ action: "set-looping", loopingEnabled: await vault.loopingEnabled(), tx }, args.json);
+  });
+
+vaultTask("set-leverage-mode", "Switches between loop and flash loan leverage (owner only)")
+  .addParam("mode", "loop or flash")
+  .addOptionalParam("provider", "FlashLoanProvider to set first (address or manifest id)")
+  .setAction(async (args, hre) => {
+    const { vault } = await context(hre, args);
+    const mode = LEVERAGE_MODES[args.mode];
+    if (mode === undefined) {
+      throw new Error(`Unknown mode ${args.mode}: use ${Object.keys(LEVERAGE_MODES).join(" or ")}`);
+    }
+    const txs = {};
+
+    if (args.provider !== undefined) {
+      const provider = await resolveAddress(hre, args.provider, "FlashLoanProvider");
+      txs.flashLoanProvider = await sendTx(vault.setFlashLoanProvider(provider));
+    }
+    txs.leverageMode = await sendTx(vault.setLeverageMode(mode));
+
+    return printResult(
+      { action: "set-leverage-mode", leverageMode: args.mode, flashLoanProvider: await vault.flashLoanProvider(), txs },
+      args.json
+    );
+  });
+
+vaultTask("migrate-strategy", "Moves the borrowed asset into another strategy adapter, timelocked on a live vault (owner only)")
+  .addParam("strategy", "Strategy adapter (address or manifest id, e.g. PoolStrategyAdapter or ERC4626StrategyAdapter)")
+  .setAction(async (args, hre) => {
+    const { vault, assetDecimals } = await context(hre, args);
+    const strategy = await resolveAddress(hre, args.strategy);
+    const previous = await vault.strategy();
+    const totalAssetsBefore = await vault.totalAssets();
+
+    const { next } = await nextStrategyMigration(hre, vault, strategy);
+    let tx = null;
+    if (next === "execute") {
+      tx = await sendTx(vault.executeStrategyMigration());
+    } else if (next === "migrate") {
+      tx = await sendTx(vault.migrateStrategy(strategy));
+    }
+    const current = await vault.strategy();
+    const eta = await vault.strategyMigrationEta();
+    // A live vault queues the migration, and a run after the timelock executes it
+    const result =
+      { unchanged: "unchanged", pending: "pending", execute: "executed" }[next] ||
+      (current === strategy ? "applied" : "queued");
+
+    return printResult(
+      {
+        action: "migrate-strategy",
+        result,
+        eta: eta > 0n ? new Date(Number(eta) * 1000).toISOString() : null,
+        from: previous,
+        to: current,
+        totalAssetsBefore: hre.ethers.formatUnits(totalAssetsBefore, assetDecimals),
+        totalAssetsAfter: hre.ethers.formatUnits(await vault.totalAssets(), assetDecimals),
+        currentLTVBps: (await vault.getCurrentLTV()).toString(),
+        tx,
+      },
+      args.json
+    );
+  });
+
+vaultTask("cancel-strategy", "Drops the queued strategy migration (owner only)").setAction(async (args, hre) => {
+  const { vault } = await context(hre, args);
+  const tx = await sendTx(vault.cancelStrategyMigration());
+  return printResult({ action: "cancel-strategy", tx }, args.json);
+});
+
+vaultTask("risk", "Shows the vault's risk parameters, any queued change and the reserve limits they are checked against")
+  .setAction(async (args, hre) => {
+    const { vault, vaultAddress } = await context(hre, args);
+    const { current, pending, riskManager } = await readRiskParameters(vault);
+    const limits = await readReserveLimits(hre, vault);
+
+    return printResult(
+      {
+        vault: vaultAddress,
+        riskManager,
+        current: formatRiskProfile(current),
+        pending: pending ? formatRiskProfile(pending) : null,
+        reserveLimits: {
+          ltv: `${(limits.ltv / 100).toFixed(2)}%`,
+          liquidationThreshold: `${(limits.liquidationThreshold / 100).toFixed(2)}%`,
+          maxLtvAtMinHealthFactor: `${(Number(limits.maxLtvBps) / 100).toFixed(2)}%`,
+        },
+      },
+      args.json
+    );
+  });
+
+vaultTask("set-risk", "Applies a risk profile: tightening at once, loosening after the timelock (owner or risk manager)")
+  .addOptionalParam("profile", "Profile name from config/riskProfiles.js, or the path of a profile file", "default")
+  .addFlag("dryRun", "Only report what would happen")
+  .setAction(async (args, hre) => {
+    const { vault } = await context(hre, args);
+    const result = await applyRiskProfile(hre, { vault, profile: args.profile, dryRun: args.dryRun });
+
+    return printResult(
+      {
+        action: "set-risk",
+        result: result.action,
+        dryRun: result.dryRun,
+        from: formatRiskProfile(result.from),
+        to: formatRiskProfile(result.to),
+        eta: result.eta ? new Date(Number(result.eta) * 1000).toISOString() : null,
+        tx: result.tx,
+      },
+      args.json
+    );
+  });
+
+vaultTask("cancel-risk", "Drops the queued risk parameters (owner or risk manager)").setAction(async (args, hre) => {
+  const { vault } = await context(hre, args);
+  const tx = await sendTx(vault.cancelRiskParameters());
+  return printResult({ action: "cancel-risk", tx }, args.json);
+});
+
+vaultTask("set-risk-manager", "Sets the account that can change the risk parameters besides the owner (owner only)")
+  .addParam("account", "Risk manager address, or 0x0000000000000000000000000000000000000000 for none")
+  .setAction(async (args, hre) => {
+    const { vault } = await context(hre, args);
+    const tx = await sendTx(vault.setRiskManager(args.account));
+    return printResult({ action: "set-risk-manager", riskManager: await vault.riskManager(), tx }, args.json);
+  });
+
+vaultTask("access", "Shows the allowlist, deposit caps, guardian and pauses, and what an account can deposit")
+  .addOptionalParam("account", "Account to check (defaults to the signer)")
+  .setAction(async (args, hre) => {
+    const { signer, vault, vaultAddress, assetDecimals } = await context(hre, args);
+    const account = args.account || signer.address;
+    const cap = (value) => (value === hre.ethers.MaxUint256 ? "max" : hre.ethers.formatUnits(value, assetDecimals));
+
+    const [allowlistEnabled, allowlisted, depositCap, accountDepositCap, guardian, depositsPaused, loopingPaused] =
+      await Promise.all([
+        vault.allowlistEnabled(),
+        vault.isAllowlisted(account),
+        vault.depositCap(),
+        vault.accountDepositCap(),
+        vault.guardian(),
+        vault.depositsPaused(),
+        vault.loopingPaused(),
+      ]);
+
+    return printResult(
+      {
+        vault: vaultAddress,
+        allowlistEnabled,
+        depositCap: cap(depositCap),
+        accountDepositCap: cap(accountDepositCap),
+        guardian,
+        depositsPaused,
+        loopingPaused,
+        account: { address: account, allowlisted, maxDeposit: cap(await vault.maxDeposit(account)) },
+      },
+      args.json
+    );
+  });
+
+vaultTask("set-caps", "Sets the deposit caps on totalAssets() and on each account (owner only)")
+  .addParam("total", "Cap on totalAssets(), in asset units, or max for none")
+  .addParam("account", "Cap on each account's position, in asset units, or max for none")
+  .setAction(async (args, hre) => {
+    const { vault, assetDecimals } = await context(hre, args);
+    const tx = await sendTx(
+      vault.setDepositCaps(parseAmount(hre, args.total, assetDecimals), parseAmount(hre, args.account, assetDecimals))
+    );
+    return printResult({ action: "set-caps", total: args.total, account: args.account, tx }, args.json);
+  });
+
+vaultTask("set-paused", "Pauses or unpauses deposits and looping (guardian pauses, only the owner unpauses)")
+  .addParam("deposits", "Whether deposits and mints are paused", undefined, types.boolean)
+  .addParam("looping", "Whether levering up is paused", undefined, types.boolean)
+  .setAction(async (args, hre) => {
+    const { vault } = await context(hre, args);
+    const tx = await sendTx(vault.setPaused(args.deposits, args.looping));
+    return printResult(
+      {
+        action: "set-paused",
+        depositsPaused: await vault.depositsPaused(),
+        loopingPaused: await vault.loopingPaused(),
+        tx,
+      },
+      args.json
+    );
+  });
+
+vaultTask("set-guardian", "Sets the account that can pause deposits and looping besides the owner (owner only)")
+  .addParam("account", "Guardian address, or 0x0000000000000000000000000000000000000000 for none")
+  .setAction(async (args, hre) => {
+    const { vault } = await context(hre, args);
+    const tx = await sendTx(vault.setGuardian(args.account));
+    return printResult({ action: "set-guardian", guardian: await vault.guardian(), tx }, args.json);
+  });
+
+vaultTask("set-max-iterations", "Sets maxLoopIterations (owner only)")
+  .addParam("iterations", "Maximum number of loop iterations (1-10)", undefined, types.int)
+  .setAction(async (args, hre) => {
+    const { vault } = await context(hre, args);
+    const tx = await sendTx(vault.setMaxLoopIterations(args.iterations));
+    return printResult(
+      { action: "set-max-iterations", maxLoopIterations: (await vault.maxLoopIterations()).toString(), tx },
+      args.json
+    );
+  });
+
+vaultTask("simulate", "Projects what a deposit (or executeLooping) would do: iterations, LTV, health factor and APY")
+  .addOptionalParam("amount", "What-if deposit size in asset units; 0 simulates executeLooping()", "0")
+  .addOptionalParam("iterations", "What-if maxLoopIterations", undefined, types.int)
+  .addOptionalParam("mode", "What-if leverage mode: loop or flash")
+  .setAction(async (args, hre) => {
+    const { vaultAddress, assetDecimals } = await context(hre, args);
+    const state = await readVaultState(hre, vaultAddress);
+    const result = simulateDeposit(state, parseAmount(hre, args.amount, assetDecimals), {
+      maxLoopIterations: args.iterations,
+      leverageMode: args.mode,
+    });
+    const formatted = formatSimulation(result, assetDecimals);
+
+    if (args.json) {
+      return printResult(formatted, true);
+    }
+
+    const { steps, reserves, ...summary } = formatted;
+    printResult(summary, false);
+    console.log("\nLoop projection:");
+    console.table(steps);
+    console.log("Reserves after:");
+    console.table(reserves);
+    return formatted;
+  });
+
+vaultTask("set-fees", "Updates the management fee, performance fee and/or fee recipient (owner only)")
+  .addOptionalParam("management", "Annual management fee in bps (max 500)", undefined, types.int)
+  .addOptionalParam("performance", "Performance fee in bps of the yield above the high-water mark (max 5000)", undefined, types.int)
+  .addOptionalParam("recipient", "Account fee shares are minted to")
+  .setAction(async (args, hre) => {
+    const { vault } = await context(hre, args);
+    const txs = {};
+
+    if (args.recipient !== undefined) {
+      txs.feeRecipient = await sendTx(vault.setFeeRecipient(args.recipient));
+    }
+    if (args.management !== undefined) {
+      txs.managementFee = await sendTx(vault.setManagementFee(args.management));
+    }
+    if (args.performance !== undefined) {
+      txs.performanceFee = await sendTx(vault.setPerformanceFee(args.performance));
+    }
+
+    return printResult(
+      {
+        action: "set-fees",
+        feeRecipient: await vault.feeRecipient(),
+        managementFeeBps: (await vault.managementFeeBps()).toString(),
+        performanceFeeBps: (await vault.performanceFeeBps()).toString(),
+        txs,
+      },
+      args.json
+    );
+  });
+
+vaultTask("fees", "Reports the fees accrued, fee shares minted and the high-water mark over a block range")
+  .addOptionalParam("fromBlock", "First block of the range", 0, types.int)
+  .addOptionalParam("toBlock", "Last block of the range (defaults to the latest block)", undefined, types.int)
+  .setAction(async (args, hre) => {
+    const { vaultAddress, shareDecimals } = await context(hre, args);
+    const report = await buildFeeReport(hre, vaultAddress, {
+      fromBlock: args.fromBlock,
+      toBlock: args.toBlock === undefined ? "latest" : args.toBlock,
+    });
+    const formatted = formatFeeReport(report, shareDecimals);
+
+    if (args.json) {
+      return printResult(formatted, true);
+    }
+
+    const { accruals, configChanges, ...summary } = formatted;
+    printResult(summary, false);
+    console.log("\nAccruals:");
+    console.table(accruals);
+    if (configChanges.length > 0) {
+      console.log("Fee setting changes:");
+      console.table(configChanges);
+    }
+    return formatted;
+  });
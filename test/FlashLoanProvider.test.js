@@ -0,0 +1,261 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { usd } = require("./fixtures");
+
+describe("FlashLoanProvider", function () {
+  async function flashLoanFixture() {
+    const [owner, alice, bob] = await ethers.getSigners();
+
+    const usdc = await ethers.deployContract("USDC", [owner.address, usd("1000000")]);
+    const provider = await ethers.deployContract("FlashLoanProvider", [owner.address]);
+    const providerAddress = await provider.getAddress();
+    const usdcAddress = await usdc.getAddress();
+
+    await provider.setSupportedToken(usdcAddress, true);
+    await usdc.approve(providerAddress, ethers.MaxUint256);
+    await provider.deposit(usdcAddress, usd("100000"));
+
+    const receiver = await ethers.deployContract("ExampleFlashLoanReceiver", [providerAddress, ethers.ZeroAddress]);
+    const mockReceiver = await ethers.deployContract("MockFlashLoanReceiver", [providerAddress, ethers.ZeroAddress]);
+    // Receivers need to hold the fee on top of the borrowed amount
+    await usdc.mint(await receiver.getAddress(), usd("1000"));
+    await usdc.mint(await mockReceiver.getAddress(), usd("1000"));
+
+    await usdc.mint(alice.address, usd("100000"));
+    await usdc.mint(bob.address, usd("100000"));
+    await usdc.connect(alice).approve(providerAddress, ethers.MaxUint256);
+    await usdc.connect(bob).approve(providerAddress, ethers.MaxUint256);
+
+    return { owner, alice, bob, usdc, usdcAddress, provider, providerAddress, receiver, mockReceiver };
+  }
+
+  it("charges FLASH_LOAN_FEE_BPS on the borrowed amount", async function () {
+    const { provider, usdcAddress } = await loadFixture(flashLoanFixture);
+
+    expect(await provider.flashFee(usdcAddress, usd("10000"))).to.equal(usd("9"));
+    expect(await provider.maxFlashLoan(usdcAddress)).to.equal(usd("100000"));
+    expect(await provider.maxFlashLoan(ethers.ZeroAddress)).to.equal(0n);
+    await expect(provider.flashFee(ethers.ZeroAddress, usd("1"))).to.be.revertedWith(
+      "FlashLoanProvider: token not supported"
+    );
+  });
+
+  it("lends and collects the fee when the receiver repays", async function () {
+    const { provider, providerAddress, receiver, usdc, usdcAddress } = await loadFixture(flashLoanFixture);
+    const receiverAddress = await receiver.getAddress();
+
+    const tx = receiver.executeFlashLoan(usdcAddress, usd("10000"), "0x");
+    await expect(tx)
+      .to.emit(provider, "FlashLoan")
+      .withArgs(receiverAddress, usdcAddress, usd("10000"), usd("9"));
+    await expect(tx).to.changeTokenBalances(usdc, [providerAddress, receiverAddress], [usd("9"), -usd("9")]);
+  });
+
+  it("rejects unsupported tokens and zero amounts", async function () {
+    const { provider, receiver, usdcAddress } = await loadFixture(flashLoanFixture);
+
+    await provider.setSupportedToken(usdcAddress, false);
+    await expect(receiver.executeFlashLoan(usdcAddress, usd("1"), "0x")).to.be.revertedWith(
+      "FlashLoanProvider: token not supported"
+    );
+
+    await provider.setSupportedToken(usdcAddress, true);
+    await expect(receiver.executeFlashLoan(usdcAddress, 0, "0x")).to.be.revertedWith(
+      "FlashLoanProvider: amount must be greater than 0"
+    );
+  });
+
+  it("rejects loans above the available liquidity", async function () {
+    const { receiver, usdcAddress } = await loadFixture(flashLoanFixture);
+
+    await expect(receiver.executeFlashLoan(usdcAddress, usd("100001"), "0x")).to.be.revertedWith(
+      "FlashLoanProvider: insufficient liquidity"
+    );
+  });
+
+  it("reverts when the receiver repays less than amount + fee", async function () {
+    const { mockReceiver, usdcAddress } = await loadFixture(flashLoanFixture);
+
+    await mockReceiver.setShortfall(1);
+    await expect(mockReceiver.executeFlashLoan(usdcAddress, usd("10000"), "0x")).to.be.revertedWith(
+      "FlashLoanProvider: insufficient repayment"
+    );
+  });
+
+  it("reverts when the callback reports failure", async function () {
+    const { mockReceiver, usdcAddress } = await loadFixture(flashLoanFixture);
+
+    await mockReceiver.setCallbackResult(false);
+    await expect(mockReceiver.executeFlashLoan(usdcAddress, usd("10000"), "0x")).to.be.revertedWith(
+      "FlashLoanProvider: flash loan callback failed"
+    );
+  });
+
+  it("only lets ExampleFlashLoanReceiver be called back by its provider", async function () {
+    const { receiver, usdcAddress } = await loadFixture(flashLoanFixture);
+
+    await expect(receiver.onFlashLoan(usdcAddress, usd("1"), 0, "0x")).to.be.revertedWith(
+      "ExampleFlashLoanReceiver: invalid caller"
+    );
+  });
+
+  describe("ERC-3156", function () {
+    it("lends to the receiver and pulls back amount + fee", async function () {
+      const { provider, providerAddress, receiver, usdc, usdcAddress } = await loadFixture(flashLoanFixture);
+      const receiverAddress = await receiver.getAddress();
+
+      const tx = receiver.executeERC3156FlashLoan(usdcAddress, usd("10000"), "0x");
+      await expect(tx)
+        .to.emit(provider, "FlashLoan")
+        .withArgs(receiverAddress, usdcAddress, usd("10000"), usd("9"));
+      await expect(tx).to.changeTokenBalances(usdc, [providerAddress, receiverAddress], [usd("9"), -usd("9")]);
+    });
+
+    it("reverts when the callback does not return CALLBACK_SUCCESS", async function () {
+      const { mockReceiver, usdcAddress } = await loadFixture(flashLoanFixture);
+
+      await mockReceiver.setCallbackResult(false);
+      await expect(mockReceiver.executeERC3156FlashLoan(usdcAddress, usd("10000"), "0x")).to.be.revertedWith(
+        "FlashLoanProvider: flash loan callback failed"
+      );
+    });
+
+    it("reverts when the receiver approves less than amount + fee", async function () {
+      const { usdc, mockReceiver, usdcAddress } = await loadFixture(flashLoanFixture);
+
+      await mockReceiver.setShortfall(1);
+      await expect(
+        mockReceiver.executeERC3156FlashLoan(usdcAddress, usd("10000"), "0x")
+      ).to.be.revertedWithCustomError(usdc, "ERC20InsufficientAllowance");
+    });
+
+    it("only lets ExampleFlashLoanReceiver be called back for loans it started", async function () {
+      const { provider, receiver, owner, usdcAddress } = await loadFixture(flashLoanFixture);
+
+      await expect(
+        receiver["onFlashLoan(address,address,uint256,uint256,bytes)"](owner.address, usdcAddress, usd("1"), 0, "0x")
+      ).to.be.revertedWith("ExampleFlashLoanReceiver: invalid caller");
+      // Anyone can start an ERC-3156 loan naming the receiver
+      await expect(
+        provider["flashLoan(address,address,uint256,bytes)"](await receiver.getAddress(), usdcAddress, usd("1"), "0x")
+      ).to.be.revertedWith("ExampleFlashLoanReceiver: invalid initiator");
+    });
+  });
+
+  describe("liquidity providers", function () {
+    it("mints shares 1:1 first, then at the current liquidity per share", async function () {
+      const { provider, owner, alice, receiver, usdcAddress } = await loadFixture(flashLoanFixture);
+
+      expect(await provider.shares(usdcAddress, owner.address)).to.equal(usd("100000"));
+      await receiver.executeFlashLoan(usdcAddress, usd("100000"), "0x");
+      expect(await provider.totalLiquidity(usdcAddress)).to.equal(usd("100090"));
+
+      const shares = await provider.previewDeposit(usdcAddress, usd("10009"));
+      expect(shares).to.equal(usd("10000"));
+      await expect(provider.connect(alice).deposit(usdcAddress, usd("10009")))
+        .to.emit(provider, "Deposit")
+        .withArgs(usdcAddress, alice.address, usd("10009"), shares);
+      expect(await provider.liquidityOf(usdcAddress, alice.address)).to.equal(usd("10009"));
+    });
+
+    it("shares fees pro rata and pays principal plus fees on withdraw", async function () {
+      const { provider, owner, alice, bob, receiver, usdc, usdcAddress } = await loadFixture(flashLoanFixture);
+
+      // 100000 from the owner, 100000 from alice and 50000 from bob
+      await provider.connect(alice).deposit(usdcAddress, usd("100000"));
+      await provider.connect(bob).deposit(usdcAddress, usd("50000"));
+      await receiver.executeFlashLoan(usdcAddress, usd("100000"), "0x");
+
+      // 90 of fees: 36 / 36 / 18
+      expect(await provider.liquidityOf(usdcAddress, owner.address)).to.equal(usd("100036"));
+      expect(await provider.liquidityOf(usdcAddress, alice.address)).to.equal(usd("100036"));
+      expect(await provider.liquidityOf(usdcAddress, bob.address)).to.equal(usd("50018"));
+
+      const shares = await provider.shares(usdcAddress, bob.address);
+      const tx = provider.connect(bob).withdraw(usdcAddress, ethers.MaxUint256);
+      await expect(tx).to.emit(provider, "Withdraw").withArgs(usdcAddress, bob.address, usd("50018"), shares);
+      await expect(tx).to.changeTokenBalance(usdc, bob, usd("50018"));
+      expect(await provider.shares(usdcAddress, bob.address)).to.equal(0n);
+
+      // Later fees only go to the providers left
+      await receiver.executeFlashLoan(usdcAddress, usd("100000"), "0x");
+      expect(await provider.liquidityOf(usdcAddress, alice.address)).to.equal(usd("100081"));
+    });
+
+    it("keeps the protocol fee cut for the owner", async function () {
+      const { provider, owner, alice, receiver, usdc, usdcAddress } = await loadFixture(flashLoanFixture);
+
+      await expect(provider.connect(alice).setProtocolFee(1000))
+        .to.be.revertedWithCustomError(provider, "OwnableUnauthorizedAccount")
+        .withArgs(alice.address);
+      await expect(provider.setProtocolFee(5001)).to.be.revertedWith("FlashLoanProvider: protocol fee too high");
+      await expect(provider.setProtocolFee(2000)).to.emit(provider, "ProtocolFeeUpdated").withArgs(0, 2000);
+
+      await expect(receiver.executeFlashLoan(usdcAddress, usd("100000"), "0x"))
+        .to.emit(provider, "FeesDistributed")
+        .withArgs(usdcAddress, usd("72"), usd("18"));
+      expect(await provider.protocolFees(usdcAddress)).to.equal(usd("18"));
+      expect(await provider.liquidityOf(usdcAddress, owner.address)).to.equal(usd("100072"));
+
+      await expect(provider.withdrawFees(usdcAddress, usd("19"))).to.be.revertedWith(
+        "FlashLoanProvider: insufficient protocol fees"
+      );
+      await expect(provider.withdrawFees(usdcAddress, usd("18"))).to.changeTokenBalance(usdc, owner, usd("18"));
+      expect(await provider.protocolFees(usdcAddress)).to.equal(0n);
+    });
+
+    it("gives the whole fee to the protocol while there are no providers", async function () {
+      const { provider, receiver, usdc, usdcAddress, providerAddress } = await loadFixture(flashLoanFixture);
+
+      // Tokens sent straight to the provider can still be borrowed
+      await provider.withdraw(usdcAddress, ethers.MaxUint256);
+      await usdc.transfer(providerAddress, usd("1000"));
+
+      await expect(receiver.executeFlashLoan(usdcAddress, usd("1000"), "0x"))
+        .to.emit(provider, "FeesDistributed")
+        .withArgs(usdcAddress, 0, usd("0.9"));
+      expect(await provider.protocolFees(usdcAddress)).to.equal(usd("0.9"));
+    });
+
+    it("lets the owner sweep only what is not owed to providers or fees", async function () {
+      const { provider, owner, alice, receiver, usdc, usdcAddress, providerAddress } = await loadFixture(flashLoanFixture);
+
+      await provider.setProtocolFee(5000);
+      await receiver.executeFlashLoan(usdcAddress, usd("100000"), "0x");
+      await usdc.connect(alice).transfer(providerAddress, usd("7"));
+
+      await expect(provider.connect(alice).withdrawSurplus(usdcAddress))
+        .to.be.revertedWithCustomError(provider, "OwnableUnauthorizedAccount")
+        .withArgs(alice.address);
+      const tx = provider.withdrawSurplus(usdcAddress);
+      await expect(tx).to.emit(provider, "SurplusWithdrawn").withArgs(usdcAddress, usd("7"));
+      await expect(tx).to.changeTokenBalance(usdc, owner, usd("7"));
+
+      // Principal, provider fees and protocol fees are all still there
+      expect(await usdc.balanceOf(providerAddress)).to.equal(usd("100090"));
+      await provider.withdraw(usdcAddress, ethers.MaxUint256);
+      await provider.withdrawFees(usdcAddress, usd("45"));
+      expect(await usdc.balanceOf(providerAddress)).to.equal(0n);
+    });
+
+    it("lets providers withdraw a token that is no longer supported", async function () {
+      const { provider, alice, usdc, usdcAddress } = await loadFixture(flashLoanFixture);
+
+      await provider.connect(alice).deposit(usdcAddress, usd("1000"));
+      await provider.setSupportedToken(usdcAddress, false);
+
+      await expect(provider.connect(alice).deposit(usdcAddress, usd("1"))).to.be.revertedWith(
+        "FlashLoanProvider: token not supported"
+      );
+      await expect(provider.connect(alice).withdraw(usdcAddress, usd("1001"))).to.be.revertedWith(
+        "FlashLoanProvider: insufficient shares"
+      );
+      await expect(provider.connect(alice).withdraw(usdcAddress, ethers.MaxUint256)).to.changeTokenBalance(
+        usdc,
+        alice,
+        usd("1000")
+      );
+    });
+  });
+});
@@ -0,0 +1,1090 @@
+const fs = require("fs");
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+  usd,
+  deployProtocolFixture,
+  erc4626StrategyFixture,
+  loopedVaultFixture,
+  flashVaultFixture,
+} = require("./fixtures");
+const { setPrice } = require("../scripts/lib/oracle");
+const { deployProtocol } = require("../scripts/lib/protocol");
+const { getManifestPath } = require("../scripts/lib/deployments");
+
+const { ethers } = hre;
+
+// Previews price the position with the interest accrued up to their block, so with a looped position they are off
+// by the interest of the second between them and the withdrawal block
+const BLOCK_INTEREST = 1000n;
+
+/**
+ * Redeems `shares` of `user`'s and returns the assets they received
+ */
+async function redeemAssets(vault, asset, user, shares) {
+  const balance = await asset.balanceOf(user.address);
+  await vault.connect(user).redeem(shares, user.address, user.address);
+  return (await asset.balanceOf(user.address)) - balance;
+}
+
+/**
+ * ERC-4626 strategy fixture where alice already holds a levered vault position
+ */
+async function leveredErc4626Fixture() {
+  const fixture = await erc4626StrategyFixture();
+  await fixture.vault.connect(fixture.alice).deposit(usd("10000"), fixture.alice.address);
+  await fixture.vault.executeLooping();
+  return fixture;
+}
+
+describe("LeveragedERC4626Vault", function () {
+  describe("share pricing", function () {
+    it("mints shares 1:1 on the first deposit and keeps it idle", async function () {
+      const { vault, usdc, alice, vaultAddress } = await loadFixture(deployProtocolFixture);
+
+      expect(await vault.previewDeposit(usd("1000"))).to.equal(usd("1000"));
+      await expect(vault.connect(alice).deposit(usd("1000"), alice.address))
+        .to.emit(vault, "Deposit")
+        .withArgs(alice.address, alice.address, usd("1000"), usd("1000"));
+
+      expect(await vault.balanceOf(alice.address)).to.equal(usd("1000"));
+      expect(await vault.totalAssets()).to.equal(usd("1000"));
+      // The first deposit does not loop
+      expect(await usdc.balanceOf(vaultAddress)).to.equal(usd("1000"));
+    });
+
+    it("prices later deposits at the current share price and loops them", async function () {
+      const { vault, alice, bob } = await loadFixture(loopedVaultFixture);
+
+      const expectedShares = await vault.previewDeposit(usd("5000"));
+      await expect(vault.connect(bob).deposit(usd("5000"), bob.address)).to.emit(vault, "LoopExecuted");
+
+      // Off only by the fees of the second between the preview and the deposit block
+      expect(await vault.balanceOf(bob.address)).to.be.closeTo(expectedShares, 10n);
+      // Net assets of the leveraged position still match what was deposited
+      expect(await vault.totalAssets()).to.be.closeTo(usd("15000"), usd("1"));
+      expect(await vault.convertToAssets(await vault.balanceOf(alice.address))).to.be.closeTo(usd("10000"), usd("1"));
+    });
+
+    it("charges previewMint assets on mint", async function () {
+      const { vault, usdc, alice, bob } = await loadFixture(deployProtocolFixture);
+
+      await vault.connect(alice).deposit(usd("1000"), alice.address);
+
+      const expectedAssets = await vault.previewMint(usd("500"));
+      await expect(vault.connect(bob).mint(usd("500"), bob.address)).to.changeTokenBalance(
+        usdc,
+        bob,
+        -expectedAssets
+      );
+      expect(await vault.balanceOf(bob.address)).to.equal(usd("500"));
+    });
+
+    it("burns previewWithdraw shares on withdraw and pays previewRedeem on redeem", async function () {
+      const { vault, usdc, alice } = await loadFixture(deployProtocolFixture);
+
+      await vault.setLoopingEnabled(false);
+      await vault.connect(alice).deposit(usd("1000"), alice.address);
+
+      const sharesToBurn = await vault.previewWithdraw(usd("400"));
+      await expect(
+        vault.connect(alice).withdraw(usd("400"), alice.address, alice.address)
+      ).to.changeTokenBalance(usdc, alice, usd("400"));
+      expect(await vault.balanceOf(alice.address)).to.equal(usd("1000") - sharesToBurn);
+
+      const remaining = await vault.balanceOf(alice.address);
+      const expectedAssets = await vault.previewRedeem(remaining);
+      await expect(
+        vault.connect(alice).redeem(remaining, alice.address, alice.address)
+      ).to.changeTokenBalance(usdc, alice, expectedAssets);
+      expect(await vault.totalSupply()).to.equal(0n);
+    });
+  });
+
+  describe("executeLooping", function () {
+    it("levers up to maxLoopIterations and reports a consistent LTV", async function () {
+      const { vault, alice } = await loadFixture(deployProtocolFixture);
+
+      await vault.connect(alice).deposit(usd("10000"), alice.address);
+      const tx = vault.executeLooping();
+      await expect(tx).to.emit(vault, "LoopExecuted");
+
+      const receipt = await (await tx).wait();
+      const event = receipt.logs
+        .map((log) => vault.interface.parseLog(log))
+        .find((parsed) => parsed && parsed.name === "LoopExecuted");
+      expect(event.args.iterations).to.equal(await vault.maxLoopIterations());
+
+      const position = await vault.getPositionDetails();
+      const ltv = await vault.getCurrentLTV();
+
+      // Each iteration borrows up to the reserves' 85% LTV of the collateral and re-supplies it:
+      // debt = 8500 + 7225 + 6141.25 + 5220.0625 + 4437.053125 = 31523.365625 on 41523.365625 of collateral
+      expect(position.debtBorrowed).to.be.closeTo(usd("31523.365625"), usd("1"));
+      expect(position.collateralSupplied).to.be.closeTo(usd("41523.365625"), usd("1"));
+      expect(ltv).to.equal((position.debtBorrowed * 10000n) / position.collateralSupplied);
+      expect(ltv).to.be.lt(await vault.maxLTVBps());
+      expect(position.healthFactor).to.be.gt(10n ** 18n);
+    });
+
+    it("never goes above maxLTVBps", async function () {
+      const { vault } = await loadFixture(loopedVaultFixture);
+
+      for (let i = 0; i < 4; i++) {
+        await vault.executeLooping();
+      }
+
+      expect(await vault.getCurrentLTV()).to.be.lte(await vault.maxLTVBps());
+    });
+
+    it("does nothing without assets", async function () {
+      const { vault } = await loadFixture(deployProtocolFixture);
+
+      await expect(vault.executeLooping()).not.to.emit(vault, "LoopExecuted");
+      expect(await vault.getCurrentLTV()).to.equal(0n);
+    });
+  });
+
+  describe("withdrawals", function () {
+    it("unwinds a proportional share of a looped position on partial withdrawals", async function () {
+      const { vault, usdc, alice } = await loadFixture(loopedVaultFixture);
+
+      const ltvBefore = await vault.getCurrentLTV();
+      const before = await vault.getPositionDetails();
+      const sharesToBurn = await vault.previewWithdraw(usd("4000"));
+
+      const tx = vault.connect(alice).withdraw(usd("4000"), alice.address, alice.address);
+      await expect(tx).to.emit(vault, "PositionUnwound");
+      await expect(tx).to.changeTokenBalance(usdc, alice, usd("4000"));
+      expect(await vault.balanceOf(alice.address)).to.be.closeTo(usd("10000") - sharesToBurn, BLOCK_INTEREST);
+
+      // 40% of the equity left, so 40% of the debt was repaid
+      const after = await vault.getPositionDetails();
+      expect(after.debtBorrowed).to.be.closeTo((before.debtBorrowed * 6n) / 10n, usd("1"));
+      expect(await vault.getCurrentLTV()).to.be.closeTo(ltvBefore, 1n);
+      expect(await vault.totalAssets()).to.be.closeTo(usd("6000"), usd("0.01"));
+    });
+
+    it("exits a looped position in full", async function () {
+      const { vault, usdc, alice, aTokenUSDC, vaultAddress } = await loadFixture(loopedVaultFixture);
+
+      // The last holder redeems every share: the debt outgrows the borrow asset collateral repaying it, and the
+      // exit leaves the collateral backing the difference in the pool
+      const shares = await vault.balanceOf(alice.address);
+      expect(await vault.maxRedeem(alice.address)).to.equal(shares);
+      const expectedAssets = await vault.previewRedeem(shares);
+      expect(expectedAssets).to.be.closeTo(usd("10000"), usd("0.01"));
+      expect(await redeemAssets(vault, usdc, alice, shares)).to.be.closeTo(expectedAssets, BLOCK_INTEREST);
+
+      expect(await vault.totalSupply()).to.equal(0n);
+      const position = await vault.getPositionDetails();
+      expect(position.debtBorrowed).to.be.lt(usd("0.01"));
+      expect(position.healthFactor).to.be.gt(10n ** 18n);
+      expect(await aTokenUSDC.balanceOf(vaultAddress)).to.be.lt(usd("0.01"));
+    });
+
+    for (const [strategy, fixture] of [
+      ["pool", loopedVaultFixture],
+      ["ERC-4626", leveredErc4626Fixture],
+    ]) {
+      it(`redeems up to maxRedeem after interest accrues, down to zero supply, on the ${strategy} strategy`, async function () {
+        const { vault, usdc, alice, bob } = await loadFixture(fixture);
+        await vault.connect(bob).deposit(usd("10000"), bob.address);
+        await vault.executeLooping();
+        await time.increase(30 * 24 * 60 * 60);
+
+        // The previews and caps include the interest accrued up to now
+        const aliceShares = await vault.maxRedeem(alice.address);
+        expect(aliceShares).to.equal(await vault.balanceOf(alice.address));
+        const aliceAssets = await vault.previewRedeem(aliceShares);
+        expect(await redeemAssets(vault, usdc, alice, aliceShares)).to.be.closeTo(aliceAssets, BLOCK_INTEREST);
+
+        // The debt outgrew the borrow asset repaying it, so the last holder's shares are worth more than the
+        // position can unwind: holding the whole supply, they still redeem all of it
+        const bobShares = await vault.balanceOf(bob.address);
+        expect(await vault.maxRedeem(bob.address)).to.equal(bobShares);
+        const bobAssets = await vault.previewRedeem(bobShares);
+        expect(bobAssets).to.be.lt(await vault.convertToAssets(bobShares));
+        expect(await redeemAssets(vault, usdc, bob, bobShares)).to.be.closeTo(bobAssets, BLOCK_INTEREST);
+
+        expect(await vault.totalSupply()).to.equal(0n);
+        expect((await vault.getPositionDetails()).healthFactor).to.be.gt(10n ** 18n);
+      });
+    }
+
+    it("lets depositors exit in turn after interest accrues", async function () {
+      const { vault, usdc, alice, bob } = await loadFixture(loopedVaultFixture);
+
+      await vault.connect(bob).deposit(usd("5000"), bob.address);
+      await time.increase(365 * 24 * 60 * 60);
+
+      // Previews include the year of interest, which the pool accrues on the redeem
+      const bobShares = await vault.balanceOf(bob.address);
+      const bobAssets = await vault.previewRedeem(bobShares);
+      const bobBalance = await usdc.balanceOf(bob.address);
+      await vault.connect(bob).redeem(bobShares, bob.address, bob.address);
+      // Off only by the interest of the second between the preview and the redeem block
+      expect((await usdc.balanceOf(bob.address)) - bobBalance).to.be.closeTo(bobAssets, 100n);
+
+      // Debt grew faster than the borrow asset collateral repaying it: the rest of the position can only
+      // unwind as far as that collateral goes, and short of the final exit withdrawals stop there
+      const aliceShares = await vault.balanceOf(alice.address);
+      const maxAssets = await vault.maxWithdraw(alice.address);
+      expect(maxAssets).to.be.lt(await vault.previewRedeem(aliceShares - 1n));
+      await expect(
+        vault.connect(alice).withdraw(maxAssets, alice.address, alice.address)
+      ).to.changeTokenBalance(usdc, alice, maxAssets);
+      expect(await vault.maxWithdraw(alice.address)).to.be.lt(usd("1"));
+      await expect(
+        vault.connect(alice).redeem((await vault.balanceOf(alice.address)) - 1n, alice.address, alice.address)
+      ).to.be.revertedWithCustomError(vault, "ERC4626ExceededMaxRedeem");
+    });
+
+    it("caps maxWithdraw and maxRedeem by the pool's liquidity", async function () {
+      const { vault, pool, usdc, usdt, alice, bob, poolAddress } = await loadFixture(loopedVaultFixture);
+
+      // Bob borrows all but 1000 USDC out of the pool
+      await usdt.mint(bob.address, usd("2000000"));
+      await pool.connect(bob).supply(await usdt.getAddress(), usd("2000000"), bob.address, 0);
+      const liquidity = await usdc.balanceOf(poolAddress);
+      await pool.connect(bob).borrow(await usdc.getAddress(), liquidity - usd("1000"), 2, 0, bob.address);
+
+      // The max views leave WITHDRAW_HEADROOM_BPS of the cap out, withdrawals go up to the cap itself
+      const shares = await vault.balanceOf(alice.address);
+      const headroom = (usd("1000") * (await vault.WITHDRAW_HEADROOM_BPS())) / 10000n;
+      expect(await vault.maxWithdraw(alice.address)).to.equal(usd("1000") - headroom);
+      expect(await vault.maxRedeem(alice.address)).to.be.lt(shares);
+      expect(await vault.previewRedeem(shares)).to.be.closeTo(usd("10000"), usd("0.01"));
+
+      await expect(
+        vault.connect(alice).withdraw(usd("1000.000001"), alice.address, alice.address)
+      ).to.be.revertedWithCustomError(vault, "ERC4626ExceededMaxWithdraw");
+      await expect(
+        vault.connect(alice).withdraw(usd("1000"), alice.address, alice.address)
+      ).to.changeTokenBalance(usdc, alice, usd("1000"));
+      expect(await vault.maxWithdraw(alice.address)).to.equal(0n);
+    });
+  });
+
+  describe("rebalance", function () {
+    it("is a no-op below rebalanceLTVBps", async function () {
+      const { vault } = await loadFixture(loopedVaultFixture);
+
+      expect(await vault.getCurrentLTV()).to.be.lte(await vault.rebalanceLTVBps());
+      await expect(vault.rebalance()).not.to.emit(vault, "Rebalanced");
+    });
+
+    it("repays debt back down to rebalanceLTVBps", async function () {
+      const { vault } = await loadFixture(loopedVaultFixture);
+
+      await vault.executeLooping();
+      const ltvBefore = await vault.getCurrentLTV();
+      expect(ltvBefore).to.be.gt(await vault.rebalanceLTVBps());
+
+      const before = await vault.getPositionDetails();
+      const totalAssetsBefore = await vault.totalAssets();
+
+      const receipt = await (await vault.rebalance()).wait();
+      const event = receipt.logs
+        .map((log) => vault.interface.parseLog(log))
+        .find((parsed) => parsed && parsed.name === "Rebalanced");
+      expect(event.args.repaid).to.be.gt(0n);
+
+      const after = await vault.getPositionDetails();
+      expect(after.debtBorrowed).to.be.closeTo(before.debtBorrowed - event.args.repaid, usd("0.01"));
+      expect(await vault.getCurrentLTV()).to.be.lte(await vault.rebalanceLTVBps());
+      // Deleveraging does not change the net value of the position
+      expect(await vault.totalAssets()).to.be.closeTo(totalAssetsBefore, usd("0.01"));
+    });
+  });
+
+  describe("oracle prices", function () {
+    it("values the position at oracle prices, in collateral asset units", async function () {
+      const { vault, pool, priceOracle, usdc, vaultAddress } = await loadFixture(loopedVaultFixture);
+      const ltvBefore = await vault.getCurrentLTV();
+
+      await setPrice(priceOracle, await usdc.getAddress(), "0.95");
+
+      const { totalCollateralBase, totalDebtBase } = await pool.getUserAccountData(vaultAddress);
+      const position = await vault.getPositionDetails();
+      expect(position.collateralSupplied).to.equal((totalCollateralBase * 10n ** 6n) / 95000000n);
+      expect(position.debtBorrowed).to.equal((totalDebtBase * 10n ** 6n) / 95000000n);
+      expect(await vault.totalAssets()).to.equal(((totalCollateralBase - totalDebtBase) * 10n ** 6n) / 95000000n);
+      expect(position.currentLTV).to.equal((totalDebtBase * 10000n) / totalCollateralBase);
+      expect(position.currentLTV).to.be.gt(ltvBefore);
+    });
+
+    it("can rebalance after a collateral price shock", async function () {
+      const { vault, priceOracle, usdc } = await loadFixture(loopedVaultFixture);
+      expect(await vault.getCurrentLTV()).to.be.lte(await vault.rebalanceLTVBps());
+
+      await setPrice(priceOracle, await usdc.getAddress(), "0.7");
+      expect(await vault.getCurrentLTV()).to.be.gt(await vault.rebalanceLTVBps());
+
+      await expect(vault.rebalance()).to.emit(vault, "Rebalanced");
+      expect(await vault.getCurrentLTV()).to.be.lte(await vault.rebalanceLTVBps());
+    });
+
+    it("refuses to loop without a price for the borrow asset", async function () {
+      const { vault, priceOracle, usdt, alice } = await loadFixture(deployProtocolFixture);
+
+      await vault.connect(alice).deposit(usd("1000"), alice.address);
+      await setPrice(priceOracle, await usdt.getAddress(), 0n);
+      await expect(vault.executeLooping()).to.be.revertedWith("INVALID_ASSET_PRICE");
+    });
+  });
+
+  describe("fees", function () {
+    const YEAR = 365 * 24 * 60 * 60;
+
+    it("starts without fees and restricts and caps the fee settings", async function () {
+      const { vault, deployer, alice } = await loadFixture(deployProtocolFixture);
+
+      expect(await vault.managementFeeBps()).to.equal(0n);
+      expect(await vault.performanceFeeBps()).to.equal(0n);
+      expect(await vault.feeRecipient()).to.equal(deployer.address);
+
+      await expect(vault.connect(alice).setManagementFee(100)).to.be.revertedWithCustomError(vault, "OwnableUnauthorizedAccount");
+      await expect(vault.connect(alice).setFeeRecipient(alice.address)).to.be.revertedWithCustomError(vault, "OwnableUnauthorizedAccount");
+      await expect(vault.setManagementFee(501)).to.be.revertedWith("FEE_TOO_HIGH");
+      await expect(vault.setPerformanceFee(5001)).to.be.revertedWith("FEE_TOO_HIGH");
+      await expect(vault.setFeeRecipient(ethers.ZeroAddress)).to.be.revertedWith("INVALID_FEE_RECIPIENT");
+
+      await expect(vault.setManagementFee(100)).to.emit(vault, "ManagementFeeUpdated").withArgs(100n);
+      await expect(vault.setPerformanceFee(1500)).to.emit(vault, "PerformanceFeeUpdated").withArgs(1500n);
+      await expect(vault.setFeeRecipient(alice.address)).to.emit(vault, "FeeRecipientUpdated").withArgs(alice.address);
+    });
+
+    it("streams the management fee to the fee recipient as shares", async function () {
+      const { vault, alice, bob } = await loadFixture(deployProtocolFixture);
+      await vault.setFeeRecipient(bob.address);
+      await vault.setManagementFee(100);
+      await vault.connect(alice).deposit(usd("10000"), alice.address);
+
+      await time.increase(YEAR);
+      const [managementFeeAssets, , feeShares] = await vault.previewFees();
+      expect(managementFeeAssets).to.be.closeTo(usd("100"), usd("0.01"));
+      // Previews already price in the fee shares that are not minted yet
+      expect(await vault.convertToAssets(await vault.balanceOf(alice.address))).to.be.closeTo(usd("9900"), usd("0.01"));
+
+      await expect(vault.accrueFees()).to.emit(vault, "FeesAccrued");
+      expect(await vault.balanceOf(bob.address)).to.be.closeTo(feeShares, usd("0.001"));
+      expect(await vault.convertToAssets(await vault.balanceOf(bob.address))).to.be.closeTo(usd("100"), usd("0.01"));
+    });
+
+    it("charges the performance fee only on gains above the high-water mark", async function () {
+      const { vault, usdc, alice, deployer, vaultAddress } = await loadFixture(deployProtocolFixture);
+      await vault.setPerformanceFee(2000);
+      await vault.connect(alice).deposit(usd("10000"), alice.address);
+
+      // 10% of yield, of which 20% is charged
+      await usdc.mint(vaultAddress, usd("1000"));
+      const tx = vault.accrueFees();
+      await expect(tx).to.emit(vault, "FeesAccrued");
+      const receipt = await (await tx).wait();
+      const event = receipt.logs.map((log) => vault.interface.parseLog(log)).find((e) => e && e.name === "FeesAccrued");
+      expect(event.args.managementFeeAssets).to.equal(0n);
+      expect(event.args.performanceFeeAssets).to.be.closeTo(usd("200"), usd("0.01"));
+      expect(await vault.convertToAssets(await vault.balanceOf(deployer.address))).to.be.closeTo(usd("200"), usd("0.01"));
+
+      // The high-water mark is the share price after fees: 10800 / 10000
+      const highWaterMark = await vault.highWaterMark();
+      expect(highWaterMark).to.be.closeTo(ethers.parseEther("1.08"), ethers.parseEther("0.000001"));
+
+      // Nothing more to charge until the share price exceeds it again
+      await expect(vault.accrueFees()).not.to.emit(vault, "FeesAccrued");
+      await usdc.mint(vaultAddress, usd("108"));
+      const [, performanceFeeAssets] = await vault.previewFees();
+      expect(performanceFeeAssets).to.be.closeTo(usd("21.6"), usd("0.01"));
+    });
+
+    it("accrues pending fees at the old rate before deposits and fee changes", async function () {
+      const { vault, alice, bob, deployer } = await loadFixture(deployProtocolFixture);
+      await vault.setManagementFee(500);
+      await vault.connect(alice).deposit(usd("10000"), alice.address);
+
+      await time.increase(YEAR);
+      const expectedShares = await vault.previewDeposit(usd("1000"));
+      await vault.connect(bob).deposit(usd("1000"), bob.address);
+      // Off only by the fees of the second between the preview and the deposit block
+      expect(await vault.balanceOf(bob.address)).to.be.closeTo(expectedShares, 10n);
+      const feeShares = await vault.balanceOf(deployer.address);
+      expect(feeShares).to.be.gt(0n);
+
+      await time.increase(YEAR);
+      await expect(vault.setManagementFee(0)).to.emit(vault, "FeesAccrued");
+      expect(await vault.balanceOf(deployer.address)).to.be.gt(feeShares);
+      const [managementFeeAssets] = await vault.previewFees();
+      expect(managementFeeAssets).to.equal(0n);
+    });
+  });
+
+  describe("flash loan leverage", function () {
+    it("reaches targetLTVBps with a single flash loan", async function () {
+      const { vault, flashLoanProvider, usdt, alice } = await loadFixture(deployProtocolFixture);
+
+      await vault.setLeverageMode(1);
+      await vault.connect(alice).deposit(usd("10000"), alice.address);
+
+      const tx = vault.executeLooping();
+      await expect(tx).to.emit(vault, "FlashLeverage").and.not.to.emit(vault, "LoopExecuted");
+      await expect(tx).to.emit(flashLoanProvider, "FlashLoan");
+
+      const receipt = await (await tx).wait();
+      const event = receipt.logs
+        .map((log) => vault.interface.parseLog(log))
+        .find((parsed) => parsed && parsed.name === "FlashLeverage");
+      expect(event.args.fee).to.equal(await flashLoanProvider.flashFee(await usdt.getAddress(), event.args.flashAmount));
+
+      // Supplying x and borrowing x + fee back: (x * 1.0009) / (10000 + x) = 0.78
+      expect(event.args.flashAmount).to.be.closeTo(usd("35310.1"), usd("1"));
+      const target = await vault.targetLTVBps();
+      expect(await vault.getCurrentLTV()).to.be.closeTo(target, 1n);
+      expect(event.args.ltvBps).to.equal(await vault.getCurrentLTV());
+      // The only cost of levering up is the flash loan fee
+      expect(await vault.totalAssets()).to.be.closeTo(usd("10000") - event.args.fee, usd("0.01"));
+    });
+
+    it("levers later deposits up as they come in", async function () {
+      const { vault, bob } = await loadFixture(flashVaultFixture);
+
+      await expect(vault.connect(bob).deposit(usd("5000"), bob.address)).to.emit(vault, "FlashLeverage");
+      expect(await vault.getCurrentLTV()).to.be.closeTo(await vault.targetLTVBps(), 1n);
+      expect(await vault.totalAssets()).to.be.closeTo(usd("15000"), usd("50"));
+    });
+
+    it("unwinds a proportional share of the position on partial withdrawals", async function () {
+      const { vault, usdc, alice } = await loadFixture(flashVaultFixture);
+
+      const ltvBefore = await vault.getCurrentLTV();
+      const before = await vault.getPositionDetails();
+
+      const tx = vault.connect(alice).withdraw(usd("4000"), alice.address, alice.address);
+      await expect(tx).to.emit(vault, "FlashDeleverage").and.not.to.emit(vault, "Rebalanced");
+      await expect(tx).to.changeTokenBalance(usdc, alice, usd("4000"));
+
+      const after = await vault.getPositionDetails();
+      expect(after.debtBorrowed).to.be.lt(before.debtBorrowed);
+      expect(await vault.getCurrentLTV()).to.be.closeTo(ltvBefore, 5n);
+
+      await expect(vault.connect(alice).redeem(usd("1000"), alice.address, alice.address)).to.emit(
+        vault,
+        "FlashDeleverage"
+      );
+      expect(await vault.getCurrentLTV()).to.be.closeTo(ltvBefore, 5n);
+    });
+
+    it("lets every depositor exit", async function () {
+      const { vault, usdc, alice, bob } = await loadFixture(flashVaultFixture);
+
+      await vault.connect(bob).deposit(usd("5000"), bob.address);
+
+      const bobShares = await vault.balanceOf(bob.address);
+      const bobAssets = await vault.previewRedeem(bobShares);
+      expect(await redeemAssets(vault, usdc, bob, bobShares)).to.be.closeTo(bobAssets, BLOCK_INTEREST);
+
+      // The strategy's holdings repay the debt but not the flash loan fee on top: the last holder redeems every
+      // share, and leaves the collateral backing that much debt behind
+      const aliceShares = await vault.balanceOf(alice.address);
+      expect(await vault.maxRedeem(alice.address)).to.equal(aliceShares);
+      const aliceAssets = await vault.previewRedeem(aliceShares);
+      const stranded = (await vault.convertToAssets(aliceShares)) - aliceAssets;
+      expect(stranded).to.be.gt(0n);
+      expect(stranded).to.be.lt(usd("100"));
+      expect(await redeemAssets(vault, usdc, alice, aliceShares)).to.be.closeTo(aliceAssets, BLOCK_INTEREST);
+      expect(await vault.totalSupply()).to.equal(0n);
+      expect((await vault.getPositionDetails()).healthFactor).to.be.gt(10n ** 18n);
+    });
+
+    it("charges the unwinding flash loan fee to the exiting holder", async function () {
+      const { vault, bob, alice } = await loadFixture(flashVaultFixture);
+
+      await vault.connect(bob).deposit(usd("5000"), bob.address);
+      const bobShares = await vault.balanceOf(bob.address);
+      const gross = await vault.convertToAssets(bobShares);
+      expect(await vault.previewRedeem(bobShares)).to.be.lt(gross);
+      expect(await vault.previewWithdraw(gross)).to.be.gt(bobShares);
+
+      const aliceValue = await vault.convertToAssets(await vault.balanceOf(alice.address));
+      await vault.connect(bob).redeem(bobShares, bob.address, bob.address);
+      // The fee is priced on the gross assets, so the remaining holders never pay for an exit
+      expect(await vault.convertToAssets(await vault.balanceOf(alice.address))).to.be.closeTo(aliceValue, usd("0.1"));
+      expect(await vault.convertToAssets(await vault.balanceOf(alice.address))).to.be.gte(aliceValue);
+    });
+
+    it("charges the levering flash loan fee to the depositor", async function () {
+      const { vault, alice, bob } = await loadFixture(flashVaultFixture);
+      const aliceShares = await vault.balanceOf(alice.address);
+      const aliceValue = await vault.convertToAssets(aliceShares);
+
+      const shares = await vault.previewDeposit(usd("10000"));
+      expect(shares).to.be.lt(await vault.convertToShares(usd("10000")));
+      await expect(vault.connect(bob).deposit(usd("10000"), bob.address)).to.emit(vault, "FlashLeverage");
+      expect(await vault.balanceOf(bob.address)).to.be.closeTo(shares, BLOCK_INTEREST);
+      // The existing holders' share price is where it was before the deposit levered up
+      expect(await vault.convertToAssets(aliceShares)).to.be.closeTo(aliceValue, usd("0.01"));
+
+      const assets = await vault.previewMint(shares);
+      expect(assets).to.be.gt(await vault.convertToAssets(shares));
+      const aliceValueBeforeMint = await vault.convertToAssets(aliceShares);
+      await expect(vault.connect(bob).mint(shares, bob.address)).to.emit(vault, "FlashLeverage");
+      expect(await vault.convertToAssets(aliceShares)).to.be.closeTo(aliceValueBeforeMint, usd("0.01"));
+    });
+
+    it("only accepts flash loans the vault started", async function () {
+      const { vault, usdt, alice } = await loadFixture(flashVaultFixture);
+      const data = ethers.AbiCoder.defaultAbiCoder().encode(["uint8"], [2]);
+
+      await expect(vault.connect(alice).onFlashLoan(await usdt.getAddress(), usd("1"), 0, data)).to.be.revertedWith(
+        "INVALID_FLASH_LOAN"
+      );
+    });
+
+    it("restricts and validates the leverage mode settings", async function () {
+      const { vault, flashLoanProvider, alice } = await loadFixture(deployProtocolFixture);
+      const providerAddress = await flashLoanProvider.getAddress();
+
+      expect(await vault.leverageMode()).to.equal(0n);
+      expect(await vault.flashLoanProvider()).to.equal(providerAddress);
+
+      await expect(vault.connect(alice).setLeverageMode(1)).to.be.revertedWithCustomError(
+        vault,
+        "OwnableUnauthorizedAccount"
+      );
+      await expect(vault.connect(alice).setFlashLoanProvider(alice.address)).to.be.revertedWithCustomError(
+        vault,
+        "OwnableUnauthorizedAccount"
+      );
+
+      await vault.setFlashLoanProvider(ethers.ZeroAddress);
+      await expect(vault.setLeverageMode(1)).to.be.revertedWith("FLASH_LOAN_PROVIDER_NOT_SET");
+
+      await expect(vault.setFlashLoanProvider(providerAddress))
+        .to.emit(vault, "FlashLoanProviderUpdated")
+        .withArgs(providerAddress);
+      await expect(vault.setLeverageMode(1)).to.emit(vault, "LeverageModeUpdated").withArgs(1);
+      await expect(vault.setFlashLoanProvider(ethers.ZeroAddress)).to.be.revertedWith("FLASH_LOAN_MODE_ACTIVE");
+    });
+  });
+
+  describe("strategies", function () {
+    // ERC4626Vault of USDT and its adapter, for migrating a vault deployed on the pool strategy
+    async function deployErc4626Strategy(usdt) {
+      const target = await ethers.deployContract("ERC4626Vault", [await usdt.getAddress(), "Yield USDT", "yUSDT"]);
+      const adapter = await ethers.deployContract("ERC4626StrategyAdapter", [await target.getAddress()]);
+      return { target, adapter, adapterAddress: await adapter.getAddress() };
+    }
+
+    // A vault with shares queues migrations behind its timelock
+    async function migrateStrategy(vault, strategy) {
+      await vault.migrateStrategy(strategy);
+      await time.increase(await vault.RISK_TIMELOCK());
+      return vault.executeStrategyMigration();
+    }
+
+    it("deploys on the pool strategy", async function () {
+      const { vault, pool, poolStrategy, usdt } = await loadFixture(deployProtocolFixture);
+
+      expect(await vault.strategy()).to.equal(await poolStrategy.getAddress());
+      expect(await poolStrategy.collateralPool()).to.equal(await pool.getAddress());
+      expect(await poolStrategy.asset()).to.equal(await usdt.getAddress());
+    });
+
+    it("borrows to targetLTVBps into an ERC-4626 vault", async function () {
+      const { vault, strategy, strategyVault, usdt, alice } = await loadFixture(erc4626StrategyFixture);
+      const vaultAddress = await vault.getAddress();
+      expect(await vault.strategy()).to.equal(await strategy.getAddress());
+      expect(await strategy.collateralPool()).to.equal(ethers.ZeroAddress);
+
+      await vault.connect(alice).deposit(usd("10000"), alice.address);
+      await expect(vault.executeLooping()).to.emit(vault, "LoopExecuted").withArgs(usd("10000"), usd("7800"), 1);
+
+      const position = await vault.getPositionDetails();
+      expect(position.collateralSupplied).to.equal(usd("10000"));
+      expect(position.debtBorrowed).to.equal(usd("7800"));
+      expect(await vault.getCurrentLTV()).to.equal(await vault.targetLTVBps());
+      expect(await usdt.balanceOf(await strategyVault.getAddress())).to.equal(usd("7800"));
+      expect(await strategy.balanceOf(vaultAddress)).to.equal(usd("7800"));
+      // The borrowed funds still count towards the vault's assets
+      expect(await vault.totalAssets()).to.be.closeTo(usd("10000"), usd("0.01"));
+    });
+
+    it("counts the ERC-4626 yield in totalAssets and unwinds it proportionally", async function () {
+      const { vault, strategyVault, usdc, usdt, alice } = await loadFixture(erc4626StrategyFixture);
+      await vault.connect(alice).deposit(usd("10000"), alice.address);
+      await vault.executeLooping();
+
+      // 100 USDT of yield on the 7800 deposited
+      await usdt.mint(await strategyVault.getAddress(), usd("100"));
+      expect(await vault.totalAssets()).to.be.closeTo(usd("10100"), usd("0.1"));
+
+      const before = await vault.getPositionDetails();
+      await expect(vault.connect(alice).withdraw(usd("5050"), alice.address, alice.address)).to.changeTokenBalance(
+        usdc,
+        alice,
+        usd("5050")
+      );
+      // The debt is repaid in proportion to the pool collateral freed, so the yield stays out of the pool's
+      // health factor: 5050 of the 10000 USDC
+      const after = await vault.getPositionDetails();
+      expect(after.debtBorrowed).to.be.closeTo((before.debtBorrowed * 4950n) / 10000n, usd("1"));
+      expect(await vault.totalAssets()).to.be.closeTo(usd("5050"), usd("0.1"));
+
+      // Without a swap, the yield is borrow asset the vault can't pay out: the final exit leaves it behind
+      const shares = await vault.balanceOf(alice.address);
+      expect(await vault.maxRedeem(alice.address)).to.equal(shares);
+      const expectedAssets = await vault.previewRedeem(shares);
+      expect((await vault.convertToAssets(shares)) - expectedAssets).to.be.closeTo(usd("100"), usd("1"));
+      expect(await redeemAssets(vault, usdc, alice, shares)).to.be.closeTo(expectedAssets, BLOCK_INTEREST);
+      expect(await vault.totalSupply()).to.equal(0n);
+    });
+
+    it("migrates a live looped position to an ERC-4626 vault and back", async function () {
+      const { vault, poolStrategy, flashLoanProvider, usdc, usdt, alice, bob } = await loadFixture(loopedVaultFixture);
+      const { target, adapter, adapterAddress } = await deployErc4626Strategy(usdt);
+      const poolStrategyAddress = await poolStrategy.getAddress();
+      await vault.connect(bob).deposit(usd("5000"), bob.address);
+      const assetsBefore = await vault.totalAssets();
+      const debtBefore = (await vault.getPositionDetails()).debtBorrowed;
+
+      const tx = migrateStrategy(vault, adapterAddress);
+      await expect(tx).to.emit(flashLoanProvider, "FlashLoan");
+      const event = (await (await tx).wait()).logs
+        .map((log) => vault.interface.parseLog(log))
+        .find((parsed) => parsed && parsed.name === "StrategyMigrated");
+      expect(event.args.oldStrategy).to.equal(poolStrategyAddress);
+      expect(event.args.newStrategy).to.equal(adapterAddress);
+      // Holdings net of the flash loan fee repay the debt, the fee's worth of it stays on the position
+      expect(event.args.debtRepaid).to.be.closeTo(debtBefore, (debtBefore * 10n) / 10000n);
+
+      expect(await vault.strategy()).to.equal(adapterAddress);
+      // Re-levered into the new strategy, paying only the flash loan fee on the unwind
+      expect(await vault.getCurrentLTV()).to.be.closeTo(await vault.targetLTVBps(), 1n);
+      expect(await adapter.balanceOf(await vault.getAddress())).to.be.closeTo(
+        (await vault.getPositionDetails()).debtBorrowed,
+        (debtBefore * 10n) / 10000n
+      );
+      expect(await target.totalAssets()).to.be.gt(0n);
+      expect(await vault.totalAssets()).to.be.lt(assetsBefore);
+      expect(await vault.totalAssets()).to.be.closeTo(assetsBefore, (debtBefore * 10n) / 10000n);
+
+      await expect(migrateStrategy(vault, poolStrategyAddress)).to.emit(vault, "StrategyMigrated");
+      expect(await vault.strategy()).to.equal(poolStrategyAddress);
+      expect(await target.totalAssets()).to.equal(0n);
+      expect(await vault.getCurrentLTV()).to.be.gt(7000n);
+
+      // Nobody had to exit, and everybody still can, up to the borrow asset the debt left over
+      const bobShares = await vault.balanceOf(bob.address);
+      expect(await vault.maxRedeem(bob.address)).to.equal(bobShares);
+      const bobAssets = await vault.previewRedeem(bobShares);
+      expect(await redeemAssets(vault, usdc, bob, bobShares)).to.be.closeTo(bobAssets, BLOCK_INTEREST);
+      const aliceShares = await vault.balanceOf(alice.address);
+      expect(await vault.maxRedeem(alice.address)).to.equal(aliceShares);
+      const aliceAssets = await vault.previewRedeem(aliceShares);
+      expect(await redeemAssets(vault, usdc, alice, aliceShares)).to.be.closeTo(aliceAssets, BLOCK_INTEREST);
+      expect(await vault.totalSupply()).to.equal(0n);
+      expect(await vault.totalAssets()).to.be.lt(usd("30"));
+    });
+
+    it("migrates the live vault when the deployment is re-run with another strategy", async function () {
+      const { alice } = await loadFixture(deployProtocolFixture);
+      const manifestFile = getManifestPath(hre.network.name);
+      const saved = fs.existsSync(manifestFile) ? fs.readFileSync(manifestFile) : null;
+
+      try {
+        const first = await deployProtocol(hre, { persist: true });
+        const { vault, usdc } = first;
+        await usdc.mint(alice.address, usd("10000"));
+        await usdc.connect(alice).approve(await vault.getAddress(), ethers.MaxUint256);
+        await vault.connect(alice).deposit(usd("10000"), alice.address);
+        await vault.executeLooping();
+        const assetsBefore = await vault.totalAssets();
+
+        // The vault has shares, so the first re-run queues the migration and one after the timelock executes it
+        const second = await deployProtocol(hre, { persist: true, vault: { strategy: "erc4626" } });
+        const erc4626Strategy = await second.erc4626Strategy.getAddress();
+        expect(await second.vault.getAddress()).to.equal(await vault.getAddress());
+        expect(await vault.strategy()).to.equal(await first.poolStrategy.getAddress());
+        expect(await vault.pendingStrategy()).to.equal(erc4626Strategy);
+
+        await time.increase(await vault.RISK_TIMELOCK());
+        const third = await deployProtocol(hre, { persist: true, vault: { strategy: "erc4626" } });
+        expect(await vault.strategy()).to.equal(erc4626Strategy);
+        expect(await vault.strategyMigrationEta()).to.equal(0n);
+        expect(third.manifest.data.steps["vault:migrateStrategy"].blockNumber).to.be.gt(
+          second.manifest.data.steps["vault:migrateStrategy"].blockNumber
+        );
+        expect(await vault.totalAssets()).to.be.closeTo(assetsBefore, usd("50"));
+        expect(await vault.balanceOf(alice.address)).to.equal(usd("10000"));
+      } finally {
+        if (saved) {
+          fs.writeFileSync(manifestFile, saved);
+        } else {
+          fs.rmSync(manifestFile, { force: true });
+        }
+      }
+    });
+
+    it("restricts and validates strategy migrations", async function () {
+      const { vault, poolStrategy, usdc, usdt, pool, alice } = await loadFixture(loopedVaultFixture);
+      const { adapter, adapterAddress } = await deployErc4626Strategy(usdt);
+      const usdcTarget = await ethers.deployContract("ERC4626Vault", [await usdc.getAddress(), "Yield USDC", "yUSDC"]);
+      const usdcAdapter = await ethers.deployContract("ERC4626StrategyAdapter", [await usdcTarget.getAddress()]);
+      const otherPool = await ethers.deployContract("PoolStrategyAdapter", [alice.address, await usdt.getAddress()]);
+
+      await expect(vault.connect(alice).migrateStrategy(adapterAddress)).to.be.revertedWithCustomError(
+        vault,
+        "OwnableUnauthorizedAccount"
+      );
+      await expect(vault.migrateStrategy(await poolStrategy.getAddress())).to.be.revertedWith("INVALID_STRATEGY");
+      await expect(vault.migrateStrategy(await usdcAdapter.getAddress())).to.be.revertedWith("INVALID_STRATEGY");
+      await expect(vault.migrateStrategy(await otherPool.getAddress())).to.be.revertedWith("INVALID_STRATEGY");
+
+      // Pool collateral is the vault's own supply, which the adapter can't move
+      await expect(poolStrategy.deposit(usd("1"))).to.be.revertedWith("StrategyAdapter: supplied by the vault");
+      await expect(poolStrategy.withdraw(usd("1"))).to.be.revertedWith("StrategyAdapter: supplied by the vault");
+      expect(await pool.getAddress()).to.equal(await poolStrategy.collateralPool());
+
+      // Adapters hold each caller's position apart: alice can't take out what the vault holds
+      await migrateStrategy(vault, adapterAddress);
+      const vaultHoldings = await adapter.balanceOf(await vault.getAddress());
+      await usdt.connect(alice).approve(adapterAddress, usd("100"));
+      await adapter.connect(alice).deposit(usd("100"));
+      expect(await adapter.balanceOf(alice.address)).to.equal(usd("100"));
+      await expect(adapter.connect(alice).withdraw(usd("101"))).to.be.revertedWithPanic(0x11);
+      await expect(adapter.connect(alice).withdraw(ethers.MaxUint256)).to.changeTokenBalance(usdt, alice, usd("100"));
+      expect(await adapter.balanceOf(await vault.getAddress())).to.equal(vaultHoldings);
+    });
+
+    it("queues migrations of a vault with shares behind the risk timelock", async function () {
+      const { vault, poolStrategy, usdt, alice } = await loadFixture(loopedVaultFixture);
+      const { adapterAddress } = await deployErc4626Strategy(usdt);
+      const RISK_TIMELOCK = await vault.RISK_TIMELOCK();
+
+      const queued = await vault.migrateStrategy(adapterAddress);
+      const eta = BigInt((await queued.getBlock()).timestamp) + RISK_TIMELOCK;
+      await expect(queued).to.emit(vault, "StrategyMigrationQueued").withArgs(adapterAddress, eta);
+      expect(await vault.strategy()).to.equal(await poolStrategy.getAddress());
+      expect(await vault.pendingStrategy()).to.equal(adapterAddress);
+      expect(await vault.strategyMigrationEta()).to.equal(eta);
+
+      await expect(vault.executeStrategyMigration()).to.be.revertedWith("STRATEGY_TIMELOCK_NOT_EXPIRED");
+      await expect(vault.connect(alice).cancelStrategyMigration()).to.be.revertedWithCustomError(
+        vault,
+        "OwnableUnauthorizedAccount"
+      );
+      await expect(vault.cancelStrategyMigration())
+        .to.emit(vault, "StrategyMigrationCancelled")
+        .withArgs(adapterAddress);
+      expect(await vault.pendingStrategy()).to.equal(ethers.ZeroAddress);
+      await expect(vault.cancelStrategyMigration()).to.be.revertedWith("NO_PENDING_STRATEGY");
+
+      // Re-queued, the timelock starts over
+      await vault.migrateStrategy(adapterAddress);
+      await time.increase(RISK_TIMELOCK - 10n);
+      await expect(vault.executeStrategyMigration()).to.be.revertedWith("STRATEGY_TIMELOCK_NOT_EXPIRED");
+      await time.increase(10n);
+      await expect(vault.connect(alice).executeStrategyMigration()).to.be.revertedWithCustomError(
+        vault,
+        "OwnableUnauthorizedAccount"
+      );
+      await expect(vault.executeStrategyMigration()).to.emit(vault, "StrategyMigrated");
+      expect(await vault.strategy()).to.equal(adapterAddress);
+      expect(await vault.strategyMigrationEta()).to.equal(0n);
+    });
+
+    it("migrates a vault without shares at once", async function () {
+      const { vault, usdt } = await loadFixture(deployProtocolFixture);
+      const { adapterAddress } = await deployErc4626Strategy(usdt);
+
+      await expect(vault.migrateStrategy(adapterAddress)).to.emit(vault, "StrategyMigrated");
+      expect(await vault.strategy()).to.equal(adapterAddress);
+      expect(await vault.strategyMigrationEta()).to.equal(0n);
+    });
+  });
+
+  describe("risk parameters", function () {
+    const wad = (value) => ethers.parseUnits(value, 18);
+    const RISK_TIMELOCK = 2 * 24 * 60 * 60;
+
+    it("starts at the limits the vault used to hardcode", async function () {
+      const { vault } = await loadFixture(deployProtocolFixture);
+
+      expect(await vault.targetLTVBps()).to.equal(7800n);
+      expect(await vault.rebalanceLTVBps()).to.equal(8000n);
+      expect(await vault.maxLTVBps()).to.equal(9000n);
+      expect(await vault.minHealthFactor()).to.equal(wad("1"));
+      expect(await vault.riskParametersEta()).to.equal(0n);
+    });
+
+    it("tightens at once, and the loop and rebalance follow", async function () {
+      const { vault } = await loadFixture(loopedVaultFixture);
+
+      await expect(vault.setRiskParameters(6500, 7000, 7500, wad("1.1")))
+        .to.emit(vault, "RiskParametersUpdated")
+        .withArgs(6500, 7000, 7500, wad("1.1"));
+      expect(await vault.maxLTVBps()).to.equal(7500n);
+
+      // The looped position (~78.6%) is now above the rebalance LTV
+      await expect(vault.rebalance()).to.emit(vault, "Rebalanced");
+      expect(await vault.getCurrentLTV()).to.be.lte(7000n);
+
+      for (let i = 0; i < 3; i++) {
+        await vault.executeLooping();
+      }
+      expect(await vault.getCurrentLTV()).to.be.lte(7500n);
+    });
+
+    it("queues loosening behind RISK_TIMELOCK while the vault has depositors", async function () {
+      const { vault } = await loadFixture(loopedVaultFixture);
+      expect(await vault.RISK_TIMELOCK()).to.equal(BigInt(RISK_TIMELOCK));
+
+      const tx = vault.setRiskParameters(8200, 8500, 9000, wad("1"));
+      await expect(tx).to.emit(vault, "RiskParametersQueued").and.not.to.emit(vault, "RiskParametersUpdated");
+      const eta = (await time.latest()) + RISK_TIMELOCK;
+      expect(await vault.riskParametersEta()).to.equal(BigInt(eta));
+      expect((await vault.pendingRiskParameters()).rebalanceLTVBps).to.equal(8500n);
+      expect(await vault.rebalanceLTVBps()).to.equal(8000n);
+
+      await expect(vault.executeRiskParameters()).to.be.revertedWith("RISK_TIMELOCK_NOT_EXPIRED");
+      await time.increaseTo(eta);
+      await expect(vault.executeRiskParameters())
+        .to.emit(vault, "RiskParametersUpdated")
+        .withArgs(8200, 8500, 9000, wad("1"));
+      expect(await vault.rebalanceLTVBps()).to.equal(8500n);
+      expect(await vault.riskParametersEta()).to.equal(0n);
+      await expect(vault.executeRiskParameters()).to.be.revertedWith("RISK_TIMELOCK_NOT_EXPIRED");
+    });
+
+    it("applies any change before the first deposit, and cancels queued ones", async function () {
+      const { vault, alice } = await loadFixture(deployProtocolFixture);
+
+      await expect(vault.setRiskParameters(8200, 8500, 9000, wad("1"))).to.emit(vault, "RiskParametersUpdated");
+      await vault.connect(alice).deposit(usd("1000"), alice.address);
+
+      await vault.setRiskParameters(8200, 8500, 9000, wad("1"));
+      await expect(vault.setRiskParameters(8300, 8500, 9000, wad("1"))).to.emit(vault, "RiskParametersQueued");
+      await expect(vault.cancelRiskParameters()).to.emit(vault, "RiskParametersCancelled");
+      expect(await vault.riskParametersEta()).to.equal(0n);
+      await expect(vault.cancelRiskParameters()).to.be.revertedWith("NO_PENDING_RISK_PARAMETERS");
+
+      // Tightening replaces a queued change
+      await vault.setRiskParameters(8300, 8500, 9000, wad("1"));
+      await vault.setRiskParameters(7000, 7500, 8500, wad("1"));
+      expect(await vault.riskParametersEta()).to.equal(0n);
+      expect(await vault.targetLTVBps()).to.equal(7000n);
+    });
+
+    it("validates against itself and the live reserve config", async function () {
+      const { vault, poolConfigurator, usdc, alice } = await loadFixture(deployProtocolFixture);
+      await vault.connect(alice).deposit(usd("1000"), alice.address);
+
+      for (const params of [
+        [0, 8000, 9000, wad("1")], // no target
+        [8100, 8000, 9000, wad("1")], // target above rebalance
+        [7800, 8000, 7900, wad("1")], // rebalance above max
+        [7800, 8000, 9000, wad("0.99")], // health factor below 1
+        [7800, 8600, 9000, wad("1")], // rebalance above the reserves' 85% LTV
+        [7800, 8000, 9000, wad("1.05")], // 90% LTV at a 90% threshold is a 1.0 health factor
+      ]) {
+        await expect(vault.setRiskParameters(...params)).to.be.revertedWith("INVALID_RISK_PARAMETERS");
+      }
+      await vault.setRiskParameters(7800, 8000, 8500, wad("1.05"));
+
+      // A change queued while the reserves allowed it is checked again when executed
+      await vault.setRiskParameters(7800, 8500, 8500, wad("1.05"));
+      await poolConfigurator.configureReserveAsCollateral(await usdc.getAddress(), 8000, 9000, 500);
+      await time.increase(RISK_TIMELOCK);
+      await expect(vault.executeRiskParameters()).to.be.revertedWith("INVALID_RISK_PARAMETERS");
+    });
+
+    it("keeps minHealthFactor under the live liquidation threshold", async function () {
+      const { vault, poolConfigurator, usdc, usdt } = await loadFixture(loopedVaultFixture);
+      await vault.setRiskParameters(7000, 7500, 8000, wad("1.1"));
+
+      // With the thresholds cut to 85%, a 1.1 health factor needs the LTV at or below 77.27%
+      for (const asset of [usdc, usdt]) {
+        await poolConfigurator.configureReserveAsCollateral(await asset.getAddress(), 7500, 8500, 500);
+      }
+      await vault.rebalance();
+      expect((await vault.getPositionDetails()).healthFactor).to.be.gte(wad("1.1"));
+
+      // The loop is capped there too, below the configured 80% maxLTVBps
+      await vault.executeLooping();
+      await vault.executeLooping();
+      expect(await vault.getCurrentLTV()).to.be.lte(7727n);
+      expect((await vault.getPositionDetails()).healthFactor).to.be.gte(wad("1.1"));
+    });
+
+    it("restricts the risk settings to the owner and the risk manager", async function () {
+      const { vault, alice, bob } = await loadFixture(deployProtocolFixture);
+
+      await expect(vault.connect(alice).setRiskManager(alice.address)).to.be.revertedWithCustomError(
+        vault,
+        "OwnableUnauthorizedAccount"
+      );
+      await expect(vault.connect(alice).setRiskParameters(7000, 7500, 8000, wad("1"))).to.be.revertedWith(
+        "NOT_RISK_ADMIN"
+      );
+
+      await expect(vault.setRiskManager(alice.address)).to.emit(vault, "RiskManagerUpdated").withArgs(alice.address);
+      await expect(vault.connect(alice).setRiskParameters(7000, 7500, 8000, wad("1"))).to.emit(
+        vault,
+        "RiskParametersUpdated"
+      );
+      await expect(vault.connect(bob).cancelRiskParameters()).to.be.revertedWith("NOT_RISK_ADMIN");
+      await expect(vault.connect(bob).executeRiskParameters()).to.be.revertedWith("NOT_RISK_ADMIN");
+    });
+  });
+
+  describe("access controls", function () {
+    it("is open, uncapped and unpaused by default", async function () {
+      const { vault, alice } = await loadFixture(deployProtocolFixture);
+
+      expect(await vault.allowlistEnabled()).to.equal(false);
+      expect(await vault.guardian()).to.equal(ethers.ZeroAddress);
+      expect(await vault.maxDeposit(alice.address)).to.equal(ethers.MaxUint256);
+      expect(await vault.maxMint(alice.address)).to.equal(ethers.MaxUint256);
+    });
+
+    it("limits deposits and share transfers to allowlisted accounts", async function () {
+      const { vault, alice, bob } = await loadFixture(deployProtocolFixture);
+      await expect(vault.setAllowlistEnabled(true)).to.emit(vault, "AllowlistToggled").withArgs(true);
+
+      expect(await vault.maxDeposit(alice.address)).to.equal(0n);
+      await expect(vault.connect(alice).deposit(usd("1000"), alice.address))
+        .to.be.revertedWithCustomError(vault, "ERC4626ExceededMaxDeposit")
+        .withArgs(alice.address, usd("1000"), 0);
+
+      await expect(vault.setAllowlist([alice.address], true))
+        .to.emit(vault, "AllowlistUpdated")
+        .withArgs(alice.address, true);
+      await vault.connect(alice).deposit(usd("1000"), alice.address);
+      await expect(vault.connect(alice).mint(usd("100"), bob.address)).to.be.revertedWithCustomError(
+        vault,
+        "ERC4626ExceededMaxMint"
+      );
+      await expect(vault.connect(bob).deposit(usd("100"), alice.address)).to.be.revertedWith("NOT_ALLOWLISTED");
+      await expect(vault.connect(alice).transfer(bob.address, usd("100"))).to.be.revertedWith("NOT_ALLOWLISTED");
+
+      await vault.setAllowlist([bob.address], true);
+      await vault.connect(alice).transfer(bob.address, usd("100"));
+
+      // Removed accounts keep their shares and can still exit, but not transfer
+      await vault.setAllowlist([alice.address], false);
+      await expect(vault.connect(alice).transfer(bob.address, usd("100"))).to.be.revertedWith("NOT_ALLOWLISTED");
+      await expect(vault.connect(bob).transfer(alice.address, usd("100"))).to.be.revertedWith("NOT_ALLOWLISTED");
+      await vault.connect(alice).redeem(await vault.maxRedeem(alice.address), alice.address, alice.address);
+      expect(await vault.balanceOf(alice.address)).to.equal(0n);
+
+      await vault.setAllowlistEnabled(false);
+      await vault.connect(alice).deposit(usd("100"), alice.address);
+    });
+
+    it("caps deposits and mints by total assets and per account", async function () {
+      const { vault, alice, bob } = await loadFixture(deployProtocolFixture);
+      await expect(vault.setDepositCaps(usd("25000"), usd("12000")))
+        .to.emit(vault, "DepositCapsUpdated")
+        .withArgs(usd("25000"), usd("12000"));
+      expect(await vault.maxDeposit(alice.address)).to.equal(usd("12000"));
+
+      await vault.connect(alice).deposit(usd("10000"), alice.address);
+      await vault.executeLooping();
+      expect(await vault.maxDeposit(alice.address)).to.be.closeTo(usd("2000"), usd("1"));
+      await expect(vault.connect(alice).deposit(usd("2100"), alice.address)).to.be.revertedWithCustomError(
+        vault,
+        "ERC4626ExceededMaxDeposit"
+      );
+
+      expect(await vault.maxDeposit(bob.address)).to.equal(usd("12000"));
+      await vault.connect(bob).mint(await vault.maxMint(bob.address), bob.address);
+      expect(await vault.convertToAssets(await vault.balanceOf(bob.address))).to.be.closeTo(usd("12000"), usd("1"));
+
+      // About 22000 is in: the total cap leaves 3000, of which alice's account cap still leaves her 2000
+      const [deployer] = await ethers.getSigners();
+      expect(await vault.maxDeposit(deployer.address)).to.equal(usd("25000") - (await vault.totalAssets()));
+      await vault.connect(alice).deposit(await vault.maxDeposit(alice.address), alice.address);
+      expect(await vault.maxDeposit(alice.address)).to.be.lte(usd("1"));
+      expect(await vault.maxDeposit(deployer.address)).to.be.closeTo(usd("1000"), usd("2"));
+
+      await vault.setDepositCaps(ethers.MaxUint256, ethers.MaxUint256);
+      expect(await vault.maxMint(bob.address)).to.equal(ethers.MaxUint256);
+    });
+
+    it("lets the guardian pause deposits and looping while withdrawals go on", async function () {
+      const { vault, alice, bob } = await loadFixture(loopedVaultFixture);
+      await expect(vault.connect(bob).setPaused(true, true)).to.be.revertedWith("NOT_GUARDIAN");
+      await expect(vault.setGuardian(bob.address)).to.emit(vault, "GuardianUpdated").withArgs(bob.address);
+
+      await expect(vault.connect(bob).setPaused(true, false)).to.emit(vault, "PauseUpdated").withArgs(true, false);
+      expect(await vault.maxDeposit(alice.address)).to.equal(0n);
+      expect(await vault.maxMint(alice.address)).to.equal(0n);
+      await expect(vault.connect(alice).deposit(usd("1000"), alice.address)).to.be.revertedWithCustomError(
+        vault,
+        "ERC4626ExceededMaxDeposit"
+      );
+      await vault.connect(alice).withdraw(usd("1000"), alice.address, alice.address);
+
+      await vault.connect(bob).setPaused(true, true);
+      await expect(vault.executeLooping()).to.be.revertedWith("LOOPING_PAUSED");
+      await expect(vault.connect(bob).setPaused(false, true)).to.be.revertedWith("NOT_GUARDIAN");
+      await expect(vault.connect(bob).setPaused(true, false)).to.be.revertedWith("NOT_GUARDIAN");
+
+      // Deposits resume with looping still paused: the assets stay idle
+      await vault.setPaused(false, true);
+      const ltvBefore = await vault.getCurrentLTV();
+      await vault.connect(alice).deposit(usd("1000"), alice.address);
+      expect(await vault.getCurrentLTV()).to.equal(ltvBefore);
+      await vault.connect(alice).withdraw(usd("1000"), alice.address, alice.address);
+
+      await vault.setPaused(false, false);
+      await vault.connect(alice).deposit(usd("1000"), alice.address);
+      await vault.executeLooping();
+    });
+
+    it("applies the access settings of the deployment", async function () {
+      const [deployer, , , guardian] = await ethers.getSigners();
+      const { vault } = await deployProtocol(hre, {
+        signer: deployer,
+        persist: false,
+        vault: { guardian: guardian.address, depositCap: "1000000", accountDepositCap: "50000", allowlistEnabled: true },
+      });
+
+      expect(await vault.guardian()).to.equal(guardian.address);
+      expect(await vault.depositCap()).to.equal(usd("1000000"));
+      expect(await vault.accountDepositCap()).to.equal(usd("50000"));
+      expect(await vault.allowlistEnabled()).to.equal(true);
+    });
+
+    it("restricts the access settings to the owner", async function () {
+      const { vault, alice } = await loadFixture(deployProtocolFixture);
+
+      for (const call of [
+        vault.connect(alice).setAllowlistEnabled(true),
+        vault.connect(alice).setAllowlist([alice.address], true),
+        vault.connect(alice).setDepositCaps(0, 0),
+        vault.connect(alice).setGuardian(alice.address),
+      ]) {
+        await expect(call).to.be.revertedWithCustomError(vault, "OwnableUnauthorizedAccount");
+      }
+    });
+  });
+
+  describe("admin", function () {
+    it("restricts and validates the looping settings", async function () {
+      const { vault, alice } = await loadFixture(deployProtocolFixture);
+
+      await expect(vault.connect(alice).setLoopingEnabled(false)).to.be.revertedWithCustomError(
+        vault,
+        "OwnableUnauthorizedAccount"
+      );
+      await expect(vault.setLoopingEnabled(false)).to.emit(vault, "LoopingToggled").withArgs(false);
+
+      await expect(vault.setMaxLoopIterations(0)).to.be.revertedWith("INVALID_ITERATIONS");
+      await expect(vault.setMaxLoopIterations(11)).to.be.revertedWith("INVALID_ITERATIONS");
+      await vault.setMaxLoopIterations(3);
+      expect(await vault.maxLoopIterations()).to.equal(3n);
+    });
+  });
+});
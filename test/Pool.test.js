@@ -0,0 +1,613 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { usd, base, deployProtocolFixture, borrowerFixture, flashLoanReceiverFixture } = require("./fixtures");
+const { setPrice } = require("../scripts/lib/oracle");
+const { encodeReserveConfig } = require("../scripts/lib/reserveConfig");
+const { wadDiv } = require("../scripts/lib/wadRayMath");
+
+const RAY = 10n ** 27n;
+const SECONDS_PER_YEAR = 365n * 24n * 60n * 60n;
+
+const rayMul = (a, b) => (a * b + RAY / 2n) / RAY;
+
+describe("Pool", function () {
+  it("lists the initialized reserves", async function () {
+    const { pool, usdc, usdt } = await loadFixture(deployProtocolFixture);
+
+    expect(await pool.getReservesList()).to.deep.equal([await usdc.getAddress(), await usdt.getAddress()]);
+  });
+
+  describe("supply / withdraw", function () {
+    it("mints aTokens for the supplied amount", async function () {
+      const { pool, usdc, aTokenUSDC, alice } = await loadFixture(deployProtocolFixture);
+      const usdcAddress = await usdc.getAddress();
+
+      await expect(pool.connect(alice).supply(usdcAddress, usd("1000"), alice.address, 0))
+        .to.emit(pool, "Supply")
+        .withArgs(usdcAddress, alice.address, alice.address, usd("1000"), 0);
+
+      const { liquidityIndex } = await pool.getReserveData(usdcAddress);
+      expect(rayMul(await aTokenUSDC.balanceOf(alice.address), liquidityIndex)).to.be.closeTo(usd("1000"), 1n);
+    });
+
+    it("returns the underlying and burns aTokens on withdraw", async function () {
+      const { pool, usdc, aTokenUSDC, alice, poolAddress } = await loadFixture(deployProtocolFixture);
+      const usdcAddress = await usdc.getAddress();
+
+      await pool.connect(alice).supply(usdcAddress, usd("1000"), alice.address, 0);
+
+      await expect(
+        pool.connect(alice).withdraw(usdcAddress, usd("400"), alice.address)
+      ).to.changeTokenBalances(usdc, [alice, poolAddress], [usd("400"), -usd("400")]);
+
+      await pool.connect(alice).withdraw(usdcAddress, ethers.MaxUint256, alice.address);
+      expect(await aTokenUSDC.balanceOf(alice.address)).to.equal(0n);
+    });
+
+    it("reverts when withdrawing more than the supplied balance", async function () {
+      const { pool, usdc, alice } = await loadFixture(deployProtocolFixture);
+      const usdcAddress = await usdc.getAddress();
+
+      await pool.connect(alice).supply(usdcAddress, usd("1000"), alice.address, 0);
+
+      await expect(
+        pool.connect(alice).withdraw(usdcAddress, usd("1001"), alice.address)
+      ).to.be.revertedWith("INSUFFICIENT_BALANCE");
+    });
+
+    it("refuses a withdrawal that would take the health factor below 1", async function () {
+      const { pool, usdc, usdt, alice } = await loadFixture(deployProtocolFixture);
+      const usdcAddress = await usdc.getAddress();
+
+      await pool.connect(alice).supply(usdcAddress, usd("1000"), alice.address, 0);
+      await pool.connect(alice).borrow(await usdt.getAddress(), usd("850"), 2, 0, alice.address);
+
+      // 944 USDC * 90% = 849.6 < 850 USDT of debt
+      await expect(
+        pool.connect(alice).withdraw(usdcAddress, usd("56"), alice.address)
+      ).to.be.revertedWith("HEALTH_FACTOR_LOWER_THAN_LIQUIDATION_THRESHOLD");
+      await pool.connect(alice).withdraw(usdcAddress, usd("55"), alice.address);
+      expect((await pool.getUserAccountData(alice.address)).healthFactor).to.be.gt(ethers.parseEther("1"));
+    });
+  });
+
+  describe("borrow / repay", function () {
+    it("reverts when borrowing without collateral", async function () {
+      const { pool, usdt, alice } = await loadFixture(deployProtocolFixture);
+
+      await expect(
+        pool.connect(alice).borrow(await usdt.getAddress(), usd("1"), 2, 0, alice.address)
+      ).to.be.revertedWith("COLLATERAL_BALANCE_IS_ZERO");
+    });
+
+    it("only supports the variable rate mode", async function () {
+      const { pool, usdc, usdt, alice } = await loadFixture(deployProtocolFixture);
+
+      await pool.connect(alice).supply(await usdc.getAddress(), usd("1000"), alice.address, 0);
+
+      await expect(
+        pool.connect(alice).borrow(await usdt.getAddress(), usd("100"), 1, 0, alice.address)
+      ).to.be.revertedWith("INVALID_INTEREST_RATE_MODE_SELECTED");
+    });
+
+    it("reports account data in bps and the health factor in wad", async function () {
+      const { pool, usdc, usdt, alice } = await loadFixture(deployProtocolFixture);
+
+      await pool.connect(alice).supply(await usdc.getAddress(), usd("1000"), alice.address, 0);
+      await pool.connect(alice).borrow(await usdt.getAddress(), usd("500"), 2, 0, alice.address);
+
+      const data = await pool.getUserAccountData(alice.address);
+      expect(data.totalCollateralBase).to.equal(base("1000"));
+      expect(data.totalDebtBase).to.equal(base("500"));
+      expect(data.ltv).to.equal(8500n);
+      expect(data.currentLiquidationThreshold).to.equal(9000n);
+      expect(data.availableBorrowsBase).to.equal(base("350"));
+      // 1000 * 90% / 500
+      expect(data.healthFactor).to.equal(ethers.parseEther("1.8"));
+    });
+
+    it("refuses to borrow once the health factor is at or below 1", async function () {
+      const { pool, priceOracle, usdc, usdt, alice } = await loadFixture(deployProtocolFixture);
+      const usdtAddress = await usdt.getAddress();
+
+      await pool.connect(alice).supply(await usdc.getAddress(), usd("1000"), alice.address, 0);
+      await pool.connect(alice).borrow(usdtAddress, usd("850"), 2, 0, alice.address);
+      // 1000 USDC at 0.94 * 90% = 846 < 850 USDT of debt
+      await setPrice(priceOracle, await usdc.getAddress(), "0.94");
+
+      await expect(
+        pool.connect(alice).borrow(usdtAddress, usd("1"), 2, 0, alice.address)
+      ).to.be.revertedWith("HEALTH_FACTOR_LOWER_THAN_LIQUIDATION_THRESHOLD");
+    });
+
+    it("refuses a borrow that would take the debt over the collateral's LTV", async function () {
+      const { pool, usdc, usdt, alice } = await loadFixture(deployProtocolFixture);
+      const usdtAddress = await usdt.getAddress();
+
+      await pool.connect(alice).supply(await usdc.getAddress(), usd("1000"), alice.address, 0);
+      // Within the 90% liquidation threshold, but over the 85% LTV
+      await expect(
+        pool.connect(alice).borrow(usdtAddress, usd("851"), 2, 0, alice.address)
+      ).to.be.revertedWith("COLLATERAL_CANNOT_COVER_NEW_BORROW");
+      await pool.connect(alice).borrow(usdtAddress, usd("850"), 2, 0, alice.address);
+      expect((await pool.getUserAccountData(alice.address)).availableBorrowsBase).to.equal(0n);
+    });
+
+    it("burns debt on repay, capped to the outstanding debt", async function () {
+      const { pool, usdc, usdt, variableDebtTokenUSDT, alice } = await loadFixture(deployProtocolFixture);
+      const usdtAddress = await usdt.getAddress();
+
+      await pool.connect(alice).supply(await usdc.getAddress(), usd("1000"), alice.address, 0);
+      await pool.connect(alice).borrow(usdtAddress, usd("500"), 2, 0, alice.address);
+
+      await expect(pool.connect(alice).repay(usdtAddress, usd("200"), 2, alice.address))
+        .to.emit(pool, "Repay")
+        .withArgs(usdtAddress, alice.address, alice.address, usd("200"));
+
+      await expect(
+        pool.connect(alice).repay(usdtAddress, usd("1000"), 2, alice.address)
+      ).to.be.revertedWith("INSUFFICIENT_DEBT");
+
+      await pool.connect(alice).repay(usdtAddress, ethers.MaxUint256, 2, alice.address);
+      expect(await variableDebtTokenUSDT.scaledBalanceOf(alice.address)).to.equal(0n);
+    });
+  });
+
+  describe("interest accrual", function () {
+    it("grows the indexes by the reserve rates over time", async function () {
+      const { pool, usdc, usdt, alice, bob } = await loadFixture(deployProtocolFixture);
+      const usdtAddress = await usdt.getAddress();
+
+      await pool.connect(alice).supply(await usdc.getAddress(), usd("100000"), alice.address, 0);
+      await pool.connect(alice).borrow(usdtAddress, usd("80000"), 2, 0, alice.address);
+
+      // Rates are refreshed on the next action on the reserve
+      await pool.connect(bob).supply(usdtAddress, usd("1"), bob.address, 0);
+      const before = await pool.getReserveData(usdtAddress);
+      expect(before.currentVariableBorrowRate).to.be.gt(0n);
+      expect(before.currentLiquidityRate).to.be.gt(0n);
+      expect(before.currentLiquidityRate).to.be.lt(before.currentVariableBorrowRate);
+
+      await time.increase(SECONDS_PER_YEAR - 1n);
+      await pool.connect(bob).supply(usdtAddress, usd("1"), bob.address, 0);
+      const after = await pool.getReserveData(usdtAddress);
+
+      const elapsed = after.lastUpdateTimestamp - before.lastUpdateTimestamp;
+      expect(elapsed).to.equal(SECONDS_PER_YEAR);
+
+      // The supply of 1 USDT barely moves utilization, so the rates stay the same for the period
+      expect(after.variableBorrowIndex).to.be.closeTo(
+        rayMul(before.variableBorrowIndex, RAY + (before.currentVariableBorrowRate * elapsed) / SECONDS_PER_YEAR),
+        RAY / 10n ** 6n
+      );
+      expect(after.liquidityIndex).to.be.closeTo(
+        rayMul(before.liquidityIndex, RAY + (before.currentLiquidityRate * elapsed) / SECONDS_PER_YEAR),
+        RAY / 10n ** 6n
+      );
+
+      // Debt grows with the borrow index
+      const { totalDebtBase } = await pool.getUserAccountData(alice.address);
+      expect(totalDebtBase).to.be.gt(usd("80000"));
+    });
+
+    it("reports the indexes accrued up to the current block, as the next update stores them", async function () {
+      const { pool, usdc, usdt, alice, bob } = await loadFixture(deployProtocolFixture);
+      const usdtAddress = await usdt.getAddress();
+
+      await pool.connect(alice).supply(await usdc.getAddress(), usd("100000"), alice.address, 0);
+      await pool.connect(alice).borrow(usdtAddress, usd("80000"), 2, 0, alice.address);
+      await time.increase(30n * 24n * 60n * 60n);
+
+      const stored = await pool.getReserveData(usdtAddress);
+      const income = await pool.getReserveNormalizedIncome(usdtAddress);
+      const debt = await pool.getReserveNormalizedVariableDebt(usdtAddress);
+      expect(income).to.be.gt(stored.liquidityIndex);
+      expect(debt).to.be.gt(stored.variableBorrowIndex);
+
+      // Mined in the next block, so the update stores a second more of interest
+      await time.setNextBlockTimestamp((await time.latest()) + 1);
+      await pool.connect(bob).supply(usdtAddress, usd("1"), bob.address, 0);
+      const after = await pool.getReserveData(usdtAddress);
+      expect(after.liquidityIndex).to.be.closeTo(income, RAY / 10n ** 9n);
+      expect(after.variableBorrowIndex).to.be.closeTo(debt, RAY / 10n ** 9n);
+      expect(await pool.getReserveNormalizedIncome(usdtAddress)).to.equal(after.liquidityIndex);
+      expect(await pool.getReserveNormalizedVariableDebt(usdtAddress)).to.equal(after.variableBorrowIndex);
+    });
+
+    it("uses the second slope above the optimal utilization", async function () {
+      const { interestRateStrategy } = await loadFixture(deployProtocolFixture);
+      const ray = (value) => ethers.parseUnits(value, 27);
+
+      const [, atOptimal] = await interestRateStrategy.calculateInterestRates(ray("0.8"));
+      const [, full] = await interestRateStrategy.calculateInterestRates(ray("1"));
+
+      // base + slope1
+      expect(atOptimal).to.equal(ray("0.05"));
+      // base + slope1 + slope2
+      expect(full).to.equal(ray("0.8"));
+    });
+  });
+  describe("reserve factor", function () {
+    it("accrues the reserve factor share of the interest to the treasury", async function () {
+      const { pool, addressesProvider, usdc, usdt, aTokenUSDT, variableDebtTokenUSDT, deployer, alice, bob } =
+        await loadFixture(deployProtocolFixture);
+      const usdtAddress = await usdt.getAddress();
+
+      expect(await addressesProvider.getTreasury()).to.equal(deployer.address);
+
+      await pool.connect(alice).supply(await usdc.getAddress(), usd("100000"), alice.address, 0);
+      await pool.connect(alice).borrow(usdtAddress, usd("80000"), 2, 0, alice.address);
+      const before = await pool.getReserveData(usdtAddress);
+
+      await time.increase(SECONDS_PER_YEAR);
+      await pool.connect(bob).supply(usdtAddress, usd("1"), bob.address, 0);
+      const after = await pool.getReserveData(usdtAddress);
+
+      // Token supplies are scaled by the reserve indexes
+      const scaledDebt = await variableDebtTokenUSDT.totalSupply();
+      const interest = rayMul(scaledDebt, after.variableBorrowIndex) - rayMul(scaledDebt, before.variableBorrowIndex);
+      const accrued = rayMul(after.accruedToTreasury, after.liquidityIndex);
+
+      // 10% reserve factor
+      expect(accrued).to.be.closeTo(interest / 10n, 2n);
+
+      const treasuryBefore = await aTokenUSDT.balanceOf(deployer.address);
+      await expect(pool.connect(bob).mintToTreasury([usdtAddress]))
+        .to.emit(pool, "MintedToTreasury")
+        .withArgs(usdtAddress, accrued);
+      expect((await pool.getReserveData(usdtAddress)).accruedToTreasury).to.equal(0n);
+      expect(await aTokenUSDT.balanceOf(deployer.address)).to.equal(treasuryBefore + after.accruedToTreasury);
+
+      // Suppliers and the treasury together are owed no more than the pool holds plus what it is owed, up to
+      // ray rounding
+      const owed =
+        (await usdt.balanceOf(await pool.getAddress())) + rayMul(scaledDebt, after.variableBorrowIndex);
+      expect(rayMul(await aTokenUSDT.totalSupply(), after.liquidityIndex)).to.be.lte(owed + 2n);
+    });
+
+    it("pays suppliers the borrow interest net of the reserve factor", async function () {
+      const { pool, usdc, usdt, aTokenUSDT, variableDebtTokenUSDT, alice, bob } = await loadFixture(deployProtocolFixture);
+      const usdtAddress = await usdt.getAddress();
+
+      await pool.connect(alice).supply(await usdc.getAddress(), usd("100000"), alice.address, 0);
+      await pool.connect(alice).borrow(usdtAddress, usd("80000"), 2, 0, alice.address);
+      await pool.connect(bob).supply(usdtAddress, usd("1"), bob.address, 0);
+
+      const { currentLiquidityRate, currentVariableBorrowRate } = await pool.getReserveData(usdtAddress);
+      const utilization = ((await variableDebtTokenUSDT.totalSupply()) * RAY) / (await aTokenUSDT.totalSupply());
+
+      // 90% of the borrow interest, spread over the supply
+      const expected = (rayMul(currentVariableBorrowRate, utilization) * 9000n) / 10000n;
+      expect(currentLiquidityRate).to.be.closeTo(expected, expected / 10000n);
+    });
+
+    it("only lets the configurator change reserves", async function () {
+      const { pool, usdc, interestRateStrategy } = await loadFixture(deployProtocolFixture);
+      const usdcAddress = await usdc.getAddress();
+
+      const { data } = await pool.getConfiguration(usdcAddress);
+      await expect(pool.setConfiguration(usdcAddress, { data })).to.be.revertedWith("CALLER_NOT_POOL_CONFIGURATOR");
+      await expect(
+        pool.setReserveInterestRateStrategyAddress(usdcAddress, await interestRateStrategy.getAddress())
+      ).to.be.revertedWith("CALLER_NOT_POOL_CONFIGURATOR");
+    });
+  });
+
+  describe("price oracle", function () {
+    it("is registered in the PoolAddressesProvider by its owner", async function () {
+      const { addressesProvider, priceOracle, alice } = await loadFixture(deployProtocolFixture);
+
+      expect(await addressesProvider.getPriceOracle()).to.equal(await priceOracle.getAddress());
+      await expect(addressesProvider.connect(alice).setPriceOracle(alice.address))
+        .to.be.revertedWithCustomError(addressesProvider, "OwnableUnauthorizedAccount")
+        .withArgs(alice.address);
+      await expect(addressesProvider.setPriceOracle(alice.address))
+        .to.emit(addressesProvider, "PriceOracleUpdated")
+        .withArgs(alice.address);
+    });
+
+    it("values collateral and debt at oracle prices", async function () {
+      const { pool, priceOracle, usdc, usdt, alice } = await loadFixture(deployProtocolFixture);
+
+      await pool.connect(alice).supply(await usdc.getAddress(), usd("1000"), alice.address, 0);
+      await pool.connect(alice).borrow(await usdt.getAddress(), usd("500"), 2, 0, alice.address);
+      await setPrice(priceOracle, await usdc.getAddress(), "0.9");
+      await setPrice(priceOracle, await usdt.getAddress(), "1.02");
+
+      const data = await pool.getUserAccountData(alice.address);
+      expect(data.totalCollateralBase).to.equal(base("900"));
+      // With the interest of the blocks since the borrow
+      expect(data.totalDebtBase).to.be.closeTo(base("510"), base("0.01"));
+      // 900 * 90% / debt
+      expect(data.healthFactor).to.equal(wadDiv(base("810"), data.totalDebtBase));
+    });
+
+    it("normalizes reserves with different decimals into the base currency", async function () {
+      const { pool, priceOracle, usdc, usdt, interestRateStrategy, alice } = await loadFixture(deployProtocolFixture);
+      const poolAddress = await pool.getAddress();
+
+      const dai = await ethers.deployContract("MockERC20", ["Dai Stablecoin", "DAI", 18]);
+      const daiAddress = await dai.getAddress();
+      const aToken = await ethers.deployContract("AToken", [poolAddress, daiAddress, "Aave DAI", "aDAI"]);
+      const debtToken = await ethers.deployContract("VariableDebtToken", [poolAddress, daiAddress, "Variable Debt DAI", "variableDebtDAI"]);
+      await pool.initReserve(
+        daiAddress,
+        await aToken.getAddress(),
+        await debtToken.getAddress(),
+        await interestRateStrategy.getAddress(),
+        encodeReserveConfig({ ltv: 8000, liquidationThreshold: 8500, liquidationBonus: 500, decimals: 18, reserveFactor: 1000 })
+      );
+      await setPrice(priceOracle, daiAddress, "1");
+
+      await dai.mint(alice.address, ethers.parseEther("1000"));
+      await dai.connect(alice).approve(poolAddress, ethers.MaxUint256);
+      await pool.connect(alice).supply(daiAddress, ethers.parseEther("1000"), alice.address, 0);
+      await pool.connect(alice).supply(await usdc.getAddress(), usd("1000"), alice.address, 0);
+      await pool.connect(alice).borrow(await usdt.getAddress(), usd("100"), 2, 0, alice.address);
+
+      const data = await pool.getUserAccountData(alice.address);
+      expect(data.totalCollateralBase).to.equal(base("2000"));
+      expect(data.totalDebtBase).to.equal(base("100"));
+      // Weighted by value: (8000 + 8500) / 2 and (8500 + 9000) / 2
+      expect(data.ltv).to.equal(8250n);
+      expect(data.currentLiquidationThreshold).to.equal(8750n);
+    });
+
+    it("makes a price drop liquidatable and pays the bonus at oracle prices", async function () {
+      const { pool, priceOracle, usdc, usdt, alice, bob } = await loadFixture(borrowerFixture);
+      const usdcAddress = await usdc.getAddress();
+
+      // 10000 USDC at 0.94 * 90% = 8460 < 8500 USDT of debt
+      await setPrice(priceOracle, usdcAddress, "0.94");
+      expect((await pool.getUserAccountData(alice.address)).healthFactor).to.be.lt(ethers.parseEther("1"));
+
+      await expect(pool.connect(bob).liquidationCall(usdcAddress, await usdt.getAddress(), alice.address, usd("1000"), false))
+        .to.emit(pool, "LiquidationCall")
+        // 1000 USDT buys 1000 / 0.94 USDC, plus the 5% bonus
+        .withArgs(usdcAddress, await usdt.getAddress(), alice.address, usd("1000"), ((usd("1000") * 100n) / 94n * 10500n + 5000n) / 10000n, bob.address, false);
+    });
+
+    it("refuses to liquidate against an unpriced asset", async function () {
+      const { pool, priceOracle, usdc, usdt, alice, bob } = await loadFixture(borrowerFixture);
+      const usdcAddress = await usdc.getAddress();
+
+      // A missing price values the collateral at 0, so the account looks liquidatable
+      await setPrice(priceOracle, usdcAddress, 0n);
+
+      await expect(
+        pool.connect(bob).liquidationCall(usdcAddress, await usdt.getAddress(), alice.address, usd("100"), false)
+      ).to.be.revertedWith("INVALID_ASSET_PRICE");
+    });
+  });
+
+  describe("liquidationCall", function () {
+    // Lets interest accrue, then touches the USDT reserve so the new debt index is stored
+    async function accrue(fixture, duration) {
+      await time.increase(duration);
+      await fixture.pool.connect(fixture.bob).supply(await fixture.usdt.getAddress(), 1n, fixture.bob.address, 0);
+    }
+
+    async function debtOf(fixture, user) {
+      const usdtAddress = await fixture.usdt.getAddress();
+      const { variableBorrowIndex } = await fixture.pool.getReserveData(usdtAddress);
+      return fixture.variableDebtTokenUSDT["balanceOf(address,uint256)"](user, variableBorrowIndex);
+    }
+
+    it("reverts while the health factor is at or above 1", async function () {
+      const { pool, usdc, usdt, alice, bob } = await loadFixture(borrowerFixture);
+
+      await expect(
+        pool.connect(bob).liquidationCall(await usdc.getAddress(), await usdt.getAddress(), alice.address, usd("100"), false)
+      ).to.be.revertedWith("HEALTH_FACTOR_NOT_BELOW_THRESHOLD");
+    });
+
+    it("repays up to the close factor and pays the collateral plus the bonus", async function () {
+      const fixture = await loadFixture(borrowerFixture);
+      const { pool, usdc, usdt, alice, bob, poolAddress } = fixture;
+      const usdcAddress = await usdc.getAddress();
+      const usdtAddress = await usdt.getAddress();
+
+      await accrue(fixture, 2 * 365 * 24 * 60 * 60);
+      const { healthFactor } = await pool.getUserAccountData(alice.address);
+      expect(healthFactor).to.be.lt(ethers.parseEther("1")).and.gt(ethers.parseEther("0.95"));
+
+      // Asking for everything is capped at 50% of the debt
+      const debtBefore = await debtOf(fixture, alice.address);
+      const tx = pool.connect(bob).liquidationCall(usdcAddress, usdtAddress, alice.address, ethers.MaxUint256, false);
+      await expect(tx).to.emit(pool, "LiquidationCall");
+
+      const receipt = await (await tx).wait();
+      const event = receipt.logs.map((log) => pool.interface.parseLog(log)).find((e) => e && e.name === "LiquidationCall");
+      const { debtToCover, liquidatedCollateralAmount } = event.args;
+
+      expect(debtToCover).to.be.closeTo(debtBefore / 2n, usd("0.01"));
+      // At 0.95 a USDC, plus the 5% bonus
+      expect(liquidatedCollateralAmount).to.equal((((debtToCover * 100n) / 95n) * 10500n + 5000n) / 10000n);
+      await expect(tx).to.changeTokenBalances(usdc, [bob, poolAddress], [liquidatedCollateralAmount, -liquidatedCollateralAmount]);
+      await expect(tx).to.changeTokenBalances(usdt, [bob, poolAddress], [-debtToCover, debtToCover]);
+
+      expect(await debtOf(fixture, alice.address)).to.be.closeTo(debtBefore - debtToCover, usd("0.01"));
+      expect((await pool.getUserAccountData(alice.address)).healthFactor).to.be.gt(healthFactor);
+    });
+
+    it("can pay out the collateral as aTokens", async function () {
+      const fixture = await loadFixture(borrowerFixture);
+      const { pool, usdc, usdt, aTokenUSDC, alice, bob } = fixture;
+
+      await accrue(fixture, 2 * 365 * 24 * 60 * 60);
+      const aliceScaled = await aTokenUSDC.balanceOf(alice.address);
+
+      await pool.connect(bob).liquidationCall(await usdc.getAddress(), await usdt.getAddress(), alice.address, usd("1000"), true);
+
+      const { liquidityIndex } = await pool.getReserveData(await usdc.getAddress());
+      const received = await aTokenUSDC.balanceOf(bob.address);
+      expect(rayMul(received, liquidityIndex)).to.be.closeTo((((usd("1000") * 100n) / 95n) * 10500n) / 10000n, 1n);
+      expect(await aTokenUSDC.balanceOf(alice.address)).to.equal(aliceScaled - received);
+    });
+
+    it("allows a full liquidation below CLOSE_FACTOR_HF_THRESHOLD, capped by the collateral", async function () {
+      const fixture = await loadFixture(borrowerFixture);
+      const { pool, usdc, usdt, aTokenUSDC, alice, bob } = fixture;
+
+      await accrue(fixture, 10 * 365 * 24 * 60 * 60);
+      const { healthFactor } = await pool.getUserAccountData(alice.address);
+      expect(healthFactor).to.be.lt(await pool.CLOSE_FACTOR_HF_THRESHOLD());
+
+      const debtBefore = await debtOf(fixture, alice.address);
+      await pool.connect(bob).liquidationCall(await usdc.getAddress(), await usdt.getAddress(), alice.address, ethers.MaxUint256, false);
+
+      // The debt plus bonus is worth more than the 10000 USDC (9500 USD) of collateral: all of it is seized
+      expect(await aTokenUSDC.balanceOf(alice.address)).to.equal(0n);
+      const repaid = debtBefore - (await debtOf(fixture, alice.address));
+      expect(repaid).to.be.closeTo((usd("9500") * 10000n) / 10500n, usd("0.01"));
+    });
+
+    it("reverts for an asset the user did not borrow", async function () {
+      const fixture = await loadFixture(borrowerFixture);
+      const { pool, usdc, alice, bob } = fixture;
+      const usdcAddress = await usdc.getAddress();
+
+      await accrue(fixture, 2 * 365 * 24 * 60 * 60);
+
+      await expect(
+        pool.connect(bob).liquidationCall(usdcAddress, usdcAddress, alice.address, usd("100"), false)
+      ).to.be.revertedWith("SPECIFIED_CURRENCY_NOT_BORROWED_BY_USER");
+    });
+  });
+
+  describe("flash loans", function () {
+    // Value of everything supplied to a reserve, at its liquidity index
+    const suppliedValue = async (pool, aToken, asset) =>
+      rayMul(await aToken.totalSupply(), (await pool.getReserveData(asset)).liquidityIndex);
+
+    it("lends reserve liquidity for FLASHLOAN_PREMIUM_TOTAL", async function () {
+      const { pool, poolAddress, usdc, receiver, receiverAddress } = await loadFixture(flashLoanReceiverFixture);
+      const usdcAddress = await usdc.getAddress();
+
+      expect(await pool.FLASHLOAN_PREMIUM_TOTAL()).to.equal(9n);
+
+      const tx = receiver.executePoolFlashLoanSimple(usdcAddress, usd("100000"), "0x");
+      await expect(tx)
+        .to.emit(pool, "FlashLoan")
+        .withArgs(receiverAddress, receiverAddress, usdcAddress, usd("100000"), 0, usd("90"), 0);
+      await expect(tx).to.changeTokenBalances(usdc, [poolAddress, receiverAddress], [usd("90"), -usd("90")]);
+      expect(await usdc.allowance(receiverAddress, poolAddress)).to.equal(0n);
+    });
+
+    it("adds the premium to the liquidity index", async function () {
+      const { pool, usdc, aTokenUSDC, receiver, deployer, alice } = await loadFixture(flashLoanReceiverFixture);
+      const usdcAddress = await usdc.getAddress();
+      await pool.connect(alice).supply(usdcAddress, usd("100000"), alice.address, 0);
+
+      const before = await suppliedValue(pool, aTokenUSDC, usdcAddress);
+      const aliceBefore = await aTokenUSDC.balanceOf(alice.address);
+      await receiver.executePoolFlashLoanSimple(usdcAddress, usd("100000"), "0x");
+
+      // Nothing is borrowed, so the premium is all the reserve earned, shared pro rata by the 500000 seed and
+      // alice's 100000
+      expect(await suppliedValue(pool, aTokenUSDC, usdcAddress)).to.be.closeTo(before + usd("90"), 1n);
+      const { liquidityIndex } = await pool.getReserveData(usdcAddress);
+      expect(rayMul(aliceBefore, liquidityIndex)).to.be.closeTo(usd("100015"), 1n);
+      expect(rayMul(await aTokenUSDC.balanceOf(deployer.address), liquidityIndex)).to.be.closeTo(usd("500075"), 1n);
+    });
+
+    it("lends several assets at once", async function () {
+      const { pool, poolAddress, usdc, usdt, receiver, receiverAddress } = await loadFixture(flashLoanReceiverFixture);
+      const assets = [await usdc.getAddress(), await usdt.getAddress()];
+
+      const tx = receiver.executePoolFlashLoan(assets, [usd("10000"), usd("20000")], [0, 0], "0x");
+      await expect(tx)
+        .to.emit(pool, "FlashLoan")
+        .withArgs(receiverAddress, receiverAddress, assets[1], usd("20000"), 0, usd("18"), 0);
+      await expect(tx).to.changeTokenBalances(usdc, [poolAddress, receiverAddress], [usd("9"), -usd("9")]);
+      await expect(tx).to.changeTokenBalances(usdt, [poolAddress, receiverAddress], [usd("18"), -usd("18")]);
+    });
+
+    it("keeps an amount as variable debt of the initiator with interest rate mode 2", async function () {
+      const { pool, poolAddress, usdc, usdt, variableDebtTokenUSDT, receiver, receiverAddress } =
+        await loadFixture(flashLoanReceiverFixture);
+      const usdcAddress = await usdc.getAddress();
+      const usdtAddress = await usdt.getAddress();
+
+      // No collateral yet
+      await expect(
+        receiver.executePoolFlashLoan([usdtAddress], [usd("1000")], [2], "0x")
+      ).to.be.revertedWith("COLLATERAL_BALANCE_IS_ZERO");
+
+      await usdc.approve(poolAddress, ethers.MaxUint256);
+      await pool.supply(usdcAddress, usd("10000"), receiverAddress, 0);
+
+      const tx = receiver.executePoolFlashLoan([usdcAddress, usdtAddress], [usd("5000"), usd("8000")], [0, 2], "0x");
+      await expect(tx)
+        .to.emit(pool, "FlashLoan")
+        .withArgs(receiverAddress, receiverAddress, usdtAddress, usd("8000"), 2, 0, 0);
+      await expect(tx)
+        .to.emit(pool, "Borrow")
+        .withArgs(usdtAddress, receiverAddress, receiverAddress, usd("8000"), 2, 0);
+      await expect(tx).to.changeTokenBalances(usdt, [poolAddress, receiverAddress], [-usd("8000"), usd("8000")]);
+
+      const { variableBorrowIndex } = await pool.getReserveData(usdtAddress);
+      expect(rayMul(await variableDebtTokenUSDT.balanceOf(receiverAddress), variableBorrowIndex)).to.be.closeTo(
+        usd("8000"),
+        1n
+      );
+
+      // The position has to stay healthy with the new debt
+      await expect(
+        receiver.executePoolFlashLoan([usdtAddress], [usd("1500")], [2], "0x")
+      ).to.be.revertedWith("HEALTH_FACTOR_LOWER_THAN_LIQUIDATION_THRESHOLD");
+    });
+
+    it("only opens debt for the initiator", async function () {
+      const { pool, usdt, receiverAddress, alice, bob } = await loadFixture(flashLoanReceiverFixture);
+
+      await expect(
+        pool
+          .connect(alice)
+          .flashLoan(receiverAddress, [await usdt.getAddress()], [usd("1")], [2], bob.address, "0x", 0)
+      ).to.be.revertedWith("CREDIT_DELEGATION_NOT_SUPPORTED");
+      await expect(
+        pool
+          .connect(alice)
+          .flashLoan(receiverAddress, [await usdt.getAddress()], [usd("1")], [1], alice.address, "0x", 0)
+      ).to.be.revertedWith("INVALID_INTEREST_RATE_MODE_SELECTED");
+      await expect(
+        pool.connect(alice).flashLoan(receiverAddress, [await usdt.getAddress()], [usd("1")], [], alice.address, "0x", 0)
+      ).to.be.revertedWith("INCONSISTENT_FLASHLOAN_PARAMS");
+    });
+
+    it("reverts when the receiver does not pay back or reports failure", async function () {
+      const { poolAddress, usdc, mockReceiver, receiver } = await loadFixture(flashLoanReceiverFixture);
+      const usdcAddress = await usdc.getAddress();
+
+      await mockReceiver.setShortfall(1);
+      await expect(mockReceiver.executePoolFlashLoanSimple(usdcAddress, usd("10000"), "0x"))
+        .to.be.revertedWithCustomError(usdc, "ERC20InsufficientAllowance")
+        .withArgs(poolAddress, usd("10009") - 1n, usd("10009"));
+
+      await mockReceiver.setShortfall(0);
+      await mockReceiver.setCallbackResult(false);
+      await expect(mockReceiver.executePoolFlashLoanSimple(usdcAddress, usd("10000"), "0x")).to.be.revertedWith(
+        "INVALID_FLASHLOAN_EXECUTOR_RETURN"
+      );
+
+      await expect(receiver.executePoolFlashLoanSimple(usdcAddress, usd("500001"), "0x")).to.be.revertedWith(
+        "NOT_ENOUGH_AVAILABLE_USER_BALANCE"
+      );
+      await expect(receiver.executePoolFlashLoanSimple(usdcAddress, 0, "0x")).to.be.revertedWith("INVALID_AMOUNT");
+    });
+
+    it("only lets ExampleFlashLoanReceiver be called back by the Pool for its own loans", async function () {
+      const { pool, usdc, receiver, receiverAddress, alice } = await loadFixture(flashLoanReceiverFixture);
+      const usdcAddress = await usdc.getAddress();
+
+      await expect(
+        receiver["executeOperation(address,uint256,uint256,address,bytes)"](usdcAddress, usd("1"), 0, alice.address, "0x")
+      ).to.be.revertedWith("ExampleFlashLoanReceiver: invalid caller");
+      await expect(
+        pool.connect(alice).flashLoanSimple(receiverAddress, usdcAddress, usd("1"), "0x", 0)
+      ).to.be.revertedWith("ExampleFlashLoanReceiver: invalid initiator");
+    });
+  });
+});
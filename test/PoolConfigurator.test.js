@@ -0,0 +1,190 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { usd, deployProtocolFixture } = require("./fixtures");
+const { decodeReserveConfig } = require("../scripts/lib/reserveConfig");
+
+describe("PoolConfigurator", function () {
+  const configOf = async (pool, asset) => decodeReserveConfig((await pool.getConfiguration(asset)).data);
+
+  it("is registered in the PoolAddressesProvider and only serves the pool admin", async function () {
+    const { addressesProvider, poolConfigurator, usdc, alice } = await loadFixture(deployProtocolFixture);
+
+    expect(await addressesProvider.getPoolConfigurator()).to.equal(await poolConfigurator.getAddress());
+    await expect(
+      poolConfigurator.connect(alice).setReserveFreeze(await usdc.getAddress(), true)
+    ).to.be.revertedWith("CALLER_NOT_POOL_ADMIN");
+    await expect(addressesProvider.connect(alice).setPoolConfigurator(alice.address))
+      .to.be.revertedWithCustomError(addressesProvider, "OwnableUnauthorizedAccount")
+      .withArgs(alice.address);
+    await expect(addressesProvider.connect(alice).setTreasury(alice.address))
+      .to.be.revertedWithCustomError(addressesProvider, "OwnableUnauthorizedAccount")
+      .withArgs(alice.address);
+  });
+
+  it("updates the collateral parameters, keeping the rest of the configuration", async function () {
+    const { pool, poolConfigurator, usdc } = await loadFixture(deployProtocolFixture);
+    const usdcAddress = await usdc.getAddress();
+
+    await expect(poolConfigurator.configureReserveAsCollateral(usdcAddress, 7500, 8000, 1000))
+      .to.emit(poolConfigurator, "CollateralConfigurationChanged")
+      .withArgs(usdcAddress, 7500, 8000, 1000);
+
+    expect(await configOf(pool, usdcAddress)).to.deep.equal({
+      ltv: 7500,
+      liquidationThreshold: 8000,
+      liquidationBonus: 1000,
+      decimals: 6,
+      active: true,
+      frozen: false,
+      borrowingEnabled: true,
+      reserveFactor: 1000,
+    });
+  });
+
+  it("rejects collateral parameters that cannot be liquidated safely", async function () {
+    const { poolConfigurator, usdc } = await loadFixture(deployProtocolFixture);
+    const usdcAddress = await usdc.getAddress();
+
+    // LTV above the threshold
+    await expect(poolConfigurator.configureReserveAsCollateral(usdcAddress, 9000, 8500, 500)).to.be.revertedWith(
+      "INVALID_RESERVE_PARAMS"
+    );
+    // Threshold plus bonus above 100%
+    await expect(poolConfigurator.configureReserveAsCollateral(usdcAddress, 9000, 9600, 500)).to.be.revertedWith(
+      "INVALID_RESERVE_PARAMS"
+    );
+    // A bonus on a reserve that is not collateral
+    await expect(poolConfigurator.configureReserveAsCollateral(usdcAddress, 0, 0, 500)).to.be.revertedWith(
+      "INVALID_RESERVE_PARAMS"
+    );
+    await expect(poolConfigurator.setReserveFactor(usdcAddress, 10001)).to.be.revertedWith("INVALID_RESERVE_FACTOR");
+    await expect(poolConfigurator.setReserveFreeze(ethers.Wallet.createRandom().address, true)).to.be.revertedWith(
+      "RESERVE_NOT_INITIALIZED"
+    );
+  });
+
+  it("blocks supply and borrow on a frozen reserve while withdraw and repay go through", async function () {
+    const { pool, poolConfigurator, usdc, usdt, alice } = await loadFixture(deployProtocolFixture);
+    const usdcAddress = await usdc.getAddress();
+    const usdtAddress = await usdt.getAddress();
+
+    await pool.connect(alice).supply(usdcAddress, usd("10000"), alice.address, 0);
+    await pool.connect(alice).borrow(usdtAddress, usd("1000"), 2, 0, alice.address);
+
+    await expect(poolConfigurator.setReserveFreeze(usdtAddress, true))
+      .to.emit(poolConfigurator, "ReserveFrozen")
+      .withArgs(usdtAddress, true);
+    await poolConfigurator.setReserveFreeze(usdcAddress, true);
+
+    await expect(pool.connect(alice).supply(usdcAddress, usd("1"), alice.address, 0)).to.be.revertedWith(
+      "RESERVE_FROZEN"
+    );
+    await expect(pool.connect(alice).borrow(usdtAddress, usd("1"), 2, 0, alice.address)).to.be.revertedWith(
+      "RESERVE_FROZEN"
+    );
+
+    await pool.connect(alice).repay(usdtAddress, usd("500"), 2, alice.address);
+    await pool.connect(alice).withdraw(usdcAddress, usd("1000"), alice.address);
+
+    await poolConfigurator.setReserveFreeze(usdtAddress, false);
+    await pool.connect(alice).borrow(usdtAddress, usd("1"), 2, 0, alice.address);
+  });
+
+  it("disables borrowing on a reserve", async function () {
+    const { pool, poolConfigurator, usdc, usdt, alice } = await loadFixture(deployProtocolFixture);
+    const usdtAddress = await usdt.getAddress();
+
+    await pool.connect(alice).supply(await usdc.getAddress(), usd("10000"), alice.address, 0);
+    await expect(poolConfigurator.setReserveBorrowing(usdtAddress, false))
+      .to.emit(poolConfigurator, "ReserveBorrowing")
+      .withArgs(usdtAddress, false);
+
+    await expect(pool.connect(alice).borrow(usdtAddress, usd("1"), 2, 0, alice.address)).to.be.revertedWith(
+      "BORROWING_NOT_ENABLED"
+    );
+  });
+
+  it("only deactivates a reserve with no liquidity", async function () {
+    const { pool, poolConfigurator, interestRateStrategy, usdc, deployer } = await loadFixture(deployProtocolFixture);
+    const poolAddress = await pool.getAddress();
+
+    // Seeded on deploy
+    await expect(poolConfigurator.setReserveActive(await usdc.getAddress(), false)).to.be.revertedWith(
+      "RESERVE_LIQUIDITY_NOT_ZERO"
+    );
+
+    const dai = await ethers.deployContract("MockERC20", ["Dai Stablecoin", "DAI", 18]);
+    const daiAddress = await dai.getAddress();
+    const aToken = await ethers.deployContract("AToken", [poolAddress, daiAddress, "Aave DAI", "aDAI"]);
+    const debtToken = await ethers.deployContract("VariableDebtToken", [
+      poolAddress,
+      daiAddress,
+      "Variable Debt DAI",
+      "variableDebtDAI",
+    ]);
+    await pool.initReserve(
+      daiAddress,
+      await aToken.getAddress(),
+      await debtToken.getAddress(),
+      await interestRateStrategy.getAddress(),
+      { data: 0n }
+    );
+
+    await dai.mint(deployer.address, ethers.parseEther("1"));
+    await dai.approve(poolAddress, ethers.MaxUint256);
+    await pool.supply(daiAddress, ethers.parseEther("1"), deployer.address, 0);
+    await expect(poolConfigurator.setReserveActive(daiAddress, false)).to.be.revertedWith("RESERVE_LIQUIDITY_NOT_ZERO");
+
+    await pool.withdraw(daiAddress, ethers.MaxUint256, deployer.address);
+    await expect(poolConfigurator.setReserveActive(daiAddress, false))
+      .to.emit(poolConfigurator, "ReserveActive")
+      .withArgs(daiAddress, false);
+    await expect(pool.supply(daiAddress, 1n, deployer.address, 0)).to.be.revertedWith("RESERVE_NOT_ACTIVE");
+
+    // Reactivating keeps the reserve's slot in the reserves list
+    await poolConfigurator.setReserveActive(daiAddress, true);
+    await pool.supply(daiAddress, 1n, deployer.address, 0);
+    expect(await pool.getReservesList()).to.have.length(3);
+  });
+
+  it("changes the reserve factor and the interest rate strategy, settling rates first", async function () {
+    const { pool, poolConfigurator, interestRateStrategy, usdc, usdt, alice } = await loadFixture(deployProtocolFixture);
+    const usdtAddress = await usdt.getAddress();
+    const ray = (value) => ethers.parseUnits(value, 27);
+
+    await pool.connect(alice).supply(await usdc.getAddress(), usd("100000"), alice.address, 0);
+    await pool.connect(alice).borrow(usdtAddress, usd("80000"), 2, 0, alice.address);
+    const before = await pool.getReserveData(usdtAddress);
+
+    await expect(poolConfigurator.setReserveFactor(usdtAddress, 0))
+      .to.emit(poolConfigurator, "ReserveFactorChanged")
+      .withArgs(usdtAddress, 1000, 0);
+    const noFactor = await pool.getReserveData(usdtAddress);
+    expect(noFactor.currentLiquidityRate).to.be.gt(before.currentLiquidityRate);
+
+    const steeper = await ethers.deployContract("InterestRateStrategy", [ray("0.8"), ray("0.02"), ray("0.08"), ray("1")]);
+    await expect(poolConfigurator.setReserveInterestRateStrategyAddress(usdtAddress, await steeper.getAddress()))
+      .to.emit(poolConfigurator, "ReserveInterestRateStrategyChanged")
+      .withArgs(usdtAddress, await interestRateStrategy.getAddress(), await steeper.getAddress());
+
+    const after = await pool.getReserveData(usdtAddress);
+    expect(after.interestRateStrategyAddress).to.equal(await steeper.getAddress());
+    expect(after.currentVariableBorrowRate).to.be.gt(noFactor.currentVariableBorrowRate);
+  });
+
+  it("updates the flash loan premium", async function () {
+    const { pool, poolConfigurator, alice } = await loadFixture(deployProtocolFixture);
+
+    await expect(poolConfigurator.connect(alice).updateFlashloanPremiumTotal(20)).to.be.revertedWith(
+      "CALLER_NOT_POOL_ADMIN"
+    );
+    await expect(poolConfigurator.updateFlashloanPremiumTotal(10001)).to.be.revertedWith("FLASHLOAN_PREMIUM_INVALID");
+    await expect(pool.updateFlashloanPremium(20)).to.be.revertedWith("CALLER_NOT_POOL_CONFIGURATOR");
+
+    await expect(poolConfigurator.updateFlashloanPremiumTotal(20))
+      .to.emit(poolConfigurator, "FlashloanPremiumTotalUpdated")
+      .withArgs(9, 20);
+    expect(await pool.FLASHLOAN_PREMIUM_TOTAL()).to.equal(20n);
+  });
+});
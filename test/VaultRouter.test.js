@@ -0,0 +1,149 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { usd, deployProtocolFixture } = require("./fixtures");
+const {
+  withSlippage,
+  supportsPermit,
+  signPermit,
+  RouterBatch,
+  buildDeposit,
+  buildRedeem,
+} = require("../scripts/lib/router");
+
+const { ethers } = hre;
+
+describe("VaultRouter", function () {
+  async function routerFixture() {
+    const fixture = await loadFixture(deployProtocolFixture);
+    return { ...fixture, routerAddress: await fixture.router.getAddress() };
+  }
+
+  it("deposits with a permit, loops and reads the position in one transaction", async function () {
+    const { router, routerAddress, vault, usdc, alice } = await routerFixture();
+    const usdcAddress = await usdc.getAddress();
+    expect(await supportsPermit(hre, usdcAddress)).to.equal(true);
+    expect(await usdc.allowance(alice.address, routerAddress)).to.equal(0n);
+
+    // The vault does not lever its first deposit itself
+    const { batch, minShares, permit, approval } = await buildDeposit(hre, {
+      router,
+      vault,
+      signer: alice,
+      assets: usd("10000"),
+      loop: true,
+    });
+    expect(permit).to.include({ token: usdcAddress, value: usd("10000") });
+    expect(approval).to.equal(null);
+    expect(minShares).to.equal(withSlippage(await vault.previewDeposit(usd("10000"))));
+
+    const [, deposit, , status] = await batch.simulate();
+    expect(deposit.method).to.equal("depositWithMinShares");
+    const tx = await batch.send();
+    await expect(tx).to.emit(vault, "Deposit").withArgs(routerAddress, alice.address, usd("10000"), deposit.result[0]);
+    await expect(tx).to.emit(vault, "LoopExecuted");
+
+    expect(await vault.balanceOf(alice.address)).to.equal(deposit.result[0]);
+    expect(status.result.shares).to.equal(deposit.result[0]);
+    expect(status.result.currentLTV).to.be.gt(7000n);
+    expect(status.result.healthFactor).to.be.gt(ethers.parseEther("1"));
+    expect(await usdc.allowance(alice.address, routerAddress)).to.equal(0n);
+    expect(await usdc.balanceOf(routerAddress)).to.equal(0n);
+  });
+
+  it("reverts deposits and redemptions past their slippage bound", async function () {
+    const { router, routerAddress, vault, alice } = await routerFixture();
+    await (await buildDeposit(hre, { router, vault, signer: alice, assets: usd("10000"), loop: true })).batch.send();
+
+    const permit = await signPermit(hre, alice, await vault.asset(), routerAddress, usd("1000"));
+    // A basis point over the preview: the looped position's interest moves the share price between blocks
+    const preview = await vault.previewDeposit(usd("1000"));
+    const tooFew = new RouterBatch(router.connect(alice))
+      .permit(permit)
+      .deposit(vault, usd("1000"), alice, (preview * 10001n) / 10000n);
+    await expect(tooFew.send()).to.be.revertedWith("INSUFFICIENT_SHARES");
+
+    const shares = (await vault.balanceOf(alice.address)) / 2n;
+    await vault.connect(alice).approve(routerAddress, shares);
+    const assets = await vault.previewRedeem(shares);
+    await expect(
+      router.connect(alice).redeemWithMinAssets(await vault.getAddress(), shares, alice.address, assets + 1n)
+    ).to.be.revertedWith("INSUFFICIENT_ASSETS");
+
+    const redeem = await buildRedeem(hre, { router, vault, signer: alice, shares });
+    expect(redeem.approval).to.equal(null);
+    await expect(redeem.batch.send()).to.changeTokenBalance(vault, alice, -shares);
+  });
+
+  it("goes through a permit someone else submitted first, but not without an allowance", async function () {
+    const { router, routerAddress, vault, usdc, alice, bob } = await routerFixture();
+    const usdcAddress = await usdc.getAddress();
+    const permit = await signPermit(hre, alice, usdcAddress, routerAddress, usd("500"));
+
+    // Front-run from the mempool: the nonce is used, but the allowance is there
+    const { value, deadline, v, r, s } = permit;
+    await usdc.connect(bob).permit(alice.address, routerAddress, value, deadline, v, r, s);
+    const batch = new RouterBatch(router.connect(alice)).permit(permit).deposit(vault, usd("500"), alice);
+    await expect(batch.send()).to.changeTokenBalance(usdc, alice, -usd("500"));
+
+    // The same signature again: nonce used and no allowance left
+    await expect(
+      router.connect(alice).selfPermit(usdcAddress, value, deadline, v, r, s)
+    ).to.be.revertedWith("PERMIT_FAILED");
+    const expired = await signPermit(hre, alice, usdcAddress, routerAddress, usd("500"), { deadline: 1 });
+    await expect(new RouterBatch(router.connect(alice)).permit(expired).send()).to.be.revertedWith("PERMIT_FAILED");
+  });
+
+  it("batches Pool supplies and repayments with vault deposits for the sender", async function () {
+    const { router, routerAddress, vault, pool, usdc, usdt, aTokenUSDT, variableDebtTokenUSDC, alice } =
+      await routerFixture();
+    const usdcAddress = await usdc.getAddress();
+    const usdtAddress = await usdt.getAddress();
+    await pool.connect(alice).supply(usdtAddress, usd("20000"), alice.address, 0);
+    await pool.connect(alice).borrow(usdcAddress, usd("5000"), 2, 0, alice.address);
+
+    const usdcPermit = await signPermit(hre, alice, usdcAddress, routerAddress, usd("3000"));
+    const usdtPermit = await signPermit(hre, alice, usdtAddress, routerAddress, usd("1000"));
+    await new RouterBatch(router.connect(alice))
+      .permit(usdcPermit)
+      .permit(usdtPermit)
+      .repay(pool, usdcAddress, usd("2000"))
+      .supply(pool, usdtAddress, usd("1000"))
+      .deposit(vault, usd("1000"), alice)
+      .send();
+
+    // Both read scaled balances, a block of interest away from the amounts
+    expect(await aTokenUSDT.balanceOf(alice.address)).to.be.closeTo(usd("21000"), usd("0.001"));
+    expect(await variableDebtTokenUSDC.balanceOf(alice.address)).to.be.closeTo(usd("3000"), usd("0.001"));
+    expect(await vault.balanceOf(alice.address)).to.be.gt(0n);
+    expect(await aTokenUSDT.balanceOf(routerAddress)).to.equal(0n);
+    await expect(
+      router.connect(alice).repay(await pool.getAddress(), usdcAddress, ethers.MaxUint256)
+    ).to.be.revertedWith("INVALID_AMOUNT");
+  });
+
+  it("only routes allowlisted depositors into an allowlisted vault", async function () {
+    const { router, routerAddress, vault, alice, bob } = await routerFixture();
+    await vault.setAllowlistEnabled(true);
+    await vault.setAllowlist([alice.address, routerAddress], true);
+
+    // The vault only checks the router, which checks its caller
+    const allowed = await buildDeposit(hre, { router, vault, signer: alice, assets: usd("1000") });
+    await expect(allowed.batch.send()).to.emit(vault, "Deposit");
+    const denied = await buildDeposit(hre, { router, vault, signer: bob, assets: usd("1000") });
+    await expect(denied.batch.send()).to.be.revertedWith("NOT_ALLOWLISTED");
+  });
+
+  it("floors amounts by the slippage and encodes contracts as addresses", async function () {
+    const { router, vault, alice } = await routerFixture();
+    expect(withSlippage(10000n)).to.equal(9950n);
+    expect(withSlippage(10000n, 0)).to.equal(10000n);
+    expect(() => withSlippage(10000n, 10001)).to.throw("Invalid slippage 10001 bps");
+
+    const calls = await new RouterBatch(router).loop(vault).status(vault, alice.address).encode();
+    expect(calls).to.deep.equal([
+      router.interface.encodeFunctionData("executeLooping", [await vault.getAddress()]),
+      router.interface.encodeFunctionData("getAccountStatus", [await vault.getAddress(), alice.address]),
+    ]);
+  });
+});
@@ -0,0 +1,90 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployProtocolFixture } = require("./fixtures");
+const {
+  parseAllowlistCsv,
+  loadAllowlistCsv,
+  formatAllowlistCsv,
+  readAllowlist,
+  applyAllowlist,
+} = require("../scripts/lib/allowlist");
+
+const { ethers } = hre;
+
+describe("Allowlist", function () {
+  const accounts = [1, 2, 3, 4].map((i) => ethers.getAddress(`0x${String(i).repeat(40)}`));
+
+  it("parses a CSV with a header, comments and allowed values", function () {
+    const csv = [
+      "address,allowed",
+      "# KYC batch 1",
+      `${accounts[0].toLowerCase()}`,
+      `${accounts[1]}, yes`,
+      "",
+      `${accounts[2]},deny`,
+      `${accounts[0]},TRUE`,
+    ].join("\r\n");
+
+    expect(parseAllowlistCsv(csv)).to.deep.equal([
+      { address: accounts[0], allowed: true },
+      { address: accounts[1], allowed: true },
+      { address: accounts[2], allowed: false },
+    ]);
+  });
+
+  it("rejects rows it cannot read, with their line number", function () {
+    expect(() => parseAllowlistCsv("address\n0x1234")).to.throw("Allowlist line 2: invalid address 0x1234");
+    expect(() => parseAllowlistCsv(`${accounts[0]},maybe`)).to.throw("invalid allowed value maybe");
+    expect(() => parseAllowlistCsv(`${accounts[0]},true,kyc`)).to.throw("expected address[,allowed]");
+    expect(() => parseAllowlistCsv(`${accounts[0]}\n${accounts[0]},false`)).to.throw(
+      `Allowlist line 2: ${accounts[0]} is listed as both allowed and not allowed`
+    );
+  });
+
+  it("writes allowlists back in the format it reads", function () {
+    const file = path.join(os.tmpdir(), `allowlist-test-${Date.now()}.csv`);
+    fs.writeFileSync(file, formatAllowlistCsv(accounts.slice(0, 2)));
+    try {
+      expect(loadAllowlistCsv(file)).to.deep.equal([
+        { address: accounts[0], allowed: true },
+        { address: accounts[1], allowed: true },
+      ]);
+    } finally {
+      fs.rmSync(file);
+    }
+  });
+
+  it("applies only the changes, in batches", async function () {
+    const { vault } = await loadFixture(deployProtocolFixture);
+    const entries = accounts.slice(0, 3).map((address) => ({ address, allowed: true }));
+
+    const planned = await applyAllowlist(hre, { vault, entries, dryRun: true });
+    expect(planned).to.deep.equal({ allow: accounts.slice(0, 3), deny: [], txs: [] });
+    expect(await vault.isAllowlisted(accounts[0])).to.equal(false);
+
+    const applied = await applyAllowlist(hre, { vault, entries, batchSize: 2 });
+    expect(applied.txs).to.have.length(2);
+    for (const address of accounts.slice(0, 3)) {
+      expect(await vault.isAllowlisted(address)).to.equal(true);
+    }
+
+    const removal = [{ address: accounts[1], allowed: false }, ...entries.slice(2)];
+    expect(await applyAllowlist(hre, { vault, entries: removal })).to.deep.include({ allow: [], deny: [accounts[1]] });
+    expect(await readAllowlist(hre, vault)).to.deep.equal([accounts[0], accounts[2]]);
+  });
+
+  it("removes accounts missing from the file when syncing", async function () {
+    const { vault } = await loadFixture(deployProtocolFixture);
+    await vault.setAllowlist(accounts.slice(0, 3), true);
+    const entries = [accounts[2], accounts[3]].map((address) => ({ address, allowed: true }));
+
+    const result = await applyAllowlist(hre, { vault, entries, sync: true });
+
+    expect(result).to.deep.include({ allow: [accounts[3]], deny: [accounts[0], accounts[1]] });
+    expect(await readAllowlist(hre, vault)).to.have.members([accounts[2], accounts[3]]);
+  });
+});
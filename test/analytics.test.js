@@ -0,0 +1,156 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { usd, loopedVaultFixture } = require("./fixtures");
+const {
+  parseWindow,
+  sampleBlocks,
+  buildAnalyticsReport,
+  formatAnalyticsReport,
+  samplesToCsv,
+  windowsToCsv,
+  analyticsToHtml,
+} = require("../scripts/lib/analytics");
+
+const DAY = 24 * 60 * 60;
+
+describe("Vault analytics", function () {
+  /**
+   * Looped vault with ten days of history: a borrower of USDC pays the vault's collateral a yield and repays a
+   * little every day, so both the stored and the accrued indexes move
+   */
+  async function historyFixture() {
+    const fixture = await loadFixture(loopedVaultFixture);
+    const { pool, usdc, usdt, bob } = fixture;
+    await usdc.connect(bob).approve(await pool.getAddress(), hre.ethers.MaxUint256);
+    await pool.connect(bob).supply(await usdt.getAddress(), usd("50000"), bob.address, 0);
+    await pool.connect(bob).borrow(await usdc.getAddress(), usd("30000"), 2, 0, bob.address);
+    const fromBlock = await hre.ethers.provider.getBlockNumber();
+
+    for (let day = 0; day < 10; day++) {
+      await time.increase(DAY);
+      await pool.connect(bob).repay(await usdc.getAddress(), usd("1"), 2, bob.address);
+    }
+    return { ...fixture, fromBlock };
+  }
+
+  const build = async (fixture, options = {}) =>
+    buildAnalyticsReport(hre, {
+      vault: fixture.vaultAddress,
+      dataProvider: await fixture.poolDataProvider.getAddress(),
+      fromBlock: fixture.fromBlock,
+      ...options,
+    });
+
+  it("parses windows and picks the blocks to sample", function () {
+    expect(parseWindow("7d")).to.deep.equal({ name: "7d", seconds: 7 * DAY });
+    expect(parseWindow("90")).to.deep.equal({ name: "90", seconds: 90 });
+    expect(parseWindow("all")).to.deep.equal({ name: "all", seconds: null });
+    expect(() => parseWindow("7y")).to.throw("Invalid window 7y");
+
+    expect(sampleBlocks(10, 20, { samples: 3 })).to.deep.equal([10, 15, 20]);
+    expect(sampleBlocks(10, 20, { step: 4 })).to.deep.equal([10, 14, 18, 20]);
+    expect(sampleBlocks(10, 12, { samples: 100 })).to.deep.equal([10, 11, 12]);
+    expect(() => sampleBlocks(20, 10)).to.throw("toBlock 10 is before fromBlock 20");
+  });
+
+  it("annualizes the share price and the reserve indexes over each window", async function () {
+    const fixture = await historyFixture();
+    const { pool, usdc } = fixture;
+
+    const report = await build(fixture, { windows: ["3d", "30d", "all"] });
+
+    expect(report).to.include({ collateral: "USDC", borrow: "USDT", fromBlock: fixture.fromBlock });
+    // time.increase mines a block before each day's repay
+    expect(report.samples).to.have.length(21);
+    const [threeDays, month, all] = report.windows;
+    expect(threeDays.seconds).to.be.gte(3 * DAY).and.lt(4 * DAY);
+    expect(threeDays.complete).to.equal(true);
+    expect(month.complete).to.equal(false);
+    expect(month.fromBlock).to.equal(all.fromBlock);
+
+    // The stored index of the last sample is the pool's, accrued to the block of the last repay
+    const end = report.samples[report.samples.length - 1];
+    const reserve = await pool.getReserveData(await usdc.getAddress());
+    expect(end.reserves.USDC.normalizedDebt).to.equal(reserve.variableBorrowIndex);
+    // The borrow APR realized from the index matches the rate it accrued at, give or take its daily updates
+    const rate = Number(hre.ethers.formatUnits(reserve.currentVariableBorrowRate, 27));
+    expect(all.reserves.USDC.borrowApr).to.be.closeTo(rate, rate * 0.05);
+    expect(all.reserves.USDT.supplyApr).to.be.gt(0);
+    expect(all.carrySpread).to.be.lt(0);
+
+    // The USDT carry on the looped debt outweighs the collateral's yield, so the share price falls all along
+    const { vault } = all;
+    const growth = Number(end.vault.sharePrice) / Number(report.samples[0].vault.sharePrice);
+    expect(vault.apr).to.be.lt(0).and.closeTo(((growth - 1) * 365 * DAY) / all.seconds, 1e-9);
+    expect(vault.apy).to.be.gt(vault.apr);
+    expect(vault.peakBlock).to.equal(fixture.fromBlock);
+    expect(vault.drawdown).to.be.closeTo(1 - growth, 1e-9);
+    expect(all.netLeverageSpread).to.be.closeTo(vault.apr - all.reserves.USDC.supplyApr, 1e-12);
+  });
+
+  it("reports the largest drawdown of the share price", async function () {
+    const fixture = await historyFixture();
+    const { pool, usdc, bob } = fixture;
+    // Without the USDC borrower the collateral earns nothing and the vault pays the USDT borrow/supply spread
+    await pool.connect(bob).repay(await usdc.getAddress(), hre.ethers.MaxUint256, 2, bob.address);
+    for (let day = 0; day < 10; day++) {
+      await time.increase(DAY);
+    }
+
+    const report = await build(fixture, { step: 1, windows: ["all", "3d"] });
+    const [all, threeDays] = report.windows;
+
+    expect(all.vault.peakBlock).to.equal(fixture.fromBlock);
+    expect(all.vault.troughBlock).to.equal(report.toBlock);
+    const { sharePrice } = report.samples.find((sample) => sample.blockNumber === all.vault.peakBlock).vault;
+    const drawdown = 1 - Number(all.vault.endSharePrice) / Number(sharePrice);
+    expect(all.vault.drawdown).to.be.gt(0).and.closeTo(drawdown, 1e-12);
+    expect(threeDays.vault.drawdown).to.be.gt(0).and.lt(all.vault.drawdown);
+    // Once the collateral stops earning, the share price falls faster
+    expect(threeDays.vault.apr).to.be.lt(all.vault.apr);
+  });
+
+  it("leaves the vault out of samples taken before it was deployed", async function () {
+    const fixture = await historyFixture();
+    const deployedAt = (await fixture.vault.deploymentTransaction().wait()).blockNumber;
+
+    const report = await build(fixture, { fromBlock: deployedAt - 1, samples: 4, windows: ["all"] });
+
+    expect(report.samples[0].vault).to.equal(null);
+    expect(report.samples[1].vault).to.not.equal(null);
+    expect(report.windows[0].vault.fromBlock).to.equal(report.samples[1].blockNumber);
+  });
+
+  it("exports CSV, JSON and an HTML summary", async function () {
+    const fixture = await historyFixture();
+    const report = await build(fixture, { samples: 5, windows: ["7d", "all"] });
+    const formatted = formatAnalyticsReport(report);
+
+    expect(formatted.windows[0].vault.apy).to.match(/^-?\d+\.\d{4}%$/);
+    expect(JSON.parse(JSON.stringify(formatted)).samples).to.have.length(5);
+
+    const samples = samplesToCsv(formatted).trim().split("\n");
+    expect(samples).to.have.length(6);
+    expect(samples[0]).to.match(/^blockNumber,time,sharePrice,totalAssets,totalSupply,ltvBps,USDC\.liquidityIndex,/);
+    expect(samples[1].split(",")).to.have.length(samples[0].split(",").length);
+
+    const windows = windowsToCsv(formatted).trim().split("\n");
+    expect(windows).to.have.length(3);
+    expect(windows[2]).to.match(/^all,/);
+
+    const html = analyticsToHtml(report);
+    expect(html).to.include("<svg").and.include(formatted.windows[1].vault.apy).and.include(formatted.vault);
+
+    const file = path.join(os.tmpdir(), `analytics-test-${Date.now()}.html`);
+    try {
+      fs.writeFileSync(file, html);
+      expect(fs.readFileSync(file, "utf8")).to.match(/^<!DOCTYPE html>/);
+    } finally {
+      fs.rmSync(file);
+    }
+  });
+});
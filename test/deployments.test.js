@@ -0,0 +1,63 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { deployContract, getBytecodeHash } = require("../scripts/lib/deployments");
+const { deployProtocol } = require("../scripts/lib/protocol");
+
+const { ethers } = hre;
+
+describe("Deployment manifest", function () {
+  const args = ["Dai Stablecoin", "DAI", 18];
+
+  function emptyManifest() {
+    return { file: null, persist: false, data: { network: "hardhat", chainId: 31337, contracts: {}, steps: {} } };
+  }
+
+  it("records the bytecode hash and reuses the deployment while it matches", async function () {
+    const manifest = emptyManifest();
+    const token = await deployContract(hre, manifest, "DAI", "MockERC20", args);
+    const address = await token.getAddress();
+
+    expect(manifest.data.contracts.DAI.bytecodeHash).to.equal(await getBytecodeHash(hre, "MockERC20"));
+    const again = await deployContract(hre, manifest, "DAI", "MockERC20", args);
+    expect(await again.getAddress()).to.equal(address);
+  });
+
+  it("redeploys when the bytecode changed, or was not recorded", async function () {
+    const manifest = emptyManifest();
+    const token = await deployContract(hre, manifest, "DAI", "MockERC20", args);
+    const address = await token.getAddress();
+
+    manifest.data.contracts.DAI.bytecodeHash = ethers.ZeroHash;
+    const redeployed = await deployContract(hre, manifest, "DAI", "MockERC20", args);
+    expect(await redeployed.getAddress()).to.not.equal(address);
+    expect(manifest.data.contracts.DAI.address).to.equal(await redeployed.getAddress());
+    expect(manifest.data.contracts.DAI.bytecodeHash).to.equal(await getBytecodeHash(hre, "MockERC20"));
+
+    delete manifest.data.contracts.DAI.bytecodeHash;
+    const legacy = await deployContract(hre, manifest, "DAI", "MockERC20", args);
+    expect(await legacy.getAddress()).to.not.equal(await redeployed.getAddress());
+  });
+
+  it("records the vault's linked libraries and redeploys it when one of them moves", async function () {
+    const { manifest } = await deployProtocol(hre, { persist: false });
+    const { contracts } = manifest.data;
+    const entry = contracts.LeveragedERC4626Vault;
+    expect(entry.libraries).to.deep.equal({
+      VaultRiskLogic: contracts.VaultRiskLogic.address,
+      VaultFeeLogic: contracts.VaultFeeLogic.address,
+      VaultAllowlistLogic: contracts.VaultAllowlistLogic.address,
+      VaultRebalanceLogic: contracts.VaultRebalanceLogic.address,
+      VaultLeverageLogic: contracts.VaultLeverageLogic.address,
+    });
+
+    const deployVault = (libraries) =>
+      deployContract(hre, manifest, "LeveragedERC4626Vault", "LeveragedERC4626Vault", entry.args, { libraries });
+    expect(await (await deployVault(entry.libraries)).getAddress()).to.equal(entry.address);
+
+    const feeLogic = await deployContract(hre, manifest, "VaultFeeLogic:next", "VaultFeeLogic");
+    const libraries = { ...entry.libraries, VaultFeeLogic: await feeLogic.getAddress() };
+    const relinked = await deployVault(libraries);
+    expect(await relinked.getAddress()).to.not.equal(entry.address);
+    expect(contracts.LeveragedERC4626Vault.libraries).to.deep.equal(libraries);
+  });
+});
@@ -0,0 +1,111 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { bootstrapDevnet, createFaucet } = require("../scripts/lib/devnet");
+const { loadAddressBook } = require("../sdk");
+
+const { ethers } = hre;
+
+describe("Devnet", function () {
+  let devnet;
+  let faucet;
+  let url;
+  const manifestFile = path.join(os.tmpdir(), `devnet-test-${Date.now()}.json`);
+
+  before(async function () {
+    // The seed in config/devnet.js, as `npx hardhat devnet` runs it
+    devnet = await bootstrapDevnet(hre, { manifestFile });
+    faucet = createFaucet(hre, devnet, { amount: "1000", maxAmount: "5000", eth: "2", rpcUrl: "http://127.0.0.1:8545" });
+    await new Promise((resolve) => faucet.listen(0, "127.0.0.1", resolve));
+    url = `http://127.0.0.1:${faucet.address().port}`;
+  });
+
+  after(function () {
+    faucet.close();
+    fs.rmSync(manifestFile, { force: true });
+  });
+
+  const post = (body) =>
+    fetch(`${url}/faucet`, { method: "POST", headers: { "Content-Type": "application/json" }, body });
+
+  it("seeds vault depositors and pool borrowers and accrues interest", async function () {
+    const { vault, pool, usdt } = devnet.deployment;
+    const { alice, bob, dave } = devnet.accounts;
+
+    expect(await vault.balanceOf(alice)).to.be.greaterThan(0n);
+    expect(await vault.balanceOf(bob)).to.be.greaterThan(0n);
+    const [, debt] = await vault.getPositionDetails();
+    expect(debt).to.be.greaterThan(0n);
+    expect((await pool.getUserAccountData(dave)).totalDebtBase).to.be.greaterThan(0n);
+
+    // Four weeks of interest moved the borrow index
+    const { variableBorrowIndex } = await pool.getReserveData(await usdt.getAddress());
+    expect(variableBorrowIndex).to.be.greaterThan(10n ** 27n);
+  });
+
+  it("writes a localhost manifest the SDK and tasks can load", async function () {
+    const manifest = JSON.parse(fs.readFileSync(manifestFile, "utf8"));
+    expect(manifest).to.include({ network: "localhost", chainId: 31337 });
+    expect(manifest.accounts.alice).to.equal(devnet.accounts.alice);
+
+    const book = loadAddressBook(manifestFile);
+    expect(book.get("LeveragedERC4626Vault")).to.equal(await devnet.deployment.vault.getAddress());
+  });
+
+  it("serves the chain, vault and reserve status", async function () {
+    const response = await fetch(`${url}/status`);
+    expect(response.status).to.equal(200);
+    expect(response.headers.get("access-control-allow-origin")).to.equal("*");
+
+    const status = await response.json();
+    expect(status).to.include({ chainId: 31337, rpcUrl: "http://127.0.0.1:8545" });
+    expect(status.blockNumber).to.equal(await ethers.provider.getBlockNumber());
+    expect(status.contracts.Pool).to.equal(await devnet.deployment.pool.getAddress());
+    expect(status.accounts).to.deep.equal(devnet.accounts);
+    expect(status.vault.position.symbol).to.equal("USDC");
+    expect(status.vault.totalAssets).to.equal(ethers.formatUnits(await devnet.deployment.vault.totalAssets(), 6));
+    expect(status.reserves.USDT.variableBorrowRate).to.match(/^\d+\.\d{2}%$/);
+  });
+
+  it("mints test tokens and tops up ETH", async function () {
+    const { usdc, usdt } = devnet.deployment;
+    const account = ethers.Wallet.createRandom().address;
+
+    const response = await post(JSON.stringify({ address: account.toLowerCase() }));
+    expect(response.status).to.equal(200);
+    const result = await response.json();
+    expect(result.address).to.equal(account);
+    expect(result.tokens.map((token) => token.symbol)).to.deep.equal(["USDC", "USDT"]);
+    expect(result.eth).to.deep.equal({ toppedUp: true, balance: "2.0" });
+    expect(await usdc.balanceOf(account)).to.equal(ethers.parseUnits("1000", 6));
+    expect(await usdt.balanceOf(account)).to.equal(ethers.parseUnits("1000", 6));
+    expect(await ethers.provider.getBalance(account)).to.equal(ethers.parseEther("2"));
+
+    const again = await (await post(JSON.stringify({ address: account, token: "usdt", amount: "250.5" }))).json();
+    expect(again.tokens).to.have.length(1);
+    expect(again.tokens[0]).to.include({ symbol: "USDT", amount: "250.5", balance: "1250.5" });
+    expect(again.eth.toppedUp).to.equal(false);
+  });
+
+  it("refuses bad faucet requests", async function () {
+    const account = ethers.Wallet.createRandom().address;
+    const cases = [
+      [JSON.stringify({ address: "0x1234" }), "address must be an account address"],
+      [JSON.stringify({ address: account, token: "DAI" }), "token must be one of USDC, USDT"],
+      [JSON.stringify({ address: account, amount: "5000.01" }), "at most 5000"],
+      [JSON.stringify({ address: account, amount: "-1" }), "above 0"],
+      ["not json", "body must be JSON"],
+    ];
+
+    for (const [body, error] of cases) {
+      const response = await post(body);
+      expect(response.status).to.equal(400);
+      expect((await response.json()).error).to.include(error);
+    }
+    expect(await devnet.deployment.usdc.balanceOf(account)).to.equal(0n);
+
+    expect((await fetch(`${url}/nothing`)).status).to.equal(404);
+  });
+});
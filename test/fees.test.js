@@ -0,0 +1,109 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { loadFixture, time, mine } = require("@nomicfoundation/hardhat-network-helpers");
+const { calculateAccruedFees, readFeeState, buildFeeReport, formatFeeReport } = require("../scripts/lib/fees");
+const { readVaultState, simulateDeposit } = require("../scripts/lib/simulator");
+const { usd, deployProtocolFixture } = require("./fixtures");
+
+const YEAR = 365 * 24 * 60 * 60;
+
+describe("Fee report", function () {
+  // Management and performance fees on, with a year of streaming, a donation and a recipient change
+  async function feeHistoryFixture() {
+    const fixture = await deployProtocolFixture();
+    const { vault, usdc, alice, bob, deployer, vaultAddress } = fixture;
+
+    const fromBlock = (await hre.ethers.provider.getBlockNumber()) + 1;
+    await vault.setManagementFee(100);
+    await vault.setPerformanceFee(1500);
+    await vault.connect(alice).deposit(usd("10000"), alice.address);
+
+    await time.increase(YEAR / 2);
+    await usdc.mint(vaultAddress, usd("500"));
+    await vault.accrueFees();
+
+    await time.increase(YEAR / 2);
+    await vault.setFeeRecipient(bob.address);
+    await time.increase(YEAR / 4);
+    await vault.connect(alice).deposit(usd("1000"), alice.address);
+
+    return { ...fixture, fromBlock, feeRecipients: [deployer, bob] };
+  }
+
+  it("ports _accruedFees exactly", async function () {
+    const { vault, vaultAddress } = await loadFixture(feeHistoryFixture);
+    await time.increase(YEAR / 3);
+    await mine();
+
+    const state = await readFeeState(hre, vaultAddress);
+    const [managementFeeAssets, performanceFeeAssets, feeShares, highWaterMark] = await vault.previewFees({
+      blockTag: state.blockNumber,
+    });
+
+    expect(calculateAccruedFees(state, state.timestamp)).to.deep.equal({
+      managementFeeAssets,
+      performanceFeeAssets,
+      feeShares,
+      highWaterMark,
+    });
+  });
+
+  it("reconstructs accruals, fee shares per recipient and the high-water mark over a range", async function () {
+    const { vault, vaultAddress, fromBlock, feeRecipients } = await loadFixture(feeHistoryFixture);
+
+    const report = await buildFeeReport(hre, vaultAddress, { fromBlock });
+
+    // deposit (nothing to charge yet), accrueFees, setFeeRecipient, second deposit
+    expect(report.accruals).to.have.length(3);
+    expect(report.accruals[0].recipient).to.equal(feeRecipients[0].address);
+    expect(report.accruals[0].performanceFeeAssets).to.be.gt(0n);
+    expect(report.accruals[2].recipient).to.equal(feeRecipients[1].address);
+
+    for (const recipient of feeRecipients) {
+      expect(report.feeSharesByRecipient[recipient.address]).to.equal(await vault.balanceOf(recipient.address));
+    }
+    expect(report.totals.feeShares).to.equal(
+      report.accruals.reduce((total, accrual) => total + accrual.feeShares, 0n)
+    );
+    expect(report.highWaterMark.start).to.equal(10n ** 18n);
+    expect(report.highWaterMark.end).to.equal(await vault.highWaterMark());
+    expect(report.configChanges.map((change) => change.event)).to.deep.equal([
+      "ManagementFeeUpdated",
+      "PerformanceFeeUpdated",
+      "FeeRecipientUpdated",
+    ]);
+    // Everything was just accrued by the last deposit
+    expect(report.pending.feeShares).to.equal(0n);
+
+    const formatted = formatFeeReport(report, 6);
+    expect(formatted.end.managementFee).to.equal("1.00%");
+    expect(formatted.accruals).to.have.length(3);
+  });
+
+  it("limits the report to the requested blocks", async function () {
+    const { vaultAddress, fromBlock } = await loadFixture(feeHistoryFixture);
+    const full = await buildFeeReport(hre, vaultAddress, { fromBlock });
+
+    const firstAccrual = full.accruals[0].blockNumber;
+    const report = await buildFeeReport(hre, vaultAddress, { fromBlock, toBlock: firstAccrual });
+
+    expect(report.accruals).to.have.length(1);
+    expect(report.end.blockNumber).to.equal(firstAccrual);
+    expect(report.totals.feeShares).to.equal(full.accruals[0].feeShares);
+  });
+
+  it("lets the simulator price deposits after the pending fees", async function () {
+    const { vault, vaultAddress, alice } = await loadFixture(feeHistoryFixture);
+    await time.increase(YEAR);
+
+    const state = await readVaultState(hre, vaultAddress);
+    const result = simulateDeposit(state, usd("5000"));
+    expect(result.fees.feeShares).to.be.gt(0n);
+
+    await time.setNextBlockTimestamp(state.timestamp);
+    const sharesBefore = await vault.balanceOf(alice.address);
+    await vault.connect(alice).deposit(usd("5000"), alice.address);
+    expect(await vault.balanceOf(alice.address)).to.equal(sharesBefore + result.shares);
+    expect(await vault.totalSupply()).to.equal(result.final.totalSupply);
+  });
+});
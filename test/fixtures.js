@@ -0,0 +1,124 @@
+const hre = require("hardhat");
+const { deployProtocol, LEVERAGE_MODES } = require("../scripts/lib/protocol");
+const { setPrice } = require("../scripts/lib/oracle");
+
+const { ethers } = hre;
+
+const usd = (amount) => ethers.parseUnits(amount, 6);
+// Values in the oracle base currency (USD, 8 decimals)
+const base = (amount) => ethers.parseUnits(amount, 8);
+
+/**
+ * Full protocol deployed through the shared deployment module, plus two funded users
+ */
+async function deployProtocolFixture() {
+  return deployWithUsers({});
+}
+
+/**
+ * Protocol fixture with the vault borrowing into an ERC4626Vault of USDT instead of looping in the pool
+ */
+async function erc4626StrategyFixture() {
+  return deployWithUsers({ vault: { strategy: "erc4626" } });
+}
+
+async function deployWithUsers(options) {
+  const [deployer, alice, bob] = await ethers.getSigners();
+  const deployment = await deployProtocol(hre, { ...options, signer: deployer, persist: false });
+
+  const { usdc, usdt, vault, pool } = deployment;
+  const vaultAddress = await vault.getAddress();
+  const poolAddress = await pool.getAddress();
+
+  for (const user of [alice, bob]) {
+    await usdc.mint(user.address, usd("100000"));
+    await usdt.mint(user.address, usd("100000"));
+    await usdc.connect(user).approve(vaultAddress, ethers.MaxUint256);
+    await usdc.connect(user).approve(poolAddress, ethers.MaxUint256);
+    await usdt.connect(user).approve(poolAddress, ethers.MaxUint256);
+  }
+
+  return { ...deployment, alice, bob, vaultAddress, poolAddress };
+}
+
+/**
+ * Protocol fixture where alice already holds a looped vault position
+ */
+async function loopedVaultFixture() {
+  const fixture = await deployProtocolFixture();
+  const { vault, alice } = fixture;
+
+  await vault.connect(alice).deposit(usd("10000"), alice.address);
+  await vault.executeLooping();
+
+  return fixture;
+}
+
+/**
+ * Protocol fixture with the vault in flash loan leverage mode, where alice already holds a levered position
+ */
+async function flashVaultFixture() {
+  const fixture = await deployProtocolFixture();
+  const { vault, alice } = fixture;
+
+  await vault.setLeverageMode(LEVERAGE_MODES.flash);
+  await vault.connect(alice).deposit(usd("10000"), alice.address);
+  await vault.executeLooping();
+
+  return fixture;
+}
+
+/**
+ * Protocol fixture where alice borrows 8500 USDT against 10000 USDC, as much as the 85% LTV lets her, and USDC
+ * then drops to 0.95 (health factor ~1.006), so a year or two of interest pushes her below the liquidation threshold
+ */
+async function borrowerFixture() {
+  const fixture = await deployProtocolFixture();
+  const { pool, priceOracle, usdc, usdt, alice } = fixture;
+
+  await pool.connect(alice).supply(await usdc.getAddress(), usd("10000"), alice.address, 0);
+  await pool.connect(alice).borrow(await usdt.getAddress(), usd("8500"), 2, 0, alice.address);
+  await setPrice(priceOracle, await usdc.getAddress(), "0.95");
+
+  return fixture;
+}
+
+/**
+ * Protocol fixture with an ExampleFlashLoanReceiver and a MockFlashLoanReceiver wired to the Pool and the
+ * FlashLoanProvider, each holding 100 USDC and 100 USDT for premiums
+ */
+async function flashLoanReceiverFixture() {
+  const fixture = await deployProtocolFixture();
+  const { pool, flashLoanProvider, usdc, usdt } = fixture;
+  const args = [await flashLoanProvider.getAddress(), await pool.getAddress()];
+
+  const receiver = await ethers.deployContract("ExampleFlashLoanReceiver", args);
+  const mockReceiver = await ethers.deployContract("MockFlashLoanReceiver", args);
+  for (const contract of [receiver, mockReceiver]) {
+    await usdc.mint(await contract.getAddress(), usd("100"));
+    await usdt.mint(await contract.getAddress(), usd("100"));
+  }
+
+  return { ...fixture, receiver, mockReceiver, receiverAddress: await receiver.getAddress() };
+}
+
+/**
+ * Logger for the off-chain services that keeps entries in memory for assertions
+ */
+function memoryLogger() {
+  const entries = [];
+  const write = (level) => (msg, fields = {}) => entries.push({ level, msg, ...fields });
+  return { entries, debug: write("debug"), info: write("info"), warn: write("warn"), error: write("error") };
+}
+
+module.exports = {
+  usd,
+  base,
+  memoryLogger,
+  deployProtocolFixture,
+  erc4626StrategyFixture,
+  loopedVaultFixture,
+  flashVaultFixture,
+  borrowerFixture,
+  flashLoanReceiverFixture,
+};
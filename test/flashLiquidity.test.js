@@ -0,0 +1,91 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { buildLpReport, formatLpReport } = require("../scripts/lib/flashLiquidity");
+const { usd, flashLoanReceiverFixture } = require("./fixtures");
+
+describe("Flash liquidity report", function () {
+  // The deployer's 200000 USDC seed, 100000 more from alice, a 10% protocol fee and one 100000 USDC loan
+  async function lpHistoryFixture() {
+    const fixture = await flashLoanReceiverFixture();
+    const { flashLoanProvider, receiver, usdc, alice } = fixture;
+    const usdcAddress = await usdc.getAddress();
+
+    await usdc.connect(alice).approve(await flashLoanProvider.getAddress(), hre.ethers.MaxUint256);
+    await flashLoanProvider.connect(alice).deposit(usdcAddress, usd("100000"));
+    await flashLoanProvider.setProtocolFee(1000);
+    await receiver.executeERC3156FlashLoan(usdcAddress, usd("100000"), "0x");
+
+    // Alice takes half of her liquidity out
+    await flashLoanProvider.connect(alice).withdraw(usdcAddress, usd("50000"));
+
+    return { ...fixture, usdcAddress };
+  }
+
+  it("reports each provider's deposits, withdrawals, value and earnings", async function () {
+    const { flashLoanProvider, usdcAddress, deployer, alice } = await loadFixture(lpHistoryFixture);
+
+    const report = await buildLpReport(hre, await flashLoanProvider.getAddress());
+    const usdc = report.tokens[usdcAddress];
+
+    expect(report.protocolFeeBps).to.equal(1000n);
+    expect(usdc).to.include({ symbol: "USDC", loans: 1, supported: true });
+    expect(usdc.volume).to.equal(usd("100000"));
+    expect(usdc.fees).to.equal(usd("90"));
+    expect(usdc.liquidityProviderFees).to.equal(usd("81"));
+    expect(usdc.protocolFees).to.equal(usd("9"));
+    expect(usdc.totalLiquidity).to.equal(usd("250067.5"));
+
+    // 81 of fees shared 2:1
+    expect(usdc.providers[deployer.address]).to.deep.include({
+      deposited: usd("200000"),
+      withdrawn: 0n,
+      value: usd("200054"),
+      earnings: usd("54"),
+      poolShareBps: 8000n,
+    });
+    expect(usdc.providers[alice.address]).to.deep.include({
+      deposited: usd("100000"),
+      withdrawn: usd("50013.5"),
+      value: usd("50013.5"),
+      earnings: usd("27"),
+      poolShareBps: 2000n,
+    });
+
+    // USDT was seeded but never lent
+    const usdt = Object.values(report.tokens).find((entry) => entry.symbol === "USDT");
+    expect(usdt.providers[deployer.address].earnings).to.equal(0n);
+  });
+
+  it("values shares as of toBlock", async function () {
+    const { flashLoanProvider, receiver, usdcAddress, deployer } = await loadFixture(lpHistoryFixture);
+    const toBlock = await hre.ethers.provider.getBlockNumber();
+
+    await receiver.executeERC3156FlashLoan(usdcAddress, usd("10000"), "0x");
+
+    const before = await buildLpReport(hre, await flashLoanProvider.getAddress(), { toBlock, batchSize: 3 });
+    expect(before.tokens[usdcAddress].loans).to.equal(1);
+    expect(before.tokens[usdcAddress].providers[deployer.address].earnings).to.equal(usd("54"));
+
+    const after = await buildLpReport(hre, await flashLoanProvider.getAddress());
+    expect(after.tokens[usdcAddress].loans).to.equal(2);
+    expect(after.tokens[usdcAddress].providers[deployer.address].earnings).to.be.gt(usd("54"));
+  });
+
+  it("formats amounts in token units, keyed by symbol", async function () {
+    const { flashLoanProvider, alice } = await loadFixture(lpHistoryFixture);
+
+    const formatted = formatLpReport(await buildLpReport(hre, await flashLoanProvider.getAddress()));
+
+    expect(formatted.protocolFee).to.equal("10.00%");
+    expect(formatted.tokens.USDC).to.include({ fees: "90.0", liquidityProviderFees: "81.0", protocolFees: "9.0" });
+    expect(formatted.tokens.USDC.providers[alice.address]).to.deep.equal({
+      shares: "50000.0",
+      poolShare: "20.00%",
+      deposited: "100000.0",
+      withdrawn: "50013.5",
+      value: "50013.5",
+      earnings: "27.0",
+    });
+  });
+});
@@ -0,0 +1,23 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { compareLeverageGas, formatGasComparison } = require("../scripts/lib/gasComparison");
+
+describe("gasComparison", function () {
+  it("shows flash loan mode levering up in one flash loan for less gas than looping", async function () {
+    const [loop, flash] = await compareLeverageGas(hre, { deposit: "10000", withdraw: "2000" });
+
+    expect(loop.mode).to.equal("loop");
+    expect(loop.iterations).to.equal(5n);
+    expect(flash.mode).to.equal("flash");
+    expect(flash.iterations).to.equal(1n);
+
+    expect(flash.leverageGas).to.be.lt(loop.leverageGas);
+    expect(flash.depositGas).to.be.lt(loop.depositGas);
+    expect(flash.withdrawGas).to.be.gt(0n);
+    expect(flash.leverageLtvBps).to.be.closeTo(7800n, 1n);
+
+    const rows = formatGasComparison([loop, flash]);
+    expect(rows.map((row) => row.mode)).to.deep.equal(["loop", "flash"]);
+    expect(rows[1]["leverage gas"]).to.equal(flash.leverageGas.toString());
+  });
+});
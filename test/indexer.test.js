@@ -0,0 +1,186 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { loadFixture, mine } = require("@nomicfoundation/hardhat-network-helpers");
+const { Indexer } = require("../scripts/lib/indexer");
+const { IndexStore } = require("../scripts/lib/indexStore");
+const { usd, deployProtocolFixture, flashLoanReceiverFixture } = require("./fixtures");
+
+describe("Indexer", function () {
+  async function createIndexer(fixture, config = {}) {
+    const store = new IndexStore(null);
+    const indexer = new Indexer(
+      hre,
+      store,
+      { pool: fixture.poolAddress, vaults: [fixture.vaultAddress] },
+      { startBlock: 0, batchSize: 5, ...config }
+    );
+    return { store, indexer };
+  }
+
+  it("backfills pool and vault events with state snapshots", async function () {
+    const fixture = await loadFixture(deployProtocolFixture);
+    const { vault, pool, usdc, usdt, alice, bob } = fixture;
+
+    await vault.connect(alice).deposit(usd("10000"), alice.address);
+    await vault.connect(bob).deposit(usd("5000"), bob.address);
+    await pool.connect(bob).supply(await usdc.getAddress(), usd("1000"), bob.address, 0);
+
+    const { store, indexer } = await createIndexer(fixture);
+    await indexer.sync();
+
+    const names = store.getEvents({ contract: "LeveragedERC4626Vault" }).map((e) => e.event);
+    expect(names).to.include.members(["Deposit", "LoopExecuted"]);
+    expect(store.getEvents({ contract: "Pool", event: "Borrow" })).to.not.be.empty;
+
+    const history = store.getDepositHistory(bob.address);
+    expect(history.map((e) => `${e.contract}.${e.event}`)).to.deep.equal([
+      "LeveragedERC4626Vault.Deposit",
+      "Pool.Supply",
+    ]);
+    expect(history[0].args.assets).to.equal(usd("5000").toString());
+
+    const timeline = store.getVaultTimeline(fixture.vaultAddress);
+    // The constructor's StrategyMigrated, then one snapshot per deposit block
+    expect(timeline).to.have.length(3);
+    expect(BigInt(timeline[1].ltv)).to.equal(0n);
+    expect(BigInt(timeline[2].ltv)).to.equal(await vault.getCurrentLTV());
+    expect(BigInt(timeline[2].healthFactor)).to.be.gt(10n ** 18n);
+
+    const utilization = store.getReserveUtilization(await usdt.getAddress());
+    expect(utilization).to.not.be.empty;
+    expect(BigInt(utilization[utilization.length - 1].utilization)).to.be.gt(0n);
+  });
+
+  it("snapshots the reserve a pool flash loan drew on", async function () {
+    const fixture = await loadFixture(flashLoanReceiverFixture);
+    const { usdc, receiver } = fixture;
+    const usdcAddress = await usdc.getAddress();
+
+    await receiver.executePoolFlashLoanSimple(usdcAddress, usd("1000"), "0x");
+    const blockNumber = await hre.ethers.provider.getBlockNumber();
+
+    const { store, indexer } = await createIndexer(fixture);
+    await indexer.sync();
+
+    const [flashLoan] = store.getEvents({ contract: "Pool", event: "FlashLoan" });
+    expect(flashLoan.blockNumber).to.equal(blockNumber);
+    expect(flashLoan.args.asset).to.equal(usdcAddress);
+    expect(store.getReserveUtilization(usdcAddress, { fromBlock: blockNumber })).to.have.length(1);
+  });
+
+  it("only indexes new blocks on later syncs", async function () {
+    const fixture = await loadFixture(deployProtocolFixture);
+    const { vault, alice } = fixture;
+    const { store, indexer } = await createIndexer(fixture);
+
+    await vault.connect(alice).deposit(usd("1000"), alice.address);
+    const first = await indexer.sync();
+
+    await vault.connect(alice).deposit(usd("1000"), alice.address);
+    const second = await indexer.sync();
+
+    expect(await indexer.sync()).to.equal(0);
+    expect(store.getEvents()).to.have.length(first + second);
+    expect(store.getDepositHistory(alice.address)).to.have.length(2);
+    expect(store.cursor.blockNumber).to.equal(await hre.ethers.provider.getBlockNumber());
+  });
+
+  it("rolls back events from reorged blocks", async function () {
+    const fixture = await loadFixture(deployProtocolFixture);
+    const { vault, alice, bob } = fixture;
+    const { store, indexer } = await createIndexer(fixture);
+
+    await vault.connect(alice).deposit(usd("1000"), alice.address);
+    await indexer.sync();
+
+    // Fork: alice's second deposit gets replaced by one from bob at the same height
+    const snapshot = await hre.network.provider.send("evm_snapshot");
+    await vault.connect(alice).deposit(usd("2000"), alice.address);
+    await mine(2);
+    await indexer.sync();
+    expect(store.getDepositHistory(alice.address)).to.have.length(2);
+
+    await hre.network.provider.send("evm_revert", [snapshot]);
+    await vault.connect(bob).deposit(usd("3000"), bob.address);
+    await mine(3);
+    await indexer.sync();
+
+    expect(store.getDepositHistory(alice.address)).to.have.length(1);
+    expect(store.getDepositHistory(bob.address)).to.have.length(1);
+    const block = await hre.ethers.provider.getBlock("latest");
+    expect(store.cursor).to.deep.equal({ blockNumber: block.number, blockHash: block.hash });
+  });
+
+  it("skips a batch whose blocks changed after the logs were fetched", async function () {
+    const fixture = await loadFixture(deployProtocolFixture);
+    const { vault, alice } = fixture;
+    const { store, indexer } = await createIndexer(fixture, { batchSize: 1000 });
+    await vault.connect(alice).deposit(usd("1000"), alice.address);
+    const depositBlock = await hre.ethers.provider.getBlockNumber();
+
+    // Serve a different hash for the deposit block once, as if it got reorged out mid-batch
+    const { provider } = indexer;
+    let reorged = false;
+    indexer.provider = Object.create(provider, {
+      getBlock: {
+        value: async (blockTag) => {
+          const block = await provider.getBlock(blockTag);
+          if (blockTag === depositBlock && !reorged) {
+            reorged = true;
+            return { ...block, hash: hre.ethers.ZeroHash };
+          }
+          return block;
+        },
+      },
+    });
+
+    expect(await indexer.sync()).to.equal(0);
+    expect(store.getEvents()).to.be.empty;
+    expect(store.cursor).to.equal(null);
+
+    expect(await indexer.sync()).to.be.gt(0);
+    expect(store.getDepositHistory(alice.address)).to.have.length(1);
+  });
+
+  it("keeps following after a failed sync", async function () {
+    const fixture = await loadFixture(deployProtocolFixture);
+    const messages = [];
+    const { indexer } = await createIndexer(fixture, { pollIntervalMs: 0, log: (message) => messages.push(message) });
+
+    let calls = 0;
+    indexer.sync = async () => {
+      calls += 1;
+      if (calls === 1) {
+        throw new Error("connection reset");
+      }
+      indexer.stop();
+      return 0;
+    };
+    await indexer.follow();
+
+    expect(calls).to.equal(2);
+    expect(messages).to.deep.equal(["sync failed: connection reset"]);
+  });
+
+  it("persists to a JSON file and resumes from it", async function () {
+    const fixture = await loadFixture(deployProtocolFixture);
+    const { vault, alice } = fixture;
+    const file = path.join(os.tmpdir(), `indexer-test-${Date.now()}.json`);
+
+    await vault.connect(alice).deposit(usd("1000"), alice.address);
+    const indexer = new Indexer(hre, new IndexStore(file), {
+      pool: fixture.poolAddress,
+      vaults: [fixture.vaultAddress],
+    });
+    await indexer.sync();
+
+    const reloaded = new IndexStore(file);
+    expect(reloaded.getDepositHistory(alice.address)).to.have.length(1);
+    expect(reloaded.cursor.blockNumber).to.equal(await hre.ethers.provider.getBlockNumber());
+
+    fs.unlinkSync(file);
+  });
+});
@@ -0,0 +1,172 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { rayMul } = require("../scripts/lib/wadRayMath");
+
+const { ethers } = hre;
+
+/**
+ * Raw accounting of the pool and the vault, read without going through the getters under test: scaled aToken and
+ * debt token balances with the stored indexes, the underlying held by the Pool and the vault's share balances. The
+ * indexes accrued up to the block, which the vault values its position with, are kept alongside.
+ * @param {object} fixture deployProtocol result
+ * @param {string[]} accounts Every account that may hold aTokens, debt or vault shares
+ */
+async function readAccounting(fixture, accounts) {
+  const { pool, vault, priceOracle } = fixture;
+  const vaultAddress = await vault.getAddress();
+  const holders = [...new Set([...accounts, vaultAddress])];
+
+  const reserves = {};
+  for (const asset of await pool.getReservesList()) {
+    const token = await ethers.getContractAt("ERC20", asset);
+    const data = await pool.getReserveData(asset);
+    const aToken = await ethers.getContractAt("AToken", data.aTokenAddress);
+    const debtToken = await ethers.getContractAt("VariableDebtToken", data.variableDebtTokenAddress);
+
+    const users = {};
+    for (const holder of holders) {
+      users[holder] = {
+        scaledSupply: await aToken.balanceOf(holder),
+        debt: await debtToken["balanceOf(address,uint256)"](holder, data.variableBorrowIndex),
+        scaledDebt: await debtToken.scaledBalanceOf(holder),
+      };
+    }
+    reserves[await token.symbol()] = {
+      asset,
+      unit: 10n ** (await token.decimals()),
+      price: await priceOracle.getAssetPrice(asset),
+      liquidity: await token.balanceOf(await pool.getAddress()),
+      liquidityIndex: data.liquidityIndex,
+      variableBorrowIndex: data.variableBorrowIndex,
+      normalizedIncome: await pool.getReserveNormalizedIncome(asset),
+      normalizedDebt: await pool.getReserveNormalizedVariableDebt(asset),
+      accruedToTreasury: data.accruedToTreasury,
+      scaledSupply: await aToken.totalSupply(),
+      scaledDebt: await debtToken.scaledTotalSupply(),
+      users,
+    };
+  }
+
+  const collateralAsset = await vault.collateralAsset();
+  const collateral = await ethers.getContractAt("ERC20", collateralAsset);
+  const shares = {};
+  for (const holder of holders) {
+    shares[holder] = await vault.balanceOf(holder);
+  }
+  const totalSupply = await vault.totalSupply();
+
+  return {
+    reserves,
+    vault: {
+      address: vaultAddress,
+      collateralAsset,
+      idle: await collateral.balanceOf(vaultAddress),
+      totalSupply,
+      totalAssets: await vault.totalAssets(),
+      shares,
+      // Per 1e18 shares, so share price moves well below a unit of the asset show up
+      sharePrice: await vault.convertToAssets(ethers.parseUnits("1", 18)),
+    },
+  };
+}
+
+/**
+ * Value of the vault's position in collateral units from raw balances: idle collateral plus its aTokens scaled up by
+ * each accrued liquidity index, minus its debt scaled up by each accrued borrow index, at oracle prices. Null when
+ * the debt is above the collateral (bad debt).
+ */
+function vaultNetValue({ reserves, vault }) {
+  let collateralBase = 0n;
+  let debtBase = 0n;
+  let collateralReserve;
+  for (const reserve of Object.values(reserves)) {
+    const { scaledSupply, scaledDebt } = reserve.users[vault.address];
+    collateralBase += (rayMul(scaledSupply, reserve.normalizedIncome) * reserve.price) / reserve.unit;
+    debtBase += (rayMul(scaledDebt, reserve.normalizedDebt) * reserve.price) / reserve.unit;
+    if (reserve.asset === vault.collateralAsset) {
+      collateralReserve = reserve;
+    }
+  }
+  if (debtBase > collateralBase) {
+    return null;
+  }
+  return vault.idle + ((collateralBase - debtBase) * collateralReserve.unit) / collateralReserve.price;
+}
+
+/**
+ * Lowest share price the vault can be left at by going from snapshot `before` to `after` without diluting its
+ * holders: the share price before, less the net carry of its position between the two blocks (what its aTokens
+ * earned minus what its debt grew by, along the accrued indexes) and less what the oracle price moves took off its
+ * value. Moves that raise the value lower nothing.
+ */
+function sharePriceFloor(before, after) {
+  const { vault } = before;
+  if (vault.totalSupply === 0n) {
+    return vault.sharePrice;
+  }
+
+  let carryBase = 0n;
+  const repriced = {};
+  for (const [symbol, reserve] of Object.entries(before.reserves)) {
+    const next = after.reserves[symbol];
+    const { scaledSupply, scaledDebt } = reserve.users[vault.address];
+    const carry =
+      rayMul(scaledSupply, next.normalizedIncome - reserve.normalizedIncome) -
+      rayMul(scaledDebt, next.normalizedDebt - reserve.normalizedDebt);
+    carryBase += (carry * reserve.price) / reserve.unit;
+    repriced[symbol] = { ...reserve, price: next.price };
+  }
+
+  // totalAssets keeps the idle collateral when the position is underwater
+  const value = (accounting) => vaultNetValue(accounting) ?? accounting.vault.idle;
+  const collateral = Object.values(before.reserves).find((reserve) => reserve.asset === vault.collateralAsset);
+  const carry = (carryBase * collateral.unit) / collateral.price;
+  const revaluation = value({ reserves: repriced, vault }) - value(before);
+
+  const drop = (carry < 0n ? -carry : 0n) + (revaluation < 0n ? -revaluation : 0n);
+  return vault.sharePrice - (drop * 10n ** 18n) / vault.totalSupply;
+}
+
+/**
+ * Checks the accounting invariants of one snapshot, with `dust` units of rounding allowed per reserve:
+ * - the underlying in the Pool plus the debt owed covers every aToken (suppliers' and the treasury's accrual)
+ * - the debt of the holders adds up to the reserve's total debt
+ * - vault shares add up to totalSupply, and totalAssets covers them
+ * - totalAssets matches the position valued from raw balances
+ */
+function checkAccounting(accounting, { dust = 10n } = {}) {
+  const holders = Object.keys(accounting.vault.shares);
+
+  for (const [symbol, reserve] of Object.entries(accounting.reserves)) {
+    const claims = rayMul(reserve.scaledSupply + reserve.accruedToTreasury, reserve.liquidityIndex);
+    const totalDebt = rayMul(reserve.scaledDebt, reserve.variableBorrowIndex);
+    expect(reserve.liquidity + totalDebt + dust, `${symbol} liquidity + debt covers the aTokens`).to.be.gte(claims);
+
+    const userDebt = holders.reduce((sum, holder) => sum + reserve.users[holder].debt, 0n);
+    expect(userDebt, `${symbol} user debt adds up to the total debt`).to.be.closeTo(
+      totalDebt,
+      BigInt(holders.length) + 1n
+    );
+  }
+
+  const { vault } = accounting;
+  const shares = holders.reduce((sum, holder) => sum + vault.shares[holder], 0n);
+  expect(shares, "vault shares add up to totalSupply").to.equal(vault.totalSupply);
+  if (vault.totalSupply === 0n) {
+    return;
+  }
+  const netValue = vaultNetValue(accounting);
+  if (netValue !== null) {
+    expect(vault.totalAssets, "totalAssets matches the position valued from raw balances").to.be.closeTo(
+      netValue,
+      dust
+    );
+  }
+}
+
+module.exports = {
+  readAccounting,
+  vaultNetValue,
+  sharePriceFloor,
+  checkAccounting,
+};
@@ -0,0 +1,237 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { loadFixture, mine } = require("@nomicfoundation/hardhat-network-helpers");
+const { Keeper } = require("../scripts/lib/keeper");
+const { usd, deployProtocolFixture, loopedVaultFixture, memoryLogger } = require("./fixtures");
+
+async function overleveragedFixture() {
+  const fixture = await loopedVaultFixture();
+  // A second loop takes the position past rebalanceLTVBps
+  await fixture.vault.executeLooping();
+  return fixture;
+}
+
+describe("Keeper", function () {
+  async function createKeeper(fixture, config = {}) {
+    const [, , , keeperAccount] = await hre.ethers.getSigners();
+    const logger = memoryLogger();
+    const keeper = new Keeper(hre, keeperAccount, [fixture.vaultAddress], { logger, retryDelayMs: 0, ...config });
+    return { keeper, logger };
+  }
+
+  it("rebalances a vault above rebalanceLTVBps", async function () {
+    const fixture = await loadFixture(overleveragedFixture);
+    const { vault } = fixture;
+    const { keeper } = await createKeeper(fixture);
+
+    const [result] = await keeper.tick();
+
+    expect(result.action).to.equal("rebalance");
+    expect(result.receipt.status).to.equal(1);
+    expect(await vault.getCurrentLTV()).to.be.lte(await vault.rebalanceLTVBps());
+  });
+
+  it("re-levers a vault whose LTV drifted low", async function () {
+    const fixture = await loadFixture(deployProtocolFixture);
+    const { vault, alice } = fixture;
+    // The first deposit stays idle in the vault
+    await vault.connect(alice).deposit(usd("10000"), alice.address);
+    const { keeper } = await createKeeper(fixture);
+
+    const [result] = await keeper.tick();
+
+    expect(result.action).to.equal("executeLooping");
+    expect(await vault.getCurrentLTV()).to.be.gte(7000n);
+  });
+
+  it("only re-levers when the loop stays within rebalanceLTVBps", async function () {
+    const fixture = await loadFixture(deployProtocolFixture);
+    const { vault, alice } = fixture;
+    await vault.connect(alice).deposit(usd("10000"), alice.address);
+    // Three iterations stop around 71%; five more from there would lever past 80%
+    await vault.setMaxLoopIterations(3);
+    await vault.executeLooping();
+    await vault.setMaxLoopIterations(5);
+    const ltv = await vault.getCurrentLTV();
+    const { keeper, logger } = await createKeeper(fixture, { releverBelowBps: 7500 });
+
+    const [skipped] = await keeper.tick();
+
+    expect(skipped.action).to.equal(null);
+    expect(skipped.projectedLtv).to.be.gt(await vault.rebalanceLTVBps());
+    expect(await vault.getCurrentLTV()).to.equal(ltv);
+    expect(logger.entries.map((entry) => entry.msg)).to.include("re-lever skipped, it would overshoot rebalanceLTVBps");
+
+  });
+
+  it("has nothing to rebalance on the poll after a re-lever", async function () {
+    const fixture = await loadFixture(deployProtocolFixture);
+    const { vault, alice } = fixture;
+    await vault.connect(alice).deposit(usd("10000"), alice.address);
+    const { keeper } = await createKeeper(fixture);
+
+    const [relevered] = await keeper.tick();
+    const [next] = await keeper.tick();
+
+    expect(relevered.action).to.equal("executeLooping");
+    expect(relevered.projectedLtv).to.be.lte(await vault.rebalanceLTVBps());
+    expect(await vault.getCurrentLTV()).to.be.closeTo(relevered.projectedLtv, 1n);
+    expect(next.action).to.equal(null);
+  });
+
+  it("leaves a low LTV alone while looping is paused", async function () {
+    const fixture = await loadFixture(deployProtocolFixture);
+    const { vault, alice } = fixture;
+    await vault.connect(alice).deposit(usd("10000"), alice.address);
+    await vault.setPaused(false, true);
+    const { keeper } = await createKeeper(fixture);
+
+    const [result] = await keeper.tick();
+
+    expect(result.action).to.equal(null);
+    expect(await vault.getCurrentLTV()).to.equal(0n);
+  });
+
+  it("does nothing for a healthy vault", async function () {
+    const fixture = await loadFixture(loopedVaultFixture);
+    const { keeper } = await createKeeper(fixture);
+
+    const [result] = await keeper.tick();
+
+    expect(result.action).to.equal(null);
+    expect(result.receipt).to.equal(undefined);
+  });
+
+  it("only simulates in dry-run mode", async function () {
+    const fixture = await loadFixture(overleveragedFixture);
+    const { vault } = fixture;
+    const { keeper, logger } = await createKeeper(fixture, { dryRun: true });
+    const ltvBefore = await vault.getCurrentLTV();
+
+    const [result] = await keeper.tick();
+
+    expect(result.action).to.equal("rebalance");
+    expect(result.receipt).to.equal(null);
+    expect(await vault.getCurrentLTV()).to.equal(ltvBefore);
+    expect(logger.entries.map((entry) => entry.msg)).to.include("dry run, not sending");
+  });
+
+  it("skips sending above the gas price ceiling", async function () {
+    const fixture = await loadFixture(overleveragedFixture);
+    const { vault } = fixture;
+    const { keeper, logger } = await createKeeper(fixture, { maxGasPrice: 1n });
+    const ltvBefore = await vault.getCurrentLTV();
+
+    const [result] = await keeper.tick();
+
+    expect(result.receipt).to.equal(null);
+    expect(await vault.getCurrentLTV()).to.equal(ltvBefore);
+    expect(logger.entries.find((entry) => entry.level === "warn").msg).to.equal("gas price above ceiling, skipping");
+  });
+
+  it("compares the base fee plus priority fee to the gas price ceiling", async function () {
+    const fixture = await loadFixture(overleveragedFixture);
+    const { vault } = fixture;
+    const { baseFeePerGas } = await hre.ethers.provider.getBlock("latest");
+    const { maxFeePerGas, maxPriorityFeePerGas } = await hre.ethers.provider.getFeeData();
+    // Below maxFeePerGas, which is only the cap a transaction would pay up to
+    const maxGasPrice = baseFeePerGas + maxPriorityFeePerGas;
+    expect(maxGasPrice).to.be.lt(maxFeePerGas);
+    const { keeper } = await createKeeper(fixture, { maxGasPrice });
+
+    const [result] = await keeper.tick();
+
+    expect(result.receipt.status).to.equal(1);
+    expect(await vault.getCurrentLTV()).to.be.lte(await vault.rebalanceLTVBps());
+  });
+
+  /**
+   * Wraps the keeper's vault so the first wait() on the first transaction times out, running `afterSend` after
+   * each send
+   */
+  function timeOutFirstWait(keeper, fixture, afterSend = async () => {}) {
+    const { vault } = fixture;
+    let sends = 0;
+    const send = async (overrides) => {
+      sends += 1;
+      const tx = await vault.connect(keeper.signer).rebalance(overrides);
+      await afterSend(sends);
+      if (sends === 1) {
+        const wait = tx.wait.bind(tx);
+        tx.wait = async (...args) => {
+          tx.wait = wait;
+          throw Object.assign(new Error("timeout"), { code: "TIMEOUT" });
+        };
+      }
+      return tx;
+    };
+    send.staticCall = () => vault.connect(keeper.signer).rebalance.staticCall();
+    keeper._contracts[fixture.vaultAddress] = { vault: { rebalance: send } };
+  }
+
+  it("does not resend a transaction that got mined after a wait timeout", async function () {
+    const fixture = await loadFixture(overleveragedFixture);
+    const { keeper, logger } = await createKeeper(fixture);
+    timeOutFirstWait(keeper, fixture);
+    const nonce = await keeper.signer.getNonce();
+
+    const receipt = await keeper.execute(fixture.vaultAddress, "rebalance");
+
+    const sent = logger.entries.filter((entry) => entry.msg === "transaction sent");
+    expect(sent).to.have.length(1);
+    expect(receipt.hash).to.equal(sent[0].txHash);
+    expect(await keeper.signer.getNonce()).to.equal(nonce + 1);
+  });
+
+  it("replaces a pending transaction at the same nonce after a wait timeout", async function () {
+    const fixture = await loadFixture(overleveragedFixture);
+    const { keeper, logger } = await createKeeper(fixture);
+    // The first transaction stays pending, the replacement gets mined
+    const nonce = await keeper.signer.getNonce();
+    await hre.network.provider.send("evm_setAutomine", [false]);
+    timeOutFirstWait(keeper, fixture, async (sends) => {
+      if (sends > 1) {
+        await mine();
+      }
+    });
+
+    let receipt;
+    try {
+      receipt = await keeper.execute(fixture.vaultAddress, "rebalance");
+    } finally {
+      await hre.network.provider.send("evm_setAutomine", [true]);
+    }
+
+    const [original, replacement] = logger.entries.filter((entry) => entry.msg === "transaction sent");
+    expect(replacement.nonce).to.equal(original.nonce);
+    expect(receipt.hash).to.equal(replacement.txHash);
+    // The replacement evicted the original from the mempool
+    expect(await hre.ethers.provider.getTransaction(original.txHash)).to.equal(null);
+    expect(await keeper.signer.getNonce()).to.equal(nonce + 1);
+  });
+
+  it("keeps watching other vaults when one fails", async function () {
+    const fixture = await loadFixture(overleveragedFixture);
+    const { keeper, logger } = await createKeeper(fixture);
+    keeper.vaults = [fixture.alice.address, fixture.vaultAddress];
+
+    const [broken, healthy] = await keeper.tick();
+
+    expect(broken.error).to.be.an("error");
+    expect(healthy.action).to.equal("rebalance");
+    expect(healthy.receipt.status).to.equal(1);
+    expect(logger.entries.filter((entry) => entry.level === "error")).to.have.length(1);
+  });
+
+  it("manages nonces across consecutive transactions", async function () {
+    const fixture = await loadFixture(overleveragedFixture);
+    const { keeper } = await createKeeper(fixture);
+
+    const first = await keeper.execute(fixture.vaultAddress, "rebalance");
+    const second = await keeper.execute(fixture.vaultAddress, "executeLooping");
+
+    const firstTx = await hre.ethers.provider.getTransaction(first.hash);
+    const secondTx = await hre.ethers.provider.getTransaction(second.hash);
+    expect(secondTx.nonce).to.equal(firstTx.nonce + 1);
+  });
+});
@@ -0,0 +1,125 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { Liquidator, calculateLiquidation } = require("../scripts/lib/liquidator");
+const { usd, borrowerFixture, memoryLogger } = require("./fixtures");
+
+const YEAR = 365 * 24 * 60 * 60;
+
+describe("Liquidator", function () {
+  // alice goes underwater after two years of interest, bob stays healthy
+  async function underwaterFixture() {
+    const fixture = await borrowerFixture();
+    const { pool, usdc, usdt, bob } = fixture;
+
+    await pool.connect(bob).supply(await usdc.getAddress(), usd("10000"), bob.address, 0);
+    await pool.connect(bob).borrow(await usdt.getAddress(), usd("1000"), 2, 0, bob.address);
+
+    await time.increase(2 * YEAR);
+    // Any USDT interaction stores the accrued debt index
+    await pool.connect(bob).supply(await usdt.getAddress(), 1n, bob.address, 0);
+
+    return fixture;
+  }
+
+  function createLiquidator(fixture, config = {}) {
+    const logger = memoryLogger();
+    const liquidator = new Liquidator(hre, fixture.deployer, fixture.poolAddress, { logger, ...config });
+    return { liquidator, logger };
+  }
+
+  it("finds underwater borrowers from Borrow events", async function () {
+    const fixture = await loadFixture(underwaterFixture);
+    const { liquidator } = createLiquidator(fixture);
+
+    expect(await liquidator.discover()).to.equal(2);
+    const underwater = await liquidator.findUnderwater();
+
+    expect(underwater.map((account) => account.user)).to.deep.equal([fixture.alice.address]);
+    expect(underwater[0].healthFactor).to.be.lt(hre.ethers.parseEther("1"));
+  });
+
+  it("liquidates the most profitable pair up to the close factor", async function () {
+    const fixture = await loadFixture(underwaterFixture);
+    const { pool, usdc, usdt, alice, deployer } = fixture;
+    const { liquidator } = createLiquidator(fixture);
+    const usdcBefore = await usdc.balanceOf(deployer.address);
+
+    const [result] = await liquidator.run();
+
+    expect(result.status).to.equal("liquidated");
+    expect(result.collateralAsset).to.equal(await usdc.getAddress());
+    expect(result.debtAsset).to.equal(await usdt.getAddress());
+    expect(result.profit).to.be.gt(0n);
+    expect(await usdc.balanceOf(deployer.address)).to.be.closeTo(usdcBefore + result.collateralAmount, 1n);
+
+    const { healthFactor } = await pool.getUserAccountData(alice.address);
+    expect(healthFactor).to.be.gt(result.healthFactor);
+  });
+
+  it("only simulates in dry-run mode", async function () {
+    const fixture = await loadFixture(underwaterFixture);
+    const { liquidator } = createLiquidator(fixture, { dryRun: true });
+
+    const [result] = await liquidator.run();
+
+    expect(result.status).to.equal("dryRun");
+    expect((await fixture.pool.getUserAccountData(fixture.alice.address)).healthFactor).to.equal(result.healthFactor);
+  });
+
+  it("skips liquidations below the minimum profit", async function () {
+    const fixture = await loadFixture(underwaterFixture);
+    const { liquidator, logger } = createLiquidator(fixture, { minProfit: usd("1000000") });
+
+    const [result] = await liquidator.run();
+
+    expect(result.status).to.equal("unprofitable");
+    expect(logger.entries.map((entry) => entry.msg)).to.include("liquidation below minimum profit");
+  });
+
+  it("skips when the liquidator cannot cover the debt", async function () {
+    const fixture = await loadFixture(underwaterFixture);
+    const [, , , , poorAccount] = await hre.ethers.getSigners();
+    const liquidator = new Liquidator(hre, poorAccount, fixture.poolAddress, { logger: memoryLogger() });
+
+    const [result] = await liquidator.run();
+
+    expect(result.status).to.equal("insufficientBalance");
+  });
+
+  it("caps the seized collateral like the Pool does", function () {
+    const uncapped = calculateLiquidation({
+      debtToCover: usd("1000"),
+      userCollateral: usd("10000"),
+      liquidationBonus: 500,
+      collateralDecimals: 6,
+      debtDecimals: 6,
+      collateralPrice: 100000000n,
+      debtPrice: 100000000n,
+    });
+    expect(uncapped).to.deep.equal({ collateralAmount: usd("1050"), debtAmount: usd("1000") });
+
+    const capped = calculateLiquidation({
+      debtToCover: usd("1000"),
+      userCollateral: usd("525"),
+      liquidationBonus: 500,
+      collateralDecimals: 6,
+      debtDecimals: 6,
+      collateralPrice: 100000000n,
+      debtPrice: 100000000n,
+    });
+    expect(capped).to.deep.equal({ collateralAmount: usd("525"), debtAmount: usd("500") });
+
+    // Collateral worth 0.80: 1000 of debt buys 1250 of it, plus the bonus
+    const discounted = calculateLiquidation({
+      debtToCover: usd("1000"),
+      userCollateral: usd("10000"),
+      liquidationBonus: 500,
+      collateralDecimals: 6,
+      debtDecimals: 6,
+      collateralPrice: 80000000n,
+      debtPrice: 100000000n,
+    });
+    expect(discounted).to.deep.equal({ collateralAmount: usd("1312.5"), debtAmount: usd("1000") });
+  });
+});
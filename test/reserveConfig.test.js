@@ -0,0 +1,137 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployProtocolFixture } = require("./fixtures");
+const {
+  encodeReserveConfig,
+  decodeReserveConfig,
+  loadReserveConfig,
+  normalizeReserveConfig,
+  planReserveChanges,
+  applyReserveConfig,
+} = require("../scripts/lib/reserveConfig");
+
+const { ethers } = hre;
+
+describe("Reserve config", function () {
+  const fields = {
+    ltv: 8500,
+    liquidationThreshold: 9000,
+    liquidationBonus: 500,
+    decimals: 6,
+    active: true,
+    frozen: true,
+    borrowingEnabled: false,
+    reserveFactor: 1000,
+  };
+
+  // The checked-in config, with every reserve changed the same way
+  const editedConfig = (changes) => {
+    const config = loadReserveConfig();
+    for (const symbol of Object.keys(config.reserves)) {
+      config.reserves[symbol] = { ...config.reserves[symbol], ...changes };
+    }
+    return config;
+  };
+
+  it("encodes every field into the bitmap and decodes it back", function () {
+    const { data } = encodeReserveConfig(fields);
+
+    const expected =
+      8500n | (9000n << 16n) | (500n << 32n) | (6n << 48n) | (1n << 56n) | (1n << 57n) | (1000n << 64n);
+
+    expect(data).to.equal("0x" + expected.toString(16).padStart(64, "0"));
+    expect(decodeReserveConfig(data)).to.deep.equal(fields);
+  });
+
+  it("defaults the flags to an active, unfrozen reserve with borrowing enabled", function () {
+    const { active, frozen, borrowingEnabled, ...rest } = fields;
+    const decoded = decodeReserveConfig(encodeReserveConfig(rest));
+
+    expect(decoded).to.include({ active: true, frozen: false, borrowingEnabled: true });
+  });
+
+  it("rejects values that do not fit their bits or are missing", function () {
+    expect(() => encodeReserveConfig({ ...fields, ltv: 70000 })).to.throw("does not fit in 16 bits");
+    expect(() => encodeReserveConfig({ ...fields, decimals: 256 })).to.throw("does not fit in 8 bits");
+    expect(() => encodeReserveConfig({ ...fields, reserveFactor: undefined })).to.throw("missing reserveFactor");
+  });
+
+  it("validates a declarative config like the PoolConfigurator does", function () {
+    const config = (reserve) => ({
+      interestRateStrategies: { default: {} },
+      reserves: { USDC: { ltv: 8000, liquidationThreshold: 8500, liquidationBonus: 500, reserveFactor: 1000, ...reserve } },
+    });
+
+    expect(normalizeReserveConfig(config({})).reserves.USDC).to.include({
+      active: true,
+      frozen: false,
+      borrowingEnabled: true,
+      interestRateStrategy: "default",
+    });
+    expect(() => normalizeReserveConfig(config({ ltv: 9000 }))).to.throw("above the liquidation threshold");
+    expect(() => normalizeReserveConfig(config({ liquidationThreshold: 9600 }))).to.throw("plus bonus is above 100%");
+    expect(() => normalizeReserveConfig(config({ reserveFactor: 12000 }))).to.throw("above 100%");
+    expect(() => normalizeReserveConfig(config({ interestRateStrategy: "steep" }))).to.throw(
+      "unknown interest rate strategy steep"
+    );
+  });
+
+  it("plans activation first and deactivation last", function () {
+    const current = { ...fields, active: false, frozen: false, borrowingEnabled: true, interestRateStrategy: "0x01" };
+    const activate = planReserveChanges(current, { ...current, active: true, frozen: true });
+    expect(activate.map((change) => change.method)).to.deep.equal(["setReserveActive", "setReserveFreeze"]);
+
+    const deactivate = planReserveChanges({ ...current, active: true }, { ...current, reserveFactor: 0 });
+    expect(deactivate.map((change) => change.method)).to.deep.equal(["setReserveFactor", "setReserveActive"]);
+    expect(planReserveChanges(current, { ...current })).to.deep.equal([]);
+  });
+
+  it("applies only the changes that differ from the chain", async function () {
+    const { pool, poolConfigurator, usdc, usdt, interestRateStrategy } = await loadFixture(deployProtocolFixture);
+    const assets = { USDC: await usdc.getAddress(), USDT: await usdt.getAddress() };
+    const strategies = { default: await interestRateStrategy.getAddress() };
+    const apply = (config, dryRun) =>
+      applyReserveConfig(hre, { pool, configurator: poolConfigurator, config, assets, strategies, dryRun });
+
+    // The deployment already matches the checked-in config
+    expect(await apply(loadReserveConfig())).to.deep.equal([]);
+
+    const config = editedConfig({ ltv: 8000, frozen: true });
+    const planned = await apply(config, true);
+    expect(planned.map((change) => `${change.symbol}:${change.method}`)).to.deep.equal([
+      "USDC:configureReserveAsCollateral",
+      "USDC:setReserveFreeze",
+      "USDT:configureReserveAsCollateral",
+      "USDT:setReserveFreeze",
+    ]);
+    expect(planned.every((change) => change.tx === null)).to.equal(true);
+    expect(decodeReserveConfig((await pool.getConfiguration(assets.USDC)).data).ltv).to.equal(8500);
+
+    const applied = await apply(config);
+    expect(applied.every((change) => change.tx !== null)).to.equal(true);
+    expect(decodeReserveConfig((await pool.getConfiguration(assets.USDT)).data)).to.include({ ltv: 8000, frozen: true });
+    expect(await apply(config)).to.deep.equal([]);
+  });
+
+  it("swaps in a strategy given by address", async function () {
+    const { pool, poolConfigurator, usdc, usdt, interestRateStrategy } = await loadFixture(deployProtocolFixture);
+    const ray = (value) => ethers.parseUnits(value, 27);
+    const steeper = await ethers.deployContract("InterestRateStrategy", [ray("0.8"), ray("0.02"), ray("0.08"), ray("1")]);
+    const steeperAddress = await steeper.getAddress();
+
+    const config = editedConfig({});
+    config.reserves.USDT.interestRateStrategy = steeperAddress;
+    const changes = await applyReserveConfig(hre, {
+      pool,
+      configurator: poolConfigurator,
+      config,
+      assets: { USDC: await usdc.getAddress(), USDT: await usdt.getAddress() },
+      strategies: { default: await interestRateStrategy.getAddress() },
+    });
+
+    expect(changes).to.have.length(1);
+    expect(changes[0]).to.include({ symbol: "USDT", method: "setReserveInterestRateStrategyAddress", to: steeperAddress });
+    expect((await pool.getReserveData(await usdt.getAddress())).interestRateStrategyAddress).to.equal(steeperAddress);
+  });
+});
@@ -0,0 +1,118 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployProtocolFixture, loopedVaultFixture } = require("./fixtures");
+const {
+  normalizeRiskProfile,
+  loadRiskProfile,
+  readReserveLimits,
+  readRiskParameters,
+  applyRiskProfile,
+} = require("../scripts/lib/riskProfile");
+
+const { ethers } = hre;
+
+describe("Risk profiles", function () {
+  const conservative = {
+    targetLtvBps: 6500n,
+    rebalanceLtvBps: 7000n,
+    maxLtvBps: 8000n,
+    minHealthFactor: ethers.parseUnits("1.1", 18),
+  };
+
+  it("loads profiles by name, from a file or as an object", function () {
+    expect(loadRiskProfile()).to.deep.equal({
+      targetLtvBps: 7800n,
+      rebalanceLtvBps: 8000n,
+      maxLtvBps: 9000n,
+      minHealthFactor: ethers.parseUnits("1", 18),
+    });
+    expect(loadRiskProfile("conservative")).to.deep.equal(conservative);
+    expect(loadRiskProfile({ ...conservative, minHealthFactor: 1.1 })).to.deep.equal(conservative);
+
+    const file = path.join(os.tmpdir(), `risk-profile-test-${Date.now()}.json`);
+    fs.writeFileSync(
+      file,
+      JSON.stringify({ targetLtvBps: 6500, rebalanceLtvBps: 7000, maxLtvBps: 8000, minHealthFactor: "1.1" })
+    );
+    try {
+      expect(loadRiskProfile(file)).to.deep.equal(conservative);
+    } finally {
+      fs.rmSync(file);
+    }
+
+    expect(() => loadRiskProfile("reckless")).to.throw("Unknown risk profile reckless");
+  });
+
+  it("rejects profiles the vault would reject on their own", function () {
+    const profile = { targetLtvBps: 7800, rebalanceLtvBps: 8000, maxLtvBps: 9000, minHealthFactor: "1" };
+
+    expect(() => normalizeRiskProfile({ ...profile, targetLtvBps: 8100 })).to.throw("targetLtvBps is above");
+    expect(() => normalizeRiskProfile({ ...profile, maxLtvBps: 7900 })).to.throw("rebalanceLtvBps is above");
+    expect(() => normalizeRiskProfile({ ...profile, maxLtvBps: 10000 })).to.throw("maxLtvBps must be");
+    expect(() => normalizeRiskProfile({ ...profile, targetLtvBps: 78.5 })).to.throw("targetLtvBps must be");
+    expect(() => normalizeRiskProfile({ ...profile, minHealthFactor: "0.9" })).to.throw("below 1");
+    expect(() => normalizeRiskProfile({ ...profile, minHealthFactor: undefined })).to.throw("missing minHealthFactor");
+  });
+
+  it("reads the reserve limits the vault validates against", async function () {
+    const { vault } = await loadFixture(deployProtocolFixture);
+
+    expect(await readReserveLimits(hre, vault)).to.deep.equal({
+      ltv: 8500,
+      liquidationThreshold: 9000,
+      maxLtvBps: 9000n,
+    });
+  });
+
+  it("applies tightening at once and leaves a matching vault alone", async function () {
+    const { vault } = await loadFixture(loopedVaultFixture);
+
+    expect((await applyRiskProfile(hre, { vault, profile: "default" })).action).to.equal("unchanged");
+
+    const planned = await applyRiskProfile(hre, { vault, profile: "conservative", dryRun: true });
+    expect(planned).to.include({ action: "applied", dryRun: true, tx: null });
+    expect(await vault.maxLTVBps()).to.equal(9000n);
+
+    const applied = await applyRiskProfile(hre, { vault, profile: "conservative" });
+    expect(applied.action).to.equal("applied");
+    expect(applied.tx).to.match(/^0x[0-9a-f]{64}$/);
+    expect((await readRiskParameters(vault)).current).to.deep.equal(conservative);
+  });
+
+  it("queues loosening and executes it on a run after the timelock", async function () {
+    const { vault } = await loadFixture(loopedVaultFixture);
+    const messages = [];
+    const log = (message) => messages.push(message);
+    const apply = () => applyRiskProfile(hre, { vault, profile: "aggressive", log });
+
+    const queued = await apply();
+    expect(queued.action).to.equal("queued");
+    expect(queued.eta).to.equal(await vault.riskParametersEta());
+    expect((await readRiskParameters(vault)).pending).to.include({ rebalanceLtvBps: 8500n, eta: queued.eta });
+
+    expect(await apply()).to.include({ action: "pending", eta: queued.eta, tx: null });
+
+    await time.increaseTo(queued.eta);
+    expect((await apply()).action).to.equal("executed");
+    expect(await vault.rebalanceLTVBps()).to.equal(8500n);
+    expect((await readRiskParameters(vault)).pending).to.equal(null);
+    expect((await apply()).action).to.equal("unchanged");
+    expect(messages[0]).to.match(/^risk parameters queued \(eta \d+\)$/);
+  });
+
+  it("refuses profiles the reserves do not allow before sending anything", async function () {
+    const { vault } = await loadFixture(deployProtocolFixture);
+    const profile = { targetLtvBps: 7800, rebalanceLtvBps: 8000, maxLtvBps: 9000, minHealthFactor: "1" };
+
+    await expect(
+      applyRiskProfile(hre, { vault, profile: { ...profile, rebalanceLtvBps: 8600 } })
+    ).to.be.rejectedWith("rebalanceLtvBps 8600 is above the reserves' LTV 8500");
+    await expect(
+      applyRiskProfile(hre, { vault, profile: { ...profile, minHealthFactor: "1.05" } })
+    ).to.be.rejectedWith("maxLtvBps 9000 leaves a health factor below 1.05");
+  });
+});
@@ -0,0 +1,119 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployProtocolFixture } = require("./fixtures");
+const { loadScenarios, runScenario, checkInvariants, formatScenarioReport } = require("../scripts/lib/scenario");
+
+const { ethers } = hre;
+
+describe("Scenario runner", function () {
+  const run = async (scenario) =>
+    runScenario(hre, { name: "test", ...scenario }, { deployment: await loadFixture(deployProtocolFixture) });
+
+  it("loads scenarios by name, from a file or all of them", function () {
+    const all = loadScenarios();
+    expect(all.map((scenario) => scenario.name)).to.include.members(["rate-spike", "liquidity-crunch"]);
+    expect(loadScenarios("rate-spike")[0].steps).to.deep.equal(all.find((s) => s.name === "rate-spike").steps);
+
+    const file = path.join(os.tmpdir(), `scenario-test-${Date.now()}.json`);
+    fs.writeFileSync(file, JSON.stringify({ steps: [{ action: "loop" }] }));
+    try {
+      expect(loadScenarios(file)).to.deep.equal([{ name: path.basename(file, ".json"), steps: [{ action: "loop" }] }]);
+    } finally {
+      fs.rmSync(file);
+    }
+
+    expect(() => loadScenarios("meteor-strike")).to.throw("Unknown scenario meteor-strike");
+  });
+
+  it("records the position after every step and the operations that failed", async function () {
+    const report = await run({
+      actors: { alice: { USDC: "10000" }, whale: { USDC: "2000000" } },
+      steps: [
+        { action: "deposit", actor: "alice", amount: "10000" },
+        { action: "loop" },
+        { action: "supply", actor: "whale", asset: "USDC", amount: "2000000" },
+        { action: "borrow", actor: "whale", asset: "USDT", utilization: "0.95" },
+        { action: "redeem", actor: "whale", shares: "1", expectRevert: true },
+        { action: "advanceTime", duration: "30d" },
+        { action: "borrow", actor: "alice", asset: "USDT", amount: "1" },
+      ],
+    });
+
+    expect(report.steps).to.have.length(8);
+    const [start, , loop, , borrow, redeem, later, unexpected] = report.steps;
+    expect(start.state.healthFactor).to.equal(null);
+    expect(loop.state.ltvBps).to.be.gt(7000n);
+    expect(loop.state.healthFactor).to.be.gt(ethers.parseEther("1"));
+
+    // Past the optimal utilization the borrow rate jumps to VARIABLE_RATE_SLOPE_2 after the next accrual
+    const usdt = later.state.reserves.USDT;
+    expect(borrow.state.reserves.USDT.utilization).to.be.closeTo(ethers.parseUnits("0.95", 27), 10n ** 22n);
+    expect(usdt.utilization).to.be.gt(usdt.optimalUtilization);
+    expect(usdt.variableBorrowRate).to.be.gt(borrow.state.reserves.USDT.variableBorrowRate * 10n);
+    expect(later.state.ltvBps).to.be.gt(loop.state.ltvBps);
+    expect(later.state.sharePrice).to.be.lt(loop.state.sharePrice);
+
+    expect(redeem).to.include({ ok: false, asExpected: true });
+    // alice has no collateral in the pool
+    expect(unexpected).to.include({ ok: false, asExpected: false });
+    expect(unexpected.error).to.match(/collateral/i);
+    expect(report.passed).to.equal(false);
+    expect(report.invariants.find((invariant) => invariant.name === "noUnexpectedFailures")).to.include({
+      passed: false,
+      worst: 1,
+      step: 7,
+    });
+  });
+
+  it("keeps the rate spike scenario within its invariants while the keeper runs", async function () {
+    const [scenario] = loadScenarios("rate-spike");
+
+    const report = await run(scenario);
+
+    expect(report.passed).to.equal(true);
+    expect(report.steps.filter((step) => step.description === "keeper: rebalance")).to.not.be.empty;
+    expect(report.invariants.map((invariant) => invariant.name)).to.have.members([
+      "minHealthFactor",
+      "noUnexpectedFailures",
+      "maxLtvBps",
+    ]);
+  });
+
+  it("fails the health factor invariant when the rebalance comes too late", async function () {
+    const [scenario] = loadScenarios("delayed-rebalance");
+
+    const report = await run(scenario);
+    const healthFactor = report.invariants.find((invariant) => invariant.name === "minHealthFactor");
+
+    expect(report.passed).to.equal(false);
+    expect(healthFactor.passed).to.equal(false);
+    expect(Number(healthFactor.worst)).to.be.lt(1);
+    expect(formatScenarioReport(report).steps[healthFactor.step].healthFactor).to.equal(
+      Number(healthFactor.worst).toFixed(4)
+    );
+  });
+
+  it("checks share price drawdowns and LTV limits over the recorded steps", function () {
+    const step = (index, sharePrice, ltvBps) => ({
+      index,
+      asExpected: true,
+      state: { sharePrice, ltvBps, healthFactor: null },
+    });
+    const steps = [step(0, 1000000n, 0n), step(1, 1100000n, 7800n), step(2, 990000n, 8200n), step(3, 1050000n, 7900n)];
+
+    const [drawdown, ltv, healthFactor] = checkInvariants(steps, {
+      maxSharePriceDrawdown: 0.05,
+      maxLtvBps: 8000,
+      minHealthFactor: "1",
+    });
+
+    expect(drawdown).to.include({ passed: false, worst: 0.1, step: 2 });
+    expect(ltv).to.include({ passed: false, worst: 8200, step: 2 });
+    expect(healthFactor).to.include({ passed: true, worst: null });
+    expect(() => checkInvariants(steps, { solvency: true })).to.throw("Unknown invariant solvency");
+  });
+});
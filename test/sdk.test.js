@@ -0,0 +1,209 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { loadFixture, mine } = require("@nomicfoundation/hardhat-network-helpers");
+const { usd, deployProtocolFixture, loopedVaultFixture } = require("./fixtures");
+const sdk = require("../sdk");
+const wadRayMath = require("../scripts/lib/wadRayMath");
+const { decodeReserveConfig } = require("../scripts/lib/reserveConfig");
+
+const { ethers } = hre;
+
+describe("SDK", function () {
+  describe("ABIs", function () {
+    const checks = [
+      ["POOL_ABI", "Pool"],
+      ["POOL_DATA_PROVIDER_ABI", "PoolDataProvider"],
+      ["VAULT_ABI", "LeveragedERC4626Vault"],
+      ["ERC20_ABI", "USDC"],
+    ];
+
+    // Signature and return types; view vs pure does not matter to callers
+    const signature = (fragment) =>
+      fragment.format("sighash") + (fragment.outputs ? ` returns ${fragment.outputs.map((o) => o.format()).join()}` : "");
+
+    for (const [abi, contractName] of checks) {
+      it(`${abi} matches the compiled ${contractName}`, async function () {
+        const { abi: compiled } = await hre.artifacts.readArtifact(contractName);
+        const named = new ethers.Interface(compiled).fragments.filter((fragment) => fragment.name !== undefined);
+        const fragments = new Set(named.map(signature));
+
+        for (const fragment of new ethers.Interface(sdk[abi]).fragments) {
+          expect(fragments, `${contractName} has no ${signature(fragment)}`).to.include(signature(fragment));
+        }
+      });
+    }
+  });
+
+  describe("address book", function () {
+    it("loads the deployment manifest from an object, a file and a network name", async function () {
+      const { manifest } = await loadFixture(deployProtocolFixture);
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), "sdk-test-"));
+      const file = path.join(dir, "devchain.json");
+      fs.writeFileSync(file, JSON.stringify(manifest.data));
+
+      for (const source of [manifest, manifest.data, file, "devchain"]) {
+        const book = sdk.loadAddressBook(source, { dir });
+        expect(book.get("Pool")).to.equal(manifest.data.contracts.Pool.address);
+        expect(book.ids()).to.include("LeveragedERC4626Vault");
+        await book.assertNetwork(ethers.provider);
+      }
+      expect(sdk.loadAddressBook("devchain", { dir }).network).to.equal(manifest.data.network);
+
+      fs.rmSync(dir, { recursive: true });
+    });
+
+    it("rejects unknown ids, missing manifests and other chains", async function () {
+      const book = new sdk.AddressBook({ network: "mainnet", chainId: 1, contracts: {} });
+      expect(() => book.get("Pool")).to.throw("No Pool in the mainnet address book");
+      expect(() => sdk.loadAddressBook("nowhere", { dir: os.tmpdir() })).to.throw("No deployment manifest");
+      await expect(book.assertNetwork(ethers.provider)).to.be.rejectedWith("is for chainId 1");
+    });
+  });
+
+  describe("clients", function () {
+    it("reads the vault position, state and account as named, formatted objects", async function () {
+      const fixture = await loadFixture(loopedVaultFixture);
+      const { vault, alice, manifest } = fixture;
+      const client = sdk.createClient(alice, manifest.data);
+
+      const position = await client.vault.getPosition();
+      const [collateral, debt, ltv, healthFactor] = await vault.getPositionDetails();
+      expect(position).to.include({
+        collateralSupplied: collateral,
+        debtBorrowed: debt,
+        currentLTV: ltv,
+        healthFactor,
+        symbol: "USDC",
+      });
+      expect(position.formatted.collateralSupplied).to.equal(ethers.formatUnits(collateral, 6));
+      expect(position.formatted.currentLTV).to.equal(`${(Number(ltv) / 100).toFixed(2)}%`);
+
+      const state = await client.vault.getState();
+      expect(state.totalAssets).to.equal(await vault.totalAssets());
+      expect(state.leverageMode).to.equal("Loop");
+      expect(state.sharePrice).to.equal(await vault.convertToAssets(usd("1")));
+
+      const account = await client.vault.getAccount(alice.address);
+      expect(account.shares).to.equal(await vault.balanceOf(alice.address));
+      expect(account.formatted.maxWithdraw).to.equal(ethers.formatUnits(account.maxWithdraw, 6));
+
+      const risk = await client.vault.getRiskParameters();
+      expect(risk.formatted).to.include({ targetLTVBps: "78.00%", maxLTVBps: "90.00%" });
+    });
+
+    it("decodes the reserve configuration and names the account data", async function () {
+      const fixture = await loadFixture(loopedVaultFixture);
+      const { pool, usdt, vaultAddress, bob, manifest } = fixture;
+      const client = sdk.createClient(bob, manifest.data);
+      const usdtAddress = await usdt.getAddress();
+
+      expect(await client.pool.getReservesList()).to.include(usdtAddress);
+      const reserve = await client.pool.getReserve(usdtAddress);
+      expect(reserve).to.include({ symbol: "USDT", decimals: 6 });
+      expect(reserve.config).to.deep.equal(decodeReserveConfig((await pool.getConfiguration(usdtAddress)).data));
+      expect(reserve.formatted.variableBorrowRate).to.match(/^\d+\.\d{2}%$/);
+
+      const account = await client.pool.getUserAccountData(vaultAddress);
+      const data = await pool.getUserAccountData(vaultAddress);
+      expect(account.totalDebtBase).to.equal(data.totalDebtBase);
+      expect(account.formatted.totalDebtBase).to.match(/^\$\d+\.\d{2}$/);
+
+      const totals = await client.dataProvider.getReserveData(usdtAddress);
+      expect(totals.totalVariableDebt).to.be.greaterThan(0n);
+      expect(totals.formatted.totalVariableDebt).to.equal(ethers.formatUnits(totals.totalVariableDebt, 6));
+    });
+
+    it("sends pool and vault transactions in token units and waits for confirmations", async function () {
+      const { usdc, vault, bob, manifest } = await loadFixture(deployProtocolFixture);
+      const client = sdk.createClient(bob, manifest.data);
+      const usdcAddress = await usdc.getAddress();
+
+      const supplied = await client.pool.supply(usdcAddress, "2500");
+      expect(supplied).to.include({ status: 1 });
+      expect(supplied.gasUsed).to.be.greaterThan(0n);
+      expect((await client.pool.getUserAccountData(bob.address)).formatted.totalCollateralBase).to.equal("$2500.00");
+
+      await client.vault.deposit("1000");
+      expect(await vault.balanceOf(bob.address)).to.equal(usd("1000"));
+
+      // Mined at once, but only settles on the next block
+      const pending = sdk.sendTransaction(await vault.connect(bob).approve(bob.address, 1n), { confirmations: 2 });
+      await mine(1);
+      const approval = await pending;
+      expect(await ethers.provider.getBlockNumber()).to.equal(approval.blockNumber + 1);
+
+      await client.vault.redeem("max");
+      expect(await vault.balanceOf(bob.address)).to.equal(0n);
+    });
+
+    it("refuses to send through a provider", async function () {
+      const { usdc, manifest } = await loadFixture(deployProtocolFixture);
+      const client = sdk.createClient(ethers.provider, manifest.data);
+      await expect(client.pool.supply(await usdc.getAddress(), "1")).to.be.rejectedWith("needs a signer");
+    });
+  });
+
+  describe("errors", function () {
+    it("decodes pool string codes", async function () {
+      const { usdt, bob, manifest } = await loadFixture(deployProtocolFixture);
+      const client = sdk.createClient(bob, manifest.data);
+
+      const error = await client.pool.borrow(await usdt.getAddress(), "100").catch((e) => e);
+      expect(error).to.be.instanceOf(sdk.ContractError);
+      expect(error).to.include({ code: "COLLATERAL_BALANCE_IS_ZERO", source: "Pool" });
+      expect(error.message).to.equal(`COLLATERAL_BALANCE_IS_ZERO: ${sdk.POOL_ERRORS.COLLATERAL_BALANCE_IS_ZERO}`);
+    });
+
+    it("decodes FlashLoanProvider reasons", async function () {
+      const { flashLoanProvider, bob } = await loadFixture(deployProtocolFixture);
+      const call = flashLoanProvider.connect(bob).deposit(ethers.Wallet.createRandom().address, 1n);
+
+      const error = await sdk.sendTransaction(call).catch((e) => e);
+      expect(error).to.include({ code: "token not supported", source: "FlashLoanProvider" });
+      expect(error.description).to.equal(sdk.FLASH_LOAN_PROVIDER_ERRORS["token not supported"]);
+    });
+
+    it("decodes the vault's strategy reasons", function () {
+      for (const reason of [
+        "UNWIND_INCOMPLETE",
+        "StrategyAdapter: supplied by the vault",
+        "STRATEGY_TIMELOCK_NOT_EXPIRED",
+        "NO_PENDING_STRATEGY",
+      ]) {
+        const data = ethers.concat([
+          ethers.id("Error(string)").slice(0, 10),
+          ethers.AbiCoder.defaultAbiCoder().encode(["string"], [reason]),
+        ]);
+        const error = sdk.decodeError(Object.assign(new Error("reverted"), { data }));
+        expect(error).to.include({ code: reason, source: "Vault", description: sdk.VAULT_ERRORS[reason] });
+        expect(error.description).to.be.a("string");
+      }
+    });
+
+    it("decodes custom errors with their arguments, and panics", async function () {
+      const { alice, manifest } = await loadFixture(deployProtocolFixture);
+      const client = sdk.createClient(alice, manifest.data);
+
+      const error = await client.vault.redeem("1").catch((e) => e);
+      expect(error.code).to.equal("ERC4626ExceededMaxRedeem");
+      expect(error.args).to.deep.equal([alice.address, usd("1"), 0n]);
+
+      const data = ethers.concat([ethers.id("Panic(uint256)").slice(0, 10), ethers.toBeHex(0x11, 32)]);
+      const panic = sdk.decodeError(Object.assign(new Error("reverted"), { data }));
+      expect(panic).to.include({ code: "Panic", panic: 0x11 });
+
+      const other = new Error("network down");
+      expect(sdk.decodeError(other)).to.equal(other);
+    });
+  });
+
+  it("is where the scripts' WadRayMath and reserve configuration helpers live", function () {
+    expect(wadRayMath).to.equal(require("../sdk/src/wadRayMath"));
+    expect(sdk.rayMul(sdk.RAY * 3n, sdk.WAD)).to.equal(wadRayMath.rayMul(sdk.RAY * 3n, sdk.WAD));
+    const fields = { ltv: 7500, liquidationThreshold: 8000, liquidationBonus: 10500, decimals: 6, reserveFactor: 1000 };
+    expect(sdk.decodeReserveConfig(sdk.encodeReserveConfig(fields))).to.include(fields);
+  });
+});
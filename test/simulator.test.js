@@ -0,0 +1,135 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+  readVaultState,
+  calculateInterestRates,
+  simulateDeposit,
+  formatSimulation,
+} = require("../scripts/lib/simulator");
+const { RAY } = require("../scripts/lib/wadRayMath");
+const { usd, deployProtocolFixture, loopedVaultFixture, flashVaultFixture } = require("./fixtures");
+
+describe("Loop simulator", function () {
+  async function depositedFixture() {
+    const fixture = await deployProtocolFixture();
+    // The first deposit does not loop, leaving the funds idle
+    await fixture.vault.connect(fixture.alice).deposit(usd("10000"), fixture.alice.address);
+    return fixture;
+  }
+
+  async function expectPositionMatches(vault, final) {
+    const position = await vault.getPositionDetails();
+    expect(position.collateralSupplied).to.equal(final.collateral);
+    expect(position.debtBorrowed).to.equal(final.debt);
+    expect(position.currentLTV).to.equal(final.ltvBps);
+    expect(position.healthFactor).to.equal(final.healthFactor);
+    expect(await vault.totalAssets()).to.equal(final.totalAssets);
+  }
+
+  it("matches InterestRateStrategy.calculateInterestRates", async function () {
+    const { interestRateStrategy, vaultAddress } = await loadFixture(deployProtocolFixture);
+    const state = await readVaultState(hre, vaultAddress);
+    const { strategy } = Object.values(state.reserves)[0];
+
+    for (const utilization of [0n, RAY / 3n, (RAY * 8n) / 10n, (RAY * 93n) / 100n, RAY]) {
+      const [liquidityRate, variableBorrowRate] = await interestRateStrategy.calculateInterestRates(utilization);
+      expect(calculateInterestRates(strategy, utilization)).to.deep.equal({ liquidityRate, variableBorrowRate });
+    }
+  });
+
+  it("predicts executeLooping exactly", async function () {
+    const { vault, vaultAddress } = await loadFixture(depositedFixture);
+    const state = await readVaultState(hre, vaultAddress);
+    const result = simulateDeposit(state, 0n);
+
+    await time.setNextBlockTimestamp(state.timestamp);
+    const tx = vault.executeLooping();
+    await expect(tx)
+      .to.emit(vault, "LoopExecuted")
+      .withArgs(result.final.collateral, result.final.totalBorrowed, result.final.iterations);
+
+    await expectPositionMatches(vault, result.final);
+    expect(result.final.iterations).to.equal(5);
+    expect(result.final.stopReason).to.equal("maxIterations");
+    expect(result.steps).to.have.length(6);
+    expect(result.final.ltvBps).to.be.lt(result.maxLtvBps);
+  });
+
+  it("predicts shares and the loop for a deposit into a looped vault", async function () {
+    const { vault, vaultAddress, bob } = await loadFixture(loopedVaultFixture);
+    const state = await readVaultState(hre, vaultAddress);
+    const result = simulateDeposit(state, usd("5000"));
+    expect(result.triggersLoop).to.equal(true);
+
+    await time.setNextBlockTimestamp(state.timestamp);
+    await vault.connect(bob).deposit(usd("5000"), bob.address);
+
+    expect(await vault.balanceOf(bob.address)).to.equal(result.shares);
+    expect(await vault.totalSupply()).to.equal(result.final.totalSupply);
+    await expectPositionMatches(vault, result.final);
+  });
+
+  it("predicts flash loan leverage exactly", async function () {
+    const { vault, vaultAddress } = await loadFixture(depositedFixture);
+    await vault.setLeverageMode(1);
+    const state = await readVaultState(hre, vaultAddress);
+    const result = simulateDeposit(state, 0n);
+    expect(result.leverageMode).to.equal("flash");
+
+    await time.setNextBlockTimestamp(state.timestamp);
+    await expect(vault.executeLooping())
+      .to.emit(vault, "FlashLeverage")
+      .withArgs(result.steps[1].borrowed - result.final.flashFee, result.final.flashFee, result.final.ltvBps);
+
+    await expectPositionMatches(vault, result.final);
+    expect(result.final.iterations).to.equal(1);
+    expect(result.final.stopReason).to.equal("targetLtv");
+  });
+
+  it("predicts the shares of a deposit net of the flash loan fee levering it", async function () {
+    const { vault, vaultAddress, bob } = await loadFixture(flashVaultFixture);
+    const state = await readVaultState(hre, vaultAddress);
+    const result = simulateDeposit(state, usd("5000"));
+    expect(result.shares).to.be.lt((usd("5000") * (state.vault.totalSupply + 1n)) / (result.before.totalAssets + 1n));
+
+    await time.setNextBlockTimestamp(state.timestamp);
+    await vault.connect(bob).deposit(usd("5000"), bob.address);
+
+    expect(await vault.balanceOf(bob.address)).to.equal(result.shares);
+    await expectPositionMatches(vault, result.final);
+  });
+
+  it("does not modify the state it simulates against", async function () {
+    const { vaultAddress } = await loadFixture(depositedFixture);
+    const state = await readVaultState(hre, vaultAddress);
+    const copy = structuredClone(state);
+
+    simulateDeposit(state, usd("1000"));
+
+    expect(state).to.deep.equal(copy);
+  });
+
+  it("supports what-if iteration limits and projects rates", async function () {
+    const { vaultAddress } = await loadFixture(depositedFixture);
+    const state = await readVaultState(hre, vaultAddress);
+
+    const full = simulateDeposit(state, 0n);
+    const short = simulateDeposit(state, 0n, { maxLoopIterations: 2 });
+
+    expect(short.final.iterations).to.equal(2);
+    expect(short.final.ltvBps).to.be.lt(full.final.ltvBps);
+    expect(short.final.healthFactor).to.be.gt(full.final.healthFactor);
+
+    // More borrowing pushes USDT utilization, and with it the borrow rate, up
+    const usdtBefore = full.before.rates.reserves.find((r) => r.symbol === "USDT");
+    const usdtAfter = full.rates.reserves.find((r) => r.symbol === "USDT");
+    expect(usdtAfter.utilization).to.be.gt(usdtBefore.utilization);
+    expect(usdtAfter.variableBorrowRate).to.be.gt(usdtBefore.variableBorrowRate);
+    expect(full.rates.borrowApr).to.be.closeTo(usdtAfter.variableBorrowRate, RAY / 10n ** 6n);
+
+    const formatted = formatSimulation(full, 6);
+    expect(formatted.steps).to.have.length(6);
+    expect(formatted.final.leverage).to.match(/^\d+\.\d{2}x$/);
+  });
+});
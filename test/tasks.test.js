@@ -0,0 +1,245 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { usd, deployProtocolFixture } = require("./fixtures");
+
+describe("CLI tasks", function () {
+  let log;
+
+  // Task output is not interesting here, only the returned results
+  beforeEach(function () {
+    log = console.log;
+    console.log = () => {};
+  });
+
+  afterEach(function () {
+    console.log = log;
+  });
+
+  const run = (scope, task, args) => hre.run({ scope, task }, { json: true, ...args });
+
+  it("mints tokens with human readable amounts", async function () {
+    const { usdc, deployer } = await loadFixture(deployProtocolFixture);
+    const before = await usdc.balanceOf(deployer.address);
+
+    const result = await run("token", "mint", { token: await usdc.getAddress(), amount: "1234.5" });
+
+    expect(result.amount).to.equal("1234.5");
+    expect(await usdc.balanceOf(deployer.address)).to.equal(before + usd("1234.5"));
+  });
+
+  it("deposits, redeems and reports status through the vault tasks", async function () {
+    const { vault, vaultAddress, usdc, deployer } = await loadFixture(deployProtocolFixture);
+    await usdc.mint(deployer.address, usd("5000"));
+
+    const deposit = await run("vault", "deposit", { vault: vaultAddress, amount: "5000" });
+    expect(deposit.assets).to.equal("5000.0");
+    expect(deposit.approval).to.not.equal(null);
+    expect(await vault.balanceOf(deployer.address)).to.equal(usd("5000"));
+
+    // Redeem while the deposit is still idle in the vault
+    await run("vault", "redeem", { vault: vaultAddress, shares: "100" });
+    expect(await vault.balanceOf(deployer.address)).to.equal(usd("4900"));
+
+    await run("vault", "loop", { vault: vaultAddress });
+    const status = await run("vault", "status", { vault: vaultAddress });
+    expect(status.loopingEnabled).to.equal(true);
+    expect(BigInt(status.position.currentLTVBps)).to.equal(await vault.getCurrentLTV());
+    expect(status.account.shares).to.equal("4900.0");
+    expect(status.account.maxWithdraw).to.equal(hre.ethers.formatUnits(await vault.maxWithdraw(deployer.address), 6));
+    expect(Number(status.sharePrice)).to.be.closeTo(1, 0.01);
+  });
+
+  it("deposits with a permit through the router task", async function () {
+    const { vault, vaultAddress, router, usdc, deployer } = await loadFixture(deployProtocolFixture);
+    await usdc.mint(deployer.address, usd("5000"));
+
+    const result = await run("vault", "router-deposit", {
+      vault: vaultAddress,
+      router: await router.getAddress(),
+      amount: "5000",
+      loop: true,
+    });
+
+    expect(result.permit).to.equal(true);
+    expect(result.approval).to.equal(null);
+    expect(result.shares).to.equal("5000.0");
+    expect(result.minShares).to.equal("4975.0");
+    expect(BigInt(result.ltvBps)).to.equal(await vault.getCurrentLTV());
+    expect(await vault.balanceOf(deployer.address)).to.equal(usd("5000"));
+  });
+
+  it("simulates a deposit without sending anything", async function () {
+    const { vault, vaultAddress, usdc, deployer } = await loadFixture(deployProtocolFixture);
+    await usdc.mint(deployer.address, usd("5000"));
+    await run("vault", "deposit", { vault: vaultAddress, amount: "5000" });
+
+    const result = await run("vault", "simulate", { vault: vaultAddress, amount: "1000", iterations: 3 });
+
+    expect(result.deposit).to.equal("1000.0");
+    expect(result.final.iterations).to.equal(3);
+    expect(result.steps).to.have.length(4);
+    expect(await vault.getCurrentLTV()).to.equal(0n);
+  });
+
+  it("runs the vault admin tasks", async function () {
+    const { vault, vaultAddress } = await loadFixture(deployProtocolFixture);
+
+    await run("vault", "set-looping", { vault: vaultAddress, enabled: false });
+    const result = await run("vault", "set-max-iterations", { vault: vaultAddress, iterations: 3 });
+
+    expect(await vault.loopingEnabled()).to.equal(false);
+    expect(result.maxLoopIterations).to.equal("3");
+
+    const mode = await run("vault", "set-leverage-mode", { vault: vaultAddress, mode: "flash" });
+    expect(mode.leverageMode).to.equal("flash");
+    expect(await vault.leverageMode()).to.equal(1n);
+  });
+
+  it("migrates the vault to another strategy adapter", async function () {
+    const { vault, vaultAddress, poolStrategy, usdt, alice } = await loadFixture(deployProtocolFixture);
+    await vault.connect(alice).deposit(usd("10000"), alice.address);
+    await vault.executeLooping();
+    const target = await hre.ethers.deployContract("ERC4626Vault", [await usdt.getAddress(), "Yield USDT", "yUSDT"]);
+    const adapter = await hre.ethers.deployContract("ERC4626StrategyAdapter", [await target.getAddress()]);
+
+    const args = { vault: vaultAddress, strategy: await adapter.getAddress() };
+
+    // The vault has shares: the migration is queued, and executed by a run after the timelock
+    const queued = await run("vault", "migrate-strategy", args);
+    expect(queued).to.include({ result: "queued", to: await poolStrategy.getAddress() });
+    expect(queued.eta).to.not.equal(null);
+    expect((await run("vault", "migrate-strategy", args)).result).to.equal("pending");
+
+    await time.increase(await vault.RISK_TIMELOCK());
+    const result = await run("vault", "migrate-strategy", args);
+
+    expect(result).to.include({ result: "executed", eta: null });
+    expect(result).to.include({ from: await poolStrategy.getAddress(), to: await adapter.getAddress() });
+    expect(Number(result.totalAssetsAfter)).to.be.closeTo(Number(result.totalAssetsBefore), 50);
+    // Interest accrued across the migration's blocks can move the LTV off the target by a basis point
+    expect(Number(result.currentLTVBps)).to.be.closeTo(Number(await vault.targetLTVBps()), 1);
+    const status = await run("vault", "status", { vault: vaultAddress });
+    expect(status.strategy).to.equal(await adapter.getAddress());
+  });
+
+  it("applies risk profiles and reports the risk parameters", async function () {
+    const { vault, vaultAddress, alice } = await loadFixture(deployProtocolFixture);
+    await vault.connect(alice).deposit(usd("1000"), alice.address);
+
+    const before = await run("vault", "risk", { vault: vaultAddress });
+    expect(before.current).to.deep.equal({
+      targetLtv: "78.00%",
+      rebalanceLtv: "80.00%",
+      maxLtv: "90.00%",
+      minHealthFactor: "1.0",
+    });
+    expect(before.pending).to.equal(null);
+    expect(before.reserveLimits).to.deep.equal({
+      ltv: "85.00%",
+      liquidationThreshold: "90.00%",
+      maxLtvAtMinHealthFactor: "90.00%",
+    });
+
+    const queued = await run("vault", "set-risk", { vault: vaultAddress, profile: "aggressive" });
+    expect(queued).to.include({ result: "queued", dryRun: false });
+    const status = await run("vault", "risk", { vault: vaultAddress });
+    expect(status.pending).to.include({ rebalanceLtv: "85.00%", eta: queued.eta });
+
+    await run("vault", "cancel-risk", { vault: vaultAddress });
+    const applied = await run("vault", "set-risk", { vault: vaultAddress, profile: "conservative" });
+    expect(applied.result).to.equal("applied");
+    expect(await vault.maxLTVBps()).to.equal(8000n);
+
+    await run("vault", "set-risk-manager", { vault: vaultAddress, account: alice.address });
+    expect((await run("vault", "risk", { vault: vaultAddress })).riskManager).to.equal(alice.address);
+  });
+
+  it("sets deposit caps, pauses and the guardian through the vault tasks", async function () {
+    const { vault, vaultAddress, alice } = await loadFixture(deployProtocolFixture);
+
+    await run("vault", "set-caps", { vault: vaultAddress, total: "50000", account: "max" });
+    await run("vault", "set-guardian", { vault: vaultAddress, account: alice.address });
+    const paused = await run("vault", "set-paused", { vault: vaultAddress, deposits: false, looping: true });
+    expect(paused).to.include({ depositsPaused: false, loopingPaused: true });
+
+    await vault.connect(alice).deposit(usd("1000"), alice.address);
+    const access = await run("vault", "access", { vault: vaultAddress, account: alice.address });
+    expect(access).to.deep.include({
+      allowlistEnabled: false,
+      depositCap: "50000.0",
+      accountDepositCap: "max",
+      guardian: alice.address,
+      loopingPaused: true,
+      account: { address: alice.address, allowlisted: false, maxDeposit: "49000.0" },
+    });
+  });
+
+  it("sets fees and reports them through the vault tasks", async function () {
+    const { vault, vaultAddress, alice } = await loadFixture(deployProtocolFixture);
+
+    const updated = await run("vault", "set-fees", { vault: vaultAddress, management: 100, performance: 1500 });
+    expect(updated).to.include({ managementFeeBps: "100", performanceFeeBps: "1500" });
+    expect(updated.txs).to.have.keys("managementFee", "performanceFee");
+
+    await vault.connect(alice).deposit(usd("1000"), alice.address);
+    await time.increase(30 * 24 * 60 * 60);
+    await vault.accrueFees();
+
+    const report = await run("vault", "fees", { vault: vaultAddress });
+    expect(report.end.managementFee).to.equal("1.00%");
+    expect(report.accruals).to.have.length(1);
+    expect(report.totals.feeShares).to.equal(hre.ethers.formatUnits(await vault.balanceOf(updated.feeRecipient), 6));
+  });
+
+  it("supplies, borrows and repays through the pool tasks", async function () {
+    const { pool, poolAddress, usdc, usdt, deployer } = await loadFixture(deployProtocolFixture);
+    const usdcAddress = await usdc.getAddress();
+    const usdtAddress = await usdt.getAddress();
+    await usdc.mint(deployer.address, usd("1000"));
+
+    await run("pool", "supply", { pool: poolAddress, asset: usdcAddress, amount: "1000" });
+    const borrow = await run("pool", "borrow", { pool: poolAddress, asset: usdtAddress, amount: "500" });
+    // Values are reported in the oracle base currency (USD)
+    expect(Number(borrow.account.totalDebtBase)).to.be.closeTo(500, 0.01);
+
+    await run("pool", "repay", { pool: poolAddress, asset: usdtAddress, amount: "max" });
+    const { totalDebtBase } = await pool.getUserAccountData(deployer.address);
+    expect(totalDebtBase).to.equal(0n);
+  });
+
+  it("reports the reserve config and mints the treasury share", async function () {
+    const { pool, poolAddress, poolConfigurator, usdc, usdt, alice, deployer } = await loadFixture(deployProtocolFixture);
+    const usdtAddress = await usdt.getAddress();
+
+    await pool.connect(alice).supply(await usdc.getAddress(), usd("100000"), alice.address, 0);
+    await pool.connect(alice).borrow(usdtAddress, usd("80000"), 2, 0, alice.address);
+    await time.increase(365 * 24 * 60 * 60);
+    await pool.connect(alice).repay(usdtAddress, usd("1"), 2, alice.address);
+
+    const config = await run("pool", "config", { pool: poolAddress });
+    expect(config).to.include({
+      poolConfigurator: await poolConfigurator.getAddress(),
+      treasury: deployer.address,
+      flashLoanPremiumBps: "9",
+    });
+    expect(config.reserves.USDT).to.include({ asset: usdtAddress, ltv: 8500, reserveFactor: 1000, frozen: false });
+    expect(Number(config.reserves.USDT.accruedToTreasury)).to.be.gt(0);
+
+    const result = await run("pool", "mint-to-treasury", { pool: poolAddress });
+    expect(result.minted.USDT).to.equal(config.reserves.USDT.accruedToTreasury);
+    expect((await pool.getReserveData(usdtAddress)).accruedToTreasury).to.equal(0n);
+  });
+
+  it("reads and sets oracle prices", async function () {
+    const { poolAddress, priceOracle, usdc } = await loadFixture(deployProtocolFixture);
+
+    const before = await run("oracle", "prices", { pool: poolAddress });
+    expect(before.oracle).to.equal(await priceOracle.getAddress());
+    expect(before.prices.USDC).to.deep.equal({ asset: await usdc.getAddress(), price: "1.0" });
+
+    const result = await run("oracle", "set-price", { pool: poolAddress, asset: await usdc.getAddress(), price: "0.97" });
+    expect(result).to.include({ previous: "1.0", price: "0.97" });
+    expect(await priceOracle.getAssetPrice(await usdc.getAddress())).to.equal(97000000n);
+  });
+});